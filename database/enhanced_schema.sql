@@ -32,11 +32,27 @@ CREATE TABLE IF NOT EXISTS user_configs (
   UNIQUE(user_id)
 );
 
+-- Automatic generation triggers (Airtable webhooks or view polling)
+CREATE TABLE IF NOT EXISTS generation_triggers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID,
+  template_id UUID REFERENCES templates(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  enabled BOOLEAN DEFAULT TRUE,
+  config JSONB NOT NULL, -- view, mode ('auto', 'webhook', 'poll'), poll interval
+  state JSONB DEFAULT '{}'::jsonb, -- webhook id and payload cursor, or record ids already in the view
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Enhanced PDF generations table with filename tracking
 CREATE TABLE IF NOT EXISTS pdf_generations (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID,
   template_id UUID REFERENCES templates(id) ON DELETE CASCADE,
+  trigger_id UUID REFERENCES generation_triggers(id) ON DELETE SET NULL, -- Set for automatic generations
   record_id VARCHAR(255),
   filename VARCHAR(500), -- Dynamic filename generated
   status VARCHAR(50) NOT NULL,
@@ -52,6 +68,9 @@ CREATE TABLE IF NOT EXISTS pdf_generations (
   ip_address INET
 );
 
+-- Databases created before triggers existed
+ALTER TABLE pdf_generations ADD COLUMN IF NOT EXISTS trigger_id UUID REFERENCES generation_triggers(id) ON DELETE SET NULL;
+
 -- Enhanced user activities table
 CREATE TABLE IF NOT EXISTS user_activities (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -95,6 +114,9 @@ CREATE INDEX IF NOT EXISTS idx_pdf_generations_template_id ON pdf_generations(te
 CREATE INDEX IF NOT EXISTS idx_pdf_generations_created_at ON pdf_generations(created_at);
 CREATE INDEX IF NOT EXISTS idx_pdf_generations_status ON pdf_generations(status);
 CREATE INDEX IF NOT EXISTS idx_pdf_generations_filename ON pdf_generations(filename);
+CREATE INDEX IF NOT EXISTS idx_pdf_generations_trigger_id ON pdf_generations(trigger_id);
+
+CREATE INDEX IF NOT EXISTS idx_generation_triggers_user_id ON generation_triggers(user_id);
 
 CREATE INDEX IF NOT EXISTS idx_user_activities_user_id ON user_activities(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_activities_timestamp ON user_activities(timestamp);
@@ -109,6 +131,7 @@ CREATE INDEX IF NOT EXISTS idx_security_audit_requires_review ON security_audit_
 ALTER TABLE templates ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_configs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE pdf_generations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE generation_triggers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_activities ENABLE ROW LEVEL SECURITY;
 ALTER TABLE security_audit_log ENABLE ROW LEVEL SECURITY;
 
@@ -142,6 +165,19 @@ CREATE POLICY "Users can view their own PDF generations" ON pdf_generations
 CREATE POLICY "Users can insert their own PDF generations" ON pdf_generations 
   FOR INSERT WITH CHECK (auth.uid() = user_id OR user_id IS NULL);
 
+-- Policies for generation_triggers
+CREATE POLICY "Users can view their own triggers" ON generation_triggers 
+  FOR SELECT USING (auth.uid() = user_id OR user_id IS NULL);
+
+CREATE POLICY "Users can insert their own triggers" ON generation_triggers 
+  FOR INSERT WITH CHECK (auth.uid() = user_id OR user_id IS NULL);
+
+CREATE POLICY "Users can update their own triggers" ON generation_triggers 
+  FOR UPDATE USING (auth.uid() = user_id OR user_id IS NULL);
+
+CREATE POLICY "Users can delete their own triggers" ON generation_triggers 
+  FOR DELETE USING (auth.uid() = user_id OR user_id IS NULL);
+
 -- Policies for user_activities
 CREATE POLICY "Users can view their own activities" ON user_activities 
   FOR SELECT USING (auth.uid() = user_id OR user_id IS NULL);
@@ -222,6 +258,10 @@ CREATE TRIGGER update_user_configs_updated_at
   BEFORE UPDATE ON user_configs 
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_generation_triggers_updated_at
+  BEFORE UPDATE ON generation_triggers
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER log_pdf_generation_trigger 
   AFTER INSERT ON pdf_generations 
   FOR EACH ROW EXECUTE FUNCTION log_pdf_generation();
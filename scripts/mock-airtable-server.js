@@ -0,0 +1,287 @@
+// Minimal in-memory stand-in for the Airtable API, for trying triggers and
+// write-back without a real base. Start it with `npm run mock:airtable` and
+// point the app at it in .env:
+//
+//   VITE_AIRTABLE_API_URL=http://localhost:4010/v0
+//   VITE_AIRTABLE_CONTENT_URL=http://localhost:4010/v0
+//
+// The mock accepts any API key, but the app only sends keys in the format of
+// a personal access token ("pat", 14 characters, ".", 64 characters), e.g.
+//
+//   patMockAirtable01.0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef
+//
+// Any base id in Airtable's format works, e.g. appMockAirtable01; ids are all
+// "app", "rec" and so on followed by 14 characters. The base has one
+// "Invoices" table; records whose Status is "Ready to invoice" are in the
+// "Ready to invoice" view. Move a record into the view to fire a trigger:
+//
+//   curl -X PATCH http://localhost:4010/v0/appMockAirtable01/Invoices/recInvoice0000001 \
+//     -H 'Content-Type: application/json' \
+//     -d '{"fields":{"Status":"Ready to invoice"}}'
+//
+// MOCK_WEBHOOKS=off answers webhook requests with 403, as Airtable does for
+// tokens without the webhook:manage scope, to exercise the polling fallback.
+import http from 'node:http';
+
+const port = Number(process.env.PORT) || 4010;
+const webhooksEnabled = process.env.MOCK_WEBHOOKS !== 'off';
+
+const table = {
+  id: 'tblInvoices000001',
+  name: 'Invoices',
+  primaryFieldId: 'fldName0000000001',
+  fields: [
+    { id: 'fldName0000000001', name: 'Name', type: 'singleLineText' },
+    { id: 'fldCustomer000001', name: 'Customer', type: 'singleLineText' },
+    { id: 'fldAmount00000001', name: 'Amount', type: 'currency', options: { precision: 2, symbol: '$' } },
+    {
+      id: 'fldStatus00000001',
+      name: 'Status',
+      type: 'singleSelect',
+      options: { choices: [{ name: 'Draft' }, { name: 'Ready to invoice' }, { name: 'Invoiced' }] }
+    },
+    { id: 'fldInvoicePdf0001', name: 'Invoice PDF', type: 'multipleAttachments' },
+    { id: 'fldGeneratedAt001', name: 'Generated At', type: 'dateTime' }
+  ],
+  views: [
+    { id: 'viwGrid0000000001', name: 'Grid view', type: 'grid', filter: () => true },
+    { id: 'viwReady000000001', name: 'Ready to invoice', type: 'grid', filter: fields => fields.Status === 'Ready to invoice' }
+  ]
+};
+
+const records = new Map([
+  ['recInvoice0000001', { Name: 'INV-001', Customer: 'Acme Co.', Amount: 1200, Status: 'Draft' }],
+  ['recInvoice0000002', { Name: 'INV-002', Customer: 'Globex', Amount: 860.5, Status: 'Draft' }],
+  ['recInvoice0000003', { Name: 'INV-003', Customer: 'Initech', Amount: 99, Status: 'Invoiced' }]
+].map(([id, fields]) => [id, { id, createdTime: new Date().toISOString(), fields }]));
+
+const webhooks = new Map();
+let nextId = 1;
+
+const expiresIn7Days = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+const viewsContaining = (record) => table.views.filter(view => view.filter(record.fields)).map(view => view.id);
+
+const fieldIdFor = (name) => table.fields.find(field => field.name === name)?.id || name;
+
+const serialize = (record, byFieldId) => ({
+  id: record.id,
+  createdTime: record.createdTime,
+  fields: byFieldId
+    ? Object.fromEntries(Object.entries(record.fields).map(([name, value]) => [fieldIdFor(name), value]))
+    : record.fields
+});
+
+// Airtable reports a record moving into a view as created in that view
+function recordChanged(recordId, viewsBefore, viewsAfter) {
+  const entered = viewsAfter.filter(viewId => !viewsBefore.includes(viewId));
+  if (entered.length === 0) return;
+
+  webhooks.forEach(webhook => {
+    const scope = webhook.specification.options.filters.recordChangeScope;
+    const viewIds = entered.filter(viewId => !scope || scope === table.id || scope === viewId);
+    if (viewIds.length === 0) return;
+
+    webhook.payloads.push({
+      timestamp: new Date().toISOString(),
+      baseTransactionNumber: webhook.payloads.length + 1,
+      payloadFormat: 'v0',
+      changedTablesById: {
+        [table.id]: {
+          changedViewsById: Object.fromEntries(viewIds.map(viewId => [
+            viewId,
+            { createdRecordsById: { [recordId]: { createdTime: new Date().toISOString(), cellValuesByFieldId: {} } } }
+          ]))
+        }
+      }
+    });
+  });
+}
+
+function updateRecord(record, fields) {
+  const before = viewsContaining(record);
+  record.fields = { ...record.fields, ...fields };
+  recordChanged(record.id, before, viewsContaining(record));
+  return record;
+}
+
+// Attachments already on a record can be kept by sending just their id
+function keepAttachments(record, fields) {
+  return Object.fromEntries(Object.entries(fields).map(([name, value]) => {
+    const existing = record.fields[name];
+    if (!Array.isArray(value) || !Array.isArray(existing)) return [name, value];
+    return [name, value.map(item => existing.find(attachment => attachment.id === item?.id) || item)];
+  }));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const notFound = (res, message = 'Could not find what you are looking for') =>
+  send(res, 404, { error: { type: 'NOT_FOUND', message } });
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function listRecords(res, query) {
+  const viewName = query.get('view');
+  const view = viewName ? table.views.find(item => item.name === viewName || item.id === viewName) : null;
+  if (viewName && !view) return notFound(res, `View "${viewName}" not found`);
+
+  const maxRecords = Number(query.get('maxRecords')) || Infinity;
+  const pageSize = Math.min(Number(query.get('pageSize')) || 100, 100);
+  const offset = Number(query.get('offset')) || 0;
+  const byFieldId = query.get('returnFieldsByFieldId') === 'true';
+
+  const matching = [...records.values()]
+    .filter(record => !view || view.filter(record.fields))
+    .slice(0, maxRecords);
+  const page = matching.slice(offset, offset + pageSize);
+
+  send(res, 200, {
+    records: page.map(record => serialize(record, byFieldId)),
+    ...(offset + pageSize < matching.length ? { offset: String(offset + pageSize) } : {})
+  });
+}
+
+async function handleWebhooks(req, res, rest) {
+  if (!webhooksEnabled) {
+    return send(res, 403, { error: { type: 'INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND', message: 'Webhooks are disabled on this mock server' } });
+  }
+
+  const [webhookId, action] = rest;
+  if (!webhookId) {
+    if (req.method === 'GET') {
+      return send(res, 200, {
+        webhooks: [...webhooks.values()].map(({ id, specification, expirationTime, payloads }) => ({
+          id,
+          specification,
+          expirationTime,
+          notificationUrl: null,
+          cursorForNextPayload: payloads.length + 1
+        }))
+      });
+    }
+    const body = await readBody(req);
+    const webhook = { id: `ach${String(nextId++).padStart(14, '0')}`, specification: body.specification, expirationTime: expiresIn7Days(), payloads: [] };
+    webhooks.set(webhook.id, webhook);
+    console.log(`Webhook ${webhook.id} created for ${body.specification?.options?.filters?.recordChangeScope || 'the base'}`);
+    return send(res, 200, { id: webhook.id, macSecretBase64: '', expirationTime: webhook.expirationTime });
+  }
+
+  const webhook = webhooks.get(webhookId);
+  if (!webhook) return notFound(res, `Webhook ${webhookId} not found`);
+
+  if (req.method === 'DELETE') {
+    webhooks.delete(webhookId);
+    return send(res, 200, {});
+  }
+  if (action === 'refresh') {
+    webhook.expirationTime = expiresIn7Days();
+    return send(res, 200, { expirationTime: webhook.expirationTime });
+  }
+  if (action === 'payloads') {
+    // Cursors count payloads from 1; two per page to exercise mightHaveMore
+    const cursor = Math.max(Number(new URL(req.url, 'http://localhost').searchParams.get('cursor')) || 1, 1);
+    const payloads = webhook.payloads.slice(cursor - 1, cursor + 1);
+    return send(res, 200, {
+      payloads,
+      cursor: cursor + payloads.length,
+      mightHaveMore: cursor - 1 + payloads.length < webhook.payloads.length
+    });
+  }
+  return notFound(res);
+}
+
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (parts[0] !== 'v0') return notFound(res);
+
+  // /v0/meta/bases/{baseId}/tables
+  if (parts[1] === 'meta' && parts[4] === 'tables') {
+    return send(res, 200, {
+      tables: [{ ...table, views: table.views.map(({ id, name, type }) => ({ id, name, type })) }]
+    });
+  }
+
+  // /v0/bases/{baseId}/webhooks[/{webhookId}[/{action}]]
+  if (parts[1] === 'bases' && parts[3] === 'webhooks') {
+    return handleWebhooks(req, res, parts.slice(4));
+  }
+
+  // /v0/{baseId}/{recordId}/{field}/uploadAttachment
+  if (parts[4] === 'uploadAttachment') {
+    const record = records.get(parts[2]);
+    if (!record) return notFound(res, `Record ${parts[2]} not found`);
+
+    const body = await readBody(req);
+    const attachment = {
+      id: `att${String(nextId++).padStart(14, '0')}`,
+      url: `http://localhost:${port}/files/${encodeURIComponent(body.filename)}`,
+      filename: body.filename,
+      type: body.contentType,
+      size: Buffer.from(body.file || '', 'base64').length
+    };
+    record.fields[parts[3]] = [...(record.fields[parts[3]] || []), attachment];
+    console.log(`Attached ${body.filename} (${attachment.size} bytes) to ${record.id}`);
+    return send(res, 200, { id: record.id, createdTime: record.createdTime, fields: { [fieldIdFor(parts[3])]: record.fields[parts[3]] } });
+  }
+
+  // /v0/{baseId}/{table}[/{recordId}]
+  const [, , tableName, recordId] = parts;
+  if (tableName !== table.name && tableName !== table.id) {
+    return notFound(res, `Table "${tableName}" not found`);
+  }
+
+  if (!recordId) {
+    if (req.method === 'GET') return listRecords(res, url.searchParams);
+    if (req.method === 'POST') {
+      const body = await readBody(req);
+      const created = (body.records || []).map(({ fields }) => {
+        const record = { id: `rec${String(nextId++).padStart(14, '0')}`, createdTime: new Date().toISOString(), fields: {} };
+        records.set(record.id, record);
+        return updateRecord(record, fields);
+      });
+      return send(res, 200, { records: created.map(record => serialize(record, false)) });
+    }
+    return notFound(res);
+  }
+
+  const record = records.get(recordId);
+  if (!record) return notFound(res, `Record ${recordId} not found`);
+
+  if (req.method === 'PATCH') {
+    const body = await readBody(req);
+    updateRecord(record, keepAttachments(record, body.fields || {}));
+    console.log(`Updated ${record.id}: ${Object.keys(body.fields || {}).join(', ')}`);
+  }
+  return send(res, 200, serialize(record, url.searchParams.get('returnFieldsByFieldId') === 'true'));
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch(error => send(res, 400, { error: { type: 'INVALID_REQUEST', message: error.message } }));
+}).listen(port, () => {
+  console.log(`Mock Airtable API on http://localhost:${port}/v0 (webhooks ${webhooksEnabled ? 'on' : 'off'})`);
+});
@@ -7,8 +7,10 @@ import Sidebar from './components/Sidebar';
 import TemplateManager from './pages/TemplateManager';
 import WizardContainer from './components/wizard/WizardContainer';
 import GeneratePDF from './pages/GeneratePDF';
+import Triggers from './pages/Triggers';
 import { AppProvider, useApp } from './context/AppContext';
 import { hasRealCredentials } from './lib/supabase';
+import { triggerService } from './services/triggerService';
 
 function AppContent() {
   const { state } = useApp();
@@ -24,6 +26,14 @@ function AppContent() {
     return () => clearTimeout(initTimer);
   }, []);
 
+  // Resume running triggers in the tab that had them switched on
+  useEffect(() => {
+    if (triggerService.isRunnerEnabled()) {
+      triggerService.start();
+    }
+    return () => triggerService.stop();
+  }, []);
+
   // Show loading only for a brief moment during initialization
   if (isInitializing) {
     return (
@@ -85,6 +95,7 @@ function AppContent() {
                         <Route path="/" element={<Navigate to="/templates" replace />} />
                         <Route path="/templates" element={<TemplateManager />} />
                         <Route path="/generate" element={<GeneratePDF />} />
+                        <Route path="/triggers" element={<Triggers />} />
                       </Routes>
                     </motion.div>
                   </main>
@@ -0,0 +1,483 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useApp } from '../context/AppContext';
+import { batchGenerationService } from '../services/batchGenerationService';
+import { buildGenerationOptions } from '../services/enhancedPdfService';
+import { enhancedAirtableService } from '../services/enhancedAirtableService';
+import { dynamicFilenameService } from '../services/dynamicFilenameService';
+import { combinedPdfService } from '../services/combinedPdfService';
+
+const { FiLayers, FiPlay, FiPause, FiX, FiRotateCw, FiDownload, FiCheck, FiAlertTriangle, FiClock, FiFilter, FiSearch, FiArchive, FiBookOpen } = FiIcons;
+
+const statusStyles = {
+  queued: { label: 'Queued', className: 'bg-gray-100 text-gray-700', icon: FiClock },
+  running: { label: 'Generating', className: 'bg-blue-100 text-blue-700', icon: FiRotateCw },
+  completed: { label: 'Done', className: 'bg-green-100 text-green-700', icon: FiCheck },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-700', icon: FiAlertTriangle },
+  cancelled: { label: 'Cancelled', className: 'bg-yellow-100 text-yellow-700', icon: FiX }
+};
+
+const recordLabel = (record) =>
+  record.fields.Name || record.fields.Title || record.fields.Customer || record.id;
+
+function BatchGeneration({ checkSchema }) {
+  const { state } = useApp();
+  const [source, setSource] = useState('select');
+  const [viewName, setViewName] = useState('');
+  const [formula, setFormula] = useState('');
+  const [candidates, setCandidates] = useState(state.records);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isFetching, setIsFetching] = useState(false);
+  const [fetchError, setFetchError] = useState('');
+  const [concurrency, setConcurrency] = useState(batchGenerationService.defaultConcurrency);
+  const [isZipping, setIsZipping] = useState(false);
+  const [combinedOptions, setCombinedOptions] = useState(combinedPdfService.defaultOptions);
+  const [isCombining, setIsCombining] = useState(false);
+  const [downloadError, setDownloadError] = useState('');
+  const [, setVersion] = useState(0);
+  const jobRef = useRef(null);
+  const job = jobRef.current;
+
+  // Stop queued work when the page is left mid-batch
+  useEffect(() => () => {
+    if (jobRef.current?.isActive()) {
+      jobRef.current.cancel();
+    }
+  }, []);
+
+  const handleSourceChange = (value) => {
+    setSource(value);
+    setFetchError('');
+    if (value === 'select') {
+      setCandidates(state.records);
+      setSelectedIds([]);
+    }
+  };
+
+  const handleFetchRecords = async () => {
+    setIsFetching(true);
+    setFetchError('');
+
+    try {
+      const records = await enhancedAirtableService.fetchAirtableRecords(
+        state.wizardData.connection.airtableConfig,
+        source === 'view' ? { view: viewName.trim() } : { filterByFormula: formula.trim() }
+      );
+      setCandidates(records);
+      setSelectedIds(records.map(record => record.id));
+    } catch (error) {
+      setFetchError(error.message);
+    } finally {
+      setIsFetching(false);
+    }
+  };
+
+  const toggleRecord = (recordId) => {
+    setSelectedIds(selectedIds.includes(recordId)
+      ? selectedIds.filter(id => id !== recordId)
+      : [...selectedIds, recordId]);
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(selectedIds.length === candidates.length ? [] : candidates.map(record => record.id));
+  };
+
+  const handleStart = async () => {
+    if (checkSchema && !(await checkSchema())) return;
+
+    const records = candidates.filter(record => selectedIds.includes(record.id));
+    const newJob = batchGenerationService.createJob(records, {
+      concurrency,
+      buildOptions: record => buildGenerationOptions(state, record)
+    });
+    newJob.subscribe(() => setVersion(version => version + 1));
+    jobRef.current = newJob;
+    newJob.start();
+  };
+
+  const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDownload = (item) => {
+    downloadBlob(item.blob, item.filename);
+  };
+
+  // Name for files covering the whole run, e.g. "Invoice-2026-10-19.zip"
+  const batchFilename = (extension) => {
+    const templateName = state.currentTemplate?.name || 'Batch';
+    const date = new Date().toISOString().slice(0, 10);
+    return dynamicFilenameService.sanitizeFilename(`${templateName}-${date}.${extension}`);
+  };
+
+  const handleDownloadZip = async () => {
+    setIsZipping(true);
+    setDownloadError('');
+
+    try {
+      const zipBlob = await batchGenerationService.createZip(job);
+      downloadBlob(zipBlob, batchFilename('zip'));
+    } catch (error) {
+      setDownloadError(error.message);
+    } finally {
+      setIsZipping(false);
+    }
+  };
+
+  const handleDownloadCombined = async () => {
+    setIsCombining(true);
+    setDownloadError('');
+
+    try {
+      const pdfBlob = await batchGenerationService.createCombinedPdf(job, combinedOptions);
+      downloadBlob(pdfBlob, batchFilename('pdf'));
+    } catch (error) {
+      setDownloadError(error.message);
+    } finally {
+      setIsCombining(false);
+    }
+  };
+
+  const updateCombinedOption = (key, value) => {
+    setCombinedOptions({ ...combinedOptions, [key]: value });
+  };
+
+  const progress = job?.getProgress();
+  const isActive = job?.isActive();
+  const canFetch = source === 'view' ? viewName.trim() : formula.trim();
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6, delay: 0.1 }}
+      className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 md:p-6"
+    >
+      <div className="flex items-center space-x-3 mb-6">
+        <div className="bg-purple-100 p-2 rounded-lg">
+          <SafeIcon icon={FiLayers} className="w-6 h-6 text-purple-600" />
+        </div>
+        <div>
+          <h2 className="text-lg md:text-xl font-semibold text-gray-900">Batch Generation</h2>
+          <p className="text-sm md:text-base text-gray-600">Generate a PDF for each of many records in one run</p>
+        </div>
+      </div>
+
+      {/* Record Source */}
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          {[
+            { value: 'select', label: 'Pick records', icon: FiCheck },
+            { value: 'view', label: 'Airtable view', icon: FiFilter },
+            { value: 'formula', label: 'Formula', icon: FiSearch }
+          ].map(option => (
+            <button
+              key={option.value}
+              onClick={() => handleSourceChange(option.value)}
+              disabled={isActive}
+              className={`flex items-center justify-center space-x-2 px-4 py-2 border rounded-lg transition-colors disabled:opacity-50 ${
+                source === option.value
+                  ? 'border-primary-500 bg-primary-50 text-primary-700'
+                  : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <SafeIcon icon={option.icon} className="w-4 h-4" />
+              <span>{option.label}</span>
+            </button>
+          ))}
+        </div>
+
+        {source !== 'select' && (
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              value={source === 'view' ? viewName : formula}
+              onChange={(e) => (source === 'view' ? setViewName(e.target.value) : setFormula(e.target.value))}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm"
+              placeholder={source === 'view' ? 'Unpaid invoices' : 'AND({Status} = "Approved", {Invoice Date} >= "2026-01-01")'}
+            />
+            <button
+              onClick={handleFetchRecords}
+              disabled={!canFetch || isFetching || isActive}
+              className="flex items-center justify-center space-x-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {isFetching ? (
+                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              ) : (
+                <SafeIcon icon={FiSearch} className="w-4 h-4" />
+              )}
+              <span>Load Records</span>
+            </button>
+          </div>
+        )}
+
+        {fetchError && (
+          <div className="flex items-start space-x-2 px-4 py-3 rounded-lg bg-red-100 text-red-700 text-sm">
+            <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+            <span>{fetchError}</span>
+          </div>
+        )}
+
+        {/* Record List */}
+        <div className="border border-gray-200 rounded-lg">
+          <div className="flex items-center justify-between px-4 py-2 bg-gray-50 border-b border-gray-200">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={candidates.length > 0 && selectedIds.length === candidates.length}
+                onChange={toggleAll}
+                disabled={isActive || candidates.length === 0}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>Select all</span>
+            </label>
+            <span className="text-sm text-gray-600">
+              {selectedIds.length} of {candidates.length} selected
+            </span>
+          </div>
+          <div className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+            {candidates.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">No records</p>
+            ) : candidates.map(record => (
+              <label key={record.id} className="flex items-center space-x-3 px-4 py-2 text-sm hover:bg-gray-50 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(record.id)}
+                  onChange={() => toggleRecord(record.id)}
+                  disabled={isActive}
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span className="text-gray-900 truncate">{recordLabel(record)}</span>
+                <span className="text-xs text-gray-400 font-mono">{record.id}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Combined Output */}
+        <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+          <div className="flex items-center space-x-2">
+            <SafeIcon icon={FiBookOpen} className="w-4 h-4 text-gray-600" />
+            <h3 className="text-sm font-medium text-gray-900">Combined PDF</h3>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-700 mb-1">Bookmark title</label>
+            <input
+              type="text"
+              value={combinedOptions.bookmarkTitle}
+              onChange={(e) => updateCombinedOption('bookmarkTitle', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm"
+              placeholder="{{Customer}} – {{Invoice Number}}"
+            />
+            <p className="text-xs text-gray-500 mt-1">One bookmark per record; placeholders and filters work as in the template</p>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            {[
+              { key: 'coverPage', label: 'Cover page' },
+              { key: 'tableOfContents', label: 'Table of contents' },
+              { key: 'duplex', label: 'Start records on odd pages (duplex)' }
+            ].map(option => (
+              <label key={option.key} className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={combinedOptions[option.key]}
+                  onChange={(e) => updateCombinedOption(option.key, e.target.checked)}
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </div>
+          {combinedOptions.coverPage && (
+            <input
+              type="text"
+              value={combinedOptions.coverTitle}
+              onChange={(e) => updateCombinedOption('coverTitle', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+              placeholder="Cover title"
+            />
+          )}
+        </div>
+
+        {/* Controls */}
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Parallel documents</span>
+            <select
+              value={concurrency}
+              onChange={(e) => setConcurrency(parseInt(e.target.value))}
+              disabled={isActive}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Array.from({ length: batchGenerationService.maxConcurrency }, (_, index) => index + 1).map(count => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+          </label>
+
+          <div className="flex flex-wrap gap-2 sm:ml-auto">
+            {!isActive && (
+              <button
+                onClick={handleStart}
+                disabled={selectedIds.length === 0}
+                className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <SafeIcon icon={FiPlay} className="w-4 h-4" />
+                <span>Generate {selectedIds.length} PDFs</span>
+              </button>
+            )}
+            {job?.status === 'running' && (
+              <button
+                onClick={() => job.pause()}
+                className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <SafeIcon icon={FiPause} className="w-4 h-4" />
+                <span>Pause</span>
+              </button>
+            )}
+            {job?.status === 'paused' && (
+              <button
+                onClick={() => job.resume()}
+                className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <SafeIcon icon={FiPlay} className="w-4 h-4" />
+                <span>Resume</span>
+              </button>
+            )}
+            {(job?.status === 'running' || job?.status === 'paused') && (
+              <button
+                onClick={() => job.cancel()}
+                className="flex items-center space-x-2 px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 transition-colors"
+              >
+                <SafeIcon icon={FiX} className="w-4 h-4" />
+                <span>Cancel</span>
+              </button>
+            )}
+            {progress?.completed > 0 && !isActive && (
+              <button
+                onClick={handleDownloadZip}
+                disabled={isZipping}
+                className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {isZipping ? (
+                  <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                ) : (
+                  <SafeIcon icon={FiArchive} className="w-4 h-4" />
+                )}
+                <span>Download ZIP ({progress.completed})</span>
+              </button>
+            )}
+            {progress?.completed > 0 && !isActive && (
+              <button
+                onClick={handleDownloadCombined}
+                disabled={isCombining}
+                className="flex items-center space-x-2 px-4 py-2 border border-green-600 text-green-700 rounded-lg hover:bg-green-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {isCombining ? (
+                  <div className="w-4 h-4 border-2 border-green-600 border-t-transparent rounded-full animate-spin"></div>
+                ) : (
+                  <SafeIcon icon={FiBookOpen} className="w-4 h-4" />
+                )}
+                <span>Combined PDF</span>
+              </button>
+            )}
+            {progress?.failed > 0 && job.status !== 'cancelling' && (
+              <button
+                onClick={() => job.retryFailed()}
+                className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <SafeIcon icon={FiRotateCw} className="w-4 h-4" />
+                <span>Retry {progress.failed} failed</span>
+              </button>
+            )}
+          </div>
+        </div>
+
+        {downloadError && (
+          <div className="flex items-start space-x-2 px-4 py-3 rounded-lg bg-red-100 text-red-700 text-sm">
+            <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+            <span>{downloadError}</span>
+          </div>
+        )}
+
+        {/* Progress */}
+        {job && (
+          <div className="space-y-3">
+            <div>
+              <div className="flex justify-between text-sm text-gray-600 mb-1">
+                <span className="capitalize">{progress.status}</span>
+                <span>
+                  {progress.completed} done · {progress.failed} failed · {progress.queued + progress.running} remaining
+                </span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-primary-600 h-2 rounded-full transition-all"
+                  style={{ width: `${progress.percent}%` }}
+                ></div>
+              </div>
+            </div>
+
+            <div className="max-h-80 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {job.items.map(item => {
+                const style = statusStyles[item.status];
+                return (
+                  <div key={item.record.id} className="flex items-center justify-between px-4 py-2 text-sm">
+                    <div className="min-w-0">
+                      <p className="text-gray-900 truncate">{recordLabel(item.record)}</p>
+                      {item.filename && (
+                        <p className="text-xs text-gray-500 font-mono truncate">{item.filename}</p>
+                      )}
+                      {item.error && (
+                        <p className="text-xs text-red-600 break-all">{item.error}</p>
+                      )}
+                      {item.writeBack && !item.writeBack.success && (
+                        <p className="text-xs text-yellow-700 break-all">Not saved to Airtable: {item.writeBack.error}</p>
+                      )}
+                      {item.failedImages?.length > 0 && (
+                        <p className="text-xs text-yellow-700">
+                          {item.failedImages.length === 1 ? '1 image' : `${item.failedImages.length} images`} could not be loaded
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                      {item.finishedAt && item.startedAt && (
+                        <span className="text-xs text-gray-400">
+                          {((item.finishedAt - item.startedAt) / 1000).toFixed(1)}s
+                        </span>
+                      )}
+                      <span className={`flex items-center space-x-1 px-2 py-1 rounded-full text-xs ${style.className}`}>
+                        <SafeIcon icon={style.icon} className={`w-3 h-3 ${item.status === 'running' ? 'animate-spin' : ''}`} />
+                        <span>{style.label}</span>
+                      </span>
+                      {item.status === 'completed' && (
+                        <button
+                          onClick={() => handleDownload(item)}
+                          className="p-1 text-green-700 hover:bg-green-50 rounded transition-colors"
+                          title="Download PDF"
+                        >
+                          <SafeIcon icon={FiDownload} className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}
+
+export default BatchGeneration;
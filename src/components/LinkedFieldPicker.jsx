@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { enhancedAirtableService } from '../services/enhancedAirtableService';
+
+const { FiChevronRight, FiLink } = FiIcons;
+
+// Picks an Airtable field, or a path through linked tables such as
+// Customer.Company.Address: choosing a linked record field opens a list of
+// the linked table's fields, up to maxDepth links deep.
+function LinkedFieldPicker({ airtableConfig, fields, maxDepth = 3, value, onChange }) {
+  // The first level lists the table's own fields; later levels linked tables'
+  const [levels, setLevels] = useState([{ fields: [], selected: '' }]);
+  const [loadingLevel, setLoadingLevel] = useState(null);
+  const [error, setError] = useState('');
+
+  // Start over when the parent clears the value (e.g. after adding a mapping)
+  useEffect(() => {
+    if (!value) {
+      setLevels([{ fields: [], selected: '' }]);
+      setError('');
+    }
+  }, [value]);
+
+  const fieldsAt = (index) => (index === 0 ? fields : levels[index].fields);
+
+  const handleSelect = async (index, fieldName) => {
+    const selectedLevels = [...levels.slice(0, index), { ...levels[index], selected: fieldName }];
+    setLevels(selectedLevels);
+    setError('');
+    onChange(selectedLevels.map(level => level.selected).filter(Boolean).join('.'));
+
+    const field = fieldsAt(index).find(item => item.name === fieldName);
+    if (!field?.isLinkedRecord || !field.linkedTableId || index >= maxDepth) return;
+
+    setLoadingLevel(index + 1);
+    try {
+      const linkedFields = await enhancedAirtableService.getLinkedRecordFields(airtableConfig, field.linkedTableId);
+      setLevels([...selectedLevels, { fields: linkedFields, selected: '', tableName: field.linkedTableName }]);
+    } catch (error) {
+      setError('Failed to load linked table fields: ' + error.message);
+    } finally {
+      setLoadingLevel(null);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {levels.map((level, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          {index > 0 && <SafeIcon icon={FiChevronRight} className="w-4 h-4 text-gray-400 flex-shrink-0" />}
+          <select
+            value={level.selected}
+            onChange={(e) => handleSelect(index, e.target.value)}
+            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            <option value="">
+              {index === 0 ? 'Select Airtable field...' : `Field in ${level.tableName || 'linked table'} (optional)...`}
+            </option>
+            {fieldsAt(index).map(field => (
+              <option key={field.name} value={field.name}>
+                {field.name} ({field.type}){field.isLinkedRecord && index < maxDepth ? ' →' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      ))}
+
+      {loadingLevel !== null && (
+        <p className="text-xs text-gray-500">Loading linked table fields...</p>
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {levels.filter(level => level.selected).length > 1 && (
+        <p className="flex items-center space-x-1 text-xs text-indigo-700">
+          <SafeIcon icon={FiLink} className="w-3 h-3" />
+          <span>Reads <code>{value}</code> through linked records</span>
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default LinkedFieldPicker;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useRef } from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useApp } from '../context/AppContext';
+import { enhancedAirtableService } from '../services/enhancedAirtableService';
+
+const { FiSearch, FiAlertTriangle, FiChevronDown, FiCheck } = FiIcons;
+
+// Field types that can be searched as text
+const searchableTypes = ['singleLineText', 'multilineText', 'email', 'phoneNumber', 'url', 'autoNumber', 'formula'];
+
+// Searches and pages through the whole Airtable table instead of the records
+// loaded when connecting. The list only loads the label and sort fields; the
+// full record is fetched once it is picked.
+function RecordPicker({ selectedRecord, onSelect }) {
+  const { state } = useApp();
+  const airtableConfig = state.wizardData.connection.airtableConfig;
+  const fieldTypes = state.availableFieldTypes || [];
+  const primaryField = fieldTypes.find(field => field.isPrimary)?.name || null;
+
+  const [search, setSearch] = useState('');
+  const [view, setView] = useState('');
+  const [views, setViews] = useState([]);
+  const [sortField, setSortField] = useState('');
+  const [sortDirection, setSortDirection] = useState('asc');
+  const [records, setRecords] = useState(state.records);
+  const [offset, setOffset] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadingRecordId, setLoadingRecordId] = useState('');
+  const [error, setError] = useState('');
+  const requestRef = useRef(0);
+
+  const labelOf = (record) =>
+    (primaryField && record.fields[primaryField]) ||
+    record.fields.Name || record.fields.Title || record.fields.Customer || record.id;
+
+  const buildQuery = () => {
+    const searchFields = primaryField
+      ? [primaryField]
+      : fieldTypes.filter(field => searchableTypes.includes(field.type)).slice(0, 5).map(field => field.name);
+
+    return {
+      view: view || null,
+      filterByFormula: enhancedAirtableService.buildSearchFormula(search, searchFields),
+      sort: sortField ? [{ field: sortField, direction: sortDirection }] : null,
+      fields: primaryField ? [...new Set([primaryField, sortField].filter(Boolean))] : null
+    };
+  };
+
+  const loadPage = async (pageOffset) => {
+    // Responses of superseded searches are ignored
+    const request = ++requestRef.current;
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const page = await enhancedAirtableService.fetchRecordPage(airtableConfig, { ...buildQuery(), offset: pageOffset });
+      if (request !== requestRef.current) return;
+      setRecords(current => (pageOffset ? [...current, ...page.records] : page.records));
+      setOffset(page.offset);
+    } catch (loadError) {
+      if (request !== requestRef.current) return;
+      setError(loadError.message);
+    } finally {
+      if (request === requestRef.current) setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    enhancedAirtableService.getTableViews(airtableConfig)
+      .then(setViews)
+      .catch(() => setViews([]));
+  }, [airtableConfig]);
+
+  // Debounce typing in the search box
+  useEffect(() => {
+    const timer = setTimeout(() => loadPage(null), search ? 400 : 0);
+    return () => clearTimeout(timer);
+  }, [search, view, sortField, sortDirection]);
+
+  const handleSelect = async (record) => {
+    if (!primaryField) {
+      onSelect(record);
+      return;
+    }
+
+    setLoadingRecordId(record.id);
+    setError('');
+    try {
+      onSelect(await enhancedAirtableService.fetchSingleRecord(airtableConfig, record.id));
+    } catch (selectError) {
+      setError(selectError.message);
+    } finally {
+      setLoadingRecordId('');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="relative">
+        <SafeIcon icon={FiSearch} className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="w-full pl-9 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          placeholder={primaryField ? `Search ${primaryField}...` : 'Search records...'}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <select
+          value={view}
+          onChange={(e) => setView(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+        >
+          <option value="">All records</option>
+          {views.map(option => (
+            <option key={option.id} value={option.name}>{option.name}</option>
+          ))}
+        </select>
+        <select
+          value={sortField}
+          onChange={(e) => setSortField(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+        >
+          <option value="">Default order</option>
+          {fieldTypes.map(field => (
+            <option key={field.id || field.name} value={field.name}>Sort by {field.name}</option>
+          ))}
+        </select>
+        <select
+          value={sortDirection}
+          onChange={(e) => setSortDirection(e.target.value)}
+          disabled={!sortField}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm disabled:opacity-50"
+        >
+          <option value="asc">Ascending</option>
+          <option value="desc">Descending</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="flex items-start space-x-2 px-4 py-3 rounded-lg bg-red-100 text-red-700 text-sm">
+          <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="border border-gray-200 rounded-lg max-h-72 overflow-y-auto divide-y divide-gray-100">
+        {records.length === 0 && !isLoading ? (
+          <p className="px-4 py-6 text-sm text-gray-500 text-center">No matching records</p>
+        ) : records.map(record => {
+          const isSelected = selectedRecord?.id === record.id;
+          return (
+            <button
+              key={record.id}
+              onClick={() => handleSelect(record)}
+              disabled={!!loadingRecordId}
+              className={`w-full flex items-center justify-between px-4 py-2 text-sm text-left transition-colors ${
+                isSelected ? 'bg-primary-50 text-primary-700' : 'text-gray-900 hover:bg-gray-50'
+              }`}
+            >
+              <span className="truncate">{labelOf(record)}</span>
+              <span className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                <span className="text-xs text-gray-400 font-mono">{record.id}</span>
+                {loadingRecordId === record.id ? (
+                  <div className="w-4 h-4 border-2 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+                ) : isSelected && (
+                  <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                )}
+              </span>
+            </button>
+          );
+        })}
+        {isLoading && (
+          <div className="flex justify-center py-3">
+            <div className="w-5 h-5 border-2 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <span>{records.length} records loaded{offset ? ', more available' : ''}</span>
+        {offset && (
+          <button
+            onClick={() => loadPage(offset)}
+            disabled={isLoading}
+            className="flex items-center space-x-1 text-primary-600 hover:text-primary-700 disabled:opacity-50"
+          >
+            <SafeIcon icon={FiChevronDown} className="w-4 h-4" />
+            <span>Load more</span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RecordPicker;
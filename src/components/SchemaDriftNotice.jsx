@@ -0,0 +1,68 @@
+import React from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { schemaDriftService } from '../services/schemaDriftService';
+
+const { FiAlertTriangle, FiRefreshCw } = FiIcons;
+
+// Lists template fields that no longer match the Airtable schema, with a
+// one-click remap of renamed fields to their new names
+function SchemaDriftNotice({ drift, onFix, isFixing, onIgnore, compact = false }) {
+  if (!drift || drift.issues.length === 0) return null;
+
+  const blocking = schemaDriftService.hasBlockingIssues(drift);
+
+  return (
+    <div
+      className={`border rounded-lg ${compact ? 'p-3 text-xs' : 'p-4 text-sm'} ${
+        blocking ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-blue-50 border-blue-200 text-blue-800'
+      }`}
+    >
+      <div className="flex items-start space-x-2">
+        <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+        <div className="min-w-0 flex-1">
+          <p className="font-medium">
+            {blocking ? 'Some mapped Airtable fields no longer exist' : 'Airtable fields have changed since this template was saved'}
+          </p>
+          <ul className="mt-1 space-y-1">
+            {drift.issues.map(issue => (
+              <li key={`${issue.scope}:${issue.name}`}>
+                • {schemaDriftService.describe(issue)}
+                {!compact && <span className="opacity-75"> (used by {issue.usages.join(', ')})</span>}
+              </li>
+            ))}
+          </ul>
+
+          {(onFix || onIgnore) && (
+            <div className="flex flex-wrap items-center gap-2 mt-3">
+              {onFix && schemaDriftService.canRemap(drift) && (
+                <button
+                  onClick={onFix}
+                  disabled={isFixing}
+                  className="flex items-center space-x-1 px-3 py-1.5 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 disabled:opacity-50 transition-colors"
+                >
+                  {isFixing ? (
+                    <div className="w-3 h-3 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                  ) : (
+                    <SafeIcon icon={FiRefreshCw} className="w-3 h-3" />
+                  )}
+                  <span>Fix renamed fields</span>
+                </button>
+              )}
+              {onIgnore && blocking && (
+                <button
+                  onClick={onIgnore}
+                  className="px-3 py-1.5 border border-yellow-300 rounded-md hover:bg-yellow-100 transition-colors"
+                >
+                  Generate anyway
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SchemaDriftNotice;
@@ -4,11 +4,12 @@ import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiFileText, FiPlay, FiX, FiPlus } = FiIcons;
+const { FiFileText, FiPlay, FiZap, FiX, FiPlus } = FiIcons;
 
 const menuItems = [
   { path: '/templates', label: 'Templates', icon: FiFileText },
   { path: '/generate', label: 'Generate PDF', icon: FiPlay },
+  { path: '/triggers', label: 'Triggers', icon: FiZap },
 ];
 
 function Sidebar({ isOpen, onClose }) {
@@ -129,6 +129,7 @@ function DebugPanel({ isOpen, onClose }) {
               <option value="googledocs">Google Docs</option>
               <option value="template">Template</option>
               <option value="pdf">PDF</option>
+              <option value="batch">Batch</option>
             </select>
 
             <button
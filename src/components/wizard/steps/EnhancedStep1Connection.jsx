@@ -7,9 +7,10 @@ import * as FiIcons from 'react-icons/fi';
 import { useApp } from '../../../context/AppContext';
 import { enhancedAirtableService, getBaseTables } from '../../../services/enhancedAirtableService';
 import { debugService } from '../../../services/debugService';
+import { airtableCacheService } from '../../../services/airtableCacheService';
 import DebugPanel from '../../debug/DebugPanel';
 
-const { FiDatabase, FiEye, FiEyeOff, FiCheck, FiAlertTriangle, FiInfo, FiTool, FiZap, FiRefreshCw } = FiIcons;
+const { FiDatabase, FiEye, FiEyeOff, FiCheck, FiAlertTriangle, FiInfo, FiTool, FiZap, FiRefreshCw, FiHardDrive, FiWifiOff, FiToggleLeft, FiToggleRight } = FiIcons;
 
 function EnhancedStep1Connection() {
   const { state, dispatch } = useApp();
@@ -21,6 +22,9 @@ function EnhancedStep1Connection() {
   const [connectionHistory, setConnectionHistory] = useState([]);
   const [availableTables, setAvailableTables] = useState([]);
   const [isLoadingTables, setIsLoadingTables] = useState(false);
+  const [offlineMode, setOfflineMode] = useState(airtableCacheService.isOffline());
+  const [cacheStatus, setCacheStatus] = useState(null);
+  const [cacheTtl, setCacheTtl] = useState(null);
 
   const { register, handleSubmit, watch, formState: { errors }, setValue } = useForm({
     defaultValues: state.wizardData.connection
@@ -40,6 +44,46 @@ function EnhancedStep1Connection() {
     }
   }, [watchedFields.airtableConfig?.apiKey, watchedFields.airtableConfig?.baseId]);
 
+  const cacheBaseId = enhancedAirtableService.isValidBaseIdFormat(watchedFields.airtableConfig?.baseId || '')
+    ? watchedFields.airtableConfig.baseId
+    : null;
+
+  const refreshCacheStatus = async () => {
+    if (!cacheBaseId) {
+      setCacheStatus(null);
+      return;
+    }
+    setCacheStatus(await airtableCacheService.getStatus(cacheBaseId));
+    setCacheTtl(airtableCacheService.getTtl(cacheBaseId));
+  };
+
+  useEffect(() => {
+    refreshCacheStatus();
+  }, [cacheBaseId]);
+
+  const handleToggleOffline = () => {
+    airtableCacheService.setOffline(!offlineMode);
+    setOfflineMode(!offlineMode);
+  };
+
+  // TTL inputs are in hours (schema) and minutes (records)
+  const handleTtlChange = (kind, value) => {
+    const unit = kind === 'schema' ? 60 * 60 * 1000 : 60 * 1000;
+    const milliseconds = Math.max(parseFloat(value) || 0, 0) * unit;
+    airtableCacheService.setTtl(cacheBaseId, { [kind]: milliseconds });
+    setCacheTtl(airtableCacheService.getTtl(cacheBaseId));
+  };
+
+  // Drop everything cached for the base and reconnect
+  const handleRefreshCache = async () => {
+    await airtableCacheService.clear(cacheBaseId);
+    toast.success('Cache cleared, reloading from Airtable');
+    if (configValidation.valid) {
+      await handleSubmit(onSubmit)();
+    }
+    refreshCacheStatus();
+  };
+
   const fetchAvailableTables = async (config) => {
     setIsLoadingTables(true);
     try {
@@ -84,7 +128,7 @@ function EnhancedStep1Connection() {
 
       // Fetch records and field types
       const [records, fieldTypes] = await Promise.all([
-        enhancedAirtableService.fetchAirtableRecords(data.airtableConfig, { maxRecords: 100 }),
+        enhancedAirtableService.fetchAirtableRecords(data.airtableConfig, { maxRecords: 100, cache: true }),
         enhancedAirtableService.getFieldTypes(data.airtableConfig)
       ]);
 
@@ -104,7 +148,8 @@ function EnhancedStep1Connection() {
       connectionAttempt.result = 'success';
       connectionAttempt.details = connectionDetails;
 
-      toast.success('Connected to Airtable successfully!');
+      toast.success(connectionResult.offline ? 'Loaded from the offline cache' : 'Connected to Airtable successfully!');
+      refreshCacheStatus();
 
       // Auto-advance to next step after 2 seconds
       setTimeout(() => {
@@ -407,6 +452,84 @@ function EnhancedStep1Connection() {
         </form>
       </motion.div>
 
+      {/* Local Cache */}
+      {cacheBaseId && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white rounded-xl shadow-sm border border-gray-200 p-6"
+        >
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+            <div className="flex items-center space-x-3">
+              <SafeIcon icon={FiHardDrive} className="w-6 h-6 text-gray-600" />
+              <div>
+                <h3 className="font-semibold text-gray-900">Local Cache</h3>
+                <p className="text-sm text-gray-600">
+                  {cacheStatus?.schemaUpdated
+                    ? `Schema cached ${new Date(cacheStatus.schemaUpdated).toLocaleString()} · ${cacheStatus.records} record requests cached`
+                    : 'Nothing cached for this base yet'}
+                </p>
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={handleToggleOffline}
+                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                  offlineMode ? 'bg-yellow-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                <SafeIcon icon={offlineMode ? FiToggleRight : FiToggleLeft} className="w-5 h-5" />
+                <span>Offline mode</span>
+              </button>
+              <button
+                type="button"
+                onClick={handleRefreshCache}
+                disabled={isConnecting || offlineMode}
+                className="flex items-center space-x-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <SafeIcon icon={FiRefreshCw} className="w-5 h-5" />
+                <span>Refresh from Airtable</span>
+              </button>
+            </div>
+          </div>
+
+          {offlineMode && (
+            <div className="flex items-start space-x-2 px-4 py-3 mb-4 rounded-lg bg-yellow-50 text-yellow-800 text-sm">
+              <SafeIcon icon={FiWifiOff} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              <span>Only cached schema and records are used; nothing is sent to Airtable. Templates can be previewed against the cached records.</span>
+            </div>
+          )}
+
+          {cacheTtl && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Keep schema for (hours)</label>
+                <input
+                  type="number"
+                  value={cacheTtl.schema / (60 * 60 * 1000)}
+                  onChange={(e) => handleTtlChange('schema', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  min="0"
+                  step="1"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Keep records for (minutes)</label>
+                <input
+                  type="number"
+                  value={cacheTtl.records / (60 * 1000)}
+                  onChange={(e) => handleTtlChange('records', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  min="0"
+                  step="1"
+                />
+              </div>
+            </div>
+          )}
+        </motion.div>
+      )}
+
       {/* Available Tables Preview */}
       {availableTables.length > 0 && (
         <motion.div
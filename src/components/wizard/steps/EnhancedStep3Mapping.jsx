@@ -6,6 +6,8 @@ import * as FiIcons from 'react-icons/fi';
 import { useApp } from '../../../context/AppContext';
 import { getLinkedRecordFields, fetchLinkedRecords, autoDetectLineItems } from '../../../services/enhancedAirtableService';
 import { debugService } from '../../../services/debugService';
+import { linkedRecordService } from '../../../services/linkedRecordService';
+import LinkedFieldPicker from '../../LinkedFieldPicker';
 
 const {
   FiLink,
@@ -44,6 +46,7 @@ function EnhancedStep3Mapping() {
   const templateFields = state.wizardData.design.templateFields || [];
   const availableFields = state.availableFieldTypes || [];
   const currentMappings = state.wizardData.mapping.fieldMappings || {};
+  const linkedRecordDepth = linkedRecordService.getDepth(state.wizardData.mapping.linkedRecordDepth);
   const currentLineItemConfig = state.wizardData.advanced.lineItemConfig || {
     enabled: false,
     tableName: '',
@@ -441,6 +444,28 @@ function EnhancedStep3Mapping() {
     generateAutoMappingSuggestions(); // Refresh suggestions
   };
 
+  const updateLineItemConfig = (changes) => {
+    dispatch({
+      type: 'UPDATE_WIZARD_DATA',
+      step: 'advanced',
+      payload: {
+        lineItemConfig: {
+          ...currentLineItemConfig,
+          ...changes
+        }
+      }
+    });
+  };
+
+  const handleToggleSubtotal = (fieldName) => {
+    const subtotalFields = currentLineItemConfig.subtotalFields || [];
+    updateLineItemConfig({
+      subtotalFields: subtotalFields.includes(fieldName)
+        ? subtotalFields.filter(name => name !== fieldName)
+        : [...subtotalFields, fieldName]
+    });
+  };
+
   const handleRemoveLineItemMapping = (index) => {
     const updatedFields = currentLineItemConfig.fields.filter((_, i) => i !== index);
 
@@ -496,7 +521,17 @@ function EnhancedStep3Mapping() {
 
   const getFieldTypeInfo = (fieldName) => {
     const field = availableFields.find(f => f.name === fieldName);
-    return field ? field.type : 'Unknown';
+    if (field) return field.type;
+    // Paths into linked records are typed by the table they end in
+    return availableFields.some(f => f.isLinkedRecord && fieldName.startsWith(`${f.name}.`)) ? 'linked path' : 'Unknown';
+  };
+
+  const handleDepthChange = (depth) => {
+    dispatch({
+      type: 'UPDATE_WIZARD_DATA',
+      step: 'mapping',
+      payload: { linkedRecordDepth: depth }
+    });
   };
 
   const getFieldTypeColor = (type) => {
@@ -529,6 +564,11 @@ function EnhancedStep3Mapping() {
     field.toLowerCase().includes('item_')
   );
 
+  // Fields line item rows can be sorted and grouped by
+  const lineItemSourceFields = linkedTableFields.length > 0
+    ? linkedTableFields.map(field => field.name)
+    : currentLineItemConfig.fields.map(field => field.airtable);
+
   // ✅ Debug logging to check template fields
   React.useEffect(() => {
     debugService.log('info', 'mapping', 'Template fields status', {
@@ -958,6 +998,92 @@ function EnhancedStep3Mapping() {
                   </div>
                 )}
 
+                {/* Line Item Rows: filter, sort, group */}
+                {currentLineItemConfig.fields.length > 0 && (
+                  <div className="bg-gray-50 p-4 rounded-lg space-y-4">
+                    <div>
+                      <h4 className="font-medium text-gray-900">Rows in the Line Item Table</h4>
+                      <p className="text-sm text-gray-600">Applies to the generated <code>{'{{line_items}}'}</code> table</p>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Sort by</label>
+                        <div className="flex space-x-2">
+                          <select
+                            value={currentLineItemConfig.sort?.field || ''}
+                            onChange={(e) => updateLineItemConfig({
+                              sort: { direction: 'asc', ...currentLineItemConfig.sort, field: e.target.value }
+                            })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                          >
+                            <option value="">Airtable order</option>
+                            {lineItemSourceFields.map(name => (
+                              <option key={name} value={name}>{name}</option>
+                            ))}
+                          </select>
+                          <select
+                            value={currentLineItemConfig.sort?.direction || 'asc'}
+                            onChange={(e) => updateLineItemConfig({
+                              sort: { ...currentLineItemConfig.sort, direction: e.target.value }
+                            })}
+                            disabled={!currentLineItemConfig.sort?.field}
+                            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:bg-gray-100"
+                          >
+                            <option value="asc">A → Z</option>
+                            <option value="desc">Z → A</option>
+                          </select>
+                        </div>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Only rows where</label>
+                        <input
+                          type="text"
+                          value={currentLineItemConfig.filter || ''}
+                          onChange={(e) => updateLineItemConfig({ filter: e.target.value })}
+                          placeholder={'Quantity > 0'}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Same conditions as <code>{'{{#if}}'}</code>, e.g. <code>Status == "Active"</code></p>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Group by</label>
+                        <select
+                          value={currentLineItemConfig.groupBy || ''}
+                          onChange={(e) => updateLineItemConfig({ groupBy: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        >
+                          <option value="">No grouping</option>
+                          {lineItemSourceFields.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {currentLineItemConfig.groupBy ? 'Subtotals per group and total' : 'Totals'}
+                      </label>
+                      <div className="flex flex-wrap gap-3">
+                        {currentLineItemConfig.fields.map(field => (
+                          <label key={field.airtable} className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={(currentLineItemConfig.subtotalFields || []).includes(field.airtable)}
+                              onChange={() => handleToggleSubtotal(field.airtable)}
+                              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                            />
+                            <span>{field.airtable}</span>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                )}
+
                 {/* Line Item Mapping Summary */}
                 {currentLineItemConfig.fields.length > 0 && linkedRecordsPreview.length > 0 && (
                   <div className="bg-green-50 p-4 rounded-lg">
@@ -994,7 +1120,23 @@ function EnhancedStep3Mapping() {
         transition={{ duration: 0.6, delay: 0.3 }}
         className="bg-white rounded-xl shadow-sm border border-gray-200 p-8"
       >
-        <h2 className="text-xl font-semibold text-gray-900 mb-6">Regular Field Mapping</h2>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">Regular Field Mapping</h2>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <SafeIcon icon={FiLink} className="w-4 h-4 text-indigo-600" />
+            <span>Follow linked records up to</span>
+            <select
+              value={linkedRecordDepth}
+              onChange={(e) => handleDepthChange(parseInt(e.target.value))}
+              className="px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Array.from({ length: linkedRecordService.maxDepth }, (_, index) => index + 1).map(depth => (
+                <option key={depth} value={depth}>{depth}</option>
+              ))}
+            </select>
+            <span>{linkedRecordDepth === 1 ? 'level' : 'levels'} deep</span>
+          </label>
+        </div>
 
         {/* Add New Mapping */}
         <div className="bg-gray-50 p-6 rounded-lg mb-6">
@@ -1022,18 +1164,13 @@ function EnhancedStep3Mapping() {
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Airtable Field
               </label>
-              <select
+              <LinkedFieldPicker
+                airtableConfig={state.wizardData.connection.airtableConfig}
+                fields={availableFields}
+                maxDepth={linkedRecordDepth}
                 value={newMapping.airtable}
-                onChange={(e) => setNewMapping({ ...newMapping, airtable: e.target.value })}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-              >
-                <option value="">Select Airtable field...</option>
-                {availableFields.map(field => (
-                  <option key={field.name} value={field.name}>
-                    {field.name} ({field.type})
-                  </option>
-                ))}
-              </select>
+                onChange={(airtable) => setNewMapping(current => ({ ...current, airtable }))}
+              />
             </div>
 
             <div className="flex items-end">
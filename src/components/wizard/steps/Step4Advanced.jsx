@@ -3,8 +3,12 @@ import { motion } from 'framer-motion';
 import SafeIcon from '../../../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useApp } from '../../../context/AppContext';
+import { pageSetupService } from '../../../services/pageSetupService';
+import { stampService } from '../../../services/stampService';
+import { airtableWriteBackService } from '../../../services/airtableWriteBackService';
+import { imageService } from '../../../services/imageService';
 
-const { FiSettings, FiList, FiImage, FiToggleLeft, FiToggleRight, FiPlus, FiTrash2, FiFileText, FiEye, FiEyeOff } = FiIcons;
+const { FiSettings, FiList, FiImage, FiToggleLeft, FiToggleRight, FiPlus, FiTrash2, FiFileText, FiEye, FiEyeOff, FiPrinter, FiLayout, FiMaximize, FiAward, FiUploadCloud, FiAlertTriangle } = FiIcons;
 
 function Step4Advanced() {
   const { state, dispatch } = useApp();
@@ -21,6 +25,36 @@ function Step4Advanced() {
     width: 200,
     height: 'auto'
   };
+  const imageDefaults = imageService.getSettings(currentImageConfig);
+
+  // Mapped placeholders that show attachments, including lookups of attachments
+  const imagePlaceholders = Object.entries(state.wizardData.mapping.fieldMappings || {})
+    .filter(([placeholder, airtableField]) => {
+      const field = (state.availableFieldTypes || []).find(item => item.name === airtableField);
+      return field?.type === 'multipleAttachments' ||
+        field?.options?.result?.type === 'multipleAttachments' ||
+        !!currentImageConfig.placeholders?.[placeholder];
+    })
+    .map(([placeholder, airtableField]) => ({ placeholder, airtableField }));
+
+  const currentOutputConfig = state.wizardData.advanced.outputConfig || {
+    renderMode: 'raster'
+  };
+
+  const currentHeaderFooterConfig = state.wizardData.advanced.headerFooterConfig || {
+    header: '',
+    footer: ''
+  };
+
+  const currentPageSetup = state.wizardData.advanced.pageSetup || pageSetupService.defaultSetup;
+  const resolvedPage = pageSetupService.resolve(currentPageSetup);
+
+  const currentStampConfig = state.wizardData.advanced.stampConfig || {
+    stamps: []
+  };
+
+  const currentWriteBackConfig = state.wizardData.advanced.writeBackConfig || airtableWriteBackService.defaultConfig;
+  const attachmentFields = (state.availableFieldTypes || []).filter(field => field.type === 'multipleAttachments');
 
   const currentFilenameConfig = state.wizardData.advanced.filenameConfig || {
     template: 'Document-{{record_id}}',
@@ -105,6 +139,93 @@ function Step4Advanced() {
     });
   };
 
+  const handleImagePlaceholderChange = (placeholder, field, value) => {
+    const placeholders = currentImageConfig.placeholders || {};
+    handleImageConfigChange('placeholders', {
+      ...placeholders,
+      [placeholder]: { ...(placeholders[placeholder] || {}), [field]: value }
+    });
+  };
+
+  const handleResetImagePlaceholder = (placeholder) => {
+    const placeholders = { ...(currentImageConfig.placeholders || {}) };
+    delete placeholders[placeholder];
+    handleImageConfigChange('placeholders', placeholders);
+  };
+
+  const handleOutputConfigChange = (field, value) => {
+    const updatedConfig = {
+      ...currentOutputConfig,
+      [field]: value
+    };
+    dispatch({
+      type: 'UPDATE_WIZARD_DATA',
+      step: 'advanced',
+      payload: { outputConfig: updatedConfig }
+    });
+  };
+
+  const handleHeaderFooterChange = (field, value) => {
+    const updatedConfig = {
+      ...currentHeaderFooterConfig,
+      [field]: value
+    };
+    dispatch({
+      type: 'UPDATE_WIZARD_DATA',
+      step: 'advanced',
+      payload: { headerFooterConfig: updatedConfig }
+    });
+  };
+
+  const handlePageSetupChange = (field, value) => {
+    const updatedConfig = {
+      ...currentPageSetup,
+      [field]: value
+    };
+    dispatch({
+      type: 'UPDATE_WIZARD_DATA',
+      step: 'advanced',
+      payload: { pageSetup: updatedConfig }
+    });
+  };
+
+  const handlePageMarginChange = (side, value) => {
+    handlePageSetupChange('margins', {
+      ...currentPageSetup.margins,
+      [side]: value
+    });
+  };
+
+  const updateStamps = (stamps) => {
+    dispatch({
+      type: 'UPDATE_WIZARD_DATA',
+      step: 'advanced',
+      payload: { stampConfig: { ...currentStampConfig, stamps } }
+    });
+  };
+
+  const handleAddStamp = (preset) => {
+    updateStamps([...currentStampConfig.stamps, stampService.createStamp(preset)]);
+  };
+
+  const handleStampChange = (id, field, value) => {
+    updateStamps(currentStampConfig.stamps.map(stamp =>
+      stamp.id === id ? { ...stamp, [field]: value } : stamp
+    ));
+  };
+
+  const handleRemoveStamp = (id) => {
+    updateStamps(currentStampConfig.stamps.filter(stamp => stamp.id !== id));
+  };
+
+  const handleWriteBackChange = (field, value) => {
+    dispatch({
+      type: 'UPDATE_WIZARD_DATA',
+      step: 'advanced',
+      payload: { writeBackConfig: { ...currentWriteBackConfig, [field]: value } }
+    });
+  };
+
   const handleFilenameConfigChange = (field, value) => {
     const updatedConfig = {
       ...currentFilenameConfig,
@@ -309,6 +430,7 @@ function Step4Advanced() {
               <p>• <strong>Maximum length:</strong> 255 characters (including extension)</p>
               <p>• <strong>Recommended format:</strong> Use descriptive names with field values</p>
               <p>• <strong>Examples:</strong> Invoice-{{customer_name}}-{{invoice_number}}, Quote-{{quote_id}}-{{date}}</p>
+              <p>• <strong>Filters:</strong> {'{{Due Date | date:"yyyyMMdd"}}'}, {'{{Customer | upper}}'}, {'{{Project | default:"General"}}'}</p>
             </div>
           </div>
         </div>
@@ -511,6 +633,199 @@ function Step4Advanced() {
           </div>
         </div>
 
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mt-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Fit</label>
+            <select
+              value={imageDefaults.fit}
+              onChange={(e) => handleImageConfigChange('fit', e.target.value)}
+              disabled={imageDefaults.height === 'auto'}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:bg-gray-100"
+            >
+              <option value="contain">Contain (whole image)</option>
+              <option value="cover">Cover (crop to fill)</option>
+              <option value="fill">Stretch</option>
+            </select>
+            <p className="text-sm text-gray-500 mt-1">Used with a fixed height</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Rounded Corners (pixels)</label>
+            <input
+              type="number"
+              value={imageDefaults.borderRadius}
+              onChange={(e) => handleImageConfigChange('borderRadius', parseInt(e.target.value) || 0)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              min="0"
+              max="100"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Airtable Image Size</label>
+            <select
+              value={imageDefaults.thumbnailSize}
+              onChange={(e) => handleImageConfigChange('thumbnailSize', e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="small">Small thumbnail</option>
+              <option value="large">Large thumbnail</option>
+              <option value="full">Full size</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">When Empty</label>
+            <select
+              value={imageDefaults.whenEmpty}
+              onChange={(e) => handleImageConfigChange('whenEmpty', e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="placeholder">Show a placeholder image</option>
+              <option value="none">Leave blank</option>
+            </select>
+          </div>
+        </div>
+
+        {imageDefaults.whenEmpty === 'placeholder' && (
+          <div className="mt-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Placeholder Image URL (optional)</label>
+            <input
+              type="url"
+              value={imageDefaults.placeholderUrl}
+              onChange={(e) => handleImageConfigChange('placeholderUrl', e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              placeholder="https://example.com/no-photo.png"
+            />
+            <p className="text-sm text-gray-500 mt-1">Leave empty for a grey "No image" box</p>
+          </div>
+        )}
+
+        {/* Per-placeholder settings */}
+        {imagePlaceholders.length > 0 && (
+          <div className="mt-6 space-y-4">
+            <h4 className="font-medium text-gray-900">Image Placeholders</h4>
+            {imagePlaceholders.map(({ placeholder, airtableField }) => {
+              const settings = imageService.getSettings(currentImageConfig, placeholder);
+              const isCustomized = !!currentImageConfig.placeholders?.[placeholder];
+              return (
+                <div key={placeholder} className="p-4 bg-gray-50 rounded-lg space-y-4">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <code className="text-sm font-medium text-gray-900">{`{{${placeholder}}}`}</code>
+                      <span className="text-sm text-gray-500 ml-2">{airtableField}</span>
+                    </div>
+                    {isCustomized && (
+                      <button
+                        onClick={() => handleResetImagePlaceholder(placeholder)}
+                        className="text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        Use defaults
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Show</label>
+                      <select
+                        value={settings.layout}
+                        onChange={(e) => handleImagePlaceholderChange(placeholder, 'layout', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      >
+                        <option value="single">First image</option>
+                        <option value="gallery">All (gallery)</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Columns</label>
+                      <input
+                        type="number"
+                        value={settings.columns}
+                        onChange={(e) => handleImagePlaceholderChange(placeholder, 'columns', parseInt(e.target.value))}
+                        disabled={settings.layout !== 'gallery'}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:bg-gray-100"
+                        min="1"
+                        max="6"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Width (px)</label>
+                      <input
+                        type="number"
+                        value={settings.width}
+                        onChange={(e) => handleImagePlaceholderChange(placeholder, 'width', parseInt(e.target.value))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        min="20"
+                        max="800"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Height (px)</label>
+                      <input
+                        type="text"
+                        value={settings.height}
+                        onChange={(e) => handleImagePlaceholderChange(placeholder, 'height', e.target.value.trim() || 'auto')}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        placeholder="auto"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Fit</label>
+                      <select
+                        value={settings.fit}
+                        onChange={(e) => handleImagePlaceholderChange(placeholder, 'fit', e.target.value)}
+                        disabled={settings.height === 'auto'}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:bg-gray-100"
+                      >
+                        <option value="contain">Contain</option>
+                        <option value="cover">Cover</option>
+                        <option value="fill">Stretch</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Corners (px)</label>
+                      <input
+                        type="number"
+                        value={settings.borderRadius}
+                        onChange={(e) => handleImagePlaceholderChange(placeholder, 'borderRadius', parseInt(e.target.value) || 0)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        min="0"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Airtable Image Size</label>
+                      <select
+                        value={settings.thumbnailSize}
+                        onChange={(e) => handleImagePlaceholderChange(placeholder, 'thumbnailSize', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      >
+                        <option value="small">Small thumbnail</option>
+                        <option value="large">Large thumbnail</option>
+                        <option value="full">Full size</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">When Empty</label>
+                      <select
+                        value={settings.whenEmpty}
+                        onChange={(e) => handleImagePlaceholderChange(placeholder, 'whenEmpty', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      >
+                        <option value="placeholder">Placeholder image</option>
+                        <option value="none">Leave blank</option>
+                      </select>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         <div className="mt-6 bg-blue-50 p-4 rounded-lg">
           <h4 className="font-medium text-blue-900 mb-2">Image Preview Settings</h4>
           <div className="text-sm text-blue-700 space-y-1">
@@ -519,11 +834,590 @@ function Step4Advanced() {
                 ? 'Auto (maintains aspect ratio)' 
                 : `${currentImageConfig.height}px`}</p>
             <p>• Format: Images will be embedded directly in the PDF</p>
-            <p>• Supported formats: PNG, JPG, JPEG, GIF</p>
+            <p>• Supported formats: PNG, JPG, JPEG, GIF, and PDF attachments (first page)</p>
+            <p>• These are the defaults; placeholders above can show all attachments as a gallery or use their own size</p>
+          </div>
+        </div>
+      </motion.div>
+
+      {/* Page Setup */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6, delay: 0.33 }}
+        className="bg-white rounded-xl shadow-sm border border-gray-200 p-8"
+      >
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="bg-amber-100 p-2 rounded-lg">
+            <SafeIcon icon={FiMaximize} className="w-6 h-6 text-amber-600" />
+          </div>
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Page Setup</h2>
+            <p className="text-gray-600">Paper size, orientation, margins and resolution of the generated PDF</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Page Size
+            </label>
+            <select
+              value={currentPageSetup.size}
+              onChange={(e) => handlePageSetupChange('size', e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Object.entries(pageSetupService.presets).map(([value, preset]) => (
+                <option key={value} value={value}>{preset.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Orientation
+            </label>
+            <select
+              value={currentPageSetup.orientation}
+              onChange={(e) => handlePageSetupChange('orientation', e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="portrait">Portrait</option>
+              <option value="landscape">Landscape</option>
+            </select>
+          </div>
+
+          {currentPageSetup.size === 'custom' && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Width (mm)
+                </label>
+                <input
+                  type="number"
+                  value={currentPageSetup.width}
+                  onChange={(e) => handlePageSetupChange('width', parseFloat(e.target.value))}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  min={pageSetupService.minimumSize}
+                  step="0.1"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Height (mm)
+                </label>
+                <input
+                  type="number"
+                  value={currentPageSetup.height}
+                  onChange={(e) => handlePageSetupChange('height', parseFloat(e.target.value))}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  min={pageSetupService.minimumSize}
+                  step="0.1"
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
+          {['top', 'right', 'bottom', 'left'].map(side => (
+            <div key={side}>
+              <label className="block text-sm font-medium text-gray-700 mb-2 capitalize">
+                {side} margin (mm)
+              </label>
+              <input
+                type="number"
+                value={currentPageSetup.margins[side]}
+                onChange={(e) => handlePageMarginChange(side, parseFloat(e.target.value))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                min="0"
+                step="0.5"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Image Resolution
+          </label>
+          <select
+            value={currentPageSetup.scale}
+            onChange={(e) => handlePageSetupChange('scale', parseInt(e.target.value))}
+            className="w-full md:w-1/2 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            {pageSetupService.scales.map(scale => (
+              <option key={scale.value} value={scale.value}>{scale.label}</option>
+            ))}
+          </select>
+          <p className="text-sm text-gray-500 mt-1">
+            Used by image (screenshot) output. Higher resolutions print sharper but make larger files.
+          </p>
+        </div>
+
+        <div className="mt-6 bg-blue-50 p-4 rounded-lg">
+          <h4 className="font-medium text-blue-900 mb-2">Resulting Page</h4>
+          <div className="text-sm text-blue-700 space-y-1">
+            <p>• {resolvedPage.width} × {resolvedPage.height} mm, {resolvedPage.orientation}</p>
+            <p>• Margins: {resolvedPage.margins.top} / {resolvedPage.margins.right} / {resolvedPage.margins.bottom} / {resolvedPage.margins.left} mm (top / right / bottom / left)</p>
+            <p>• &quot;Same as Google Doc&quot; keeps the document&apos;s own page setup for Google Docs exports and uses A4 for HTML-based generation</p>
+          </div>
+        </div>
+      </motion.div>
+
+      {/* PDF Output */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6, delay: 0.35 }}
+        className="bg-white rounded-xl shadow-sm border border-gray-200 p-8"
+      >
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="bg-indigo-100 p-2 rounded-lg">
+            <SafeIcon icon={FiPrinter} className="w-6 h-6 text-indigo-600" />
+          </div>
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">PDF Output</h2>
+            <p className="text-gray-600">Choose how HTML-based generation turns the document into PDF pages</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[
+            {
+              value: 'raster',
+              title: 'Image (screenshot)',
+              description: 'Closest to the browser preview. Text is an image: not searchable or selectable, larger files.'
+            },
+            {
+              value: 'vector',
+              title: 'Vector text',
+              description: 'Real text with embedded Thai fonts: searchable, selectable, small files and sharp when printed.'
+            }
+          ].map(mode => (
+            <label
+              key={mode.value}
+              className={`p-4 border rounded-lg cursor-pointer transition-colors ${
+                currentOutputConfig.renderMode === mode.value
+                  ? 'border-primary-500 bg-primary-50'
+                  : 'border-gray-200 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center space-x-2 mb-1">
+                <input
+                  type="radio"
+                  name="renderMode"
+                  value={mode.value}
+                  checked={currentOutputConfig.renderMode === mode.value}
+                  onChange={() => handleOutputConfigChange('renderMode', mode.value)}
+                  className="text-primary-600 focus:ring-primary-500"
+                />
+                <span className="font-medium text-gray-900">{mode.title}</span>
+              </div>
+              <p className="text-sm text-gray-600">{mode.description}</p>
+            </label>
+          ))}
+        </div>
+
+        <p className="text-sm text-gray-500 mt-4">
+          Applies when the PDF is built from the document HTML. Exports made by Google Docs itself are always vector.
+        </p>
+      </motion.div>
+
+      {/* Header & Footer */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6, delay: 0.38 }}
+        className="bg-white rounded-xl shadow-sm border border-gray-200 p-8"
+      >
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="bg-teal-100 p-2 rounded-lg">
+            <SafeIcon icon={FiLayout} className="w-6 h-6 text-teal-600" />
+          </div>
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Header & Footer</h2>
+            <p className="text-gray-600">Repeat content such as the invoice number or page numbers on every page</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {[
+            { field: 'header', label: 'Header', placeholder: '<p>{{company_name}} - Invoice {{invoice_number}}</p>' },
+            { field: 'footer', label: 'Footer', placeholder: '<p style="text-align: right">Page {{page}} of {{pages}}</p>' }
+          ].map(region => (
+            <div key={region.field}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {region.label} (HTML)
+              </label>
+              <textarea
+                value={currentHeaderFooterConfig[region.field]}
+                onChange={(e) => handleHeaderFooterChange(region.field, e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm"
+                placeholder={region.placeholder}
+                rows={4}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-6 bg-blue-50 p-4 rounded-lg">
+          <h4 className="font-medium text-blue-900 mb-2">Placeholders</h4>
+          <div className="text-sm text-blue-700 space-y-1">
+            <p>• <code>{'{{page}}'}</code> and <code>{'{{pages}}'}</code>: current page number and page count</p>
+            <p>• Record placeholders, filters and expressions work as in the document</p>
+            <p>• A <code>{'{{#header}}...{{/header}}'}</code> or <code>{'{{#footer}}...{{/footer}}'}</code> section in the Google Doc takes precedence over these fields</p>
+          </div>
+        </div>
+      </motion.div>
+
+      {/* Watermarks & Stamps */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6, delay: 0.39 }}
+        className="bg-white rounded-xl shadow-sm border border-gray-200 p-8"
+      >
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="bg-rose-100 p-2 rounded-lg">
+            <SafeIcon icon={FiAward} className="w-6 h-6 text-rose-600" />
+          </div>
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Watermarks & Stamps</h2>
+            <p className="text-gray-600">Mark documents as DRAFT, PAID or COPY depending on the record</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          {[
+            { preset: 'draft', label: 'DRAFT watermark' },
+            { preset: 'paid', label: 'PAID stamp' },
+            { preset: 'copy', label: 'COPY stamp' },
+            { preset: null, label: 'Custom' }
+          ].map(option => (
+            <button
+              key={option.label}
+              onClick={() => handleAddStamp(option.preset)}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <SafeIcon icon={FiPlus} className="w-4 h-4" />
+              <span>{option.label}</span>
+            </button>
+          ))}
+        </div>
+
+        {currentStampConfig.stamps.length > 0 && (
+          <div className="space-y-4">
+            {currentStampConfig.stamps.map(stamp => (
+              <div key={stamp.id} className="p-4 bg-gray-50 rounded-lg space-y-4">
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={stamp.enabled !== false}
+                      onChange={(e) => handleStampChange(stamp.id, 'enabled', e.target.checked)}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span className="font-medium text-gray-900">
+                      {stamp.type === 'image' ? 'Image stamp' : stamp.text || 'Text stamp'}
+                    </span>
+                  </label>
+                  <button
+                    onClick={() => handleRemoveStamp(stamp.id)}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  >
+                    <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                    <select
+                      value={stamp.type}
+                      onChange={(e) => handleStampChange(stamp.id, 'type', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    >
+                      <option value="text">Text</option>
+                      <option value="image">Image</option>
+                    </select>
+                  </div>
+
+                  {stamp.type === 'image' ? (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Image URL or field</label>
+                        <input
+                          type="text"
+                          value={stamp.imageUrl}
+                          onChange={(e) => handleStampChange(stamp.id, 'imageUrl', e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm"
+                          placeholder="{{Signature}}"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Width (mm)</label>
+                        <input
+                          type="number"
+                          value={stamp.imageWidth}
+                          onChange={(e) => handleStampChange(stamp.id, 'imageWidth', parseFloat(e.target.value))}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                          min="5"
+                        />
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Text</label>
+                        <input
+                          type="text"
+                          value={stamp.text}
+                          onChange={(e) => handleStampChange(stamp.id, 'text', e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm"
+                          placeholder="PAID {{Paid Date}}"
+                        />
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Size (pt)</label>
+                          <input
+                            type="number"
+                            value={stamp.fontSize}
+                            onChange={(e) => handleStampChange(stamp.id, 'fontSize', parseInt(e.target.value))}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                            min="6"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Colour</label>
+                          <input
+                            type="color"
+                            value={stamp.color}
+                            onChange={(e) => handleStampChange(stamp.id, 'color', e.target.value)}
+                            className="w-full h-10 border border-gray-300 rounded-lg"
+                          />
+                        </div>
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Position</label>
+                    <select
+                      value={stamp.position}
+                      onChange={(e) => handleStampChange(stamp.id, 'position', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent capitalize"
+                    >
+                      {stampService.positions.map(position => (
+                        <option key={position} value={position}>{position.replace('-', ' ')}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Rotation (°)</label>
+                    <input
+                      type="number"
+                      value={stamp.rotation}
+                      onChange={(e) => handleStampChange(stamp.id, 'rotation', parseFloat(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      min="-180"
+                      max="180"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Opacity ({Math.round(stamp.opacity * 100)}%)
+                    </label>
+                    <input
+                      type="range"
+                      value={stamp.opacity}
+                      onChange={(e) => handleStampChange(stamp.id, 'opacity', parseFloat(e.target.value))}
+                      className="w-full"
+                      min="0.05"
+                      max="1"
+                      step="0.05"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Pages</label>
+                    <select
+                      value={stamp.pages}
+                      onChange={(e) => handleStampChange(stamp.id, 'pages', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    >
+                      <option value="all">All pages</option>
+                      <option value="first">First page only</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Show when (leave empty to always show)</label>
+                    <input
+                      type="text"
+                      value={stamp.condition}
+                      onChange={(e) => handleStampChange(stamp.id, 'condition', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm"
+                      placeholder='Status == "Paid"'
+                    />
+                  </div>
+                  {stamp.type !== 'image' && (
+                    <label className="flex items-center space-x-2 pb-2">
+                      <input
+                        type="checkbox"
+                        checked={!!stamp.border}
+                        onChange={(e) => handleStampChange(stamp.id, 'border', e.target.checked)}
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      <span className="text-sm text-gray-700">Stamp border</span>
+                    </label>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-6 bg-blue-50 p-4 rounded-lg">
+          <h4 className="font-medium text-blue-900 mb-2">How stamps work</h4>
+          <div className="text-sm text-blue-700 space-y-1">
+            <p>• Stamps are drawn on the finished PDF, for every generation method</p>
+            <p>• Conditions use the <code>{'{{#if}}'}</code> syntax: <code>Status == &quot;Paid&quot;</code>, <code>not empty Paid Date</code>, <code>{'= Balance <= 0'}</code></p>
+            <p>• Text can contain placeholders and filters, e.g. <code>{'PAID {{Paid Date | date:"dd/MM/yyyy"}}'}</code>; an image can come from an attachment field such as <code>{'{{Signature}}'}</code></p>
           </div>
         </div>
       </motion.div>
 
+      {/* Save to Airtable */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6, delay: 0.395 }}
+        className="bg-white rounded-xl shadow-sm border border-gray-200 p-8"
+      >
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="bg-teal-100 p-2 rounded-lg">
+            <SafeIcon icon={FiUploadCloud} className="w-6 h-6 text-teal-600" />
+          </div>
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Save to Airtable</h2>
+            <p className="text-gray-600">Attach each generated PDF to its record</p>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg mb-6">
+          <div>
+            <h4 className="font-medium text-gray-900">Write PDF back to the record</h4>
+            <p className="text-sm text-gray-600">
+              Runs after every generation, including batches
+            </p>
+          </div>
+          <button
+            onClick={() => handleWriteBackChange('enabled', !currentWriteBackConfig.enabled)}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+              currentWriteBackConfig.enabled
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-300 text-gray-700'
+            }`}
+          >
+            <SafeIcon
+              icon={currentWriteBackConfig.enabled ? FiToggleRight : FiToggleLeft}
+              className="w-5 h-5"
+            />
+            <span>{currentWriteBackConfig.enabled ? 'Enabled' : 'Disabled'}</span>
+          </button>
+        </div>
+
+        {currentWriteBackConfig.enabled && (
+          <div className="space-y-4">
+            {attachmentFields.length === 0 && (
+              <div className="flex items-start space-x-2 px-4 py-3 rounded-lg bg-yellow-50 text-yellow-800 text-sm">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                <span>The table has no attachment field. Add one in Airtable and reconnect in step 1.</span>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Attachment field</label>
+                <select
+                  value={currentWriteBackConfig.attachmentField}
+                  onChange={(e) => handleWriteBackChange('attachmentField', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="">Select a field...</option>
+                  {attachmentFields.map(field => (
+                    <option key={field.id || field.name} value={field.name}>{field.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Existing attachments</label>
+                <select
+                  value={currentWriteBackConfig.mode}
+                  onChange={(e) => handleWriteBackChange('mode', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="append">Keep them and add the new PDF</option>
+                  <option value="replace">Replace them with the new PDF</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Status field (optional)</label>
+                <select
+                  value={currentWriteBackConfig.statusField}
+                  onChange={(e) => handleWriteBackChange('statusField', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="">None</option>
+                  {availableFields.map(field => (
+                    <option key={field.id || field.name} value={field.name}>{field.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Status value</label>
+                <input
+                  type="text"
+                  value={currentWriteBackConfig.statusValue}
+                  onChange={(e) => handleWriteBackChange('statusValue', e.target.value)}
+                  disabled={!currentWriteBackConfig.statusField}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:opacity-50"
+                  placeholder="Generated"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Generated At field (optional)</label>
+                <select
+                  value={currentWriteBackConfig.timestampField}
+                  onChange={(e) => handleWriteBackChange('timestampField', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="">None</option>
+                  {availableFields
+                    .filter(field => ['date', 'dateTime', 'singleLineText'].includes(field.type))
+                    .map(field => (
+                      <option key={field.id || field.name} value={field.name}>{field.name}</option>
+                    ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="bg-blue-50 p-4 rounded-lg text-sm text-blue-700 space-y-1">
+              <p>• The API key needs the <code>data.records:write</code> scope</p>
+              <p>• PDFs up to 5 MB can be attached; if saving fails, the PDF is still available to download</p>
+            </div>
+          </div>
+        )}
+      </motion.div>
+
       {/* Navigation */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -6,6 +6,7 @@ import * as FiIcons from 'react-icons/fi';
 import { useApp } from '../../../context/AppContext';
 import { useNavigate } from 'react-router-dom';
 import { templateService } from '../../../services/templateService';
+import { schemaDriftService } from '../../../services/schemaDriftService';
 
 const { FiCheck, FiPlay, FiSave, FiArrowRight, FiInfo, FiDatabase, FiFileText, FiLink, FiSettings } = FiIcons;
 
@@ -24,7 +25,8 @@ function Step5Review() {
         id: state.currentTemplate?.id,
         name: state.wizardData.connection.name,
         description: state.wizardData.connection.description,
-        config: state.wizardData,
+        // Field ids and types let later loads detect renamed fields
+        config: await schemaDriftService.withSnapshot(state.wizardData),
         status: 'active'
       };
 
@@ -36,7 +36,11 @@ const initialState = {
     // Step 3: Field Mapping
     mapping: {
       fieldMappings: {},
-      availableFields: []
+      availableFields: [],
+      // Ids and types of the mapped fields when the template was saved
+      fieldSchema: {},
+      // How many linked records deep dotted placeholders are followed
+      linkedRecordDepth: 3
     },
     // Step 4: Advanced Configuration
     advanced: {
@@ -48,6 +52,32 @@ const initialState = {
       imageConfig: {
         width: 200,
         height: 'auto'
+      },
+      outputConfig: {
+        renderMode: 'raster'
+      },
+      headerFooterConfig: {
+        header: '',
+        footer: ''
+      },
+      pageSetup: {
+        size: 'document',
+        width: 210,
+        height: 297,
+        orientation: 'portrait',
+        margins: { top: 10, right: 10, bottom: 10, left: 10 },
+        scale: 2
+      },
+      stampConfig: {
+        stamps: []
+      },
+      writeBackConfig: {
+        enabled: false,
+        attachmentField: '',
+        mode: 'append',
+        statusField: '',
+        statusValue: 'Generated',
+        timestampField: ''
       }
     },
     // Step 5: Review & Test
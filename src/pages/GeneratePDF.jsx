@@ -1,21 +1,78 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useApp } from '../context/AppContext';
-import { generatePDF } from '../services/enhancedPdfService';
+import { generatePDF, buildGenerationOptions } from '../services/enhancedPdfService';
 import { dynamicFilenameService } from '../services/dynamicFilenameService';
+import BatchGeneration from '../components/BatchGeneration';
+import RecordPicker from '../components/RecordPicker';
+import SchemaDriftNotice from '../components/SchemaDriftNotice';
+import { schemaDriftService } from '../services/schemaDriftService';
+import { templateService } from '../services/templateService';
 
-const { FiPlay, FiDownload, FiCheck, FiAlertTriangle, FiFileText, FiFile, FiEye } = FiIcons;
+const { FiPlay, FiDownload, FiCheck, FiAlertTriangle, FiFileText, FiFile, FiEye, FiLayers } = FiIcons;
 
 function GeneratePDF() {
-  const { state } = useApp();
-  const [selectedRecord, setSelectedRecord] = useState('');
+  const { state, dispatch } = useApp();
+  const [mode, setMode] = useState('single');
+  const [selectedRecord, setSelectedRecord] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [generationStatus, setGenerationStatus] = useState(null);
   const [pdfBlob, setPdfBlob] = useState(null);
   const [generatedFilename, setGeneratedFilename] = useState('');
+  const [writeBack, setWriteBack] = useState(null);
+  const [failedImages, setFailedImages] = useState([]);
   const [showFilenamePreview, setShowFilenamePreview] = useState(false);
+  const [drift, setDrift] = useState(null);
+  const [driftError, setDriftError] = useState('');
+  const [ignoreDrift, setIgnoreDrift] = useState(false);
+  const [isFixingDrift, setIsFixingDrift] = useState(false);
+
+  useEffect(() => {
+    setDrift(null);
+    setIgnoreDrift(false);
+    if (!isSetupComplete()) return;
+
+    schemaDriftService.check(state.wizardData)
+      .then(setDrift)
+      .catch(error => setDriftError(error.message));
+  }, [state.currentTemplate?.id]);
+
+  // Runs before every generation against a fresh schema; resolves false when
+  // deleted fields would leave placeholders blank
+  const checkSchema = async () => {
+    setDriftError('');
+    try {
+      const result = await schemaDriftService.check(state.wizardData, { refresh: true });
+      setDrift(result);
+      return ignoreDrift || !schemaDriftService.hasBlockingIssues(result);
+    } catch (error) {
+      // Connection problems are reported by the generation itself
+      setDriftError(error.message);
+      return true;
+    }
+  };
+
+  const handleFixDrift = async () => {
+    setIsFixingDrift(true);
+    setDriftError('');
+
+    try {
+      const config = schemaDriftService.remap(state.wizardData, drift.issues);
+      dispatch({ type: 'UPDATE_WIZARD_DATA', step: 'mapping', payload: config.mapping });
+      dispatch({ type: 'UPDATE_WIZARD_DATA', step: 'advanced', payload: config.advanced });
+      if (state.currentTemplate) {
+        const savedTemplate = await templateService.fixRenamedFields(state.currentTemplate, drift.issues);
+        dispatch({ type: 'UPDATE_TEMPLATE', payload: savedTemplate });
+      }
+      setDrift(await schemaDriftService.check(config));
+    } catch (error) {
+      setDriftError(error.message);
+    } finally {
+      setIsFixingDrift(false);
+    }
+  };
 
   const handleGeneratePDF = async () => {
     if (!selectedRecord) return;
@@ -24,39 +81,21 @@ function GeneratePDF() {
     setGenerationStatus(null);
     setPdfBlob(null);
     setGeneratedFilename('');
+    setWriteBack(null);
+    setFailedImages([]);
 
     try {
-      const record = state.records.find((r) => r.id === selectedRecord);
-      
-      // Get filename configuration
-      const filenameConfig = state.wizardData.advanced?.filenameConfig || {
-        template: 'Document-{{record_id}}',
-        useTimestamp: true,
-        extension: '.pdf'
-      };
-
-      // Get template info
-      const templateInfo = {
-        name: state.currentTemplate?.name || state.wizardData.connection?.name || 'Template',
-        id: state.currentTemplate?.id || 'unknown'
-      };
-
-      const options = {
-        record,
-        templateFields: state.wizardData.design.templateFields,
-        fieldMappings: state.wizardData.mapping.fieldMappings,
-        lineItemConfig: state.wizardData.advanced.lineItemConfig,
-        imageConfig: state.wizardData.advanced.imageConfig,
-        googleDocUrl: state.wizardData.design.googleDocUrl,
-        templateId: state.currentTemplate?.id,
-        filenameConfig,
-        templateInfo
-      };
-
-      const result = await generatePDF(options);
+      if (!(await checkSchema())) {
+        setGenerationStatus('drift');
+        return;
+      }
+
+      const result = await generatePDF(buildGenerationOptions(state, selectedRecord));
       
       setPdfBlob(result.blob);
       setGeneratedFilename(result.filename);
+      setWriteBack(result.writeBack || null);
+      setFailedImages(result.failedImages || []);
       setGenerationStatus('success');
 
     } catch (error) {
@@ -82,9 +121,6 @@ function GeneratePDF() {
 
   const generateFilenamePreview = () => {
     if (!selectedRecord) return 'No record selected';
-    
-    const record = state.records.find((r) => r.id === selectedRecord);
-    if (!record) return 'Record not found';
 
     const filenameConfig = state.wizardData.advanced?.filenameConfig || {
       template: 'Document-{{record_id}}',
@@ -97,7 +133,7 @@ function GeneratePDF() {
       id: state.currentTemplate?.id || 'unknown'
     };
 
-    return dynamicFilenameService.generateFilename(filenameConfig, record, templateInfo);
+    return dynamicFilenameService.generateFilename(filenameConfig, selectedRecord, templateInfo);
   };
 
   const isSetupComplete = () => {
@@ -146,6 +182,44 @@ function GeneratePDF() {
       )}
 
       {isSetupComplete() && (
+        <SchemaDriftNotice
+          drift={drift}
+          onFix={handleFixDrift}
+          isFixing={isFixingDrift}
+          onIgnore={ignoreDrift ? null : () => setIgnoreDrift(true)}
+        />
+      )}
+
+      {isSetupComplete() && driftError && (
+        <div className="flex items-start space-x-2 px-4 py-3 rounded-lg bg-gray-100 text-gray-700 text-sm">
+          <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>Could not check the template against the Airtable schema: {driftError}</span>
+        </div>
+      )}
+
+      {isSetupComplete() && (
+        <div className="flex bg-gray-100 p-1 rounded-lg w-full sm:w-auto sm:inline-flex">
+          {[
+            { value: 'single', label: 'Single record', icon: FiFileText },
+            { value: 'batch', label: 'Batch', icon: FiLayers }
+          ].map(option => (
+            <button
+              key={option.value}
+              onClick={() => setMode(option.value)}
+              className={`flex-1 flex items-center justify-center space-x-2 px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+                mode === option.value ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <SafeIcon icon={option.icon} className="w-4 h-4" />
+              <span>{option.label}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {isSetupComplete() && mode === 'batch' && <BatchGeneration checkSchema={checkSchema} />}
+
+      {isSetupComplete() && mode === 'single' && (
         <>
           {/* Record Selection */}
           <motion.div
@@ -165,23 +239,7 @@ function GeneratePDF() {
             </div>
 
             <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Available Records ({state.records.length})
-                </label>
-                <select
-                  value={selectedRecord}
-                  onChange={(e) => setSelectedRecord(e.target.value)}
-                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                >
-                  <option value="">Select a record...</option>
-                  {state.records.map((record) => (
-                    <option key={record.id} value={record.id}>
-                      {record.fields.Name || record.fields.Title || record.fields.Customer || record.id}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              <RecordPicker selectedRecord={selectedRecord} onSelect={setSelectedRecord} />
 
               {selectedRecord && (
                 <motion.div
@@ -190,24 +248,19 @@ function GeneratePDF() {
                   className="bg-gray-50 p-4 rounded-lg"
                 >
                   <h4 className="font-medium text-gray-900 mb-2">Record Preview</h4>
-                  {(() => {
-                    const record = state.records.find((r) => r.id === selectedRecord);
-                    return (
-                      <div className="space-y-2">
-                        {Object.entries(record.fields)
-                          .slice(0, 5)
-                          .map(([key, value]) => (
-                            <div key={key} className="flex flex-col sm:flex-row sm:items-center space-y-1 sm:space-y-0 sm:space-x-2 text-sm">
-                              <span className="font-medium text-gray-600 min-w-24">{key}:</span>
-                              <span className="text-gray-900 break-all">
-                                {Array.isArray(value) ? value.join(', ') : String(value).substring(0, 50)}
-                                {String(value).length > 50 && '...'}
-                              </span>
-                            </div>
-                          ))}
-                      </div>
-                    );
-                  })()}
+                  <div className="space-y-2">
+                    {Object.entries(selectedRecord.fields)
+                      .slice(0, 5)
+                      .map(([key, value]) => (
+                        <div key={key} className="flex flex-col sm:flex-row sm:items-center space-y-1 sm:space-y-0 sm:space-x-2 text-sm">
+                          <span className="font-medium text-gray-600 min-w-24">{key}:</span>
+                          <span className="text-gray-900 break-all">
+                            {Array.isArray(value) ? value.join(', ') : String(value).substring(0, 50)}
+                            {String(value).length > 50 && '...'}
+                          </span>
+                        </div>
+                      ))}
+                  </div>
                 </motion.div>
               )}
 
@@ -300,7 +353,9 @@ function GeneratePDF() {
                     <span className="font-medium">
                       {generationStatus === 'success' 
                         ? 'PDF generated successfully!' 
-                        : 'Failed to generate PDF. Please try again.'
+                        : generationStatus === 'drift'
+                          ? 'Not generated: some mapped Airtable fields no longer exist. Update the template or choose Generate anyway above.'
+                          : 'Failed to generate PDF. Please try again.'
                       }
                     </span>
                     {generatedFilename && (
@@ -312,6 +367,35 @@ function GeneratePDF() {
                 </motion.div>
               )}
 
+              {writeBack && (
+                <div
+                  className={`flex items-start space-x-2 px-4 py-3 rounded-lg text-sm ${
+                    writeBack.success ? 'bg-green-50 text-green-700' : 'bg-yellow-50 text-yellow-800'
+                  }`}
+                >
+                  <SafeIcon icon={writeBack.success ? FiCheck : FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                  <span>
+                    {writeBack.success
+                      ? `Attached to the record's "${writeBack.field}" field in Airtable`
+                      : `Not saved to Airtable: ${writeBack.error}`}
+                  </span>
+                </div>
+              )}
+
+              {failedImages.length > 0 && (
+                <div className="flex items-start space-x-2 px-4 py-3 rounded-lg text-sm bg-yellow-50 text-yellow-800">
+                  <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                  <div className="min-w-0">
+                    <p>{failedImages.length === 1 ? '1 image' : `${failedImages.length} images`} could not be loaded and may be missing from the PDF:</p>
+                    <ul className="mt-1 space-y-1">
+                      {failedImages.map(image => (
+                        <li key={image.src} className="break-all text-xs">{image.src.slice(0, 120)} – {image.error}</li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              )}
+
               {/* Configuration Summary */}
               <div className="bg-gray-50 p-4 rounded-lg">
                 <h4 className="font-medium text-gray-900 mb-3">Configuration Summary</h4>
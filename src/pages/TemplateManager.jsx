@@ -7,6 +7,9 @@ import { useApp } from '../context/AppContext';
 import { useNavigate } from 'react-router-dom';
 import { templateService } from '../services/templateService';
 import { hasRealCredentials } from '../lib/supabase';
+import { schemaDriftService } from '../services/schemaDriftService';
+import { debugService } from '../services/debugService';
+import SchemaDriftNotice from '../components/SchemaDriftNotice';
 
 const { FiPlus, FiEdit, FiTrash2, FiPlay, FiCopy, FiFolder, FiCalendar, FiUser, FiInfo } = FiIcons;
 
@@ -15,6 +18,8 @@ function TemplateManager() {
   const navigate = useNavigate();
   const [selectedTemplates, setSelectedTemplates] = useState([]);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
+  const [driftById, setDriftById] = useState({});
+  const [fixingId, setFixingId] = useState(null);
 
   useEffect(() => {
     loadTemplates();
@@ -25,6 +30,7 @@ function TemplateManager() {
       dispatch({ type: 'SET_TEMPLATES_LOADING', payload: true });
       const templates = await templateService.getTemplates();
       dispatch({ type: 'SET_TEMPLATES', payload: templates });
+      checkTemplates(templates);
     } catch (error) {
       toast.error('Failed to load templates: ' + error.message);
     } finally {
@@ -32,14 +38,58 @@ function TemplateManager() {
     }
   };
 
+  // Checked one after another against the cached schema; bases that cannot
+  // be reached are skipped
+  const checkTemplates = async (templates) => {
+    for (const template of templates) {
+      if (!template.config) continue;
+      try {
+        const drift = await schemaDriftService.check(template.config);
+        setDriftById(current => ({ ...current, [template.id]: drift }));
+      } catch (error) {
+        debugService.log('warn', 'template', 'Schema check skipped', {
+          templateId: template.id,
+          error: error.message
+        });
+      }
+    }
+  };
+
+  const handleFixDrift = async (template) => {
+    setFixingId(template.id);
+    try {
+      const savedTemplate = await templateService.fixRenamedFields(template, driftById[template.id].issues);
+      dispatch({ type: 'UPDATE_TEMPLATE', payload: savedTemplate });
+      const drift = await schemaDriftService.check(savedTemplate.config);
+      setDriftById(current => ({ ...current, [template.id]: drift }));
+      toast.success('Renamed fields updated');
+    } catch (error) {
+      toast.error('Failed to update template: ' + error.message);
+    } finally {
+      setFixingId(null);
+    }
+  };
+
   const handleCreateNew = () => {
     dispatch({ type: 'RESET_WIZARD' });
     navigate('/wizard');
   };
 
+  // Opening a template adds field ids to templates saved before they were
+  // kept; saving it in the wizard snapshots them as well
+  const openTemplate = async (template, path) => {
+    try {
+      const loadedTemplate = await templateService.loadTemplate(template.id);
+      dispatch({ type: 'UPDATE_TEMPLATE', payload: loadedTemplate });
+      dispatch({ type: 'SET_CURRENT_TEMPLATE', payload: loadedTemplate });
+      navigate(path);
+    } catch (error) {
+      toast.error('Failed to load template: ' + error.message);
+    }
+  };
+
   const handleEditTemplate = (template) => {
-    dispatch({ type: 'SET_CURRENT_TEMPLATE', payload: template });
-    navigate('/wizard');
+    openTemplate(template, '/wizard');
   };
 
   const handleDeleteTemplate = async (templateId) => {
@@ -64,8 +114,7 @@ function TemplateManager() {
   };
 
   const handleUseTemplate = (template) => {
-    dispatch({ type: 'SET_CURRENT_TEMPLATE', payload: template });
-    navigate('/generate');
+    openTemplate(template, '/generate');
   };
 
   const formatDate = (dateString) => {
@@ -236,6 +285,17 @@ function TemplateManager() {
                   </div>
                 </div>
 
+                {driftById[template.id]?.issues.length > 0 && (
+                  <div className="p-4 border-b border-gray-100">
+                    <SchemaDriftNotice
+                      drift={driftById[template.id]}
+                      onFix={() => handleFixDrift(template)}
+                      isFixing={fixingId === template.id}
+                      compact
+                    />
+                  </div>
+                )}
+
                 {/* Template Actions */}
                 <div className="p-4 bg-gray-50">
                   <div className="flex items-center space-x-2">
@@ -0,0 +1,392 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-hot-toast';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useApp } from '../context/AppContext';
+import { templateService } from '../services/templateService';
+import { triggerService } from '../services/triggerService';
+import { enhancedAirtableService } from '../services/enhancedAirtableService';
+
+const { FiZap, FiPlus, FiTrash2, FiPlay, FiAlertTriangle, FiCheckCircle, FiXCircle, FiInfo } = FiIcons;
+
+const emptyForm = {
+  name: '',
+  template_id: '',
+  enabled: true,
+  config: { ...triggerService.defaultConfig }
+};
+
+const modeLabels = {
+  auto: 'Webhook, polling if unavailable',
+  webhook: 'Webhook only',
+  poll: 'Poll the view'
+};
+
+function Triggers() {
+  const { state, dispatch } = useApp();
+  const [triggers, setTriggers] = useState(triggerService.triggers);
+  const [outcomes, setOutcomes] = useState(triggerService.outcomes);
+  const [runnerOn, setRunnerOn] = useState(triggerService.isRunning());
+  const [runningIds, setRunningIds] = useState([]);
+  const [form, setForm] = useState(null);
+  const [views, setViews] = useState([]);
+  const [isLoadingViews, setIsLoadingViews] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = triggerService.subscribe(service => {
+      setTriggers([...service.triggers]);
+      setOutcomes([...service.outcomes]);
+      setRunnerOn(service.isRunning());
+      setRunningIds([...service.running]);
+    });
+
+    triggerService.loadTriggers().catch(error => toast.error('Failed to load triggers: ' + error.message));
+    if (state.templates.length === 0) {
+      templateService.getTemplates()
+        .then(templates => dispatch({ type: 'SET_TEMPLATES', payload: templates }))
+        .catch(error => toast.error('Failed to load templates: ' + error.message));
+    }
+
+    return unsubscribe;
+  }, []);
+
+  const findTemplate = (templateId) => state.templates.find(template => template.id === templateId);
+
+  const loadViews = async (templateId) => {
+    setViews([]);
+    const template = findTemplate(templateId);
+    if (!template?.config) return;
+
+    setIsLoadingViews(true);
+    try {
+      setViews(await enhancedAirtableService.getTableViews(template.config.connection.airtableConfig));
+    } catch (error) {
+      toast.error('Failed to load views: ' + error.message);
+    } finally {
+      setIsLoadingViews(false);
+    }
+  };
+
+  const handleTemplateChange = (templateId) => {
+    setForm(current => ({ ...current, template_id: templateId, config: { ...current.config, viewName: '' } }));
+    loadViews(templateId);
+  };
+
+  const updateFormConfig = (changes) => {
+    setForm(current => ({ ...current, config: { ...current.config, ...changes } }));
+  };
+
+  const handleEdit = (trigger) => {
+    setForm({ ...trigger, config: { ...trigger.config } });
+    loadViews(trigger.template_id);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await triggerService.saveTrigger(form);
+      toast.success('Trigger saved');
+      setForm(null);
+    } catch (error) {
+      toast.error('Failed to save trigger: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (trigger) => {
+    try {
+      await triggerService.saveTrigger({ ...trigger, enabled: !trigger.enabled });
+    } catch (error) {
+      toast.error('Failed to update trigger: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (trigger) => {
+    try {
+      await triggerService.deleteTrigger(trigger);
+      toast.success('Trigger deleted');
+    } catch (error) {
+      toast.error('Failed to delete trigger: ' + error.message);
+    }
+  };
+
+  const handleRunNow = async (trigger) => {
+    const updated = await triggerService.runTrigger(trigger);
+    if (updated.last_error) {
+      toast.error(updated.last_error);
+    } else {
+      toast.success(`Checked "${trigger.config.viewName}"`);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleString() : 'Never';
+  };
+
+  const formTemplate = form && findTemplate(form.template_id);
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-6 lg:p-8">
+      <div className="max-w-5xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          className="flex flex-col md:flex-row md:items-center md:justify-between space-y-4 md:space-y-0"
+        >
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold text-gray-900">Triggers</h1>
+            <p className="text-gray-600 mt-2">
+              Generate a PDF automatically when a record enters an Airtable view
+            </p>
+          </div>
+          <button
+            onClick={() => setForm({ ...emptyForm, config: { ...emptyForm.config } })}
+            className="flex items-center justify-center space-x-2 px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors w-full md:w-auto"
+          >
+            <SafeIcon icon={FiPlus} className="w-5 h-5" />
+            <span>New Trigger</span>
+          </button>
+        </motion.div>
+
+        {/* Runner */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 md:p-6">
+          <label className="flex items-center justify-between cursor-pointer">
+            <div>
+              <p className="font-medium text-gray-900">Run triggers in this tab</p>
+              <p className="text-sm text-gray-600 mt-1">
+                Triggers only run while this app is open in a tab with this switched on.
+              </p>
+            </div>
+            <input
+              type="checkbox"
+              checked={runnerOn}
+              onChange={(e) => triggerService.setRunnerEnabled(e.target.checked)}
+              className="h-5 w-5 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+          </label>
+        </div>
+
+        {/* Form */}
+        {form && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 md:p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">{form.id ? 'Edit Trigger' : 'New Trigger'}</h2>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(current => ({ ...current, name: e.target.value }))}
+                  placeholder="Invoice when ready"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Template</label>
+                <select
+                  value={form.template_id}
+                  onChange={(e) => handleTemplateChange(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="">Select a template</option>
+                  {state.templates.map(template => (
+                    <option key={template.id} value={template.id}>{template.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">When a record enters view</label>
+                <select
+                  value={form.config.viewName}
+                  onChange={(e) => updateFormConfig({ viewName: e.target.value })}
+                  disabled={!form.template_id || isLoadingViews}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 disabled:bg-gray-100"
+                >
+                  <option value="">{isLoadingViews ? 'Loading views...' : 'Select a view'}</option>
+                  {views.map(view => (
+                    <option key={view.id} value={view.name}>{view.name}</option>
+                  ))}
+                </select>
+                {formTemplate?.config && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Table: {formTemplate.config.connection.airtableConfig.tableName}
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Watch with</label>
+                <select
+                  value={form.config.mode}
+                  onChange={(e) => updateFormConfig({ mode: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {Object.entries(modeLabels).map(([mode, label]) => (
+                    <option key={mode} value={mode}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Check every (seconds)</label>
+                <input
+                  type="number"
+                  min="15"
+                  value={form.config.pollInterval}
+                  onChange={(e) => updateFormConfig({ pollInterval: Math.max(15, parseInt(e.target.value) || 15) })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+            </div>
+
+            {formTemplate?.config && !formTemplate.config.advanced?.writeBackConfig?.enabled && (
+              <div className="flex items-start space-x-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                <span>
+                  This template does not save PDFs to Airtable, so they will be downloaded in the tab running the triggers.
+                </span>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setForm(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors"
+              >
+                {isSaving ? 'Saving...' : 'Save Trigger'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Triggers */}
+        {triggers.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 text-center">
+            <SafeIcon icon={FiZap} className="w-10 h-10 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No triggers yet</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {triggers.map(trigger => {
+              const template = findTemplate(trigger.template_id);
+              const isRunning = runningIds.includes(trigger.id);
+
+              return (
+                <div key={trigger.id} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="flex items-center space-x-2">
+                        <h3 className="font-semibold text-gray-900 truncate">{trigger.name}</h3>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                          trigger.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                        }`}>
+                          {trigger.enabled ? 'Enabled' : 'Disabled'}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-600 mt-1">
+                        {template?.name || 'Unknown template'} · view "{trigger.config.viewName}" · {
+                          trigger.state?.mode === 'poll' && trigger.config.mode === 'auto'
+                            ? 'Polling (webhooks unavailable)'
+                            : modeLabels[trigger.config.mode]
+                        } · every {trigger.config.pollInterval}s
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">Last checked: {formatDate(trigger.last_run_at)}</p>
+                      {trigger.last_error && (
+                        <p className="text-xs text-red-600 mt-1">{trigger.last_error}</p>
+                      )}
+                    </div>
+
+                    <div className="flex items-center space-x-2 flex-shrink-0">
+                      <button
+                        onClick={() => handleRunNow(trigger)}
+                        disabled={isRunning}
+                        className="flex items-center space-x-1 px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 transition-colors"
+                      >
+                        {isRunning ? (
+                          <div className="w-3 h-3 border-2 border-gray-400 border-t-transparent rounded-full animate-spin"></div>
+                        ) : (
+                          <SafeIcon icon={FiPlay} className="w-3 h-3" />
+                        )}
+                        <span>Run now</span>
+                      </button>
+                      <button
+                        onClick={() => handleToggle(trigger)}
+                        className="px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                      >
+                        {trigger.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        onClick={() => handleEdit(trigger)}
+                        className="px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(trigger)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-md transition-colors"
+                        title="Delete trigger"
+                      >
+                        <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Outcomes */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 md:p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Recent Runs</h2>
+          {outcomes.length === 0 ? (
+            <div className="flex items-center space-x-2 text-sm text-gray-500">
+              <SafeIcon icon={FiInfo} className="w-4 h-4" />
+              <span>PDFs generated by triggers in this tab will appear here</span>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {outcomes.map(outcome => (
+                <li key={`${outcome.triggerId}:${outcome.recordId}:${outcome.at}`} className="flex items-start space-x-2 py-2 text-sm">
+                  <SafeIcon
+                    icon={outcome.status === 'completed' ? FiCheckCircle : FiXCircle}
+                    className={`w-4 h-4 flex-shrink-0 mt-0.5 ${outcome.status === 'completed' ? 'text-green-600' : 'text-red-600'}`}
+                  />
+                  <div className="min-w-0">
+                    <p className="text-gray-900">
+                      {outcome.triggerName} · {outcome.status === 'completed' ? outcome.filename : outcome.recordId}
+                    </p>
+                    {outcome.error && <p className="text-xs text-red-600">{outcome.error}</p>}
+                    {outcome.failedImages?.length > 0 && (
+                      <p className="text-xs text-yellow-700">
+                        {outcome.failedImages.length === 1 ? '1 image' : `${outcome.failedImages.length} images`} could not be loaded
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-500">{formatDate(outcome.at)}</p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Triggers;
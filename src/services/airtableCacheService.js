@@ -0,0 +1,261 @@
+import CryptoJS from 'crypto-js';
+import { debugService } from './debugService';
+
+// IndexedDB cache for Airtable schema and records, so revisiting the wizard
+// does not refetch everything and spend the base's rate limit.
+//
+// - Entries expire per base: schema after 24 hours, records after 15 minutes
+//   unless the base has its own TTLs
+// - When a fresh schema differs from the cached one (fields added, renamed or
+//   retyped), the base's cached records are dropped
+// - In offline mode only cached data is used, so templates can be previewed
+//   against cached records without a connection; when the browser is offline,
+//   expired entries are used instead of failing
+// Settings (offline mode, TTLs) are small and kept in localStorage.
+export class AirtableCacheService {
+  constructor() {
+    this.dbName = 'airtable-cache';
+    this.storeName = 'entries';
+    this.settingsKey = 'airtableCacheSettings';
+    this.defaultTtl = {
+      schema: 24 * 60 * 60 * 1000,
+      records: 15 * 60 * 1000
+    };
+    this.db = null;
+  }
+
+  /**
+   * Return cached data, or fetch and cache it
+   * @param {Object} config - { baseId }
+   * @param {string} kind - 'schema' or 'records'
+   * @param {string} key - Identifies the request within the base
+   * @param {Function} fetcher - Loads the data from Airtable
+   * @param {Object} options - { refresh: true to bypass the cache }
+   * @returns {Promise<*>} - Data
+   */
+  async cached(config, kind, key, fetcher, options = {}) {
+    const entryKey = `${config.baseId}:${kind}:${key}`;
+    const entry = await this.get(entryKey);
+
+    if (this.isOffline()) {
+      if (entry) {
+        debugService.log('debug', 'airtable', 'Offline mode: using cached data', { kind, key });
+        return entry.data;
+      }
+      throw new Error('Offline mode: this data has not been cached yet. Turn off offline mode to load it from Airtable.');
+    }
+
+    if (entry && !options.refresh && Date.now() - entry.storedAt < this.getTtl(config.baseId)[kind]) {
+      debugService.log('debug', 'airtable', 'Cache hit', { kind, key, age: Date.now() - entry.storedAt });
+      return entry.data;
+    }
+
+    let data;
+    try {
+      data = await fetcher();
+    } catch (error) {
+      if (entry && typeof navigator !== 'undefined' && navigator.onLine === false) {
+        debugService.log('warn', 'airtable', 'Network unavailable, using expired cache entry', { kind, key });
+        return entry.data;
+      }
+      throw error;
+    }
+
+    await this.put({ key: entryKey, baseId: config.baseId, kind, data, storedAt: Date.now() });
+    return data;
+  }
+
+  /**
+   * Record a freshly fetched schema, dropping cached records if it changed
+   * @param {string} baseId - Base
+   * @param {Array} tables - Tables from the metadata API
+   * @returns {Promise<boolean>} - true when the schema changed
+   */
+  async updateSchemaHash(baseId, tables) {
+    const shape = tables.map(table => ({
+      id: table.id,
+      name: table.name,
+      fields: table.fields.map(field => [field.id, field.name, field.type])
+    }));
+    const hash = CryptoJS.SHA1(JSON.stringify(shape)).toString();
+    const hashKey = `${baseId}:meta:schemaHash`;
+    const previous = await this.get(hashKey);
+
+    await this.put({ key: hashKey, baseId, kind: 'meta', data: hash, storedAt: Date.now() });
+    if (!previous || previous.data === hash) return false;
+
+    await this.clear(baseId, 'records');
+    debugService.log('info', 'airtable', 'Schema changed, cached records cleared', { baseId });
+    return true;
+  }
+
+  async has(baseId, kind) {
+    const keys = await this.getKeys(baseId, kind);
+    return keys.length > 0;
+  }
+
+  /**
+   * Summary of what is cached for a base
+   * @param {string} baseId - Base
+   * @returns {Promise<Object>} - { records (cached requests), schemaUpdated (timestamp or null) }
+   */
+  async getStatus(baseId) {
+    const [recordKeys, schema] = await Promise.all([
+      this.getKeys(baseId, 'records'),
+      this.get(`${baseId}:meta:schemaHash`)
+    ]);
+    return { records: recordKeys.length, schemaUpdated: schema ? schema.storedAt : null };
+  }
+
+  /**
+   * Remove a base's cached entries
+   * @param {string} baseId - Base
+   * @param {string} kind - Only entries of this kind; all when omitted
+   */
+  async clear(baseId, kind = null) {
+    const db = await this.open();
+    if (!db) return;
+
+    const keys = await this.getKeys(baseId, kind);
+    await this.transaction(db, 'readwrite', store => {
+      keys.forEach(key => store.delete(key));
+    });
+    debugService.log('info', 'airtable', 'Cache cleared', { baseId, kind: kind || 'all', entries: keys.length });
+  }
+
+  /**
+   * Remove the cached requests that contain one record, after it was changed
+   * @param {string} baseId - Base
+   * @param {string} recordId - Changed record
+   */
+  async invalidateRecord(baseId, recordId) {
+    const db = await this.open();
+    if (!db) return;
+
+    // Single-record keys name the record; lists and pages have to be looked into
+    const stale = [];
+    for (const key of await this.getKeys(baseId, 'records')) {
+      const data = key.includes(recordId) ? null : (await this.get(key))?.data;
+      const records = Array.isArray(data) ? data : (data?.records || [data]);
+      if (key.includes(recordId) || records.some(item => item?.id === recordId)) {
+        stale.push(key);
+      }
+    }
+
+    await this.transaction(db, 'readwrite', store => {
+      stale.forEach(key => store.delete(key));
+    });
+    debugService.log('debug', 'airtable', 'Cached record invalidated', { baseId, recordId, entries: stale.length });
+  }
+
+  getSettings() {
+    try {
+      return { offline: false, ttl: {}, ...JSON.parse(localStorage.getItem(this.settingsKey) || '{}') };
+    } catch (error) {
+      return { offline: false, ttl: {} };
+    }
+  }
+
+  saveSettings(settings) {
+    localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+  }
+
+  isOffline() {
+    return this.getSettings().offline;
+  }
+
+  setOffline(offline) {
+    this.saveSettings({ ...this.getSettings(), offline: !!offline });
+    debugService.log('info', 'airtable', offline ? 'Offline mode on' : 'Offline mode off');
+  }
+
+  getTtl(baseId) {
+    return { ...this.defaultTtl, ...(this.getSettings().ttl[baseId] || {}) };
+  }
+
+  /**
+   * Set how long a base's entries stay fresh
+   * @param {string} baseId - Base
+   * @param {Object} ttl - { schema, records } in milliseconds
+   */
+  setTtl(baseId, ttl) {
+    const settings = this.getSettings();
+    this.saveSettings({ ...settings, ttl: { ...settings.ttl, [baseId]: { ...this.getTtl(baseId), ...ttl } } });
+  }
+
+  // Resolves to null where IndexedDB is unavailable (private browsing in
+  // some browsers); the cache is then bypassed
+  open() {
+    if (!this.db) {
+      this.db = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+          store.createIndex('baseId', 'baseId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          debugService.log('warn', 'airtable', 'IndexedDB unavailable, caching disabled', {
+            error: request.error?.message
+          });
+          resolve(null);
+        };
+      });
+    }
+    return this.db;
+  }
+
+  transaction(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const result = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(result?.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async get(key) {
+    const db = await this.open();
+    if (!db) return null;
+
+    try {
+      return (await this.transaction(db, 'readonly', store => store.get(key))) || null;
+    } catch (error) {
+      debugService.log('warn', 'airtable', 'Cache read failed', { key, error: error.message });
+      return null;
+    }
+  }
+
+  async put(entry) {
+    const db = await this.open();
+    if (!db) return;
+
+    try {
+      await this.transaction(db, 'readwrite', store => store.put(entry));
+    } catch (error) {
+      // A full quota only costs the cache, not the request
+      debugService.log('warn', 'airtable', 'Cache write failed', { key: entry.key, error: error.message });
+    }
+  }
+
+  // Keys are "<baseId>:<kind>:<request>", so listing them does not load cached records
+  async getKeys(baseId, kind = null) {
+    const db = await this.open();
+    if (!db) return [];
+
+    try {
+      const keys = await this.transaction(db, 'readonly', store => store.index('baseId').getAllKeys(baseId));
+      return keys.filter(key => !kind || key.split(':')[1] === kind);
+    } catch (error) {
+      debugService.log('warn', 'airtable', 'Cache read failed', { baseId, error: error.message });
+      return [];
+    }
+  }
+}
+
+export const airtableCacheService = new AirtableCacheService();
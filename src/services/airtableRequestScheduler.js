@@ -0,0 +1,156 @@
+import { debugService } from './debugService';
+
+// Every Airtable request goes through one queue per base. Airtable allows 5
+// requests per second per base and answers 429 above that, after which the
+// base is blocked for 30 seconds, so requests are throttled with a token
+// bucket before they are sent rather than retried afterwards.
+//
+// - Identical GETs in flight at the same time share one request
+// - 429 responses are retried with exponential backoff and jitter, honouring
+//   Retry-After, and pause the whole base; Airtable does not apply a request
+//   it answers with 429
+// - GETs are also retried on 5xx responses and network errors. Other methods
+//   are not: the request may already have been applied, and sending it again
+//   would create a second attachment or webhook
+// - Responses are returned parsed: { ok, status, statusText, data }
+export class AirtableRequestScheduler {
+  constructor() {
+    this.requestsPerSecond = 5;
+    // Airtable counts requests per rolling second, so the bucket holds a
+    // single token: a burst would exceed the limit within that second
+    this.burstSize = 1;
+    this.maxRetries = 4;
+    this.backoffBase = 1000;
+    this.backoffMax = 30000;
+    this.queues = new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Send a request to the Airtable API
+   * @param {Object} config - { apiKey, baseId }
+   * @param {string} url - Full request URL
+   * @param {Object} init - fetch options (method, body, signal)
+   * @returns {Promise<Object>} - { ok, status, statusText, data }
+   */
+  request(config, url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    // A request with its own abort signal cannot be shared with other callers
+    if (method !== 'GET' || init.signal) {
+      return this.send(config, url, { ...init, method });
+    }
+
+    const key = `${config.apiKey}|${url}`;
+    if (this.inFlight.has(key)) {
+      debugService.log('debug', 'airtable', 'Sharing in-flight request', { url });
+      return this.inFlight.get(key);
+    }
+
+    const pending = this.send(config, url, { ...init, method }).finally(() => {
+      this.inFlight.delete(key);
+    });
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  async send(config, url, init) {
+    const headers = {
+      'Authorization': `Bearer ${config.apiKey}`,
+      'Content-Type': 'application/json',
+      ...(init.headers || {})
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(config.baseId);
+
+      let response;
+      try {
+        response = await fetch(url, { ...init, headers });
+      } catch (error) {
+        if (error.name === 'AbortError' || init.method !== 'GET' || attempt >= this.maxRetries) throw error;
+        await this.backoff(config.baseId, attempt, null, error.message);
+        continue;
+      }
+
+      const retryable = response.status === 429 || (init.method === 'GET' && response.status >= 500);
+      if (retryable && attempt < this.maxRetries) {
+        await this.backoff(config.baseId, attempt, response, `${response.status} ${response.statusText}`);
+        continue;
+      }
+
+      const data = await response.json().catch(() => ({}));
+      return { ok: response.ok, status: response.status, statusText: response.statusText, data };
+    }
+  }
+
+  async backoff(baseId, attempt, response, reason) {
+    const retryAfter = parseFloat(response?.headers?.get('Retry-After'));
+    const exponential = Math.min(this.backoffBase * Math.pow(2, attempt), this.backoffMax);
+    // Full jitter keeps parallel workers from retrying in lockstep
+    const delay = Number.isFinite(retryAfter)
+      ? retryAfter * 1000
+      : Math.round(exponential / 2 + Math.random() * (exponential / 2));
+
+    if (response?.status === 429) {
+      const queue = this.getQueue(baseId);
+      queue.blockedUntil = Math.max(queue.blockedUntil, Date.now() + delay);
+    }
+
+    debugService.log('warn', 'airtable', `Request failed (${reason}), retrying in ${delay}ms`, {
+      baseId,
+      attempt: attempt + 1,
+      maxRetries: this.maxRetries
+    });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  getQueue(baseId) {
+    if (!this.queues.has(baseId)) {
+      this.queues.set(baseId, {
+        tokens: this.burstSize,
+        refilledAt: Date.now(),
+        blockedUntil: 0,
+        waiting: [],
+        timer: null
+      });
+    }
+    return this.queues.get(baseId);
+  }
+
+  // Resolves when the base has a token for one more request
+  acquire(baseId) {
+    const queue = this.getQueue(baseId);
+    return new Promise(resolve => {
+      queue.waiting.push(resolve);
+      this.drain(queue);
+    });
+  }
+
+  drain(queue) {
+    if (queue.timer) return;
+
+    const now = Date.now();
+    queue.tokens = Math.min(
+      this.burstSize,
+      queue.tokens + ((now - queue.refilledAt) / 1000) * this.requestsPerSecond
+    );
+    queue.refilledAt = now;
+
+    while (queue.waiting.length > 0 && queue.tokens >= 1 && now >= queue.blockedUntil) {
+      queue.tokens--;
+      queue.waiting.shift()();
+    }
+
+    if (queue.waiting.length === 0) return;
+
+    const wait = now < queue.blockedUntil
+      ? queue.blockedUntil - now
+      : Math.ceil(((1 - queue.tokens) / this.requestsPerSecond) * 1000);
+    queue.timer = setTimeout(() => {
+      queue.timer = null;
+      this.drain(queue);
+    }, wait);
+  }
+}
+
+export const airtableRequestScheduler = new AirtableRequestScheduler();
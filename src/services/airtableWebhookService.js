@@ -0,0 +1,168 @@
+import { debugService } from './debugService';
+import { airtableRequestScheduler } from './airtableRequestScheduler';
+import { enhancedAirtableService } from './enhancedAirtableService';
+
+// Airtable webhooks scoped to a view. The app has no public URL to receive
+// notification pings, so webhooks are created without one and their payloads
+// are read with a cursor instead. Webhooks expire after 7 days unless
+// refreshed; creating them needs the webhook:manage scope.
+export class AirtableWebhookService {
+  constructor() {
+    // Refresh once less than a day is left
+    this.refreshMargin = 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Create a webhook reporting record changes in a view
+   * @param {Object} config - { apiKey, baseId }
+   * @param {string} viewId - View (or table) id
+   * @returns {Promise<Object>} - { id, expirationTime, cursor }
+   */
+  async create(config, viewId) {
+    // Sent once: when it fails without a clear answer (5xx, dropped connection)
+    // the webhook may exist anyway, and is looked up instead of being created
+    // again, since a second one would count against the base's webhook limit
+    // until it expires
+    const startedAt = Date.now();
+    let response = null;
+    let failure = null;
+    try {
+      response = await airtableRequestScheduler.request(config, this.webhooksUrl(config), {
+        method: 'POST',
+        body: JSON.stringify({
+          specification: {
+            options: {
+              filters: { dataTypes: ['tableData'], recordChangeScope: viewId }
+            }
+          }
+        })
+      });
+    } catch (error) {
+      failure = error;
+    }
+
+    if (!response || response.status >= 500) {
+      const created = await this.findCreated(config, viewId, startedAt).catch(() => null);
+      if (created) {
+        debugService.log('warn', 'trigger', 'Webhook creation reported an error but the webhook exists', {
+          webhookId: created.id,
+          viewId
+        });
+        return created;
+      }
+    }
+    if (failure) throw failure;
+    if (!response.ok) {
+      throw this.requestError('create webhook', response);
+    }
+
+    debugService.log('info', 'trigger', 'Webhook created', {
+      webhookId: response.data.id,
+      viewId,
+      expirationTime: response.data.expirationTime
+    });
+    // Payload cursors start at 1
+    return { id: response.data.id, expirationTime: response.data.expirationTime, cursor: 1 };
+  }
+
+  // A webhook for the view without a notification URL whose 7 days started
+  // after the create request was sent
+  async findCreated(config, viewId, startedAt) {
+    const response = await airtableRequestScheduler.request(config, this.webhooksUrl(config));
+    if (!response.ok) return null;
+
+    const lifetime = 7 * 24 * 60 * 60 * 1000;
+    const webhook = (response.data.webhooks || [])
+      .filter(item => item.specification?.options?.filters?.recordChangeScope === viewId &&
+        !item.notificationUrl &&
+        Date.parse(item.expirationTime) - lifetime >= startedAt - 1000)
+      .sort((a, b) => Date.parse(b.expirationTime) - Date.parse(a.expirationTime))[0];
+    return webhook
+      ? { id: webhook.id, expirationTime: webhook.expirationTime, cursor: webhook.cursorForNextPayload || 1 }
+      : null;
+  }
+
+  needsRefresh(webhook) {
+    return !webhook.expirationTime || Date.parse(webhook.expirationTime) - Date.now() < this.refreshMargin;
+  }
+
+  /**
+   * Extend a webhook's expiration by 7 days
+   * @returns {Promise<string>} - New expiration time
+   */
+  async refresh(config, webhookId) {
+    const response = await airtableRequestScheduler.request(config, `${this.webhooksUrl(config)}/${webhookId}/refresh`, {
+      method: 'POST'
+    });
+    if (!response.ok) {
+      throw this.requestError('refresh webhook', response);
+    }
+    return response.data.expirationTime;
+  }
+
+  async remove(config, webhookId) {
+    const response = await airtableRequestScheduler.request(config, `${this.webhooksUrl(config)}/${webhookId}`, {
+      method: 'DELETE'
+    });
+    // Already expired or deleted
+    if (!response.ok && response.status !== 404) {
+      throw this.requestError('delete webhook', response);
+    }
+  }
+
+  /**
+   * Read the payloads after a cursor
+   * @param {Object} config - { apiKey, baseId }
+   * @param {Object} webhook - { id, cursor }
+   * @returns {Promise<Object>} - { payloads, cursor } with the cursor to read from next time
+   */
+  async readPayloads(config, webhook) {
+    const payloads = [];
+    let cursor = webhook.cursor || 1;
+    let mightHaveMore = true;
+
+    while (mightHaveMore) {
+      const response = await airtableRequestScheduler.request(
+        config,
+        `${this.webhooksUrl(config)}/${webhook.id}/payloads?cursor=${cursor}`
+      );
+      if (!response.ok) {
+        throw this.requestError('read webhook payloads', response);
+      }
+      payloads.push(...(response.data.payloads || []));
+      cursor = response.data.cursor;
+      mightHaveMore = !!response.data.mightHaveMore;
+    }
+
+    return { payloads, cursor };
+  }
+
+  /**
+   * Records that entered a view according to webhook payloads
+   * @param {Array} payloads - From readPayloads()
+   * @param {string} tableId - Table id
+   * @param {string} viewId - View id
+   * @returns {Array} - Record ids, each once, in payload order
+   */
+  getEnteredRecordIds(payloads, tableId, viewId) {
+    const recordIds = new Set();
+    payloads.forEach(payload => {
+      const viewChanges = payload.changedTablesById?.[tableId]?.changedViewsById?.[viewId];
+      Object.keys(viewChanges?.createdRecordsById || {}).forEach(recordId => recordIds.add(recordId));
+    });
+    return [...recordIds];
+  }
+
+  webhooksUrl(config) {
+    return `${enhancedAirtableService.baseUrl}/bases/${config.baseId}/webhooks`;
+  }
+
+  // Keeps the status, so callers can tell a missing feature from a failure
+  requestError(action, response) {
+    const error = new Error(`Failed to ${action}: ${response.status} ${response.statusText} - ${response.data.error?.message || response.data.error || 'Unknown error'}`);
+    error.status = response.status;
+    return error;
+  }
+}
+
+export const airtableWebhookService = new AirtableWebhookService();
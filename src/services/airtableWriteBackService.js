@@ -0,0 +1,175 @@
+import { debugService } from './debugService';
+import { airtableRequestScheduler } from './airtableRequestScheduler';
+import { enhancedAirtableService } from './enhancedAirtableService';
+import { airtableCacheService } from './airtableCacheService';
+
+// Post-generation step that attaches the generated PDF to the source record,
+// optionally setting a status and a "generated at" field at the same time.
+// Files are sent with Airtable's upload endpoint, so the PDF does not need a
+// public URL; the endpoint accepts files up to 5 MB.
+export class AirtableWriteBackService {
+  constructor() {
+    this.contentUrl = import.meta.env.VITE_AIRTABLE_CONTENT_URL || 'https://content.airtable.com/v0';
+    this.maxUploadSize = 5 * 1024 * 1024;
+    this.defaultConfig = {
+      enabled: false,
+      attachmentField: '',
+      mode: 'append',
+      statusField: '',
+      statusValue: 'Generated',
+      timestampField: ''
+    };
+  }
+
+  /**
+   * Attach a generated PDF to its Airtable record
+   * @param {Object} airtableConfig - { apiKey, baseId, tableName }
+   * @param {Object} record - Source record
+   * @param {Blob} pdfBlob - Generated PDF
+   * @param {string} filename - Attachment filename
+   * @param {Object} writeBackConfig - { attachmentField, mode: 'append'|'replace',
+   *   statusField, statusValue, timestampField }
+   * @returns {Promise<Object>} - { attachment, fields } as returned by Airtable
+   */
+  async attachPdf(airtableConfig, record, pdfBlob, filename, writeBackConfig) {
+    const config = { ...this.defaultConfig, ...writeBackConfig };
+    if (!config.attachmentField) {
+      throw new Error('Choose an attachment field to write the PDF back to');
+    }
+    if (pdfBlob.size > this.maxUploadSize) {
+      throw new Error(`PDF is ${(pdfBlob.size / 1024 / 1024).toFixed(1)} MB; Airtable uploads are limited to 5 MB`);
+    }
+
+    const attachmentField = await this.validateFields(airtableConfig, config);
+
+    debugService.log('info', 'airtable', 'Writing PDF back to record', {
+      recordId: record.id,
+      field: config.attachmentField,
+      mode: config.mode,
+      size: pdfBlob.size
+    });
+
+    const recordUrl = `${enhancedAirtableService.baseUrl}/${airtableConfig.baseId}/${encodeURIComponent(airtableConfig.tableName)}/${record.id}`;
+
+    // Uploads are always appended. Replacing uploads first and then sets the
+    // field to just the new file, so a failed upload keeps the old PDF.
+    const { data, attachment } = await this.upload(airtableConfig, record, config.attachmentField, attachmentField.id, pdfBlob, filename);
+
+    const fields = {};
+    if (config.mode === 'replace') {
+      if (!attachment) {
+        throw new Error(`The PDF was uploaded, but the earlier attachments in "${config.attachmentField}" could not be removed`);
+      }
+      fields[config.attachmentField] = [{ id: attachment.id }];
+    }
+    if (config.statusField) fields[config.statusField] = config.statusValue;
+    if (config.timestampField) fields[config.timestampField] = new Date().toISOString();
+    if (Object.keys(fields).length > 0) {
+      await this.updateRecord(airtableConfig, recordUrl, fields);
+    }
+
+    // Cached copies of the record no longer match Airtable
+    await airtableCacheService.invalidateRecord(airtableConfig.baseId, record.id);
+
+    debugService.log('info', 'airtable', 'PDF written back to record', {
+      recordId: record.id,
+      field: config.attachmentField,
+      updatedFields: Object.keys(fields)
+    });
+
+    return { attachment: data, fields };
+  }
+
+  // The attachment field must be an attachment field; status and timestamp
+  // fields only have to exist. Returns the attachment field.
+  async validateFields(airtableConfig, config) {
+    const fieldTypes = await enhancedAirtableService.getFieldTypes(airtableConfig);
+    const findField = name => fieldTypes.find(field => field.name === name);
+
+    const attachmentField = findField(config.attachmentField);
+    if (!attachmentField) {
+      throw new Error(`Field "${config.attachmentField}" was not found in table "${airtableConfig.tableName}"`);
+    }
+    if (attachmentField.type !== 'multipleAttachments') {
+      throw new Error(`Field "${config.attachmentField}" is a ${attachmentField.type} field; the PDF can only be written to an attachment field`);
+    }
+
+    [config.statusField, config.timestampField].filter(Boolean).forEach(name => {
+      if (!findField(name)) {
+        throw new Error(`Field "${name}" was not found in table "${airtableConfig.tableName}"`);
+      }
+    });
+
+    return attachmentField;
+  }
+
+  /**
+   * Upload the PDF to the record's attachment field, once. When the upload
+   * fails without a clear answer (5xx, dropped connection) Airtable may still
+   * have stored the file, so the record is checked before the upload is
+   * reported as failed; sending it again would attach the PDF twice.
+   * @returns {Promise<Object>} - { data: Airtable's response, attachment: the new file }
+   */
+  async upload(airtableConfig, record, fieldName, fieldId, pdfBlob, filename) {
+    const previousIds = new Set((record.fields?.[fieldName] || []).map(item => item?.id));
+    const url = `${this.contentUrl}/${airtableConfig.baseId}/${record.id}/${encodeURIComponent(fieldName)}/uploadAttachment`;
+    const file = this.toBase64(await pdfBlob.arrayBuffer());
+
+    let response;
+    let failure;
+    try {
+      response = await airtableRequestScheduler.request(airtableConfig, url, {
+        method: 'POST',
+        body: JSON.stringify({
+          contentType: 'application/pdf',
+          filename,
+          file
+        })
+      });
+      if (response.ok) {
+        // The response lists the field's attachments by field id, the new file last
+        const attachments = response.data.fields?.[fieldId] || [];
+        return { data: response.data, attachment: attachments[attachments.length - 1] || null };
+      }
+      failure = `${response.status} ${response.statusText} - ${response.data.error?.message || 'Unknown error'}`;
+    } catch (error) {
+      failure = error.message;
+    }
+
+    if (!response || response.status >= 500) {
+      const stored = await enhancedAirtableService.fetchSingleRecord(airtableConfig, record.id, { returnFieldsByFieldId: true })
+        .catch(() => null);
+      const attachment = (stored?.fields[fieldId] || []).find(item => item.filename === filename && !previousIds.has(item.id));
+      if (attachment) {
+        debugService.log('warn', 'airtable', 'Upload reported an error but the PDF was stored', { recordId: record.id, failure });
+        return { data: stored, attachment };
+      }
+    }
+
+    throw new Error(`Failed to upload PDF to "${fieldName}": ${failure}`);
+  }
+
+  async updateRecord(airtableConfig, recordUrl, fields) {
+    // typecast lets a status value create or match a single select option
+    const response = await airtableRequestScheduler.request(airtableConfig, recordUrl, {
+      method: 'PATCH',
+      body: JSON.stringify({ fields, typecast: true })
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to update record: ${response.status} ${response.statusText} - ${response.data.error?.message || 'Unknown error'}`);
+    }
+    return response.data;
+  }
+
+  toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = '';
+    for (let index = 0; index < bytes.length; index += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(index, index + chunkSize));
+    }
+    return btoa(binary);
+  }
+}
+
+export const airtableWriteBackService = new AirtableWriteBackService();
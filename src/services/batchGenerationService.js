@@ -0,0 +1,326 @@
+import { debugService } from './debugService';
+import { enhancedPdfService } from './enhancedPdfService';
+import { dynamicFilenameService } from './dynamicFilenameService';
+import { combinedPdfService } from './combinedPdfService';
+
+// Batch generation: one queued job generates a PDF per record with a small
+// pool of workers. A job can be paused (records in progress finish, no new
+// ones start), resumed, cancelled (queued records are dropped) and its failed
+// records retried without regenerating the successful ones.
+//
+// Item status: queued -> running -> completed | failed, or cancelled
+// Job status:  idle -> running <-> paused -> completed | cancelling -> cancelled
+export class BatchJob {
+  constructor(records, { buildOptions, generate, concurrency }) {
+    this.id = `batch_${Date.now()}`;
+    this.items = records.map(record => ({
+      record,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      blob: null,
+      filename: '',
+      writeBack: null,
+      failedImages: [],
+      // The record as the PDF was generated from it
+      preparedRecord: null,
+      startedAt: null,
+      finishedAt: null
+    }));
+    this.buildOptions = buildOptions;
+    this.generate = generate;
+    this.concurrency = concurrency;
+    this.status = 'idle';
+    this.activeWorkers = 0;
+    this.usedFilenames = new Set();
+    this.listeners = new Set();
+    this.startedAt = null;
+    this.finishedAt = null;
+  }
+
+  /**
+   * Listen for item and job status changes
+   * @param {Function} listener - Called with the job after every change
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  start() {
+    if (this.status === 'running' || this.status === 'cancelling') return;
+
+    this.status = 'running';
+    this.startedAt = this.startedAt || Date.now();
+    this.finishedAt = null;
+    debugService.log('info', 'batch', 'Batch job started', {
+      jobId: this.id,
+      queued: this.countByStatus('queued'),
+      concurrency: this.concurrency
+    });
+    this.emit();
+
+    const workers = Math.min(this.concurrency, this.countByStatus('queued')) - this.activeWorkers;
+    for (let index = 0; index < workers; index++) {
+      this.runWorker();
+    }
+    this.settle();
+  }
+
+  pause() {
+    if (this.status !== 'running') return;
+    this.status = 'paused';
+    debugService.log('info', 'batch', 'Batch job paused', { jobId: this.id });
+    this.emit();
+  }
+
+  resume() {
+    if (this.status === 'paused') this.start();
+  }
+
+  cancel() {
+    if (!['running', 'paused', 'idle'].includes(this.status)) return;
+
+    this.items.forEach(item => {
+      if (item.status === 'queued') item.status = 'cancelled';
+    });
+    // Records already being generated cannot be interrupted; they finish first
+    this.status = this.activeWorkers > 0 ? 'cancelling' : 'cancelled';
+    debugService.log('info', 'batch', 'Batch job cancelled', {
+      jobId: this.id,
+      inProgress: this.activeWorkers
+    });
+    this.emit();
+    this.settle();
+  }
+
+  // Queue the failed records again and run them
+  retryFailed() {
+    if (this.status === 'cancelling') return;
+
+    const failed = this.items.filter(item => item.status === 'failed');
+    if (failed.length === 0) return;
+
+    failed.forEach(item => {
+      item.status = 'queued';
+      item.error = null;
+    });
+    debugService.log('info', 'batch', 'Retrying failed records', { jobId: this.id, count: failed.length });
+
+    if (this.status === 'paused') {
+      this.emit();
+    } else {
+      this.status = 'idle';
+      this.start();
+    }
+  }
+
+  async runWorker() {
+    this.activeWorkers++;
+    try {
+      while (this.status === 'running') {
+        const item = this.items.find(candidate => candidate.status === 'queued');
+        if (!item) break;
+        await this.processItem(item);
+      }
+    } finally {
+      this.activeWorkers--;
+      this.settle();
+    }
+  }
+
+  async processItem(item) {
+    item.status = 'running';
+    item.attempts++;
+    item.startedAt = Date.now();
+    item.finishedAt = null;
+    this.emit();
+
+    try {
+      const result = await this.generate(this.buildOptions(item.record));
+      item.blob = result.blob;
+      item.writeBack = result.writeBack || null;
+      item.failedImages = result.failedImages || [];
+      item.preparedRecord = result.record || item.record;
+      item.filename = dynamicFilenameService.makeUnique(result.filename, this.usedFilenames);
+      item.status = 'completed';
+    } catch (error) {
+      item.status = 'failed';
+      item.error = error.message;
+      debugService.log('warn', 'batch', 'Record generation failed', {
+        jobId: this.id,
+        recordId: item.record.id,
+        attempt: item.attempts,
+        error: error.message
+      });
+    } finally {
+      item.finishedAt = Date.now();
+      this.emit();
+    }
+  }
+
+  // Finish the job once no worker is left
+  settle() {
+    if (this.activeWorkers > 0) return;
+
+    if (this.status === 'cancelling') {
+      this.status = 'cancelled';
+    } else if (this.status === 'running' && this.countByStatus('queued') === 0) {
+      this.status = 'completed';
+    } else {
+      return;
+    }
+
+    this.finishedAt = Date.now();
+    debugService.log('info', 'batch', 'Batch job finished', { jobId: this.id, ...this.getProgress() });
+    this.emit();
+  }
+
+  countByStatus(status) {
+    return this.items.filter(item => item.status === status).length;
+  }
+
+  /**
+   * Summary of the job
+   * @returns {Object} - { status, total, queued, running, completed, failed, cancelled, percent }
+   */
+  getProgress() {
+    const progress = { status: this.status, total: this.items.length };
+    ['queued', 'running', 'completed', 'failed', 'cancelled'].forEach(status => {
+      progress[status] = this.countByStatus(status);
+    });
+    const done = progress.completed + progress.failed + progress.cancelled;
+    progress.percent = progress.total > 0 ? Math.round((done / progress.total) * 100) : 0;
+    return progress;
+  }
+
+  getCompletedItems() {
+    return this.items.filter(item => item.status === 'completed');
+  }
+
+  isActive() {
+    return ['running', 'paused', 'cancelling'].includes(this.status);
+  }
+}
+
+export class BatchGenerationService {
+  constructor() {
+    this.defaultConcurrency = 2;
+    this.maxConcurrency = 5;
+  }
+
+  /**
+   * Create a batch job for a list of records
+   * @param {Array} records - Airtable records
+   * @param {Object} options - { buildOptions(record) -> generation options,
+   *   concurrency, generate(options) -> { blob, filename } }
+   * @returns {BatchJob} - Job, not started yet
+   */
+  createJob(records, options) {
+    if (!records || records.length === 0) {
+      throw new Error('Select at least one record for batch generation');
+    }
+
+    const concurrency = Math.min(
+      Math.max(parseInt(options.concurrency, 10) || this.defaultConcurrency, 1),
+      this.maxConcurrency
+    );
+
+    return new BatchJob(records, {
+      buildOptions: options.buildOptions,
+      generate: options.generate || (generationOptions => enhancedPdfService.generatePDF(generationOptions)),
+      concurrency
+    });
+  }
+
+  /**
+   * One manifest row per record of a job
+   * @param {BatchJob} job - Batch job
+   * @returns {Array} - { recordId, filename, status, size, generationTimeMs, error }
+   */
+  buildManifest(job) {
+    return job.items.map(item => ({
+      recordId: item.record.id,
+      filename: item.status === 'completed' ? item.filename : '',
+      status: item.status,
+      size: item.blob ? item.blob.size : 0,
+      generationTimeMs: item.startedAt && item.finishedAt ? item.finishedAt - item.startedAt : null,
+      error: item.error || ''
+    }));
+  }
+
+  toCsv(rows) {
+    const columns = ['recordId', 'filename', 'status', 'size', 'generationTimeMs', 'error'];
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\r\n');
+  }
+
+  /**
+   * Package the PDFs of a job with manifest.csv and manifest.json
+   * @param {BatchJob} job - Batch job (finished or not; only completed records are included)
+   * @returns {Promise<Blob>} - ZIP archive
+   */
+  async createZip(job) {
+    const { default: JSZip } = await import('jszip');
+    const zip = new JSZip();
+    const manifest = this.buildManifest(job);
+    const usedNames = new Set(['manifest.csv', 'manifest.json']);
+
+    job.items.forEach((item, index) => {
+      if (item.status !== 'completed' || !item.blob) return;
+      const filename = dynamicFilenameService.makeUnique(item.filename || `${item.record.id}.pdf`, usedNames);
+      manifest[index].filename = filename;
+      zip.file(filename, item.blob);
+    });
+
+    // Excel opens UTF-8 CSV (Thai filenames and errors) correctly only with a BOM
+    zip.file('manifest.csv', '\uFEFF' + this.toCsv(manifest));
+    zip.file('manifest.json', JSON.stringify({
+      jobId: job.id,
+      generatedAt: new Date().toISOString(),
+      ...job.getProgress(),
+      records: manifest
+    }, null, 2));
+
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+
+    debugService.log('info', 'batch', 'Batch ZIP created', {
+      jobId: job.id,
+      files: job.countByStatus('completed'),
+      size: blob.size
+    });
+
+    return blob;
+  }
+
+  /**
+   * Merge the PDFs of a job into one document, in record order
+   * @param {BatchJob} job - Batch job (only completed records are included)
+   * @param {Object} options - See CombinedPdfService.combine
+   * @returns {Promise<Blob>} - Combined PDF
+   */
+  createCombinedPdf(job, options) {
+    const entries = job.getCompletedItems().map(item => {
+      const generationOptions = job.buildOptions(item.record);
+      return {
+        blob: item.blob,
+        context: {
+          record: item.preparedRecord || item.record,
+          fieldMappings: generationOptions.fieldMappings,
+          lineItemConfig: generationOptions.lineItemConfig
+        }
+      };
+    });
+    return combinedPdfService.combine(entries, options);
+  }
+}
+
+export const batchGenerationService = new BatchGenerationService();
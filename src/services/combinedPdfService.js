@@ -0,0 +1,246 @@
+import { debugService } from './debugService';
+import { stampService } from './stampService';
+import { vectorPdfService } from './vectorPdfService';
+
+// Concatenates the PDFs of a batch run into one document for printing:
+// optional cover page and table of contents, one bookmark per record and,
+// for duplex printing, a blank page wherever a record would otherwise start
+// on the back of a sheet. Bookmark titles are placeholder expressions
+// resolved against each record, e.g. '{{Customer}} – {{Invoice Number}}'.
+export class CombinedPdfService {
+  constructor() {
+    this.defaultOptions = {
+      bookmarkTitle: '{{Name}}',
+      coverPage: false,
+      coverTitle: 'Combined Documents',
+      tableOfContents: false,
+      duplex: false
+    };
+    // Front matter layout, in pt
+    this.margin = 56;
+    this.tocLineHeight = 20;
+    this.tocFontSize = 11;
+  }
+
+  /**
+   * Merge rendered PDFs into a single document
+   * @param {Array} entries - { blob, context } in output order; context is the
+   *   template context of the record ({ record, fieldMappings, lineItemConfig })
+   * @param {Object} options - { bookmarkTitle, coverPage, coverTitle, tableOfContents, duplex }
+   * @returns {Promise<Blob>} - Combined PDF
+   */
+  async combine(entries, options = {}) {
+    if (!entries || entries.length === 0) {
+      throw new Error('No generated PDFs to combine');
+    }
+
+    const settings = { ...this.defaultOptions, ...options };
+
+    try {
+      const lib = await import('pdf-lib');
+      const pdfDoc = await lib.PDFDocument.create();
+
+      const sources = [];
+      for (const entry of entries) {
+        const source = await lib.PDFDocument.load(await entry.blob.arrayBuffer(), { ignoreEncryption: true });
+        sources.push({
+          source,
+          pageCount: source.getPageCount(),
+          title: this.resolveTitle(settings.bookmarkTitle, entry.context)
+        });
+      }
+
+      // Front matter uses the size of the first document's first page
+      const { width, height } = sources[0].source.getPage(0).getSize();
+      const tocPerPage = Math.max(Math.floor((height - this.margin * 2 - 40) / this.tocLineHeight), 1);
+      const tocPages = settings.tableOfContents ? Math.ceil(sources.length / tocPerPage) : 0;
+
+      // Page numbers are known up front, so the contents can be drawn first
+      let pageCount = (settings.coverPage ? 1 : 0) + tocPages;
+      const frontMatterPadding = this.paddingBefore(pageCount, settings.duplex);
+      pageCount += frontMatterPadding;
+      sources.forEach(item => {
+        item.padding = this.paddingBefore(pageCount, settings.duplex);
+        item.startIndex = pageCount + item.padding;
+        pageCount = item.startIndex + item.pageCount;
+      });
+
+      const fonts = await this.embedFonts(pdfDoc, lib);
+      const tocDrawings = [];
+
+      if (settings.coverPage) {
+        this.drawCover(pdfDoc.addPage([width, height]), settings, sources.length, fonts, lib);
+      }
+      for (let index = 0; index < tocPages; index++) {
+        const page = pdfDoc.addPage([width, height]);
+        tocDrawings.push({ page, items: sources.slice(index * tocPerPage, (index + 1) * tocPerPage), first: index === 0 });
+      }
+      this.addBlankPages(pdfDoc, frontMatterPadding, [width, height]);
+
+      for (const item of sources) {
+        const previous = pdfDoc.getPageCount() > 0 ? pdfDoc.getPage(pdfDoc.getPageCount() - 1).getSize() : { width, height };
+        this.addBlankPages(pdfDoc, item.padding, [previous.width, previous.height]);
+        const copied = await pdfDoc.copyPages(item.source, item.source.getPageIndices());
+        copied.forEach(page => pdfDoc.addPage(page));
+      }
+
+      tocDrawings.forEach(drawing => this.drawTableOfContents(pdfDoc, drawing, fonts, lib));
+      this.addOutline(pdfDoc, sources, lib);
+
+      const bytes = await pdfDoc.save();
+      debugService.log('info', 'pdf', 'Combined PDF created', {
+        documents: sources.length,
+        pages: pdfDoc.getPageCount(),
+        size: bytes.length
+      });
+      return new Blob([bytes], { type: 'application/pdf' });
+
+    } catch (error) {
+      debugService.log('error', 'pdf', 'Failed to combine PDFs', { error: error.message });
+      throw new Error(`Failed to combine PDFs: ${error.message}`);
+    }
+  }
+
+  // In duplex printing a document has to start on an odd (front) page
+  paddingBefore(pageCount, duplex) {
+    return duplex && pageCount % 2 === 1 ? 1 : 0;
+  }
+
+  addBlankPages(pdfDoc, count, size) {
+    for (let index = 0; index < count; index++) {
+      pdfDoc.addPage(size);
+    }
+  }
+
+  resolveTitle(expression, context) {
+    const title = expression ? stampService.resolveText(expression, context || {}) : '';
+    return title || context?.record?.id || 'Untitled';
+  }
+
+  // Sarabun covers Thai titles; Helvetica is used when it cannot be downloaded
+  async embedFonts(pdfDoc, lib) {
+    try {
+      const { default: fontkit } = await import('@pdf-lib/fontkit');
+      pdfDoc.registerFontkit(fontkit);
+      const [regular, bold] = await Promise.all(['normal', 'bold'].map(style => vectorPdfService.loadFont(style)));
+      return {
+        regular: await pdfDoc.embedFont(regular, { subset: true }),
+        bold: await pdfDoc.embedFont(bold, { subset: true })
+      };
+    } catch (error) {
+      debugService.log('warn', 'pdf', 'Combined PDF font unavailable, using Helvetica', { error: error.message });
+      return {
+        regular: await pdfDoc.embedFont(lib.StandardFonts.Helvetica),
+        bold: await pdfDoc.embedFont(lib.StandardFonts.HelveticaBold)
+      };
+    }
+  }
+
+  // Replace characters the font cannot encode (Thai with the Helvetica fallback)
+  drawableText(text, font) {
+    try {
+      font.encodeText(text);
+      return text;
+    } catch (error) {
+      return text.replace(/[^\x20-\x7E]/g, '?');
+    }
+  }
+
+  // Shorten a line with an ellipsis to fit the given width
+  fitText(text, font, size, maxWidth) {
+    let fitted = this.drawableText(text, font);
+    if (font.widthOfTextAtSize(fitted, size) <= maxWidth) return fitted;
+
+    while (fitted.length > 1 && font.widthOfTextAtSize(`${fitted}...`, size) > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}...`;
+  }
+
+  drawCover(page, settings, documentCount, fonts, { rgb }) {
+    const { width, height } = page.getSize();
+    const maxWidth = width - this.margin * 2;
+    const title = this.fitText(settings.coverTitle || this.defaultOptions.coverTitle, fonts.bold, 28, maxWidth);
+    const subtitle = this.drawableText(
+      `${documentCount} ${documentCount === 1 ? 'document' : 'documents'} · ${new Date().toLocaleDateString()}`,
+      fonts.regular
+    );
+
+    page.drawText(title, {
+      x: (width - fonts.bold.widthOfTextAtSize(title, 28)) / 2,
+      y: height * 0.6,
+      size: 28,
+      font: fonts.bold,
+      color: rgb(0.07, 0.09, 0.15)
+    });
+    page.drawText(subtitle, {
+      x: (width - fonts.regular.widthOfTextAtSize(subtitle, 12)) / 2,
+      y: height * 0.6 - 32,
+      size: 12,
+      font: fonts.regular,
+      color: rgb(0.42, 0.45, 0.5)
+    });
+  }
+
+  // Contents lines with page numbers; each line links to its document
+  drawTableOfContents(pdfDoc, { page, items, first }, fonts, { rgb, PDFName }) {
+    const { width, height } = page.getSize();
+    const size = this.tocFontSize;
+    let y = height - this.margin;
+
+    if (first) {
+      page.drawText('Contents', { x: this.margin, y: y - 18, size: 18, font: fonts.bold, color: rgb(0.07, 0.09, 0.15) });
+    }
+    y -= 40;
+
+    const links = [];
+    items.forEach(item => {
+      const pageNumber = String(item.startIndex + 1);
+      const numberWidth = fonts.regular.widthOfTextAtSize(pageNumber, size);
+      const title = this.fitText(item.title, fonts.regular, size, width - this.margin * 2 - numberWidth - 16);
+
+      page.drawText(title, { x: this.margin, y, size, font: fonts.regular, color: rgb(0.07, 0.09, 0.15) });
+      page.drawText(pageNumber, { x: width - this.margin - numberWidth, y, size, font: fonts.regular, color: rgb(0.42, 0.45, 0.5) });
+
+      links.push(pdfDoc.context.register(pdfDoc.context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [this.margin, y - 4, width - this.margin, y + size],
+        Border: [0, 0, 0],
+        Dest: [pdfDoc.getPage(item.startIndex).ref, PDFName.of('Fit')]
+      })));
+      y -= this.tocLineHeight;
+    });
+
+    page.node.set(PDFName.of('Annots'), pdfDoc.context.obj(links));
+  }
+
+  // Document outline (bookmarks) with one flat entry per record
+  addOutline(pdfDoc, sources, { PDFName, PDFHexString }) {
+    const context = pdfDoc.context;
+    const outlineRef = context.nextRef();
+    const itemRefs = sources.map(() => context.nextRef());
+
+    sources.forEach((item, index) => {
+      const entry = {
+        Title: PDFHexString.fromText(item.title),
+        Parent: outlineRef,
+        Dest: [pdfDoc.getPage(item.startIndex).ref, PDFName.of('Fit')]
+      };
+      if (index > 0) entry.Prev = itemRefs[index - 1];
+      if (index < itemRefs.length - 1) entry.Next = itemRefs[index + 1];
+      context.assign(itemRefs[index], context.obj(entry));
+    });
+
+    context.assign(outlineRef, context.obj({
+      Type: 'Outlines',
+      First: itemRefs[0],
+      Last: itemRefs[itemRefs.length - 1],
+      Count: itemRefs.length
+    }));
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+  }
+}
+
+export const combinedPdfService = new CombinedPdfService();
@@ -1,5 +1,15 @@
 import { debugService } from './debugService';
 import { templateService } from './templateService';
+import { templateEngineService } from './templateEngineService';
+import { fieldValueFormatterService } from './fieldValueFormatterService';
+import { vectorPdfService } from './vectorPdfService';
+import { paginationService } from './paginationService';
+import { headerFooterService } from './headerFooterService';
+import { pageSetupService } from './pageSetupService';
+import { stampService } from './stampService';
+import { lineItemService } from './lineItemService';
+import { imageService } from './imageService';
+import { imageEmbedService } from './imageEmbedService';
 
 export class DirectLinkPdfService {
   constructor() {
@@ -26,7 +36,7 @@ export class DirectLinkPdfService {
         method: 'direct-link'
       });
 
-      const { record, fieldMappings, lineItemConfig, googleDocUrl, imageConfig } = options;
+      const { record, fieldMappings, lineItemConfig, googleDocUrl, imageConfig, fieldTypes } = options;
 
       // Step 1: Extract document ID and create export URLs
       const docId = this.extractDocumentId(googleDocUrl);
@@ -41,16 +51,24 @@ export class DirectLinkPdfService {
       // Step 3: Process and populate the document with data
       debugService.log('info', 'pdf', 'Processing document content and replacing placeholders');
       const processedContent = await this.processDocumentContent(
-        documentData,
+        { ...documentData, content: headerFooterService.attachRegions(documentData.content, options.headerFooterConfig) },
         record,
         fieldMappings,
         lineItemConfig,
-        imageConfig
+        imageConfig,
+        fieldTypes
       );
 
       // Step 4: Generate PDF from processed content
       debugService.log('info', 'pdf', 'Converting processed content to PDF');
-      const pdfBlob = await this.convertToPDF(processedContent, options);
+      const renderedBlob = await this.convertToPDF(processedContent, options);
+
+      // Step 5: Add watermarks and status stamps
+      const pdfBlob = await stampService.applyStamps(renderedBlob, options.stampConfig, {
+        record,
+        fieldMappings,
+        lineItemConfig
+      });
 
       // Calculate metrics
       const generationTime = Date.now() - startTime;
@@ -207,7 +225,7 @@ export class DirectLinkPdfService {
     };
   }
 
-  async processDocumentContent(documentData, record, fieldMappings, lineItemConfig, imageConfig) {
+  async processDocumentContent(documentData, record, fieldMappings, lineItemConfig, imageConfig, fieldTypes = []) {
     debugService.log('debug', 'pdf', 'Processing document content', {
       contentLength: documentData.content.length,
       mappingsCount: Object.keys(fieldMappings).length
@@ -220,12 +238,29 @@ export class DirectLinkPdfService {
       processedContent = this.cleanGoogleDocsHTML(processedContent);
     }
 
+    // Resolve conditional and repeating sections before any placeholder is replaced
+    const usesRepeatingBlocks = templateEngineService.hasRepeatingBlocks(processedContent);
+    processedContent = templateEngineService.render(processedContent, { record, fieldMappings, lineItemConfig });
+
+    // Images go in first, before their placeholders are replaced as text
+    processedContent = await this.processImages(
+      processedContent,
+      record,
+      fieldMappings,
+      imageConfig,
+      fieldTypes
+    );
+
     // Replace field mappings
     Object.entries(fieldMappings).forEach(([placeholder, airtableField]) => {
       const fieldValue = record.fields[airtableField];
+      const fieldType = fieldValueFormatterService.findField(fieldTypes, airtableField);
       let displayValue = '';
 
-      if (fieldValue !== undefined && fieldValue !== null) {
+      if (fieldType) {
+        // Render as Airtable displays it when the field metadata is known
+        displayValue = fieldValueFormatterService.formatValue(fieldValue, fieldType);
+      } else if (fieldValue !== undefined && fieldValue !== null) {
         if (Array.isArray(fieldValue)) {
           displayValue = fieldValue.map(item => {
             if (typeof item === 'object' && item.filename) {
@@ -256,18 +291,11 @@ export class DirectLinkPdfService {
       processedContent = await this.processLineItems(
         processedContent,
         record,
-        lineItemConfig
+        lineItemConfig,
+        { appendWhenMissing: !usesRepeatingBlocks }
       );
     }
 
-    // Process images if any
-    processedContent = await this.processImages(
-      processedContent,
-      record,
-      fieldMappings,
-      imageConfig
-    );
-
     debugService.log('debug', 'pdf', 'Document content processing completed');
     return processedContent;
   }
@@ -301,16 +329,18 @@ export class DirectLinkPdfService {
     return cleaned;
   }
 
-  async processLineItems(content, record, lineItemConfig) {
+  // Templates that lay out their own rows with {{#each}} only get the generic
+  // table where they explicitly ask for it with {{line_items}}
+  async processLineItems(content, record, lineItemConfig, { appendWhenMissing = true } = {}) {
     debugService.log('debug', 'pdf', 'Processing line items', {
       tableName: lineItemConfig.tableName,
       fieldsCount: lineItemConfig.fields.length
     });
 
     try {
-      const lineItems = record.fields[lineItemConfig.tableName] || [];
-      
-      if (!Array.isArray(lineItems) || lineItems.length === 0) {
+      const { columns, rows, itemCount } = lineItemService.buildRows(record, lineItemConfig);
+
+      if (itemCount === 0) {
         debugService.log('warn', 'pdf', 'No line items found');
         return content.replace(/\{\{\s*line_items\s*\}\}/gi, 'No items available');
       }
@@ -323,10 +353,10 @@ export class DirectLinkPdfService {
       `;
 
       // Add header row
-      lineItemConfig.fields.forEach(field => {
+      columns.forEach(column => {
         tableHTML += `
           <th style="padding: 12px 8px; text-align: left; font-weight: 600; border: 1px solid #dee2e6;">
-            ${field.template.replace(/[{}]/g, '')}
+            ${this.escapeHtml(column)}
           </th>
         `;
       });
@@ -337,17 +367,33 @@ export class DirectLinkPdfService {
           <tbody>
       `;
 
-      // Add data rows
-      lineItems.forEach((item, index) => {
+      // Add data rows, with group headings and subtotals; striping restarts in each group
+      let stripe = 0;
+      rows.forEach(row => {
+        if (row.type === 'group') {
+          stripe = 0;
+          tableHTML += `
+            <tr style="background-color: #eef1f4;">
+              <td colspan="${columns.length}" style="padding: 10px 8px; font-weight: 600; border: 1px solid #dee2e6;">
+                ${this.escapeHtml(row.label)}
+              </td>
+            </tr>
+          `;
+          return;
+        }
+
+        const isItem = row.type === 'item';
+        const rowStyle = isItem
+          ? (stripe++ % 2 === 1 ? 'background-color: #f8f9fa;' : '')
+          : `font-weight: 600;${row.type === 'total' ? ' border-top: 2px solid #dee2e6;' : ''}`;
         tableHTML += `
-          <tr style="border-bottom: 1px solid #dee2e6; ${index % 2 === 1 ? 'background-color: #f8f9fa;' : ''}">
+          <tr style="border-bottom: 1px solid #dee2e6; ${rowStyle}">
         `;
         
-        lineItemConfig.fields.forEach(field => {
-          const value = item[field.airtable] || '';
+        row.cells.forEach(cell => {
           tableHTML += `
             <td style="padding: 10px 8px; border: 1px solid #dee2e6; vertical-align: top;">
-              ${this.escapeHtml(String(value))}
+              ${this.escapeHtml(cell)}
             </td>
           `;
         });
@@ -364,7 +410,7 @@ export class DirectLinkPdfService {
       const lineItemPlaceholder = /\{\{\s*line_items\s*\}\}/gi;
       if (lineItemPlaceholder.test(content)) {
         content = content.replace(lineItemPlaceholder, tableHTML);
-      } else {
+      } else if (appendWhenMissing) {
         // Insert before closing body tag or at the end
         if (content.includes('</body>')) {
           content = content.replace('</body>', tableHTML + '</body>');
@@ -374,7 +420,7 @@ export class DirectLinkPdfService {
       }
 
       debugService.log('debug', 'pdf', 'Line items processed successfully', {
-        itemsCount: lineItems.length
+        itemsCount: itemCount
       });
 
     } catch (error) {
@@ -386,42 +432,15 @@ export class DirectLinkPdfService {
     return content;
   }
 
-  async processImages(content, record, fieldMappings, imageConfig) {
+  async processImages(content, record, fieldMappings, imageConfig = {}, fieldTypes = []) {
     debugService.log('debug', 'pdf', 'Processing images', {
       imageWidth: imageConfig.width,
-      imageHeight: imageConfig.height
+      imageHeight: imageConfig.height,
+      customizedPlaceholders: Object.keys(imageConfig.placeholders || {}).length
     });
 
     try {
-      // Find image placeholders in field mappings
-      const imagePlaceholders = Object.entries(fieldMappings).filter(([placeholder, airtableField]) => {
-        const fieldValue = record.fields[airtableField];
-        return Array.isArray(fieldValue) && fieldValue.length > 0 && 
-               fieldValue[0].type?.startsWith('image/');
-      });
-
-      for (const [placeholder, airtableField] of imagePlaceholders) {
-        const attachments = record.fields[airtableField];
-        if (attachments && attachments.length > 0) {
-          const imageUrl = attachments[0].url;
-          const imageHTML = `
-            <img src="${imageUrl}" 
-                 style="max-width: ${imageConfig.width}px; 
-                        height: ${imageConfig.height === 'auto' ? 'auto' : imageConfig.height + 'px'}; 
-                        margin: 10px 0; 
-                        display: block;" 
-                 alt="Image" />
-          `;
-
-          const placeholderRegex = new RegExp(`\\{\\{\\s*${this.escapeRegExp(placeholder)}\\s*\\}\\}`, 'gi');
-          content = content.replace(placeholderRegex, imageHTML);
-
-          debugService.log('debug', 'pdf', 'Processed image placeholder', {
-            placeholder,
-            imageUrl: imageUrl.substring(0, 50) + '...'
-          });
-        }
-      }
+      content = imageService.replacePlaceholders(content, record, fieldMappings, imageConfig, fieldTypes);
     } catch (error) {
       debugService.log('error', 'pdf', 'Failed to process images', {
         error: error.message
@@ -431,17 +450,44 @@ export class DirectLinkPdfService {
     return content;
   }
 
+  // Images go in as data URIs at the output resolution; the ones that could not
+  // be fetched are added to options.imageReport for the generation result
+  async embedImages(htmlContent, options) {
+    const page = pageSetupService.resolve(options.pageSetup);
+    const rasterPage = pageSetupService.toRasterPage(page);
+    const { html, failed } = await imageEmbedService.embedImages(htmlContent, {
+      scale: page.scale,
+      maxWidth: rasterPage.width - rasterPage.margins.left - rasterPage.margins.right
+    });
+    options.imageReport?.failed.push(...failed);
+    return html;
+  }
+
   async convertToPDF(htmlContent, options) {
     debugService.log('debug', 'pdf', 'Converting HTML content to PDF');
 
+    const pageContent = paginationService.insertPageBreaks(await this.embedImages(htmlContent, options));
+
+    if (options.outputConfig?.renderMode === 'vector') {
+      return vectorPdfService.renderHTML(pageContent, options);
+    }
+
     try {
+      // Running headers/footers are drawn separately on every page
+      const regions = headerFooterService.extractRegions(pageContent);
+
       // Add comprehensive styling for better PDF rendering
-      const styledHTML = this.addPDFStyling(htmlContent, options);
+      const styledHTML = this.addPDFStyling(regions.content, options);
 
       // Use html2canvas and jsPDF for conversion
       const { default: html2canvas } = await import('html2canvas');
       const { default: jsPDF } = await import('jspdf');
 
+      // Page setup for the template; the container spans the page width with
+      // the side margins as padding
+      const page = pageSetupService.resolve(options.pageSetup);
+      const rasterPage = pageSetupService.toRasterPage(page);
+
       // Create temporary container
       const tempDiv = document.createElement('div');
       tempDiv.innerHTML = styledHTML;
@@ -449,61 +495,46 @@ export class DirectLinkPdfService {
         position: absolute;
         left: -9999px;
         top: 0;
-        width: 794px;
+        width: ${rasterPage.width}px;
         background-color: white;
         font-family: 'Sarabun', 'Noto Sans Thai', Arial, sans-serif;
         line-height: 1.4;
         color: #333;
-        padding: 20px;
+        padding: 0 ${rasterPage.margins.right}px 0 ${rasterPage.margins.left}px;
         box-sizing: border-box;
       `;
 
       document.body.appendChild(tempDiv);
+      const mountedRegions = headerFooterService.mountRasterRegions(regions, tempDiv);
 
       try {
-        // Convert HTML to canvas with high quality
+        // Convert HTML to canvas at the configured resolution
         const canvas = await html2canvas(tempDiv, {
-          scale: 2, // High DPI for better quality
+          scale: page.scale,
           useCORS: true,
           allowTaint: true,
           backgroundColor: '#ffffff',
-          width: 794,  // A4 width in pixels at 96 DPI
-          height: Math.max(1123, tempDiv.scrollHeight), // A4 height minimum
+          width: rasterPage.width,
+          height: Math.max(rasterPage.height, tempDiv.scrollHeight), // One page minimum
           scrollX: 0,
           scrollY: 0,
-          windowWidth: 794,
-          windowHeight: Math.max(1123, tempDiv.scrollHeight)
+          windowWidth: rasterPage.width,
+          windowHeight: Math.max(rasterPage.height, tempDiv.scrollHeight)
         });
 
-        // Create PDF with proper dimensions
-        const pdf = new jsPDF({
-          orientation: 'portrait',
-          unit: 'mm',
-          format: 'a4',
-          compress: true
-        });
+        // Create PDF with the configured size and orientation
+        const pdf = new jsPDF(pageSetupService.toJsPdfOptions(page));
 
-        const imgData = canvas.toDataURL('image/png', 1.0);
-        const imgWidth = 210; // A4 width in mm
-        const pageHeight = 295; // A4 height in mm
-        const imgHeight = (canvas.height * imgWidth) / canvas.width;
-        let heightLeft = imgHeight;
-        let position = 0;
-
-        // Add first page
-        pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight, undefined, 'FAST');
-        heightLeft -= pageHeight;
-
-        // Add additional pages if needed
-        while (heightLeft >= 0) {
-          position = heightLeft - imgHeight;
-          pdf.addPage();
-          pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight, undefined, 'FAST');
-          heightLeft -= pageHeight;
-        }
+        // Split the capture into pages between lines and table rows
+        const geometry = paginationService.addCanvasPages(pdf, canvas, tempDiv, {
+          top: headerFooterService.reservedHeight(mountedRegions, 'header'),
+          bottom: headerFooterService.reservedHeight(mountedRegions, 'footer')
+        }, rasterPage.margins);
+        await headerFooterService.drawRasterRegions(pdf, mountedRegions, geometry);
 
-        // Remove temporary div
+        // Remove temporary elements
         document.body.removeChild(tempDiv);
+        headerFooterService.unmountRasterRegions(mountedRegions);
 
         // Convert to blob
         const pdfOutput = pdf.output('arraybuffer');
@@ -522,6 +553,7 @@ export class DirectLinkPdfService {
         if (document.body.contains(tempDiv)) {
           document.body.removeChild(tempDiv);
         }
+        headerFooterService.unmountRasterRegions(mountedRegions);
         throw renderError;
       }
 
@@ -534,6 +566,8 @@ export class DirectLinkPdfService {
   }
 
   addPDFStyling(htmlContent, options) {
+    // The body is as wide as the template's page
+    const rasterPage = pageSetupService.toRasterPage(pageSetupService.resolve(options?.pageSetup));
     const additionalCSS = `
       <style>
         @import url('https://fonts.googleapis.com/css2?family=Sarabun:wght@300;400;500;600;700&family=Noto+Sans+Thai:wght@300;400;500;600;700&display=swap');
@@ -550,7 +584,7 @@ export class DirectLinkPdfService {
           color: #333;
           font-size: 12px;
           background: white;
-          max-width: 794px;
+          max-width: ${rasterPage.width}px;
           margin: 0 auto;
           padding: 20px;
         }
@@ -1,4 +1,5 @@
 import { debugService } from './debugService';
+import { valueFormatterService } from './valueFormatterService';
 
 export class DynamicFilenameService {
   constructor() {
@@ -96,9 +97,16 @@ export class DynamicFilenameService {
 
     let processedFilename = filename;
 
+    // Date placeholders hand the current time to filters, e.g. {{date | date:"yyyyMMdd"}}
+    const systemFilterValues = { timestamp: now, date: now, time: now };
+
     Object.entries(systemPlaceholders).forEach(([placeholder, value]) => {
-      const regex = new RegExp(`\\{\\{\\s*${placeholder}\\s*\\}\\}`, 'gi');
-      processedFilename = processedFilename.replace(regex, value);
+      const regex = new RegExp(`\\{\\{\\s*${placeholder}\\s*(\\|[^}]*)?\\}\\}`, 'gi');
+      processedFilename = processedFilename.replace(regex, (match, filterChain) => {
+        if (!filterChain) return value;
+        const rawValue = systemFilterValues[placeholder] || value;
+        return this.sanitizeValue(valueFormatterService.formatExpression(`${placeholder} ${filterChain}`, () => rawValue));
+      });
     });
 
     return processedFilename;
@@ -122,15 +130,15 @@ export class DynamicFilenameService {
     let match;
 
     while ((match = placeholderRegex.exec(filename)) !== null) {
-      const placeholder = match[0]; // Full placeholder: {{field_name}}
-      const fieldName = match[1].trim(); // Just the field name
+      const placeholder = match[0]; // Full placeholder: {{field_name | filter}}
+      const { name: fieldName, filters } = valueFormatterService.parseExpression(match[1]);
 
       // Look for the field in the record
-      let fieldValue = '';
+      let rawValue;
 
       // Try exact match first
       if (record.fields.hasOwnProperty(fieldName)) {
-        fieldValue = this.processFieldValue(record.fields[fieldName]);
+        rawValue = record.fields[fieldName];
       } 
       // Try case-insensitive search
       else {
@@ -140,10 +148,15 @@ export class DynamicFilenameService {
         );
         
         if (matchingKey) {
-          fieldValue = this.processFieldValue(record.fields[matchingKey]);
+          rawValue = record.fields[matchingKey];
         }
       }
 
+      // Filters format the raw value; unfiltered values keep the filename-specific handling
+      const fieldValue = filters.length > 0
+        ? this.sanitizeValue(valueFormatterService.toText(valueFormatterService.applyFilters(rawValue, filters)))
+        : this.processFieldValue(rawValue);
+
       // Replace the placeholder with the field value
       processedFilename = processedFilename.replace(placeholder, fieldValue || 'unknown');
     }
@@ -238,6 +251,27 @@ export class DynamicFilenameService {
     return `${baseName}-${timestamp}${extension}`;
   }
 
+  /**
+   * Make a filename unique within a set of names already used, e.g. for a
+   * batch of documents whose filename template gives the same name twice
+   * @param {string} filename - Generated filename
+   * @param {Set} usedNames - Names already taken; the returned name is added
+   * @returns {string} - The filename, or the filename with a -2, -3... suffix
+   */
+  makeUnique(filename, usedNames) {
+    let candidate = filename;
+    const lastDotIndex = filename.lastIndexOf('.');
+    const baseName = lastDotIndex > 0 ? filename.substring(0, lastDotIndex) : filename;
+    const extension = lastDotIndex > 0 ? filename.substring(lastDotIndex) : '';
+
+    for (let counter = 2; usedNames.has(candidate.toLowerCase()); counter++) {
+      candidate = `${baseName}-${counter}${extension}`;
+    }
+
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+
   /**
    * Sanitize complete filename
    * @param {string} filename - Raw filename
@@ -1,11 +1,16 @@
 import { debugService } from './debugService';
+import { airtableRequestScheduler } from './airtableRequestScheduler';
+import { airtableCacheService } from './airtableCacheService';
 
 // Enhanced Airtable service with linked records detection
 export class EnhancedAirtableService {
   constructor() {
-    this.retryCount = 3;
-    this.retryDelay = 1000;
-    this.baseUrl = 'https://api.airtable.com/v0';
+    // Overridable to run against a local mock server (npm run mock:airtable)
+    this.baseUrl = import.meta.env.VITE_AIRTABLE_API_URL || 'https://api.airtable.com/v0';
+    // Airtable returns at most 100 records per request
+    this.pageSize = 100;
+    // Record ids per RECORD_ID() formula, keeping the URL well under Airtable's 16k limit
+    this.recordIdChunkSize = 50;
   }
 
   async testAirtableConnection(config, options = {}) {
@@ -44,10 +49,10 @@ export class EnhancedAirtableService {
         throw new Error('Invalid base ID format. Expected: app[14chars]');
       }
 
-      // Attempt connection with retry logic
-      const result = await this.withRetry(async () => {
-        return await this.performConnectionTest(config, timeout);
-      });
+      // Transient failures are retried by the request scheduler
+      const result = airtableCacheService.isOffline()
+        ? await this.offlineConnectionTest(config)
+        : await this.performConnectionTest(config, timeout);
 
       debugService.log('info', 'airtable', 'Connection test successful', result);
       return result;
@@ -66,40 +71,18 @@ export class EnhancedAirtableService {
     }
   }
 
-  async getBaseTables(config) {
+  async getBaseTables(config, options = {}) {
     debugService.log('info', 'airtable', 'Fetching base tables', {
       baseId: config.baseId,
       hasApiKey: !!config.apiKey
     });
 
     try {
-      const response = await fetch(`${this.baseUrl}/meta/bases/${config.baseId}/tables`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${config.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Failed to fetch tables: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-      }
-
-      const data = await response.json();
-      const tables = data.tables.map(table => ({
-        id: table.id,
-        name: table.name,
-        description: table.description || '',
-        primaryFieldId: table.primaryFieldId,
-        fields: table.fields.map(field => ({
-          id: field.id,
-          name: field.name,
-          type: field.type,
-          description: field.description || '',
-          options: field.options || {}
-        }))
-      }));
+      const tables = await airtableCacheService.cached(config, 'schema', 'tables', async () => {
+        const fetched = await this.performTablesFetch(config);
+        await airtableCacheService.updateSchemaHash(config.baseId, fetched);
+        return fetched;
+      }, options);
 
       debugService.log('info', 'airtable', 'Tables fetched successfully', {
         tableCount: tables.length,
@@ -116,24 +99,59 @@ export class EnhancedAirtableService {
     }
   }
 
+  async performTablesFetch(config) {
+    const response = await airtableRequestScheduler.request(config, `${this.baseUrl}/meta/bases/${config.baseId}/tables`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch tables: ${response.status} ${response.statusText} - ${response.data.error?.message || 'Unknown error'}`);
+    }
+
+    return response.data.tables.map(table => ({
+      id: table.id,
+      name: table.name,
+      description: table.description || '',
+      primaryFieldId: table.primaryFieldId,
+      views: (table.views || []).map(view => ({
+        id: view.id,
+        name: view.name,
+        type: view.type
+      })),
+      fields: table.fields.map(field => ({
+        id: field.id,
+        name: field.name,
+        type: field.type,
+        description: field.description || '',
+        options: field.options || {}
+      }))
+    }));
+  }
+
+  /**
+   * Fetch records, following Airtable's offset pagination
+   * @param {Object} config - { apiKey, baseId, tableName }
+   * @param {Object} options - { maxRecords (default: all records), view, filterByFormula,
+   *   sort: [{ field, direction: 'asc'|'desc' }], fields: [names], cache: see cacheOptions }
+   * @returns {Promise<Array>} - Records
+   */
   async fetchAirtableRecords(config, options = {}) {
-    const { maxRecords = 100, view = null, fields = null } = options;
+    const { maxRecords = null, view = null, fields = null, filterByFormula = null, sort = null } = options;
 
     debugService.log('info', 'airtable', 'Starting record fetch', {
       baseId: config.baseId,
       tableName: config.tableName,
       maxRecords,
       view,
-      fields
+      fields,
+      filterByFormula,
+      sort
     });
 
     try {
-      // Validate connection first
-      await this.testAirtableConnection(config);
-
-      const records = await this.withRetry(async () => {
-        return await this.performRecordFetch(config, options);
-      });
+      const records = await airtableCacheService.cached(config, 'records', this.getCacheKey(config, options), async () => {
+        // Validate connection first
+        await this.testAirtableConnection(config);
+        return this.performRecordFetch(config, options);
+      }, this.cacheOptions(options));
 
       debugService.log('info', 'airtable', 'Records fetched successfully', {
         recordCount: records.length,
@@ -154,11 +172,64 @@ export class EnhancedAirtableService {
     }
   }
 
-  async getFieldTypes(config) {
+  /**
+   * Fetch one page of records, for pickers that load more on demand
+   * @param {Object} config - { apiKey, baseId, tableName }
+   * @param {Object} options - As fetchAirtableRecords, plus pageSize and the
+   *   offset returned by the previous page
+   * @returns {Promise<Object>} - { records, offset } with offset null on the last page
+   */
+  async fetchRecordPage(config, options = {}) {
+    debugService.log('debug', 'airtable', 'Fetching record page', {
+      tableName: config.tableName,
+      view: options.view,
+      filterByFormula: options.filterByFormula,
+      hasOffset: !!options.offset
+    });
+
+    try {
+      // Pages are always fetched live: an offset from a cached page may have
+      // expired by the time the next page is requested. They are still stored
+      // for offline mode.
+      return await airtableCacheService.cached(
+        config,
+        'records',
+        this.getCacheKey(config, options),
+        () => this.performPageFetch(config, options),
+        { refresh: true }
+      );
+    } catch (error) {
+      debugService.log('error', 'airtable', 'Record page fetch failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  async getTableViews(config) {
+    const tables = await this.getBaseTables(config);
+    const table = tables.find(t => t.name === config.tableName);
+    return table ? table.views : [];
+  }
+
+  /**
+   * Case-insensitive "contains" formula over one or more fields
+   * @param {string} search - Text to look for
+   * @param {Array} fieldNames - Fields to search
+   * @returns {string|null} - filterByFormula, or null for an empty search
+   */
+  buildSearchFormula(search, fieldNames) {
+    const text = (search || '').trim();
+    if (!text || !fieldNames || fieldNames.length === 0) return null;
+
+    const literal = `"${text.toLowerCase().replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const conditions = fieldNames.map(name => `SEARCH(${literal}, LOWER({${name}} & ""))`);
+    return conditions.length === 1 ? conditions[0] : `OR(${conditions.join(', ')})`;
+  }
+
+  async getFieldTypes(config, options = {}) {
     debugService.log('info', 'airtable', 'Fetching field types with linked record detection', config);
 
     try {
-      const tables = await this.getBaseTables(config);
+      const tables = await this.getBaseTables(config, options);
       const table = tables.find(t => t.name === config.tableName);
 
       if (!table) {
@@ -171,6 +242,7 @@ export class EnhancedAirtableService {
         type: field.type,
         description: field.description,
         options: field.options,
+        isPrimary: field.id === table.primaryFieldId,
         // Enhanced linked record detection
         isLinkedRecord: field.type === 'multipleRecordLinks',
         linkedTableId: field.options?.linkedTableId,
@@ -216,7 +288,12 @@ export class EnhancedAirtableService {
         type: field.type,
         description: field.description,
         tableName: linkedTable.name,
-        tableId: linkedTableId
+        tableId: linkedTableId,
+        isLinkedRecord: field.type === 'multipleRecordLinks',
+        linkedTableId: field.options?.linkedTableId,
+        linkedTableName: field.options?.linkedTableId
+          ? tables.find(t => t.id === field.options.linkedTableId)?.name
+          : null
       }));
 
       debugService.log('info', 'airtable', 'Linked record fields fetched', {
@@ -245,7 +322,7 @@ export class EnhancedAirtableService {
 
     try {
       // First get the main record to find linked record IDs
-      const mainRecord = await this.fetchSingleRecord(config, recordId);
+      const mainRecord = await this.fetchSingleRecord(config, recordId, { cache: true });
       const linkedRecordIds = mainRecord.fields[linkedFieldName] || [];
 
       if (!Array.isArray(linkedRecordIds) || linkedRecordIds.length === 0) {
@@ -271,14 +348,7 @@ export class EnhancedAirtableService {
         tableName: linkedTableName
       };
 
-      const allLinkedRecords = await this.fetchAirtableRecords(linkedConfig, {
-        maxRecords: 200 // Increase limit for linked records
-      });
-
-      // Filter to only the linked records
-      const linkedRecords = allLinkedRecords.filter(record => 
-        linkedRecordIds.includes(record.id)
-      );
+      const linkedRecords = await this.fetchRecordsByIds(linkedConfig, linkedRecordIds, { cache: true });
 
       debugService.log('info', 'airtable', 'Linked records fetched successfully', {
         linkedTableName,
@@ -297,6 +367,39 @@ export class EnhancedAirtableService {
     }
   }
 
+  /**
+   * Fetch specific records with RECORD_ID() formulas, a few requests per
+   * fifty ids instead of one request per record
+   * @param {Object} config - { apiKey, baseId, tableName }
+   * @param {Array} recordIds - Record ids
+   * @param {Object} options - fields and other fetch options, cache: see cacheOptions
+   * @returns {Promise<Array>} - Records in the order of recordIds; missing ids are skipped
+   */
+  async fetchRecordsByIds(config, recordIds, options = {}) {
+    const ids = [...new Set(recordIds)];
+    const byId = new Map();
+
+    for (let start = 0; start < ids.length; start += this.recordIdChunkSize) {
+      const chunk = ids.slice(start, start + this.recordIdChunkSize);
+      const conditions = chunk.map(id => `RECORD_ID() = '${id.replace(/'/g, '')}'`);
+      const chunkOptions = {
+        ...options,
+        maxRecords: null,
+        filterByFormula: conditions.length === 1 ? conditions[0] : `OR(${conditions.join(', ')})`
+      };
+      const records = await airtableCacheService.cached(
+        config,
+        'records',
+        this.getCacheKey(config, chunkOptions),
+        () => this.performRecordFetch(config, chunkOptions),
+        this.cacheOptions(options)
+      );
+      records.forEach(record => byId.set(record.id, record));
+    }
+
+    return recordIds.filter(id => byId.has(id)).map(id => byId.get(id));
+  }
+
   // NEW: Auto-detect line items from records
   async autoDetectLineItems(config, records) {
     debugService.log('info', 'airtable', 'Auto-detecting line items from records', {
@@ -448,26 +551,29 @@ export class EnhancedAirtableService {
     return 0.3;
   }
 
-  async fetchSingleRecord(config, recordId) {
+  /**
+   * Fetch one record
+   * @param {Object} config - { apiKey, baseId, tableName }
+   * @param {string} recordId - Record id
+   * @param {Object} options - { returnFieldsByFieldId: key fields by field id
+   *   instead of name, cache: see cacheOptions }
+   * @returns {Promise<Object>} - Record
+   */
+  async fetchSingleRecord(config, recordId, options = {}) {
+    const query = options.returnFieldsByFieldId ? '?returnFieldsByFieldId=true' : '';
     try {
-      const response = await fetch(
-        `${this.baseUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}/${recordId}`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${config.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      return await airtableCacheService.cached(config, 'records', `${config.tableName}/${recordId}${query}`, async () => {
+        const response = await airtableRequestScheduler.request(
+          config,
+          `${this.baseUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}/${recordId}${query}`
+        );
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Failed to fetch record: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-      }
+        if (!response.ok) {
+          throw new Error(`Failed to fetch record: ${response.status} ${response.statusText} - ${response.data.error?.message || 'Unknown error'}`);
+        }
 
-      const data = await response.json();
-      return data;
+        return response.data;
+      }, this.cacheOptions(options));
     } catch (error) {
       throw new Error(`Single record fetch failed: ${error.message}`);
     }
@@ -514,26 +620,25 @@ export class EnhancedAirtableService {
     return pattern.test(baseId);
   }
 
-  async withRetry(operation) {
-    let lastError;
-
-    for (let i = 0; i < this.retryCount; i++) {
-      try {
-        debugService.log('debug', 'airtable', `Attempt ${i + 1}/${this.retryCount}`);
-        return await operation();
-      } catch (error) {
-        lastError = error;
-        if (i < this.retryCount - 1) {
-          const delay = this.retryDelay * Math.pow(2, i); // Exponential backoff
-          debugService.log('warn', 'airtable', `Attempt ${i + 1} failed, retrying in ${delay}ms`, {
-            error: error.message
-          });
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
+  // Offline mode can only "connect" to a base whose schema is cached
+  async offlineConnectionTest(config) {
+    if (!(await airtableCacheService.has(config.baseId, 'schema'))) {
+      throw new Error('Offline mode: this base has not been cached yet. Turn off offline mode to connect to Airtable.');
     }
 
-    throw lastError;
+    return {
+      success: true,
+      offline: true,
+      baseInfo: {
+        id: config.baseId,
+        name: 'Cached Base',
+        permissionLevel: 'offline'
+      },
+      tableInfo: {
+        name: config.tableName,
+        recordCount: 0
+      }
+    };
   }
 
   async performConnectionTest(config, timeout) {
@@ -543,26 +648,19 @@ export class EnhancedAirtableService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-      const response = await fetch(
+      const response = await airtableRequestScheduler.request(
+        config,
         `${this.baseUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}?maxRecords=1`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${config.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          signal: controller.signal
-        }
+        { signal: controller.signal }
       );
 
       clearTimeout(timeoutId);
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Connection failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
+        throw new Error(`Connection failed: ${response.status} ${response.statusText} - ${response.data.error?.message || 'Unknown error'}`);
       }
 
-      const data = await response.json();
+      const data = response.data;
 
       return {
         success: true,
@@ -587,47 +685,102 @@ export class EnhancedAirtableService {
   async performRecordFetch(config, options) {
     debugService.log('debug', 'airtable', 'Performing actual record fetch');
 
-    try {
-      let url = `${this.baseUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}`;
-      const params = new URLSearchParams();
-
-      if (options.maxRecords) {
-        params.append('maxRecords', options.maxRecords.toString());
-      }
+    const maxRecords = options.maxRecords || null;
+    const records = [];
+    let offset = null;
+
+    do {
+      const remaining = maxRecords ? maxRecords - records.length : this.pageSize;
+      const page = await this.performPageFetch(config, {
+        ...options,
+        maxRecords,
+        pageSize: Math.min(this.pageSize, remaining),
+        offset
+      });
+      records.push(...page.records);
+      offset = page.offset;
 
-      if (options.view) {
-        params.append('view', options.view);
+      if (offset) {
+        debugService.log('debug', 'airtable', 'Fetching next page of records', { fetched: records.length });
       }
+    } while (offset && (!maxRecords || records.length < maxRecords));
 
-      if (options.fields && options.fields.length > 0) {
-        options.fields.forEach(field => {
-          params.append('fields[]', field);
-        });
-      }
+    return maxRecords ? records.slice(0, maxRecords) : records;
+  }
 
-      if (params.toString()) {
-        url += '?' + params.toString();
-      }
+  async performPageFetch(config, options) {
+    try {
+      const params = this.buildRecordQuery(options);
+      const query = params.toString();
+      const url = `${this.baseUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}${query ? `?${query}` : ''}`;
 
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${config.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await airtableRequestScheduler.request(config, url);
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Failed to fetch records: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
+        throw new Error(`Failed to fetch records: ${response.status} ${response.statusText} - ${response.data.error?.message || 'Unknown error'}`);
       }
 
-      const data = await response.json();
-      return data.records || [];
+      const data = response.data;
+      return { records: data.records || [], offset: data.offset || null };
     } catch (error) {
       throw new Error(`Record fetch failed: ${error.message}`);
     }
   }
+
+  // Cache entries are keyed by table and query string
+  // Record reads are live unless the caller passes cache: true, which only
+  // browsing in the wizard does; generated documents always get current
+  // values. Live results are still stored for offline mode.
+  cacheOptions(options) {
+    return { refresh: !options.cache };
+  }
+
+  getCacheKey(config, options) {
+    return `${config.tableName}?${this.buildRecordQuery(options).toString()}`;
+  }
+
+  buildRecordQuery(options) {
+    const params = new URLSearchParams();
+
+    if (options.maxRecords) {
+      params.append('maxRecords', options.maxRecords.toString());
+    }
+
+    if (options.pageSize) {
+      params.append('pageSize', options.pageSize.toString());
+    }
+
+    if (options.offset) {
+      params.append('offset', options.offset);
+    }
+
+    if (options.view) {
+      params.append('view', options.view);
+    }
+
+    if (options.filterByFormula) {
+      params.append('filterByFormula', options.filterByFormula);
+    }
+
+    if (options.sort && options.sort.length > 0) {
+      options.sort.filter(spec => spec.field).forEach((spec, index) => {
+        params.append(`sort[${index}][field]`, spec.field);
+        params.append(`sort[${index}][direction]`, spec.direction === 'desc' ? 'desc' : 'asc');
+      });
+    }
+
+    if (options.returnFieldsByFieldId) {
+      params.append('returnFieldsByFieldId', 'true');
+    }
+
+    if (options.fields && options.fields.length > 0) {
+      options.fields.forEach(field => {
+        params.append('fields[]', field);
+      });
+    }
+
+    return params;
+  }
 }
 
 export const enhancedAirtableService = new EnhancedAirtableService();
@@ -636,8 +789,9 @@ export const enhancedAirtableService = new EnhancedAirtableService();
 export const testAirtableConnection = (config, options) => 
   enhancedAirtableService.testAirtableConnection(config, options);
 
-export const fetchAirtableRecords = (config, maxRecords) => 
-  enhancedAirtableService.fetchAirtableRecords(config, { maxRecords });
+// The connection screens only need a sample of the table, cached or not
+export const fetchAirtableRecords = (config, maxRecords = 100) => 
+  enhancedAirtableService.fetchAirtableRecords(config, { maxRecords, cache: true });
 
 export const getFieldTypes = (config) => 
   enhancedAirtableService.getFieldTypes(config);
@@ -1,4 +1,5 @@
 import { debugService } from './debugService';
+import { templateEngineService } from './templateEngineService';
 
 // Enhanced Google Docs parsing service with improved placeholder detection
 export class EnhancedGoogleDocsService {
@@ -104,11 +105,17 @@ export class EnhancedGoogleDocsService {
         const rawPlaceholder = match[1];
         if (rawPlaceholder) {
           const cleanPlaceholder = this.cleanPlaceholder(rawPlaceholder);
-          if (cleanPlaceholder && this.isValidPlaceholder(cleanPlaceholder)) {
-            patternMatches.push(cleanPlaceholder);
-            allPlaceholders.add(cleanPlaceholder);
-            totalMatches++;
-          }
+          // Block tags ({{#if X}}, {{#each X}}, {{/if}}) and helpers ({{@index}})
+          // contribute only the fields they reference
+          const candidates = templateEngineService.describePlaceholder(cleanPlaceholder || '').fields;
+
+          candidates.forEach(candidate => {
+            if (candidate && this.isValidPlaceholder(candidate)) {
+              patternMatches.push(candidate);
+              allPlaceholders.add(candidate);
+              totalMatches++;
+            }
+          });
         }
       }
 
@@ -309,6 +316,7 @@ export class EnhancedGoogleDocsService {
       hasStyles: /(<style|class=|style=)/i.test(content),
       hasImages: /(<img|image)/i.test(content),
       hasLineItems: /\{\{\s*line_?items?\s*\}\}/i.test(content),
+      hasConditionals: /\{\{\s*#(if|unless)\b/i.test(content),
       estimatedSections: (content.match(/<div|<p|<h[1-6]/gi) || []).length,
       language: /[\u0E00-\u0E7F]/.test(content) ? 'th' : 'en',
       encoding: 'utf-8',
@@ -3,6 +3,15 @@ import { backendCopyService } from './backendCopyService';
 import { debugService } from './debugService';
 import { templateService } from './templateService';
 import { dynamicFilenameService } from './dynamicFilenameService';
+import { templateEngineService } from './templateEngineService';
+import { fieldValueFormatterService } from './fieldValueFormatterService';
+import { stampService } from './stampService';
+import { airtableWriteBackService } from './airtableWriteBackService';
+import { enhancedAirtableService } from './enhancedAirtableService';
+import { linkedRecordService } from './linkedRecordService';
+import { lineItemService } from './lineItemService';
+import { imageService } from './imageService';
+import { pageSetupService } from './pageSetupService';
 
 export class EnhancedPdfService {
   constructor() {
@@ -10,10 +19,13 @@ export class EnhancedPdfService {
     this.backendCopies = new Set();
   }
 
-  async generatePDF(options) {
+  async generatePDF(generationOptions) {
     const startTime = Date.now();
+    // Renderers that embed images add the ones they could not fetch here
+    const options = { ...(await this.prepareOptions(generationOptions)), imageReport: { failed: [] } };
     let generationData = {
       templateId: options.templateId,
+      triggerId: options.triggerId || null,
       recordId: options.record?.id,
       status: 'started',
       generationTime: 0,
@@ -57,6 +69,13 @@ export class EnhancedPdfService {
           throw new Error('No suitable access method available');
       }
 
+      // Watermarks and status stamps go on top of whatever the method rendered
+      pdfBlob = await stampService.applyStamps(pdfBlob, options.stampConfig, {
+        record: options.record,
+        fieldMappings: options.fieldMappings,
+        lineItemConfig: options.lineItemConfig
+      });
+
       // Calculate metrics
       const generationTime = Date.now() - startTime;
       const fileSize = pdfBlob.size;
@@ -78,10 +97,17 @@ export class EnhancedPdfService {
         accessMethod,
         generationTime,
         fileSize,
-        filename
+        filename,
+        failedImages: options.imageReport.failed.length
       });
 
-      return { blob: pdfBlob, filename };
+      // The record as rendered, with renamed fields, linked records and line
+      // items resolved, for anything else built from it (e.g. bookmark titles)
+      const result = { blob: pdfBlob, filename, failedImages: options.imageReport.failed, record: options.record };
+      if (options.writeBackConfig?.enabled) {
+        result.writeBack = await this.writeBack(options, pdfBlob, filename);
+      }
+      return result;
 
     } catch (error) {
       const generationTime = Date.now() - startTime;
@@ -104,11 +130,81 @@ export class EnhancedPdfService {
     }
   }
 
+  // Record data every renderer needs, read before any document is created
+  async prepareOptions(generationOptions) {
+    const options = await linkedRecordService.hydrate(await this.resolveFieldsById(generationOptions));
+    return lineItemService.hydrate(options);
+  }
+
+  /**
+   * Re-read the mapped fields of the record by field id, so fields renamed in
+   * Airtable still fill the placeholders mapped to their old names. Linked and
+   * line item records are named the same way when they are hydrated.
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - Options with record fields and field types
+   *   keyed by the template's field names
+   */
+  async resolveFieldsById(options) {
+    // A path into linked records starts with a field of this table
+    const entries = Object.entries(options.fieldSchema?.table || {})
+      .map(([name, entry]) => (entry.path ? entry.path[0] : { id: entry.id, name }))
+      .filter(entry => entry?.id);
+    if (entries.length === 0 || !options.record?.id || !options.airtableConfig?.apiKey) {
+      return options;
+    }
+
+    try {
+      // Records are read live (no cache option), so these values are as fresh
+      // as the record they replace
+      const byId = await enhancedAirtableService.fetchSingleRecord(options.airtableConfig, options.record.id, {
+        returnFieldsByFieldId: true
+      });
+      const fields = { ...options.record.fields };
+      const fieldTypes = [...(options.fieldTypes || [])];
+
+      entries.forEach(({ id, name }) => {
+        // Airtable leaves out empty fields
+        if (id in byId.fields) {
+          fields[name] = byId.fields[id];
+        } else {
+          delete fields[name];
+        }
+
+        const fieldType = fieldTypes.find(field => field.id === id);
+        if (fieldType && fieldType.name !== name) {
+          fieldTypes.push({ ...fieldType, name });
+        }
+      });
+
+      return { ...options, record: { ...options.record, fields }, fieldTypes };
+    } catch (error) {
+      debugService.log('warn', 'pdf', 'Could not read fields by id, using field names', {
+        recordId: options.record.id,
+        error: error.message
+      });
+      return options;
+    }
+  }
+
+  // A failed write-back is reported with the result; the PDF itself is fine
+  async writeBack(options, pdfBlob, filename) {
+    try {
+      await airtableWriteBackService.attachPdf(options.airtableConfig, options.record, pdfBlob, filename, options.writeBackConfig);
+      return { success: true, field: options.writeBackConfig.attachmentField };
+    } catch (error) {
+      debugService.log('error', 'airtable', 'Failed to write PDF back to Airtable', {
+        recordId: options.record?.id,
+        error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
   async generateViaGoogleApi(options) {
     try {
       debugService.log('info', 'pdf', 'Generating PDF via Google API method');
       
-      const { record, fieldMappings, lineItemConfig, googleDocUrl, filenameConfig, templateInfo } = options;
+      const { record, fieldMappings, lineItemConfig, googleDocUrl, filenameConfig, templateInfo, fieldTypes } = options;
 
       // Initialize and authenticate
       await googleDocsApiService.initialize();
@@ -125,11 +221,13 @@ export class EnhancedPdfService {
         tempDocId,
         fieldMappings,
         record,
-        lineItemConfig
+        lineItemConfig,
+        fieldTypes,
+        options.imageConfig
       );
 
       // Export to PDF
-      const pdfBlob = await googleDocsApiService.exportToPDF(tempDocId);
+      const pdfBlob = await googleDocsApiService.exportToPDF(tempDocId, options.pageSetup);
 
       // Generate dynamic filename
       const filename = dynamicFilenameService.generateFilename(
@@ -155,7 +253,7 @@ export class EnhancedPdfService {
     try {
       debugService.log('info', 'pdf', 'Generating PDF via backend copy method');
       
-      const { record, fieldMappings, lineItemConfig, googleDocUrl, filenameConfig, templateInfo } = options;
+      const { record, fieldMappings, lineItemConfig, googleDocUrl, filenameConfig, templateInfo, fieldTypes } = options;
 
       // Step 1: Create backend copy from public link
       debugService.log('info', 'pdf', 'Creating backend copy from public link');
@@ -168,12 +266,19 @@ export class EnhancedPdfService {
         copyResult.backendCopyId,
         fieldMappings,
         record,
-        lineItemConfig
+        lineItemConfig,
+        fieldTypes,
+        options.imageConfig
       );
 
       // Step 3: Generate PDF from populated copy
       debugService.log('info', 'pdf', 'Generating PDF from populated backend copy');
-      const pdfBlob = await this.exportBackendCopyToPdf(copyResult.backendCopyId);
+      const pdfBlob = await this.exportBackendCopyToPdf(copyResult.backendCopyId, {
+        outputConfig: options.outputConfig,
+        headerFooterConfig: options.headerFooterConfig,
+        pageSetup: options.pageSetup,
+        imageReport: options.imageReport
+      });
 
       // Generate dynamic filename
       const filename = dynamicFilenameService.generateFilename(
@@ -251,7 +356,7 @@ export class EnhancedPdfService {
     }
   }
 
-  async populateBackendCopy(backendCopyId, fieldMappings, record, lineItemConfig) {
+  async populateBackendCopy(backendCopyId, fieldMappings, record, lineItemConfig, fieldTypes = [], imageConfig = {}) {
     try {
       debugService.log('debug', 'pdf', 'Populating backend copy with Airtable data', {
         backendCopyId,
@@ -264,7 +369,9 @@ export class EnhancedPdfService {
           backendCopyId,
           fieldMappings,
           record,
-          lineItemConfig
+          lineItemConfig,
+          fieldTypes,
+          imageConfig
         );
       }
 
@@ -274,7 +381,9 @@ export class EnhancedPdfService {
           backendCopyId,
           fieldMappings,
           record,
-          lineItemConfig
+          lineItemConfig,
+          fieldTypes,
+          imageConfig
         );
       }
 
@@ -295,30 +404,29 @@ export class EnhancedPdfService {
     }
   }
 
-  async populateTemporaryDocument(tempDocId, fieldMappings, record, lineItemConfig) {
+  async populateTemporaryDocument(tempDocId, fieldMappings, record, lineItemConfig, fieldTypes = [], imageConfig = {}) {
     try {
       debugService.log('debug', 'pdf', 'Populating temporary document', { tempDocId });
 
       // Get the temporary document
       const tempDoc = backendCopyService.getTemporaryDocument(tempDocId);
-      let content = tempDoc.content;
+      let content = templateEngineService.render(tempDoc.content, { record, fieldMappings, lineItemConfig });
+
+      // Images go in first, before their placeholders are replaced as text
+      content = imageService.replacePlaceholders(content, record, fieldMappings, imageConfig || {}, fieldTypes);
 
       // Replace field mappings
       Object.entries(fieldMappings).forEach(([placeholder, airtableField]) => {
         const fieldValue = record.fields[airtableField];
+        const fieldType = fieldValueFormatterService.findField(fieldTypes, airtableField);
         let displayValue = '';
 
-        if (fieldValue !== undefined && fieldValue !== null) {
-          if (Array.isArray(fieldValue)) {
-            displayValue = fieldValue.map(item => {
-              if (typeof item === 'object' && item.filename) {
-                return item.filename;
-              }
-              return String(item);
-            }).join(', ');
-          } else {
-            displayValue = String(fieldValue);
-          }
+        if (fieldType) {
+          // Render as Airtable displays it when the field metadata is known
+          displayValue = fieldValueFormatterService.formatValue(fieldValue, fieldType);
+        } else {
+          // Hydrated linked records render by name, attachments by filename
+          displayValue = fieldValueFormatterService.toText(fieldValue);
         }
 
         const placeholderPattern = new RegExp(`\\{\\{\\s*${placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\}\\}`, 'gi');
@@ -354,9 +462,9 @@ export class EnhancedPdfService {
 
   async processLineItemsInContent(content, record, lineItemConfig) {
     try {
-      const lineItems = record.fields[lineItemConfig.tableName] || [];
-      
-      if (!Array.isArray(lineItems) || lineItems.length === 0) {
+      const { columns, rows, itemCount } = lineItemService.buildRows(record, lineItemConfig);
+
+      if (itemCount === 0) {
         return content.replace(/\{\{\s*line_items\s*\}\}/gi, 'No items available');
       }
 
@@ -365,17 +473,21 @@ export class EnhancedPdfService {
       
       // Header row
       tableHTML += '<tr style="background-color: #f5f5f5;">';
-      lineItemConfig.fields.forEach(field => {
-        tableHTML += `<th style="padding: 8px; text-align: left;">${field.template.replace(/[{}]/g, '')}</th>`;
+      columns.forEach(column => {
+        tableHTML += `<th style="padding: 8px; text-align: left;">${templateEngineService.escapeHtml(column)}</th>`;
       });
       tableHTML += '</tr>';
 
-      // Data rows
-      lineItems.forEach(item => {
+      // Data rows, with group headings and subtotals
+      rows.forEach(row => {
+        if (row.type === 'group') {
+          tableHTML += `<tr><td colspan="${columns.length}" style="padding: 8px; font-weight: bold;">${templateEngineService.escapeHtml(row.label)}</td></tr>`;
+          return;
+        }
+        const weight = row.type === 'item' ? '' : ' font-weight: bold;';
         tableHTML += '<tr>';
-        lineItemConfig.fields.forEach(field => {
-          const value = item[field.airtable] || '';
-          tableHTML += `<td style="padding: 8px;">${value}</td>`;
+        row.cells.forEach(cell => {
+          tableHTML += `<td style="padding: 8px;${weight}">${templateEngineService.escapeHtml(cell)}</td>`;
         });
         tableHTML += '</tr>';
       });
@@ -390,18 +502,18 @@ export class EnhancedPdfService {
     }
   }
 
-  async exportBackendCopyToPdf(backendCopyId) {
+  async exportBackendCopyToPdf(backendCopyId, renderOptions = {}) {
     try {
       debugService.log('debug', 'pdf', 'Exporting backend copy to PDF', { backendCopyId });
 
       if (backendCopyId.startsWith('temp_')) {
         // Export temporary document using HTML-to-PDF
-        return await this.exportTemporaryDocumentToPdf(backendCopyId);
+        return await this.exportTemporaryDocumentToPdf(backendCopyId, renderOptions);
       }
 
       // Export real Google document
       if (window.gapi && window.gapi.client) {
-        return await googleDocsApiService.exportToPDF(backendCopyId);
+        return await googleDocsApiService.exportToPDF(backendCopyId, renderOptions.pageSetup);
       }
 
       throw new Error('No suitable export method available');
@@ -415,7 +527,7 @@ export class EnhancedPdfService {
     }
   }
 
-  async exportTemporaryDocumentToPdf(tempDocId) {
+  async exportTemporaryDocumentToPdf(tempDocId, renderOptions = {}) {
     try {
       debugService.log('debug', 'pdf', 'Exporting temporary document to PDF', { tempDocId });
 
@@ -427,7 +539,7 @@ export class EnhancedPdfService {
 
       // Use HTML-to-PDF conversion
       const { generatePDF } = await import('./pdfService');
-      const htmlContent = this.prepareHtmlForPdf(tempDoc.content);
+      const htmlContent = this.prepareHtmlForPdf(tempDoc.content, renderOptions.pageSetup);
 
       // Create a mock options object for the fallback PDF service
       const mockOptions = {
@@ -435,7 +547,8 @@ export class EnhancedPdfService {
         record: { id: tempDocId },
         fieldMappings: {},
         lineItemConfig: { enabled: false },
-        imageConfig: { width: 200, height: 'auto' }
+        imageConfig: { width: 200, height: 'auto' },
+        ...renderOptions
       };
 
       return await generatePDF(mockOptions);
@@ -449,8 +562,9 @@ export class EnhancedPdfService {
     }
   }
 
-  prepareHtmlForPdf(content) {
-    // Add proper HTML structure and Thai font support
+  prepareHtmlForPdf(content, pageSetup) {
+    // Add proper HTML structure and Thai font support, as wide as the template's page
+    const rasterPage = pageSetupService.toRasterPage(pageSetupService.resolve(pageSetup));
     return `
       <!DOCTYPE html>
       <html>
@@ -461,7 +575,7 @@ export class EnhancedPdfService {
               font-family: 'Sarabun', 'Noto Sans Thai', Arial, sans-serif;
               line-height: 1.6;
               color: #333;
-              max-width: 210mm;
+              max-width: ${rasterPage.width}px;
               margin: 0 auto;
               padding: 20px;
               font-size: 12px;
@@ -564,6 +678,41 @@ export const generatePDF = async (options) => {
   return result;
 };
 
+// Generation options for one record from the current template configuration
+export const buildGenerationOptions = (state, record) => {
+  const filenameConfig = state.wizardData.advanced?.filenameConfig || {
+    template: 'Document-{{record_id}}',
+    useTimestamp: true,
+    extension: '.pdf'
+  };
+
+  const templateInfo = {
+    name: state.currentTemplate?.name || state.wizardData.connection?.name || 'Template',
+    id: state.currentTemplate?.id || 'unknown'
+  };
+
+  return {
+    record,
+    templateFields: state.wizardData.design.templateFields,
+    fieldMappings: state.wizardData.mapping.fieldMappings,
+    fieldSchema: state.wizardData.mapping.fieldSchema,
+    linkedRecordDepth: state.wizardData.mapping.linkedRecordDepth,
+    lineItemConfig: state.wizardData.advanced.lineItemConfig,
+    imageConfig: state.wizardData.advanced.imageConfig,
+    outputConfig: state.wizardData.advanced.outputConfig,
+    headerFooterConfig: state.wizardData.advanced.headerFooterConfig,
+    pageSetup: state.wizardData.advanced.pageSetup,
+    stampConfig: state.wizardData.advanced.stampConfig,
+    writeBackConfig: state.wizardData.advanced.writeBackConfig,
+    airtableConfig: state.wizardData.connection.airtableConfig,
+    googleDocUrl: state.wizardData.design.googleDocUrl,
+    fieldTypes: state.availableFieldTypes,
+    templateId: state.currentTemplate?.id,
+    filenameConfig,
+    templateInfo
+  };
+};
+
 // Cleanup function
 export const cleanupPdfService = () => {
   return enhancedPdfService.cleanupAllResources();
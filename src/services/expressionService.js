@@ -0,0 +1,433 @@
+import { debugService } from './debugService';
+
+// Sandboxed evaluator for computed placeholders such as
+//   {{= sum(Line Items.Amount) * 0.07 }}
+//   {{= round(Subtotal * 1.07, 2) }}
+// Expressions are tokenized and parsed here and only ever evaluated against
+// field values supplied by the caller; nothing is passed to eval or Function.
+//
+// Names may contain spaces and dots (`Line Items.Amount`); names containing
+// operator characters are written in brackets (`[Sub-total]`).
+export class ExpressionService {
+  constructor() {
+    this.operatorChars = '+-*/%^&|(),<>=!"\'[]';
+    this.keywordPattern = /^\s+(and|or)(?=[\s(]|$)/i;
+
+    this.functions = {
+      sum: (...args) => this.numbers(args).reduce((total, value) => total + value, 0),
+      avg: (...args) => {
+        const values = this.numbers(args);
+        return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+      },
+      average: (...args) => this.functions.avg(...args),
+      min: (...args) => {
+        const values = this.numbers(args);
+        return values.length > 0 ? Math.min(...values) : null;
+      },
+      max: (...args) => {
+        const values = this.numbers(args);
+        return values.length > 0 ? Math.max(...values) : null;
+      },
+      count: (...args) => this.flatten(args).filter(value => !this.isBlank(value)).length,
+      round: (value, decimals = 0) => this.roundTo(this.toNumber(value), decimals, Math.round),
+      floor: (value, decimals = 0) => this.roundTo(this.toNumber(value), decimals, Math.floor),
+      ceil: (value, decimals = 0) => this.roundTo(this.toNumber(value), decimals, Math.ceil),
+      abs: value => Math.abs(this.toNumber(value)),
+      if: (condition, whenTrue = '', whenFalse = '') => (this.isTruthy(condition) ? whenTrue : whenFalse),
+      coalesce: (...args) => args.find(value => !this.isBlank(value)) ?? null,
+      concat: (...args) => this.flatten(args).map(value => this.toText(value)).join('')
+    };
+  }
+
+  /**
+   * Evaluate an expression
+   * @param {string} expression - Expression source, without the leading `=`
+   * @param {Function} resolve - Maps a name to its value (field, placeholder, helper)
+   * @returns {*} - Number, string, boolean or null
+   */
+  evaluate(expression, resolve) {
+    const ast = this.parse(expression);
+    return this.evaluateNode(ast, resolve);
+  }
+
+  /**
+   * Parse an expression into a syntax tree
+   * @param {string} expression - Expression source
+   * @returns {Object} - Root node
+   */
+  parse(expression) {
+    const tokens = this.tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+    const isKeyword = keyword => peek()?.type === 'name' && peek().value.toLowerCase() === keyword;
+    const expect = value => {
+      const token = next();
+      if (!token || token.value !== value) {
+        throw new Error(`Expected "${value}"${token ? ` but found "${token.value}"` : ' at end of expression'}`);
+      }
+    };
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (isKeyword('or')) {
+        next();
+        node = { type: 'logical', operator: 'or', left: node, right: parseAnd() };
+      }
+      return node;
+    };
+
+    const parseAnd = () => {
+      let node = parseNot();
+      while (isKeyword('and')) {
+        next();
+        node = { type: 'logical', operator: 'and', left: node, right: parseNot() };
+      }
+      return node;
+    };
+
+    const parseNot = () => {
+      if (isKeyword('not') || isOperator('!')) {
+        next();
+        return { type: 'not', operand: parseNot() };
+      }
+      return parseComparison();
+    };
+
+    const parseComparison = () => {
+      const node = parseConcat();
+      if (isOperator('==', '=', '!=', '<>', '>', '>=', '<', '<=')) {
+        const operator = next().value;
+        return { type: 'compare', operator, left: node, right: parseConcat() };
+      }
+      return node;
+    };
+
+    const parseConcat = () => {
+      let node = parseAdditive();
+      while (isOperator('&')) {
+        next();
+        node = { type: 'binary', operator: '&', left: node, right: parseAdditive() };
+      }
+      return node;
+    };
+
+    const parseAdditive = () => {
+      let node = parseMultiplicative();
+      while (isOperator('+', '-')) {
+        const operator = next().value;
+        node = { type: 'binary', operator, left: node, right: parseMultiplicative() };
+      }
+      return node;
+    };
+
+    const parseMultiplicative = () => {
+      let node = parseUnary();
+      while (isOperator('*', '/', '%')) {
+        const operator = next().value;
+        node = { type: 'binary', operator, left: node, right: parseUnary() };
+      }
+      return node;
+    };
+
+    const parseUnary = () => {
+      if (isOperator('-', '+')) {
+        const operator = next().value;
+        return { type: 'unary', operator, operand: parseUnary() };
+      }
+      return parsePower();
+    };
+
+    const parsePower = () => {
+      const node = parsePrimary();
+      if (isOperator('^')) {
+        next();
+        return { type: 'binary', operator: '^', left: node, right: parseUnary() };
+      }
+      return node;
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) {
+        throw new Error('Unexpected end of expression');
+      }
+
+      if (token.type === 'number' || token.type === 'string') {
+        return { type: 'literal', value: token.value };
+      }
+
+      if (token.type === 'operator' && token.value === '(') {
+        const node = parseOr();
+        expect(')');
+        return node;
+      }
+
+      if (token.type === 'name') {
+        const lowerName = token.value.toLowerCase();
+        if (isOperator('(')) {
+          next();
+          const args = [];
+          if (!isOperator(')')) {
+            args.push(parseOr());
+            while (isOperator(',')) {
+              next();
+              args.push(parseOr());
+            }
+          }
+          expect(')');
+          if (!this.functions[lowerName]) {
+            throw new Error(`Unknown function "${token.value}"`);
+          }
+          return { type: 'call', name: lowerName, args };
+        }
+
+        if (!token.bracketed && (lowerName === 'true' || lowerName === 'false')) {
+          return { type: 'literal', value: lowerName === 'true' };
+        }
+        if (!token.bracketed && lowerName === 'null') {
+          return { type: 'literal', value: null };
+        }
+        return { type: 'reference', name: token.value };
+      }
+
+      throw new Error(`Unexpected "${token.value}"`);
+    };
+
+    const ast = parseOr();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek().value}"`);
+    }
+    return ast;
+  }
+
+  tokenize(expression) {
+    const tokens = [];
+    const source = String(expression);
+    let index = 0;
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      if (char === '"' || char === '\'') {
+        const end = source.indexOf(char, index + 1);
+        if (end === -1) throw new Error('Unterminated text in expression');
+        tokens.push({ type: 'string', value: source.slice(index + 1, end) });
+        index = end + 1;
+        continue;
+      }
+
+      if (char === '[') {
+        const end = source.indexOf(']', index + 1);
+        if (end === -1) throw new Error('Missing "]" in expression');
+        tokens.push({ type: 'name', value: source.slice(index + 1, end).trim(), bracketed: true });
+        index = end + 1;
+        continue;
+      }
+
+      const number = source.slice(index).match(/^(\d+(\.\d+)?|\.\d+)/);
+      if (number) {
+        tokens.push({ type: 'number', value: Number(number[0]) });
+        index += number[0].length;
+        continue;
+      }
+
+      // Filters are split off before parsing, so a pipe here is always `||`
+      const logical = source.slice(index).match(/^(\|\||&&|\|)/);
+      if (logical) {
+        throw new Error(logical[0] === '&&' ? 'Use "and" instead of "&&"' : 'Use "or" instead of "||"');
+      }
+
+      const operator = source.slice(index).match(/^(==|!=|<>|>=|<=|[-+*/%^&(),<>=!])/);
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator[0] });
+        index += operator[0].length;
+        continue;
+      }
+
+      const keyword = source.slice(index).match(/^(and|or)(?=[\s(]|$)/i);
+      if (keyword) {
+        tokens.push({ type: 'name', value: keyword[0] });
+        index += keyword[0].length;
+        continue;
+      }
+
+      // Names run until an operator character or an `and` / `or` keyword
+      let end = index;
+      while (end < source.length && !this.operatorChars.includes(source[end])) {
+        if (/\s/.test(source[end]) && this.keywordPattern.test(source.slice(end))) break;
+        end++;
+      }
+      const name = source.slice(index, end).trim();
+
+      // A leading `not` is an operator, not part of the name
+      const notPrefix = name.match(/^not\s+(.+)$/i);
+      if (notPrefix) {
+        tokens.push({ type: 'name', value: 'not' });
+        tokens.push({ type: 'name', value: notPrefix[1] });
+      } else {
+        tokens.push({ type: 'name', value: name });
+      }
+      index = end;
+    }
+
+    return tokens;
+  }
+
+  evaluateNode(node, resolve) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'reference':
+        return resolve(node.name);
+      case 'call':
+        return this.functions[node.name](...node.args.map(arg => this.evaluateNode(arg, resolve)));
+      case 'not':
+        return !this.isTruthy(this.evaluateNode(node.operand, resolve));
+      case 'logical': {
+        const left = this.isTruthy(this.evaluateNode(node.left, resolve));
+        if (node.operator === 'and' && !left) return false;
+        if (node.operator === 'or' && left) return true;
+        return this.isTruthy(this.evaluateNode(node.right, resolve));
+      }
+      case 'compare':
+        return this.compare(this.evaluateNode(node.left, resolve), node.operator, this.evaluateNode(node.right, resolve));
+      case 'unary': {
+        const value = this.toNumber(this.evaluateNode(node.operand, resolve));
+        return node.operator === '-' ? -value : value;
+      }
+      case 'binary':
+        return this.applyOperator(node.operator, this.evaluateNode(node.left, resolve), this.evaluateNode(node.right, resolve));
+      default:
+        throw new Error(`Unsupported expression node "${node.type}"`);
+    }
+  }
+
+  applyOperator(operator, leftValue, rightValue) {
+    if (operator === '&') {
+      return this.toText(leftValue) + this.toText(rightValue);
+    }
+
+    const left = this.toNumber(leftValue);
+    const right = this.toNumber(rightValue);
+
+    switch (operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/':
+        if (right === 0) {
+          debugService.log('warn', 'template', 'Division by zero in expression');
+          return null;
+        }
+        return left / right;
+      case '%': return right === 0 ? null : left % right;
+      case '^': return Math.pow(left, right);
+      default:
+        throw new Error(`Unsupported operator "${operator}"`);
+    }
+  }
+
+  compare(left, operator, right) {
+    const bothNumeric = this.isNumeric(left) && this.isNumeric(right);
+    const a = bothNumeric ? this.toNumber(left) : this.toText(left).toLowerCase();
+    const b = bothNumeric ? this.toNumber(right) : this.toText(right).toLowerCase();
+
+    switch (operator) {
+      case '==':
+      case '=': return a === b;
+      case '!=':
+      case '<>': return a !== b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+      default: return false;
+    }
+  }
+
+  /**
+   * Names referenced by an expression, for placeholder extraction
+   * @param {string} expression - Expression source
+   * @returns {Array} - Referenced names (empty when the expression does not parse)
+   */
+  collectReferences(expression) {
+    try {
+      const names = [];
+      const visit = node => {
+        if (node.type === 'reference') names.push(node.name);
+        ['left', 'right', 'operand'].forEach(key => node[key] && visit(node[key]));
+        (node.args || []).forEach(visit);
+      };
+      visit(this.parse(expression));
+      return [...new Set(names)];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Display text for a result; float noise such as 0.30000000000000004 is rounded away
+  formatResult(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? String(Number(value.toFixed(10))) : '';
+    }
+    return this.toText(value);
+  }
+
+  roundTo(value, decimals, method) {
+    const factor = Math.pow(10, this.toNumber(decimals));
+    return method(value * factor) / factor;
+  }
+
+  flatten(values) {
+    return values.flat(Infinity);
+  }
+
+  numbers(values) {
+    return this.flatten(values)
+      .filter(value => this.isNumeric(value))
+      .map(value => this.toNumber(value));
+  }
+
+  isNumeric(value) {
+    if (typeof value === 'number') return Number.isFinite(value);
+    if (typeof value === 'boolean') return false;
+    return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value.replace(/,/g, '')));
+  }
+
+  // Blank values count as 0 and lists as their total, as in a spreadsheet
+  toNumber(value) {
+    if (Array.isArray(value)) return this.numbers(value).reduce((total, item) => total + item, 0);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return this.isNumeric(value) ? Number(String(value).replace(/,/g, '')) : 0;
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return this.flatten(value).map(item => this.toText(item)).join(', ');
+    if (typeof value === 'number') return this.formatResult(value);
+    if (typeof value === 'object') return value.name || value.filename || value.email || '';
+    return String(value);
+  }
+
+  isBlank(value) {
+    if (value === undefined || value === null) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return String(value).trim() === '';
+  }
+
+  isTruthy(value) {
+    if (this.isBlank(value) || value === false || value === 0) return false;
+    if (Array.isArray(value)) return true;
+    return !/^(false|0)$/i.test(String(value).trim());
+  }
+}
+
+export const expressionService = new ExpressionService();
@@ -0,0 +1,242 @@
+import { format, isValid, parseISO } from 'date-fns';
+import { debugService } from './debugService';
+
+// Renders Airtable cell values the way Airtable displays them, using the field
+// metadata from EnhancedAirtableService.getFieldTypes (type + options):
+// currency symbol and precision, percent, duration, checkbox, rating,
+// collaborators, and lookup/rollup/formula results formatted by their result type.
+export class FieldValueFormatterService {
+  constructor() {
+    // Airtable (moment.js style) date formats mapped to date-fns patterns
+    this.dateFormats = {
+      l: 'M/d/yyyy',
+      LL: 'MMMM d, yyyy',
+      'M/D/YYYY': 'M/d/yyyy',
+      'D/M/YYYY': 'd/M/yyyy',
+      'YYYY-MM-DD': 'yyyy-MM-dd'
+    };
+    this.timeFormats = {
+      'h:mma': 'h:mma',
+      'HH:mm': 'HH:mm'
+    };
+    this.collaboratorTypes = ['singleCollaborator', 'multipleCollaborators', 'createdBy', 'lastModifiedBy'];
+    this.resultTypes = ['multipleLookupValues', 'lookup', 'rollup', 'formula'];
+  }
+
+  /**
+   * Find the metadata for a field by name (case-insensitive)
+   * @param {Array} fieldTypes - Output of getFieldTypes
+   * @param {string} fieldName - Airtable field name
+   * @returns {Object|null} - Field metadata or null when unknown
+   */
+  findField(fieldTypes, fieldName) {
+    if (!Array.isArray(fieldTypes) || !fieldName) return null;
+    const lowerName = String(fieldName).toLowerCase();
+    return fieldTypes.find(field => field.name === fieldName) ||
+      fieldTypes.find(field => field.name?.toLowerCase() === lowerName) ||
+      null;
+  }
+
+  /**
+   * Format a raw Airtable value according to its field type
+   * @param {*} value - Raw cell value from the Airtable API
+   * @param {Object} field - Field metadata ({ type, options })
+   * @returns {string} - Display text
+   */
+  formatValue(value, field) {
+    try {
+      return this.formatByType(value, field?.type, field?.options || {});
+    } catch (error) {
+      debugService.log('warn', 'template', 'Field type formatting failed, using raw value', {
+        field: field?.name,
+        type: field?.type,
+        error: error.message
+      });
+      return this.toText(value);
+    }
+  }
+
+  formatByType(value, type, options) {
+    // Airtable omits unchecked checkboxes from the record entirely
+    if (type === 'checkbox') {
+      return value ? '☑' : '☐';
+    }
+
+    if (value === undefined || value === null) return '';
+
+    if (this.resultTypes.includes(type)) {
+      const result = options.result;
+      const values = Array.isArray(value) ? value.flat(Infinity) : [value];
+      return values
+        .map(item => (result ? this.formatByType(item, result.type, result.options || {}) : this.toText(item)))
+        .filter(item => item !== '')
+        .join(', ');
+    }
+
+    if (Array.isArray(value)) {
+      return value
+        .map(item => this.formatByType(item, type, options))
+        .filter(item => item !== '')
+        .join(', ');
+    }
+
+    switch (type) {
+      case 'currency':
+        return this.formatCurrency(value, options);
+      case 'number':
+        return this.formatNumber(value, options.precision);
+      case 'percent':
+        return this.formatPercent(value, options.precision);
+      case 'duration':
+        return this.formatDuration(value, options.durationFormat);
+      case 'rating':
+        return this.formatRating(value, options.max);
+      case 'date':
+        return this.formatDate(value, options.dateFormat);
+      case 'dateTime':
+      case 'createdTime':
+      case 'lastModifiedTime':
+        return this.formatDateTime(value, options);
+      case 'multipleAttachments':
+        return value.filename || value.url || '';
+      case 'barcode':
+        return value.text || '';
+      case 'button':
+        return value.label || '';
+      case 'aiText':
+        return value.value || '';
+      default:
+        if (this.collaboratorTypes.includes(type)) {
+          return value.name || value.email || '';
+        }
+        return this.toText(value);
+    }
+  }
+
+  formatCurrency(value, options) {
+    const number = this.toNumber(value);
+    if (number === null) return this.toText(value);
+
+    const amount = this.formatNumber(Math.abs(number), options.precision ?? 2, true);
+    return `${number < 0 ? '-' : ''}${options.symbol || ''}${amount}`;
+  }
+
+  formatNumber(value, precision, useGrouping = false) {
+    const number = this.toNumber(value);
+    if (number === null) return this.toText(value);
+
+    const digits = Number.isInteger(precision) ? precision : undefined;
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits ?? 20,
+      useGrouping
+    }).format(number);
+  }
+
+  // Percent fields store fractions (0.07 is shown as 7%)
+  formatPercent(value, precision) {
+    const number = this.toNumber(value);
+    if (number === null) return this.toText(value);
+    return `${this.formatNumber(number * 100, Number.isInteger(precision) ? precision : 0)}%`;
+  }
+
+  // Durations are stored in seconds; durationFormat is h:mm, h:mm:ss or h:mm:ss.S(SS)
+  formatDuration(value, durationFormat = 'h:mm') {
+    const seconds = this.toNumber(value);
+    if (seconds === null) return this.toText(value);
+
+    const sign = seconds < 0 ? '-' : '';
+    const total = Math.abs(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const wholeSeconds = Math.floor(total % 60);
+    const pad = number => String(number).padStart(2, '0');
+
+    if (durationFormat === 'h:mm') {
+      return `${sign}${hours}:${pad(Math.round((total % 3600) / 60))}`;
+    }
+
+    let text = `${sign}${hours}:${pad(minutes)}:${pad(wholeSeconds)}`;
+    const fractionDigits = (durationFormat.split('.')[1] || '').length;
+    if (fractionDigits > 0) {
+      const fraction = (total % 1).toFixed(fractionDigits).slice(2);
+      text += `.${fraction}`;
+    }
+    return text;
+  }
+
+  formatRating(value, max = 5) {
+    const rating = Math.max(0, Math.min(Number(value) || 0, max));
+    return '★'.repeat(rating) + '☆'.repeat(max - rating);
+  }
+
+  formatDate(value, dateFormat) {
+    const date = this.toDate(value);
+    if (!date) return this.toText(value);
+    return format(date, this.dateFormats[dateFormat?.format] || 'yyyy-MM-dd');
+  }
+
+  formatDateTime(value, options) {
+    // createdTime / lastModifiedTime carry the date settings on their result
+    const settings = options.result?.options || options;
+    const date = this.toDate(value);
+    if (!date) return this.toText(value);
+
+    const datePattern = this.dateFormats[settings.dateFormat?.format] || 'yyyy-MM-dd';
+    const timePattern = this.timeFormats[settings.timeFormat?.format] || 'HH:mm';
+    return format(this.inTimeZone(date, settings.timeZone), `${datePattern} ${timePattern}`);
+  }
+
+  // date-fns formats in local time, so the date is shifted to one whose local
+  // fields show the wall-clock time in the field's time zone. "client" means
+  // the viewer's own time zone, and is kept local.
+  inTimeZone(date, timeZone) {
+    if (!timeZone || timeZone === 'client') return date;
+
+    try {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+      });
+      return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getMilliseconds());
+    } catch (error) {
+      debugService.log('warn', 'template', 'Unknown time zone, using local time', { timeZone, error: error.message });
+      return date;
+    }
+  }
+
+  toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  toDate(value) {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const parsed = parseISO(value);
+    return isValid(parsed) ? parsed : null;
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) {
+      return value.map(item => this.toText(item)).filter(item => item !== '').join(', ');
+    }
+    if (typeof value === 'object') {
+      return value.name || value.filename || value.email || value.text || value.url || '';
+    }
+    return String(value);
+  }
+}
+
+export const fieldValueFormatterService = new FieldValueFormatterService();
@@ -1,4 +1,9 @@
 import { debugService } from './debugService';
+import { templateEngineService } from './templateEngineService';
+import { fieldValueFormatterService } from './fieldValueFormatterService';
+import { pageSetupService } from './pageSetupService';
+import { lineItemService } from './lineItemService';
+import { imageService } from './imageService';
 
 export class GoogleDocsApiService {
   constructor() {
@@ -154,7 +159,7 @@ export class GoogleDocsApiService {
     }
   }
 
-  async populateDocument(docId, fieldMappings, recordData, lineItemConfig = null) {
+  async populateDocument(docId, fieldMappings, recordData, lineItemConfig = null, fieldTypes = [], imageConfig = {}) {
     try {
       debugService.log('info', 'google-api', 'Populating document with data', {
         docId,
@@ -166,14 +171,24 @@ export class GoogleDocsApiService {
         documentId: docId
       });
 
-      const requests = [];
+      // Resolve conditional and repeating sections first; these edits run before any replacement shifts indices
+      const requests = this.buildSectionEditRequests(doc.result, recordData, fieldMappings, lineItemConfig);
+
+      // Image placeholders are left in the text until the images go in
+      const imagePlaceholders = imageService.findImagePlaceholders(recordData, fieldMappings, imageConfig || {}, fieldTypes);
 
       // Process simple field replacements
       Object.entries(fieldMappings).forEach(([placeholder, airtableField]) => {
+        if (imagePlaceholders.some(entry => entry.placeholder === placeholder)) return;
+
         const fieldValue = recordData.fields[airtableField];
+        const fieldType = fieldValueFormatterService.findField(fieldTypes, airtableField);
         let displayValue = '';
 
-        if (fieldValue !== undefined && fieldValue !== null) {
+        if (fieldType) {
+          // Render as Airtable displays it when the field metadata is known
+          displayValue = fieldValueFormatterService.formatValue(fieldValue, fieldType);
+        } else if (fieldValue !== undefined && fieldValue !== null) {
           if (Array.isArray(fieldValue)) {
             // Handle arrays (multiple select, attachments, etc.)
             displayValue = fieldValue.map(item => {
@@ -232,6 +247,12 @@ export class GoogleDocsApiService {
         });
       }
 
+      await this.insertImages(docId, imagePlaceholders);
+
+      // Page breaks go in last, against the populated text, since template
+      // sections may have repeated or removed {{page_break}} placeholders
+      await this.insertPageBreaks(docId);
+
       return true;
 
     } catch (error) {
@@ -243,6 +264,200 @@ export class GoogleDocsApiService {
     }
   }
 
+  buildSectionEditRequests(document, recordData, fieldMappings, lineItemConfig) {
+    const { text, segments } = this.flattenDocumentText(document);
+    const edits = templateEngineService.collectEdits(text, { record: recordData, fieldMappings, lineItemConfig });
+    const requests = [];
+
+    // Edit from the end of the document backwards so earlier indices stay valid
+    edits.reverse().forEach(edit => {
+      const first = this.findSegment(segments, edit.start);
+      const last = this.findSegment(segments, edit.end - 1);
+
+      // A range cannot cut through table cells; such blocks must sit inside one cell
+      if (first.container !== last.container && (first.container !== 'body' || last.container !== 'body')) {
+        debugService.log('warn', 'google-api', 'Skipping template block that spans table cells', {
+          text: text.slice(edit.start, Math.min(edit.end, edit.start + 60))
+        });
+        return;
+      }
+
+      const startIndex = this.toDocumentIndex(segments, edit.start);
+      requests.push({
+        deleteContentRange: {
+          range: {
+            startIndex,
+            endIndex: this.toDocumentIndex(segments, edit.end - 1) + 1
+          }
+        }
+      });
+
+      if (edit.text) {
+        requests.push({
+          insertText: {
+            location: { index: startIndex },
+            text: edit.text
+          }
+        });
+      }
+    });
+
+    if (requests.length > 0) {
+      debugService.log('debug', 'google-api', 'Template sections resolved', {
+        edits: edits.length,
+        requests: requests.length
+      });
+    }
+
+    return requests;
+  }
+
+  async insertPageBreaks(docId) {
+    const doc = await this.gapi.client.docs.documents.get({
+      documentId: docId
+    });
+
+    const { text, segments } = this.flattenDocumentText(doc.result);
+    const matches = Array.from(text.matchAll(/\{\{\s*page_break\s*\}\}/gi));
+    const requests = [];
+
+    // Work backwards so earlier indices stay valid
+    matches.reverse().forEach(match => {
+      const segment = this.findSegment(segments, match.index);
+
+      // The Docs API only allows page breaks in the document body
+      if (segment.container !== 'body') {
+        debugService.log('warn', 'google-api', 'Skipping {{page_break}} inside a table cell');
+        return;
+      }
+
+      const startIndex = this.toDocumentIndex(segments, match.index);
+      requests.push(
+        {
+          deleteContentRange: {
+            range: {
+              startIndex,
+              endIndex: this.toDocumentIndex(segments, match.index + match[0].length - 1) + 1
+            }
+          }
+        },
+        { insertPageBreak: { location: { index: startIndex } } }
+      );
+    });
+
+    if (requests.length > 0) {
+      await this.gapi.client.docs.documents.batchUpdate({
+        documentId: docId,
+        resource: { requests }
+      });
+
+      debugService.log('debug', 'google-api', 'Page breaks inserted', { count: requests.length / 2 });
+    }
+  }
+
+  // The Docs API fetches inline images from public http(s) URLs, so the
+  // built-in empty image (a data URI) is left out. Fit and rounded corners
+  // cannot be set on inline images; size is kept.
+  async insertImages(docId, imagePlaceholders) {
+    if (imagePlaceholders.length === 0) return;
+
+    const doc = await this.gapi.client.docs.documents.get({
+      documentId: docId
+    });
+
+    const { text, segments } = this.flattenDocumentText(doc.result);
+    const matches = imagePlaceholders.flatMap(entry => {
+      const pattern = new RegExp(`\\{\\{\\s*${imageService.escapeRegExp(entry.placeholder)}\\s*\\}\\}`, 'gi');
+      return Array.from(text.matchAll(pattern)).map(match => ({ entry, index: match.index, length: match[0].length }));
+    });
+
+    // Work backwards so earlier indices stay valid; one batch per placeholder so
+    // an image Google cannot fetch only affects its own placeholder
+    matches.sort((a, b) => b.index - a.index);
+    for (const { entry, index, length } of matches) {
+      const startIndex = this.toDocumentIndex(segments, index);
+      const range = { startIndex, endIndex: this.toDocumentIndex(segments, index + length - 1) + 1 };
+      const images = entry.images.filter(image => /^https?:/i.test(image.url));
+      const objectSize = {
+        width: { magnitude: entry.settings.width * 0.75, unit: 'PT' },
+        ...(entry.settings.height === 'auto' ? {} : { height: { magnitude: entry.settings.height * 0.75, unit: 'PT' } })
+      };
+
+      // Inserting at the same index pushes earlier images right, so go in reverse
+      const requests = [
+        { deleteContentRange: { range } },
+        ...images.slice().reverse().map(image => ({
+          insertInlineImage: { location: { index: startIndex }, uri: image.url, objectSize }
+        }))
+      ];
+
+      try {
+        await this.gapi.client.docs.documents.batchUpdate({
+          documentId: docId,
+          resource: { requests }
+        });
+      } catch (error) {
+        debugService.log('warn', 'google-api', 'Could not insert images, showing file names instead', {
+          placeholder: entry.placeholder,
+          error: error.message
+        });
+        await this.gapi.client.docs.documents.batchUpdate({
+          documentId: docId,
+          resource: {
+            requests: [
+              { deleteContentRange: { range } },
+              ...(images.length > 0 ? [{ insertText: { location: { index: startIndex }, text: images.map(image => image.alt).join(', ') } }] : [])
+            ]
+          }
+        });
+      }
+    }
+
+    debugService.log('debug', 'google-api', 'Images inserted', { placeholders: matches.length });
+  }
+
+  // Flatten body text runs (including table cells) into one string, keeping
+  // track of where each run starts in the document and which cell holds it
+  flattenDocumentText(document) {
+    const segments = [];
+    let text = '';
+    let cellCount = 0;
+
+    const visit = (elements = [], container = 'body') => {
+      elements.forEach(element => {
+        if (element.paragraph) {
+          (element.paragraph.elements || []).forEach(run => {
+            const content = run.textRun?.content;
+            if (content) {
+              segments.push({ offset: text.length, startIndex: run.startIndex, length: content.length, container });
+              text += content;
+            }
+          });
+        } else if (element.table) {
+          element.table.tableRows.forEach(row => {
+            row.tableCells.forEach(cell => visit(cell.content, `cell-${cellCount++}`));
+          });
+        } else if (element.tableOfContents) {
+          visit(element.tableOfContents.content, container);
+        }
+      });
+    };
+
+    visit(document?.body?.content);
+    return { text, segments };
+  }
+
+  findSegment(segments, offset) {
+    return segments.find(candidate =>
+      offset >= candidate.offset && offset < candidate.offset + candidate.length
+    );
+  }
+
+  toDocumentIndex(segments, offset) {
+    const segment = this.findSegment(segments, offset);
+    return segment.startIndex + (offset - segment.offset);
+  }
+
   async processLineItems(docId, recordData, lineItemConfig) {
     try {
       debugService.log('debug', 'google-api', 'Processing line items', {
@@ -250,9 +465,9 @@ export class GoogleDocsApiService {
         fieldsCount: lineItemConfig.fields.length
       });
 
-      const lineItems = recordData.fields[lineItemConfig.tableName] || [];
+      const { columns, rows, itemCount } = lineItemService.buildRows(recordData, lineItemConfig);
 
-      if (!Array.isArray(lineItems) || lineItems.length === 0) {
+      if (itemCount === 0) {
         // Replace with empty message
         return [{
           replaceAllText: {
@@ -269,18 +484,11 @@ export class GoogleDocsApiService {
       const tableRows = [];
 
       // Header row
-      const headerRow = lineItemConfig.fields.map(field => 
-        field.template.replace(/[{}]/g, '')
-      );
-      tableRows.push(headerRow);
+      tableRows.push(columns);
 
-      // Data rows
-      lineItems.forEach(item => {
-        const row = lineItemConfig.fields.map(field => {
-          const value = item[field.airtable] || '';
-          return String(value);
-        });
-        tableRows.push(row);
+      // Data rows; group headings take a line of their own
+      rows.forEach(row => {
+        tableRows.push(row.type === 'group' ? [row.label] : row.cells);
       });
 
       // Convert to table format for Google Docs
@@ -304,12 +512,36 @@ export class GoogleDocsApiService {
     }
   }
 
-  async exportToPDF(docId) {
+  /**
+   * Apply the template's page size, orientation and margins to a document
+   * @param {string} docId - Document ID
+   * @param {Object} pageSetup - Template page setup; size 'document' keeps the doc's own
+   */
+  async applyPageSetup(docId, pageSetup) {
+    const request = pageSetupService.toDocumentStyleRequest(pageSetupService.resolve(pageSetup));
+    if (!request) return;
+
+    debugService.log('debug', 'google-api', 'Applying page setup', {
+      docId,
+      pageSize: request.updateDocumentStyle.documentStyle.pageSize
+    });
+
+    await this.gapi.client.docs.documents.batchUpdate({
+      documentId: docId,
+      resource: { requests: [request] }
+    });
+  }
+
+  async exportToPDF(docId, pageSetup = null) {
     try {
       debugService.log('info', 'google-api', 'Exporting document to PDF', {
         docId
       });
 
+      if (pageSetup) {
+        await this.applyPageSetup(docId, pageSetup);
+      }
+
       // Use Drive API to export as PDF
       const response = await this.gapi.client.drive.files.export({
         fileId: docId,
@@ -0,0 +1,180 @@
+import { debugService } from './debugService';
+
+// Running headers and footers drawn on every page of HTML-based PDFs.
+// A region comes from a designated section of the Google Doc
+//   {{#header}} {{company_name}} - Invoice {{invoice_number}} {{/header}}
+//   {{#footer}} Page {{page}} of {{pages}} {{/footer}}
+// or, when the document has none, from the HTML snippets in the template's
+// headerFooterConfig. Regions go through the normal placeholder processing
+// with the rest of the document; {{page}} and {{pages}} are filled in per page.
+export class HeaderFooterService {
+  constructor() {
+    this.regionNames = ['header', 'footer'];
+    // Space between a region and the page content, in CSS px
+    this.gap = 8;
+  }
+
+  /**
+   * Add the configured header/footer snippets to a template as designated
+   * sections, unless the document defines its own
+   * @param {string} content - Template HTML
+   * @param {Object} config - { header, footer } HTML snippets
+   * @returns {string} - Template HTML with region sections
+   */
+  attachRegions(content, config) {
+    if (!content || !config) return content;
+
+    const sections = this.regionNames
+      .filter(name => config[name]?.trim() && !this.regionPattern(name).test(content))
+      .map(name => `{{#${name}}}${config[name]}{{/${name}}}`)
+      .join('');
+
+    if (!sections) return content;
+
+    const body = content.match(/<body\b[^>]*>/i);
+    if (body) {
+      const position = body.index + body[0].length;
+      return content.slice(0, position) + sections + content.slice(position);
+    }
+    return sections + content;
+  }
+
+  /**
+   * Take the header and footer sections out of processed HTML
+   * @param {string} htmlContent - Processed HTML
+   * @returns {Object} - { content, header, footer } with null for a missing region
+   */
+  extractRegions(htmlContent) {
+    const regions = { content: htmlContent || '', header: null, footer: null };
+
+    this.regionNames.forEach(name => {
+      regions.content = regions.content.replace(this.regionPattern(name), (match, region) => {
+        if (regions[name] === null) regions[name] = region.trim();
+        return '';
+      });
+    });
+
+    if (regions.header !== null || regions.footer !== null) {
+      debugService.log('debug', 'pdf', 'Header/footer regions found', {
+        header: regions.header !== null,
+        footer: regions.footer !== null
+      });
+    }
+
+    return regions;
+  }
+
+  regionPattern(name) {
+    return new RegExp(`\\{\\{\\s*#${name}\\s*\\}\\}([\\s\\S]*?)\\{\\{\\s*\\/${name}\\s*\\}\\}`, 'gi');
+  }
+
+  /**
+   * Fill in {{page}} and {{pages}}
+   * @param {string} content - Region HTML or text
+   * @param {number} page - Page number (from 1)
+   * @param {number} pages - Total page count
+   * @returns {string} - Content with page numbers
+   */
+  applyPageNumbers(content, page, pages) {
+    return content
+      .replace(/\{\{\s*page\s*\}\}/gi, String(page))
+      .replace(/\{\{\s*pages\s*\}\}/gi, String(pages));
+  }
+
+  hasRegions(regions) {
+    return !!(regions.header || regions.footer);
+  }
+
+  /**
+   * Render region containers next to a raster content container so they pick
+   * up the same width and stylesheet, and measure their heights
+   * @param {Object} regions - From extractRegions
+   * @param {HTMLElement} container - The attached content container
+   * @returns {Object} - { header, footer } as { html, element, height } or null
+   */
+  mountRasterRegions(regions, container) {
+    const mounted = { header: null, footer: null };
+
+    this.regionNames.forEach(name => {
+      if (!regions[name]) return;
+
+      const element = document.createElement('div');
+      element.style.cssText = container.style.cssText;
+      element.style.paddingTop = '0';
+      element.style.paddingBottom = '0';
+      element.style.minHeight = '0';
+      element.style.height = 'auto';
+      // Measure with the widest page numbers the document could show
+      element.innerHTML = this.applyPageNumbers(regions[name], 999, 999);
+      document.body.appendChild(element);
+
+      mounted[name] = { html: regions[name], element, height: element.getBoundingClientRect().height };
+    });
+
+    return mounted;
+  }
+
+  unmountRasterRegions(mounted) {
+    this.regionNames.forEach(name => {
+      const element = mounted[name]?.element;
+      if (element && document.body.contains(element)) {
+        document.body.removeChild(element);
+      }
+    });
+  }
+
+  // Height reserved on each page for a mounted region, in CSS px
+  reservedHeight(mounted, name) {
+    return mounted[name] ? mounted[name].height + this.gap : 0;
+  }
+
+  /**
+   * Draw the mounted regions onto every page of a raster PDF
+   * @param {Object} pdf - jsPDF document (unit 'mm')
+   * @param {Object} mounted - From mountRasterRegions
+   * @param {Object} geometry - From addCanvasPages: { margins, mmPerPx, pageHeight, scale }
+   *   with margins and pageHeight in CSS px
+   */
+  async drawRasterRegions(pdf, mounted, geometry) {
+    const { default: html2canvas } = await import('html2canvas');
+    const pages = pdf.getNumberOfPages();
+    const pageWidth = pdf.internal.pageSize.getWidth();
+
+    for (let page = 1; page <= pages; page++) {
+      pdf.setPage(page);
+
+      for (const name of this.regionNames) {
+        const region = mounted[name];
+        if (!region) continue;
+
+        region.element.innerHTML = this.applyPageNumbers(region.html, page, pages);
+        const canvas = await html2canvas(region.element, {
+          scale: geometry.scale,
+          useCORS: true,
+          allowTaint: true,
+          backgroundColor: '#ffffff'
+        });
+
+        const height = canvas.height / geometry.scale;
+        const y = name === 'header'
+          ? geometry.margins.top
+          : geometry.pageHeight - geometry.margins.bottom - height;
+
+        pdf.addImage(
+          canvas.toDataURL('image/png'),
+          'PNG',
+          0,
+          y * geometry.mmPerPx,
+          pageWidth,
+          height * geometry.mmPerPx,
+          undefined,
+          'FAST'
+        );
+      }
+    }
+
+    pdf.setPage(pages);
+  }
+}
+
+export const headerFooterService = new HeaderFooterService();
@@ -1,6 +1,7 @@
 import { googleDocsApiService } from './googleDocsApiService';
 import { debugService } from './debugService';
 import { templateService } from './templateService';
+import { stampService } from './stampService';
 
 export class HighFidelityPdfService {
   constructor() {
@@ -74,7 +75,12 @@ export class HighFidelityPdfService {
 
       // Step 7: Export to PDF
       debugService.log('info', 'pdf', 'Exporting populated document to PDF');
-      const pdfBlob = await googleDocsApiService.exportToPDF(tempDocId);
+      const exportedBlob = await googleDocsApiService.exportToPDF(tempDocId, options.pageSetup);
+      const pdfBlob = await stampService.applyStamps(exportedBlob, options.stampConfig, {
+        record,
+        fieldMappings,
+        lineItemConfig
+      });
 
       // Step 8: Cleanup temporary document
       debugService.log('info', 'pdf', 'Cleaning up temporary document');
@@ -170,10 +176,15 @@ export class HighFidelityPdfService {
     
     // Import the original PDF service as fallback
     const { generatePDF } = await import('./pdfService');
-    return generatePDF({
+    const pdfBlob = await generatePDF({
       ...options,
       method: 'html2canvas-fallback'
     });
+    return stampService.applyStamps(pdfBlob, options.stampConfig, {
+      record: options.record,
+      fieldMappings: options.fieldMappings,
+      lineItemConfig: options.lineItemConfig
+    });
   }
 
   async isGoogleApisAvailable() {
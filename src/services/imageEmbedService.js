@@ -0,0 +1,204 @@
+import CryptoJS from 'crypto-js';
+import { debugService } from './debugService';
+
+// html2canvas (with useCORS) leaves out images served without CORS headers,
+// and Airtable attachment URLs expire after a few hours. Before a document is
+// rendered, every <img> in its HTML is fetched, scaled down to what the page
+// needs at the output resolution, and put inline as a data URI.
+//
+// Encoded images are cached by a hash of their content and target size, so
+// the same picture behind a new, re-signed Airtable URL is not encoded again.
+// Images that cannot be fetched keep their URL and are reported back.
+export class ImageEmbedService {
+  constructor() {
+    this.cache = new Map();
+    this.maxCacheEntries = 100;
+    this.jpegQuality = 0.85;
+    this.fetchTimeout = 15000;
+    this.concurrency = 4;
+    this.imgPattern = /<img\b[^>]*>/gi;
+  }
+
+  /**
+   * Inline every image of the HTML as a data URI
+   * @param {string} html - Document HTML
+   * @param {Object} options - { scale: output pixels per CSS px, maxWidth: widest
+   *   an image can be shown, in CSS px }
+   * @returns {Promise<Object>} - { html, failed: [{ src, error }] }
+   */
+  async embedImages(html, { scale = 2, maxWidth = 800 } = {}) {
+    const tags = [...new Set((html || '').match(this.imgPattern) || [])];
+    const images = tags
+      .map(tag => ({ tag, ...this.readTag(tag) }))
+      .filter(image => image.src && !image.src.startsWith('data:'));
+    if (images.length === 0) {
+      return { html, failed: [] };
+    }
+
+    // Each URL is fetched once, however many tags show it
+    const downloads = new Map();
+    const results = new Map();
+    const failed = new Map();
+    for (let index = 0; index < images.length; index += this.concurrency) {
+      await Promise.all(images.slice(index, index + this.concurrency).map(async image => {
+        try {
+          if (!downloads.has(image.src)) downloads.set(image.src, this.fetchImage(image.src));
+          results.set(image.tag, await this.embedImage(await downloads.get(image.src), image, scale, maxWidth));
+        } catch (error) {
+          results.set(image.tag, null);
+          failed.set(image.src, { src: image.src, error: error.message });
+        }
+      }));
+    }
+
+    const embedded = html.replace(this.imgPattern, tag => {
+      const dataUrl = results.get(tag);
+      return dataUrl ? tag.replace(/\bsrc\s*=\s*(["'])[\s\S]*?\1/i, `src="${dataUrl}"`) : tag;
+    });
+
+    debugService.log(failed.size > 0 ? 'warn' : 'debug', 'pdf', 'Images embedded in document', {
+      images: downloads.size,
+      failed: failed.size,
+      failedImages: [...failed.values()].map(item => ({ src: item.src.slice(0, 100), error: item.error }))
+    });
+
+    return { html: embedded, failed: [...failed.values()] };
+  }
+
+  // Source, display size in CSS px (when set) and fit of an <img> tag
+  readTag(tag) {
+    const attribute = name => {
+      const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(["'])([\\s\\S]*?)\\1`, 'i'));
+      return match ? match[2] : '';
+    };
+    const style = attribute('style');
+    const declaration = name => {
+      const match = style.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([\\d.]+)px`, 'i'));
+      return match ? parseFloat(match[1]) : null;
+    };
+
+    return {
+      src: this.decodeEntities(attribute('src')),
+      width: declaration('width') || parseFloat(attribute('width')) || null,
+      height: declaration('height') || parseFloat(attribute('height')) || null,
+      fit: attribute('data-fit') || (style.match(/object-fit\s*:\s*(\w+)/i) || [])[1] || 'fill'
+    };
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  async embedImage(blob, image, scale, maxWidth) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const hash = CryptoJS.SHA256(CryptoJS.lib.WordArray.create(bytes)).toString();
+    const key = `${hash}:${image.width || ''}x${image.height || ''}:${image.fit}:${scale}:${maxWidth}`;
+
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const dataUrl = await this.encode(blob, image, scale, maxWidth);
+    this.cache.set(key, dataUrl);
+    // Oldest entries go first once the cache is full
+    if (this.cache.size > this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return dataUrl;
+  }
+
+  async fetchImage(src) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.fetchTimeout);
+    try {
+      const response = await fetch(src, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`.trim());
+      }
+      const blob = await response.blob();
+      if (blob.type && !blob.type.startsWith('image/')) {
+        throw new Error(`Not an image (${blob.type})`);
+      }
+      return blob;
+    } catch (error) {
+      // A CORS refusal reaches fetch as a bare TypeError
+      throw new Error(error.name === 'AbortError' ? 'Timed out' : error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Draw at the size the page shows the image at the output resolution, never
+  // larger than the original; a fixed box with cover or contain is drawn as
+  // such, so the result looks the same in every renderer
+  async encode(blob, image, scale, maxWidth) {
+    const source = await this.decode(blob);
+    const naturalWidth = source.naturalWidth || source.width || 300;
+    const naturalHeight = source.naturalHeight || source.height || 150;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+
+    if (image.width && image.height && (image.fit === 'cover' || image.fit === 'contain')) {
+      const boxRatio = image.width / image.height;
+      const imageRatio = naturalWidth / naturalHeight;
+      if (image.fit === 'cover') {
+        // Crop the middle of the image to the box's shape
+        const cropWidth = imageRatio > boxRatio ? naturalHeight * boxRatio : naturalWidth;
+        const cropHeight = imageRatio > boxRatio ? naturalHeight : naturalWidth / boxRatio;
+        const factor = Math.min(scale, cropWidth / image.width);
+        canvas.width = Math.round(image.width * factor);
+        canvas.height = Math.round(image.height * factor);
+        context.drawImage(source, (naturalWidth - cropWidth) / 2, (naturalHeight - cropHeight) / 2, cropWidth, cropHeight, 0, 0, canvas.width, canvas.height);
+      } else {
+        // Whole image centred in the box, the rest left transparent
+        const fitWidth = imageRatio > boxRatio ? image.width : image.height * imageRatio;
+        const fitHeight = imageRatio > boxRatio ? image.width / imageRatio : image.height;
+        const factor = Math.min(scale, naturalWidth / fitWidth);
+        canvas.width = Math.round(image.width * factor);
+        canvas.height = Math.round(image.height * factor);
+        context.drawImage(source, (canvas.width - fitWidth * factor) / 2, (canvas.height - fitHeight * factor) / 2, fitWidth * factor, fitHeight * factor);
+      }
+    } else {
+      const displayWidth = image.width || (image.height ? image.height * naturalWidth / naturalHeight : Math.min(naturalWidth, maxWidth));
+      const width = Math.min(naturalWidth, Math.min(displayWidth, maxWidth) * scale);
+      canvas.width = Math.max(Math.round(width), 1);
+      canvas.height = Math.max(Math.round(width * naturalHeight / naturalWidth), 1);
+      context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    }
+
+    return this.hasTransparency(context, canvas)
+      ? canvas.toDataURL('image/png')
+      : canvas.toDataURL('image/jpeg', this.jpegQuality);
+  }
+
+  decode(blob) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const element = new Image();
+      element.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(element);
+      };
+      element.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Image could not be decoded'));
+      };
+      element.src = url;
+    });
+  }
+
+  // Photos compress far better as JPEG; anything with see-through pixels stays PNG
+  hasTransparency(context, canvas) {
+    const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+    for (let index = 3; index < data.length; index += 4) {
+      if (data[index] < 255) return true;
+    }
+    return false;
+  }
+}
+
+export const imageEmbedService = new ImageEmbedService();
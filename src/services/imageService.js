@@ -0,0 +1,194 @@
+import { debugService } from './debugService';
+import { templateEngineService } from './templateEngineService';
+import { fieldValueFormatterService } from './fieldValueFormatterService';
+
+// Renders attachment fields mapped to placeholders as images. Settings come
+// from the template's imageConfig: the top-level values are the defaults for
+// every image placeholder, and imageConfig.placeholders holds the overrides
+// for single placeholders:
+//   { width: 200, height: 'auto', fit: 'contain', borderRadius: 0,
+//     thumbnailSize: 'large', layout: 'single', columns: 3, whenEmpty: 'placeholder',
+//     placeholderUrl: '', placeholders: { Photos: { layout: 'gallery', height: 150, fit: 'cover' } } }
+// Airtable makes thumbnails of images and of the first page of PDFs, so PDF
+// attachments are shown as their first page.
+export class ImageService {
+  constructor() {
+    this.thumbnailSizes = ['small', 'large', 'full'];
+    this.fits = ['contain', 'cover', 'fill'];
+    this.defaultSettings = {
+      width: 200,
+      height: 'auto',
+      fit: 'contain',
+      borderRadius: 0,
+      thumbnailSize: 'large',
+      layout: 'single',
+      columns: 3,
+      whenEmpty: 'placeholder',
+      placeholderUrl: ''
+    };
+
+    // Grey frame with a picture outline, shown where a record has no image
+    this.emptyImageUrl = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="150" viewBox="0 0 200 150">' +
+      '<rect width="200" height="150" fill="#f3f4f6" stroke="#d1d5db" stroke-width="2"/>' +
+      '<rect x="70" y="45" width="60" height="45" rx="4" fill="none" stroke="#9ca3af" stroke-width="3"/>' +
+      '<circle cx="86" cy="60" r="5" fill="#9ca3af"/>' +
+      '<path d="M72 88l18-18 12 12 8-8 18 14" fill="none" stroke="#9ca3af" stroke-width="3"/>' +
+      '<text x="100" y="118" font-family="sans-serif" font-size="13" fill="#6b7280" text-anchor="middle">No image</text>' +
+      '</svg>'
+    );
+  }
+
+  /**
+   * Settings for one placeholder: its overrides over the template's defaults
+   * @param {Object} imageConfig - Template image configuration
+   * @param {string} placeholder - Placeholder name (the field mapping key)
+   * @returns {Object} - Complete settings
+   */
+  getSettings(imageConfig, placeholder) {
+    const { placeholders, ...defaults } = imageConfig || {};
+    const settings = { ...this.defaultSettings, ...defaults, ...(placeholders?.[placeholder] || {}) };
+
+    return {
+      ...settings,
+      width: parseInt(settings.width) || this.defaultSettings.width,
+      height: settings.height === 'auto' ? 'auto' : (parseInt(settings.height) || 'auto'),
+      fit: this.fits.includes(settings.fit) ? settings.fit : this.defaultSettings.fit,
+      borderRadius: Math.max(parseInt(settings.borderRadius) || 0, 0),
+      thumbnailSize: this.thumbnailSizes.includes(settings.thumbnailSize) ? settings.thumbnailSize : this.defaultSettings.thumbnailSize,
+      columns: Math.min(Math.max(parseInt(settings.columns) || this.defaultSettings.columns, 1), 6)
+    };
+  }
+
+  /**
+   * Mapped placeholders that show attachments, with the images to put there
+   * @param {Object} record - Record (may have linked records filled in)
+   * @param {Object} fieldMappings - Placeholder → Airtable field (or dotted path)
+   * @param {Object} imageConfig - Template image configuration
+   * @param {Array} fieldTypes - Field metadata from getFieldTypes
+   * @returns {Array} - [{ placeholder, airtableField, settings, images: [{ url, alt, isPlaceholder }] }]
+   */
+  findImagePlaceholders(record, fieldMappings, imageConfig, fieldTypes = []) {
+    return Object.entries(fieldMappings || {})
+      .map(([placeholder, airtableField]) => {
+        const value = templateEngineService.readPath(record, airtableField);
+        const attachments = (Array.isArray(value) ? value.flat(Infinity) : [value]).filter(item => this.isAttachment(item));
+        const fieldType = fieldValueFormatterService.findField(fieldTypes, airtableField);
+        const isImageField = attachments.length > 0 ||
+          fieldType?.type === 'multipleAttachments' ||
+          !!imageConfig?.placeholders?.[placeholder];
+        if (!isImageField) return null;
+
+        const settings = this.getSettings(imageConfig, placeholder);
+        return { placeholder, airtableField, settings, images: this.getImages(attachments, settings) };
+      })
+      .filter(Boolean);
+  }
+
+  isAttachment(value) {
+    return !!value && typeof value === 'object' && typeof value.url === 'string' && ('filename' in value || 'type' in value);
+  }
+
+  // The images for one placeholder: the first one, or all of them for a gallery
+  getImages(attachments, settings) {
+    const images = attachments
+      .map(attachment => ({ url: this.getImageUrl(attachment, settings.thumbnailSize), alt: attachment.filename || 'Image' }))
+      .filter(image => image.url);
+
+    if (images.length < attachments.length) {
+      debugService.log('debug', 'pdf', 'Skipped attachments that cannot be shown as images', {
+        skipped: attachments.length - images.length
+      });
+    }
+
+    if (images.length === 0) {
+      return settings.whenEmpty === 'placeholder'
+        ? [{ url: settings.placeholderUrl || this.emptyImageUrl, alt: 'No image', isPlaceholder: true }]
+        : [];
+    }
+    return settings.layout === 'gallery' ? images : images.slice(0, 1);
+  }
+
+  /**
+   * URL to show for an attachment at the chosen thumbnail size
+   * @param {Object} attachment - Airtable attachment object
+   * @param {string} size - 'small', 'large' or 'full'
+   * @returns {string} - Image URL, or '' for attachments without a picture
+   */
+  getImageUrl(attachment, size = 'large') {
+    const thumbnails = attachment.thumbnails || {};
+    // PDFs only have small and large thumbnails; take the nearest one available
+    const order = [size, ...(size === 'small' ? ['large', 'full'] : ['full', 'large', 'small'])];
+    const thumbnail = order.map(name => thumbnails[name]).find(item => item?.url);
+
+    if (attachment.type?.startsWith('image/')) {
+      return size === 'full' ? attachment.url : (thumbnail?.url || attachment.url);
+    }
+    // PDFs and other documents are shown through their first-page thumbnail
+    return thumbnail?.url || '';
+  }
+
+  /**
+   * HTML for the images of one placeholder
+   * @param {Array} images - From findImagePlaceholders
+   * @param {Object} settings - From getSettings
+   * @returns {string} - An <img>, a gallery table, or '' when there is nothing to show
+   */
+  renderHTML(images, settings) {
+    if (images.length === 0) return '';
+    if (images.length === 1 || settings.layout !== 'gallery') {
+      return this.renderImage(images[0], settings, 'display: inline-block; margin: 10px 0;');
+    }
+
+    // A table lays out in both the screenshot and the vector renderer
+    const rows = [];
+    for (let index = 0; index < images.length; index += settings.columns) {
+      const cells = images
+        .slice(index, index + settings.columns)
+        .map(image => `<td style="padding: 4px; vertical-align: top; border: none;">${this.renderImage(image, settings, 'display: block;')}</td>`);
+      rows.push(`<tr>${cells.join('')}</tr>`);
+    }
+    return `<table class="image-gallery" style="border-collapse: collapse; border: none; margin: 10px 0;"><tbody>${rows.join('')}</tbody></table>`;
+  }
+
+  renderImage(image, settings, layoutStyle) {
+    const size = settings.height === 'auto'
+      ? `width: ${settings.width}px; max-width: 100%; height: auto;`
+      : `width: ${settings.width}px; height: ${settings.height}px; object-fit: ${settings.fit};`;
+    const radius = settings.borderRadius > 0 ? ` border-radius: ${settings.borderRadius}px;` : '';
+
+    return `<img src="${templateEngineService.escapeHtml(image.url)}" alt="${templateEngineService.escapeHtml(image.alt)}" ` +
+      `data-fit="${settings.fit}" style="${size}${radius} ${layoutStyle}" />`;
+  }
+
+  /**
+   * Replace every image placeholder in HTML content
+   * @param {string} content - Document HTML
+   * @param {Object} record - Record with attachment fields
+   * @param {Object} fieldMappings - Placeholder → Airtable field
+   * @param {Object} imageConfig - Template image configuration
+   * @param {Array} fieldTypes - Field metadata from getFieldTypes
+   * @returns {string} - Content with the images in place
+   */
+  replacePlaceholders(content, record, fieldMappings, imageConfig, fieldTypes = []) {
+    this.findImagePlaceholders(record, fieldMappings, imageConfig, fieldTypes).forEach(({ placeholder, settings, images }) => {
+      const placeholderRegex = new RegExp(`\\{\\{\\s*${this.escapeRegExp(placeholder)}\\s*\\}\\}`, 'gi');
+      content = content.replace(placeholderRegex, () => this.renderHTML(images, settings));
+
+      debugService.log('debug', 'pdf', 'Processed image placeholder', {
+        placeholder,
+        layout: settings.layout,
+        images: images.length,
+        empty: images.some(image => image.isPlaceholder)
+      });
+    });
+
+    return content;
+  }
+
+  escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+export const imageService = new ImageService();
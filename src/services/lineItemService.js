@@ -0,0 +1,231 @@
+import { debugService } from './debugService';
+import { enhancedAirtableService } from './enhancedAirtableService';
+import { linkedRecordService } from './linkedRecordService';
+import { templateEngineService } from './templateEngineService';
+import { fieldValueFormatterService } from './fieldValueFormatterService';
+
+// Line items come from a linked record field, which Airtable returns as
+// record ids. hydrate() fetches those records once per generation, before
+// any renderer runs; buildRows() then turns them into display rows for the
+// generic {{line_items}} table, after filtering, sorting and grouping.
+//
+// When the line item field is a lookup rather than a link, each mapped line
+// item field is read as a lookup on the record and the lists are read side by
+// side, one row per position.
+export class LineItemService {
+  /**
+   * Fetch the linked line item records in place of their ids
+   * @param {Object} options - Generation options (record, airtableConfig, lineItemConfig,
+   *   fieldSchema)
+   * @returns {Promise<Object>} - Options with the line items as records, and the
+   *   line item table's field types in lineItemConfig.itemFieldTypes
+   */
+  async hydrate(options) {
+    const { record, airtableConfig, lineItemConfig } = options;
+    if (!lineItemConfig?.enabled || !lineItemConfig.tableName || !record?.fields || !airtableConfig?.apiKey) {
+      return options;
+    }
+
+    try {
+      // Fields renamed in Airtable are found under the names the template uses
+      const tables = await linkedRecordService.getTables(airtableConfig, options.fieldSchema);
+      const table = tables.find(item => item.name === airtableConfig.tableName);
+      const linkField = table?.fields.find(field => field.name === lineItemConfig.tableName);
+      const linkedTable = tables.find(item => item.id === (linkField?.options?.linkedTableId || lineItemConfig.linkedTableId));
+
+      // Lookups are read as they are
+      if (!linkedTable || linkField?.type !== 'multipleRecordLinks') {
+        return options;
+      }
+
+      const values = Array.isArray(record.fields[lineItemConfig.tableName]) ? record.fields[lineItemConfig.tableName] : [];
+      const ids = values.filter(value => typeof value === 'string');
+      let items = values;
+      if (ids.length > 0) {
+        const fetched = await enhancedAirtableService.fetchRecordsByIds(
+          { ...airtableConfig, tableName: linkedTable.name },
+          ids,
+          { returnFieldsByFieldId: true }
+        );
+        const byId = new Map(fetched.map(item => [
+          item.id,
+          linkedRecordService.toNode(linkedRecordService.nameFields(item, linkedTable), linkedTable)
+        ]));
+        // Records linked for other placeholders are already in place
+        items = values.map(value => (typeof value === 'string' ? byId.get(value) : value)).filter(Boolean);
+
+        debugService.log('info', 'pdf', 'Line item records loaded', {
+          linkedTable: linkedTable.name,
+          requested: ids.length,
+          found: fetched.length
+        });
+      }
+
+      return {
+        ...options,
+        record: { ...record, fields: { ...record.fields, [lineItemConfig.tableName]: items } },
+        lineItemConfig: {
+          ...lineItemConfig,
+          // Only for this generation; not part of the saved template
+          itemFieldTypes: linkedTable.fields
+        }
+      };
+    } catch (error) {
+      debugService.log('warn', 'pdf', 'Could not load line item records', {
+        recordId: record.id,
+        error: error.message
+      });
+      return options;
+    }
+  }
+
+  /**
+   * The line items of a record as records with fields, whatever the source
+   * @param {Object} record - Record (hydrated or not)
+   * @param {Object} lineItemConfig - Line item configuration
+   * @returns {Array} - Items; ids that were never fetched have no fields
+   */
+  getItems(record, lineItemConfig) {
+    const values = record?.fields?.[lineItemConfig.tableName];
+    if (!Array.isArray(values) || values.length === 0) return [];
+
+    if (values.some(value => value && typeof value === 'object' && value.fields)) {
+      return values.map(value => (value && value.fields ? value : { id: String(value), fields: {} }));
+    }
+
+    // Record ids that could not be fetched render as empty rows
+    if (values.every(value => typeof value === 'string' && /^rec[A-Za-z0-9]{14}$/.test(value))) {
+      return values.map(id => ({ id, fields: {} }));
+    }
+
+    // Lookups: one list per mapped field, read side by side
+    const columns = (lineItemConfig.fields || []).map(field => {
+      const value = templateEngineService.readPath(record, field.airtable);
+      return { name: field.airtable, values: Array.isArray(value) ? value : (value === undefined ? [] : [value]) };
+    });
+    const length = Math.max(values.length, ...columns.map(column => column.values.length));
+    return Array.from({ length }, (_, index) => ({
+      id: `item-${index + 1}`,
+      fields: Object.fromEntries(columns.map(column => [column.name, column.values[index]]))
+    }));
+  }
+
+  /**
+   * Display rows for the generic line item table
+   * @param {Object} record - Record with line items
+   * @param {Object} lineItemConfig - { fields, filter, sort: { field, direction },
+   *   groupBy, subtotalFields }
+   * @returns {Object} - { columns, rows, itemCount }; each row has a type
+   *   ('group', 'item', 'subtotal' or 'total'), cells (display text per
+   *   column) and, for group rows, a label
+   */
+  buildRows(record, lineItemConfig) {
+    const fields = lineItemConfig.fields || [];
+    const columns = fields.map(field => field.template.replace(/[{}]/g, '').trim());
+    const subtotalFields = (lineItemConfig.subtotalFields || []).filter(name => fields.some(field => field.airtable === name));
+
+    let items = this.getItems(record, lineItemConfig);
+    if (lineItemConfig.filter?.trim()) {
+      items = items.filter(item => this.matchesFilter(item, record, lineItemConfig));
+    }
+    if (lineItemConfig.sort?.field) {
+      items = this.sortItems(items, lineItemConfig.sort.field, lineItemConfig.sort.direction);
+    }
+
+    const itemRow = item => ({
+      type: 'item',
+      cells: fields.map(field => this.formatCell(templateEngineService.readPath(item, field.airtable), field.airtable, lineItemConfig))
+    });
+    const totalRow = (type, groupItems) => ({
+      type,
+      cells: fields.map((field, index) => {
+        if (subtotalFields.includes(field.airtable)) {
+          return this.formatCell(this.sum(groupItems, field.airtable), field.airtable, lineItemConfig);
+        }
+        return index === 0 ? (type === 'total' ? 'Total' : 'Subtotal') : '';
+      })
+    });
+
+    const rows = [];
+    if (lineItemConfig.groupBy) {
+      this.groupItems(items, lineItemConfig.groupBy, lineItemConfig).forEach(group => {
+        rows.push({ type: 'group', label: group.label, cells: [] });
+        group.items.forEach(item => rows.push(itemRow(item)));
+        if (subtotalFields.length > 0) rows.push(totalRow('subtotal', group.items));
+      });
+    } else {
+      items.forEach(item => rows.push(itemRow(item)));
+    }
+    if (subtotalFields.length > 0 && items.length > 0) {
+      rows.push(totalRow('total', items));
+    }
+
+    return { columns, rows, itemCount: items.length };
+  }
+
+  // Conditions work as in {{#if}} blocks, with the item's fields (and line
+  // item placeholder names) resolved first and the record's after them
+  matchesFilter(item, record, lineItemConfig) {
+    try {
+      return templateEngineService.evaluateCondition(lineItemConfig.filter, {
+        record,
+        lineItemConfig,
+        frame: { item, data: {}, parent: null }
+      });
+    } catch (error) {
+      debugService.log('warn', 'pdf', 'Line item filter could not be evaluated, keeping the row', {
+        filter: lineItemConfig.filter,
+        error: error.message
+      });
+      return true;
+    }
+  }
+
+  sortItems(items, fieldName, direction) {
+    const factor = direction === 'desc' ? -1 : 1;
+    const keyed = items.map((item, index) => ({
+      item,
+      index,
+      key: templateEngineService.toComparable(templateEngineService.readPath(item, fieldName))
+    }));
+
+    keyed.sort((a, b) => {
+      const aEmpty = a.key === '';
+      const bEmpty = b.key === '';
+      // Empty values go last either way; ties keep Airtable's order
+      if (aEmpty || bEmpty) return aEmpty === bEmpty ? a.index - b.index : (aEmpty ? 1 : -1);
+      if (typeof a.key === 'number' && typeof b.key === 'number') return (a.key - b.key) * factor || a.index - b.index;
+      return String(a.key).localeCompare(String(b.key), undefined, { numeric: true }) * factor || a.index - b.index;
+    });
+    return keyed.map(entry => entry.item);
+  }
+
+  // Groups in the order they first appear, after sorting
+  groupItems(items, fieldName, lineItemConfig) {
+    const groups = new Map();
+    items.forEach(item => {
+      const label = this.formatCell(templateEngineService.readPath(item, fieldName), fieldName, lineItemConfig) || '(None)';
+      if (!groups.has(label)) groups.set(label, { label, items: [] });
+      groups.get(label).items.push(item);
+    });
+    return [...groups.values()];
+  }
+
+  sum(items, fieldName) {
+    return items.reduce((total, item) => {
+      const value = templateEngineService.readPath(item, fieldName);
+      const values = Array.isArray(value) ? value.flat(Infinity) : [value];
+      return total + values.reduce((subtotal, entry) => {
+        const number = typeof entry === 'number' ? entry : parseFloat(entry);
+        return Number.isNaN(number) ? subtotal : subtotal + number;
+      }, 0);
+    }, 0);
+  }
+
+  formatCell(value, fieldName, lineItemConfig) {
+    const field = (lineItemConfig.itemFieldTypes || []).find(item => item.name === fieldName);
+    return field ? fieldValueFormatterService.formatValue(value, field) : fieldValueFormatterService.toText(value);
+  }
+}
+
+export const lineItemService = new LineItemService();
@@ -0,0 +1,255 @@
+import { debugService } from './debugService';
+import { enhancedAirtableService } from './enhancedAirtableService';
+import { templateEngineService } from './templateEngineService';
+import { fieldValueFormatterService } from './fieldValueFormatterService';
+
+// Airtable returns linked record fields as arrays of record ids. Before a
+// document is rendered, the linked records that dotted placeholders walk
+// through ({{Customer.Company.Address}}, {{Line Items.Product.SKU}}) are
+// fetched and put in place of the ids, so the template engine can read into
+// them. Each level is fetched in one batch per linked table, and every record
+// is fetched at most once per generation.
+//
+// Hydrated records keep their id and fields and get a `name` with their
+// primary field value, so {{Customer}} on its own shows the customer's name.
+// Linked records are read by field id and named after the template's field
+// schema, so linked fields renamed in Airtable keep their old names here.
+export class LinkedRecordService {
+  constructor() {
+    this.defaultDepth = 3;
+    this.maxDepth = 5;
+  }
+
+  /**
+   * Replace linked record ids with the records the template's dotted paths need
+   * @param {Object} options - Generation options (record, airtableConfig,
+   *   fieldMappings, fieldSchema, templateFields, lineItemConfig, filenameConfig,
+   *   linkedRecordDepth)
+   * @returns {Promise<Object>} - Options with the record's linked fields filled in
+   */
+  async hydrate(options) {
+    if (!options.record?.fields || !options.airtableConfig?.apiKey) {
+      return options;
+    }
+
+    try {
+      const tables = await this.getTables(options.airtableConfig, options.fieldSchema);
+      const table = tables.find(item => item.name === options.airtableConfig.tableName);
+      const paths = table ? this.collectPaths(options, table) : [];
+      if (paths.length === 0) {
+        return options;
+      }
+
+      const context = { config: options.airtableConfig, tables, cache: new Map(), fetched: 0 };
+      const record = this.toNode(options.record, table);
+      const depth = this.getDepth(options.linkedRecordDepth);
+      await this.expandLevel(context, [{ record, table, paths }], depth);
+
+      debugService.log('info', 'airtable', 'Linked records loaded for placeholders', {
+        recordId: record.id,
+        paths,
+        depth,
+        recordsFetched: context.fetched
+      });
+
+      return { ...options, record };
+    } catch (error) {
+      debugService.log('warn', 'airtable', 'Could not load linked records, leaving record ids', {
+        recordId: options.record.id,
+        error: error.message
+      });
+      return options;
+    }
+  }
+
+  /**
+   * The base's tables, where every field the template's field schema knows by
+   * another name also appears under that name
+   * @param {Object} airtableConfig - { apiKey, baseId, tableName }
+   * @param {Object} fieldSchema - The template's mapping.fieldSchema
+   * @returns {Promise<Array>} - Tables
+   */
+  async getTables(airtableConfig, fieldSchema) {
+    const names = new Map();
+    const add = (id, name) => {
+      if (id && name) names.set(id, [...(names.get(id) || []), name]);
+    };
+    Object.entries(fieldSchema?.table || {}).forEach(([name, entry]) => {
+      if (entry.path) {
+        entry.path.forEach(segment => add(segment.id, segment.name));
+      } else {
+        add(entry.id, name);
+      }
+    });
+    Object.entries(fieldSchema?.lineItems || {}).forEach(([name, entry]) => add(entry.id, name));
+
+    const tables = await enhancedAirtableService.getBaseTables(airtableConfig);
+    return tables.map(table => {
+      const renamed = table.fields.flatMap(field =>
+        (names.get(field.id) || []).filter(name => name !== field.name).map(name => ({ ...field, name }))
+      );
+      return renamed.length > 0 ? { ...table, fields: [...table.fields, ...renamed] } : table;
+    });
+  }
+
+  /**
+   * A record fetched with returnFieldsByFieldId, with its fields keyed by name
+   * @param {Object} record - Record with fields keyed by field id
+   * @param {Object} table - Its table, from getTables
+   * @returns {Object} - Record with fields keyed by every name of each field
+   */
+  nameFields(record, table) {
+    const fields = {};
+    table.fields.forEach(field => {
+      if (field.id in record.fields) {
+        fields[field.name] = record.fields[field.id];
+      }
+    });
+    return { ...record, fields };
+  }
+
+  getDepth(depth) {
+    const value = parseInt(depth);
+    return Number.isNaN(value) ? this.defaultDepth : Math.min(Math.max(value, 1), this.maxDepth);
+  }
+
+  /**
+   * Dotted names the template may read, relative to the main record. Names
+   * inside {{#each}} blocks are listed on their own by placeholder extraction,
+   * so names that are not fields of the table are also tried under each
+   * linked field the template names by itself (the blocks' lists).
+   */
+  collectPaths(options, table) {
+    const names = new Set();
+    const add = name => {
+      if (typeof name === 'string' && name.trim()) names.add(name.trim());
+    };
+
+    (options.templateFields || []).forEach(add);
+    Object.values(options.fieldMappings || {}).forEach(add);
+    (options.filenameConfig?.template || '').replace(templateEngineService.tagPattern, (match, body) => {
+      templateEngineService.describePlaceholder(body).fields.forEach(add);
+      return match;
+    });
+
+    const linkedFields = table.fields.filter(field => field.type === 'multipleRecordLinks');
+    const lists = linkedFields.filter(field => [...names].some(name => this.sameName(name, field.name)));
+    const itemNames = [
+      ...[...names].filter(name => !this.findField(table, name)),
+      ...(options.lineItemConfig?.fields || []).map(field => field.airtable).filter(Boolean)
+    ];
+    lists.forEach(field => itemNames.forEach(name => add(`${field.name}.${name}`)));
+
+    return [...names].filter(name => linkedFields.some(field => this.startsWithField(name, field.name)));
+  }
+
+  // One level: fetch the linked records every entry needs, then continue
+  // below them with the rest of each path
+  async expandLevel(context, entries, depth) {
+    const requests = [];
+    entries.forEach(({ record, table, paths }) => {
+      this.groupByLinkedField(context, table, paths).forEach(({ field, linkedTable, rest }) => {
+        const ids = (record.fields[field.name] || []).filter(id => typeof id === 'string');
+        if (ids.length > 0) {
+          requests.push({ record, field, linkedTable, ids, rest });
+        }
+      });
+    });
+    if (requests.length === 0) return;
+
+    if (depth <= 0) {
+      debugService.log('warn', 'airtable', 'Linked record depth reached; deeper placeholders stay empty', {
+        paths: [...new Set(requests.flatMap(request => request.rest.map(rest => `${request.field.name}.${rest}`)))]
+      });
+      return;
+    }
+
+    await this.fetchMissing(context, requests);
+
+    const next = [];
+    requests.forEach(({ record, field, linkedTable, ids, rest }) => {
+      const linked = ids
+        .map(id => context.cache.get(`${linkedTable.id}:${id}`))
+        .filter(Boolean)
+        .map(linkedRecord => this.toNode(linkedRecord, linkedTable));
+      record.fields[field.name] = linked;
+      linked.forEach(node => next.push({ record: node, table: linkedTable, paths: rest }));
+    });
+
+    await this.expandLevel(context, next, depth - 1);
+  }
+
+  // Linked fields the paths go through, with what is left of each path;
+  // only fields whose linked table has something the rest can resolve to
+  groupByLinkedField(context, table, paths) {
+    const groups = new Map();
+    table.fields
+      .filter(field => field.type === 'multipleRecordLinks')
+      .forEach(field => {
+        const linkedTable = context.tables.find(item => item.id === field.options?.linkedTableId);
+        if (!linkedTable) return;
+
+        const rest = paths
+          .filter(path => this.startsWithField(path, field.name))
+          .map(path => path.slice(field.name.length + 1))
+          .filter(restPath => this.findField(linkedTable, restPath));
+        if (rest.length > 0) {
+          groups.set(field.name, { field, linkedTable, rest: [...new Set(rest)] });
+        }
+      });
+    return [...groups.values()];
+  }
+
+  async fetchMissing(context, requests) {
+    const missingByTable = new Map();
+    requests.forEach(({ linkedTable, ids }) => {
+      if (!missingByTable.has(linkedTable.id)) {
+        missingByTable.set(linkedTable.id, { linkedTable, ids: new Set() });
+      }
+      ids
+        .filter(id => !context.cache.has(`${linkedTable.id}:${id}`))
+        .forEach(id => missingByTable.get(linkedTable.id).ids.add(id));
+    });
+
+    for (const { linkedTable, ids } of missingByTable.values()) {
+      if (ids.size === 0) continue;
+
+      const records = await enhancedAirtableService.fetchRecordsByIds(
+        { ...context.config, tableName: linkedTable.name },
+        [...ids],
+        { returnFieldsByFieldId: true }
+      );
+      records.forEach(record => context.cache.set(`${linkedTable.id}:${record.id}`, this.nameFields(record, linkedTable)));
+      context.fetched += records.length;
+    }
+  }
+
+  // A copy per position, so the same record linked twice can be expanded
+  // differently without shared state
+  toNode(record, table) {
+    const primaryField = table.fields.find(field => field.id === table.primaryFieldId);
+    return {
+      id: record.id,
+      createdTime: record.createdTime,
+      name: primaryField ? fieldValueFormatterService.toText(record.fields[primaryField.name]) : undefined,
+      fields: { ...record.fields }
+    };
+  }
+
+  // The field a (possibly dotted) name starts with; a field whose name itself
+  // contains dots wins, as in the template engine
+  findField(table, name) {
+    return table.fields.find(field => this.sameName(name, field.name))
+      || table.fields.find(field => this.startsWithField(name, field.name));
+  }
+
+  startsWithField(path, fieldName) {
+    return path.toLowerCase().startsWith(`${fieldName.toLowerCase()}.`);
+  }
+
+  sameName(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+}
+
+export const linkedRecordService = new LinkedRecordService();
@@ -0,0 +1,214 @@
+import { format, isValid, parseISO } from 'date-fns';
+import { th } from 'date-fns/locale';
+
+// Locale-specific formatters required on Thai invoices and receipts:
+//   bahtText(1200)        -> หนึ่งพันสองร้อยบาทถ้วน
+//   thaiDate('2026-10-19') -> 19 ตุลาคม 2569 (Buddhist Era)
+//   numberToWords(1234.5, 'USD') -> one thousand two hundred thirty-four dollars and fifty cents
+// They are registered as template filters by valueFormatterService.
+export class LocaleFormatterService {
+  constructor() {
+    this.thaiDigits = ['ศูนย์', 'หนึ่ง', 'สอง', 'สาม', 'สี่', 'ห้า', 'หก', 'เจ็ด', 'แปด', 'เก้า'];
+    this.thaiPositions = ['', 'สิบ', 'ร้อย', 'พัน', 'หมื่น', 'แสน'];
+    this.buddhistEraOffset = 543;
+    this.thaiDatePresets = {
+      short: 'd MMM yy',
+      long: 'd MMMM yyyy',
+      full: 'EEEEที่ d MMMM พ.ศ. yyyy'
+    };
+
+    this.englishOnes = [
+      'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+      'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+    ];
+    this.englishTens = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+    this.englishScales = ['', 'thousand', 'million', 'billion', 'trillion'];
+    // Largest whole part the scales above can write
+    this.maxEnglishNumber = 1e15 - 1;
+    this.currencyWords = {
+      USD: ['dollar', 'dollars', 'cent', 'cents'],
+      EUR: ['euro', 'euros', 'cent', 'cents'],
+      GBP: ['pound', 'pounds', 'penny', 'pence'],
+      THB: ['baht', 'baht', 'satang', 'satang']
+    };
+  }
+
+  /**
+   * Write an amount in Thai words as required on tax invoices
+   * @param {number|string} value - Amount in baht
+   * @returns {string} - e.g. หนึ่งพันสองร้อยบาทถ้วน, or the input when it is not a number
+   */
+  bahtText(value) {
+    const amount = this.toNumber(value);
+    if (amount === null) return value;
+
+    const totalSatang = Math.round(Math.abs(amount) * 100);
+    const baht = Math.floor(totalSatang / 100);
+    const satang = totalSatang % 100;
+    const sign = amount < 0 && totalSatang > 0 ? 'ลบ' : '';
+
+    if (baht === 0 && satang === 0) {
+      return 'ศูนย์บาทถ้วน';
+    }
+
+    const bahtWords = baht > 0 ? `${this.thaiNumber(baht)}บาท` : '';
+    const satangWords = satang > 0 ? `${this.thaiNumber(satang)}สตางค์` : 'ถ้วน';
+
+    return sign + bahtWords + satangWords;
+  }
+
+  // Read a whole number in Thai; every group of six digits is followed by ล้าน
+  thaiNumber(number) {
+    if (number === 0) return this.thaiDigits[0];
+
+    const digits = String(number);
+    const groups = [];
+    for (let end = digits.length; end > 0; end -= 6) {
+      groups.unshift(digits.slice(Math.max(0, end - 6), end));
+    }
+
+    return groups.map((group, index) => {
+      const hasHigherDigits = groups.slice(0, index).some(higher => Number(higher) > 0);
+      const words = this.thaiGroup(group, hasHigherDigits);
+      return index < groups.length - 1 ? `${words}ล้าน` : words;
+    }).join('');
+  }
+
+  thaiGroup(group, hasHigherDigits) {
+    const digits = group.split('').map(Number);
+    let words = '';
+
+    digits.forEach((digit, index) => {
+      const position = digits.length - index - 1;
+      if (digit === 0) return;
+
+      if (position === 1 && digit === 1) {
+        words += 'สิบ';
+      } else if (position === 1 && digit === 2) {
+        words += 'ยี่สิบ';
+      } else if (position === 0 && digit === 1 && (words !== '' || hasHigherDigits)) {
+        words += 'เอ็ด';
+      } else {
+        words += this.thaiDigits[digit] + this.thaiPositions[position];
+      }
+    });
+
+    return words;
+  }
+
+  /**
+   * Format a date in the Buddhist calendar with Thai month names
+   * @param {Date|string|number} value - Date value (ISO strings from Airtable)
+   * @param {string} pattern - date-fns pattern or one of short / long / full
+   * @returns {string} - e.g. 19 ตุลาคม 2569, or the input when it is not a date
+   */
+  thaiDate(value, pattern = 'long') {
+    const date = this.toDate(value);
+    if (!date) return value;
+
+    const buddhistYear = String(date.getFullYear() + this.buddhistEraOffset);
+    const datePattern = this.thaiDatePresets[pattern] || String(pattern);
+
+    // date-fns only knows the Gregorian year, so year tokens are swapped for
+    // quoted literals; text already quoted in the pattern is left alone
+    const thaiPattern = datePattern
+      .split(/('(?:[^']|'')*'?)/)
+      .map(part => (part.startsWith('\'') ? part : part.replace(/y+/g, token =>
+        `'${token.length === 2 ? buddhistYear.slice(-2) : buddhistYear}'`
+      )))
+      .join('');
+
+    return format(date, thaiPattern, { locale: th });
+  }
+
+  /**
+   * Write a number in English words
+   * @param {number|string} value - Number to write
+   * @param {string} currency - Optional currency code (USD, EUR, GBP, THB) for
+   *                            "dollars and fifty cents" style output
+   * @returns {string} - e.g. one thousand two hundred thirty-four point five
+   * @throws {Error} - When the number is a quadrillion or more
+   */
+  numberToWords(value, currency) {
+    const number = this.toNumber(value);
+    if (number === null) return value;
+    if (Math.round(Math.abs(number) * 100) / 100 > this.maxEnglishNumber) {
+      throw new Error(`Numbers from a quadrillion up cannot be written in words (${value})`);
+    }
+
+    const sign = number < 0 ? 'minus ' : '';
+    const units = currency ? this.currencyWords[String(currency).toUpperCase()] : null;
+
+    if (units) {
+      const totalCents = Math.round(Math.abs(number) * 100);
+      const whole = Math.floor(totalCents / 100);
+      const cents = totalCents % 100;
+      const wholeWords = `${this.englishNumber(whole)} ${whole === 1 ? units[0] : units[1]}`;
+      const centWords = cents > 0 ? ` and ${this.englishNumber(cents)} ${cents === 1 ? units[2] : units[3]}` : '';
+      return sign + wholeWords + centWords;
+    }
+
+    // Two decimals at most, so floating point noise (0.1 + 0.2) is not read out
+    const [whole, fraction] = Math.abs(number).toFixed(2).replace(/\.?0+$/, '').split('.');
+    const fractionWords = fraction
+      ? ` point ${fraction.split('').map(digit => this.englishOnes[Number(digit)]).join(' ')}`
+      : '';
+
+    return sign + this.englishNumber(Number(whole)) + fractionWords;
+  }
+
+  englishNumber(number) {
+    if (number === 0) return this.englishOnes[0];
+
+    const parts = [];
+    let remaining = number;
+    let scale = 0;
+
+    while (remaining > 0 && scale < this.englishScales.length) {
+      const chunk = remaining % 1000;
+      if (chunk > 0) {
+        const scaleWord = this.englishScales[scale];
+        parts.unshift(this.englishChunk(chunk) + (scaleWord ? ` ${scaleWord}` : ''));
+      }
+      remaining = Math.floor(remaining / 1000);
+      scale++;
+    }
+
+    return parts.join(' ');
+  }
+
+  englishChunk(number) {
+    const hundreds = Math.floor(number / 100);
+    const rest = number % 100;
+    const words = [];
+
+    if (hundreds > 0) {
+      words.push(`${this.englishOnes[hundreds]} hundred`);
+    }
+    if (rest > 0 && rest < 20) {
+      words.push(this.englishOnes[rest]);
+    } else if (rest >= 20) {
+      const ones = rest % 10;
+      words.push(this.englishTens[Math.floor(rest / 10)] + (ones ? `-${this.englishOnes[ones]}` : ''));
+    }
+
+    return words.join(' ');
+  }
+
+  toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const number = Number(value.replace(/[,\s฿$]/g, ''));
+    return Number.isFinite(number) ? number : null;
+  }
+
+  toDate(value) {
+    if (value instanceof Date) return isValid(value) ? value : null;
+    if (typeof value === 'number') return new Date(value);
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const parsed = parseISO(value.trim());
+    return isValid(parsed) ? parsed : null;
+  }
+}
+
+export const localeFormatterService = new LocaleFormatterService();
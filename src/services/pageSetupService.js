@@ -0,0 +1,157 @@
+// Page size, orientation, margins and capture resolution for a template.
+// Dimensions are stored in millimetres and converted per renderer: CSS px for
+// the html2canvas capture, points for the vector renderer and the Docs API.
+// The 'document' size keeps the Google Doc's own page setup when exporting
+// through the Docs API and falls back to A4 for the HTML-based renderers.
+export class PageSetupService {
+  constructor() {
+    this.presets = {
+      document: { label: 'Same as Google Doc', width: 210, height: 297 },
+      a4: { label: 'A4 (210 × 297 mm)', width: 210, height: 297 },
+      a5: { label: 'A5 (148 × 210 mm)', width: 148, height: 210 },
+      letter: { label: 'US Letter (8.5 × 11 in)', width: 215.9, height: 279.4 },
+      legal: { label: 'US Legal (8.5 × 14 in)', width: 215.9, height: 355.6 },
+      label4x6: { label: 'Shipping label (4 × 6 in)', width: 101.6, height: 152.4 },
+      custom: { label: 'Custom size', width: 210, height: 297 }
+    };
+    this.scales = [
+      { value: 1, label: 'Standard (96 DPI)' },
+      { value: 2, label: 'High (192 DPI)' },
+      { value: 3, label: 'Print (288 DPI)' }
+    ];
+    this.defaultSetup = {
+      size: 'document',
+      width: 210,
+      height: 297,
+      orientation: 'portrait',
+      margins: { top: 10, right: 10, bottom: 10, left: 10 },
+      scale: 2
+    };
+    this.minimumSize = 20;
+  }
+
+  /**
+   * Resolve a page setup into concrete page dimensions
+   * @param {Object} pageSetup - { size, width, height, orientation, margins, scale }
+   *   with width/height (custom size only) and margins in mm
+   * @returns {Object} - { size, orientation, width, height, margins, scale } in mm,
+   *   with width/height already swapped for the orientation
+   */
+  resolve(pageSetup) {
+    const setup = {
+      ...this.defaultSetup,
+      ...(pageSetup || {}),
+      margins: { ...this.defaultSetup.margins, ...(pageSetup?.margins || {}) }
+    };
+    const preset = this.presets[setup.size] || this.presets.a4;
+
+    let width = setup.size === 'custom' ? this.toNumber(setup.width, preset.width) : preset.width;
+    let height = setup.size === 'custom' ? this.toNumber(setup.height, preset.height) : preset.height;
+    width = Math.max(width, this.minimumSize);
+    height = Math.max(height, this.minimumSize);
+
+    const orientation = setup.orientation === 'landscape' ? 'landscape' : 'portrait';
+    if ((orientation === 'landscape') !== (width > height)) {
+      [width, height] = [height, width];
+    }
+
+    // Keep at least half of each dimension for content
+    const margins = {};
+    ['top', 'right', 'bottom', 'left'].forEach(side => {
+      const limit = (side === 'top' || side === 'bottom' ? height : width) / 4;
+      margins[side] = Math.min(Math.max(this.toNumber(setup.margins[side], 0), 0), limit);
+    });
+
+    const scale = Math.min(Math.max(this.toNumber(setup.scale, this.defaultSetup.scale), 1), 4);
+
+    return { size: setup.size, orientation, width, height, margins, scale };
+  }
+
+  toNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+
+  // Millimetres to CSS px at 96 DPI
+  toPixels(mm) {
+    return (mm * 96) / 25.4;
+  }
+
+  // Millimetres to PDF points
+  toPoints(mm) {
+    return (mm * 72) / 25.4;
+  }
+
+  /**
+   * Page setup for the vector renderer, in points
+   * @param {Object} page - From resolve
+   * @returns {Object} - { format, orientation, margins }
+   */
+  toVectorPage(page) {
+    const margins = {};
+    Object.keys(page.margins).forEach(side => {
+      margins[side] = this.toPoints(page.margins[side]);
+    });
+    return {
+      format: [this.toPoints(page.width), this.toPoints(page.height)],
+      orientation: page.orientation,
+      margins
+    };
+  }
+
+  /**
+   * Page geometry for the html2canvas renderers, in CSS px
+   * @param {Object} page - From resolve
+   * @returns {Object} - { width, height, margins }
+   */
+  toRasterPage(page) {
+    const margins = {};
+    Object.keys(page.margins).forEach(side => {
+      margins[side] = this.toPixels(page.margins[side]);
+    });
+    return {
+      width: Math.round(this.toPixels(page.width)),
+      height: Math.round(this.toPixels(page.height)),
+      margins
+    };
+  }
+
+  /**
+   * jsPDF constructor options for a raster PDF (unit mm)
+   * @param {Object} page - From resolve
+   * @returns {Object}
+   */
+  toJsPdfOptions(page) {
+    return {
+      orientation: page.orientation,
+      unit: 'mm',
+      format: [page.width, page.height],
+      compress: true
+    };
+  }
+
+  /**
+   * Docs API updateDocumentStyle request, or null to keep the document's own setup
+   * @param {Object} page - From resolve
+   * @returns {Object|null}
+   */
+  toDocumentStyleRequest(page) {
+    if (page.size === 'document') return null;
+
+    const dimension = mm => ({ magnitude: Math.round(this.toPoints(mm) * 100) / 100, unit: 'PT' });
+    return {
+      updateDocumentStyle: {
+        documentStyle: {
+          pageSize: { width: dimension(page.width), height: dimension(page.height) },
+          marginTop: dimension(page.margins.top),
+          marginRight: dimension(page.margins.right),
+          marginBottom: dimension(page.margins.bottom),
+          marginLeft: dimension(page.margins.left)
+        },
+        fields: 'pageSize,marginTop,marginRight,marginBottom,marginLeft'
+      }
+    };
+  }
+}
+
+export const pageSetupService = new PageSetupService();
@@ -0,0 +1,317 @@
+import { debugService } from './debugService';
+
+// Pagination engine shared by the raster (html2canvas) and vector renderers.
+// Content is first laid out as one continuous flow of blocks; page boundaries
+// are then chosen only where a cut is safe: between blocks, between the lines
+// of a paragraph (respecting orphans / widows) or between table rows, with the
+// table's header rows repeated at the top of each continuation page.
+// Honours page-break-before/after: always, page-break-inside: avoid and the
+// {{page_break}} template placeholder.
+export class PaginationService {
+  constructor() {
+    this.orphans = 2;
+    this.widows = 2;
+    // Vertical page margin for raster pages, in CSS px
+    this.pageMargin = 20;
+    this.pageBreakPattern = /\{\{\s*page_break\s*\}\}/gi;
+    // Google Docs wraps a placeholder on its own line in <p><span>...</span></p>
+    this.pageBreakParagraphPattern = /<p\b[^>]*>\s*(?:<span\b[^>]*>\s*)*\{\{\s*page_break\s*\}\}\s*(?:<\/span>\s*)*<\/p>/gi;
+    this.pageBreakMarker = '<div class="page-break" style="page-break-before: always;"></div>';
+    this.inlinePageBreakMarker = '<span class="page-break" style="display: block; page-break-before: always;"></span>';
+    this.blockDisplays = ['block', 'flex', 'grid', 'flow-root', 'list-item', 'table'];
+  }
+
+  /**
+   * Replace {{page_break}} placeholders with a forced page break
+   * @param {string} htmlContent - Processed HTML
+   * @returns {string} - HTML with page break markers
+   */
+  insertPageBreaks(htmlContent) {
+    if (!htmlContent) return htmlContent;
+
+    return htmlContent
+      .replace(this.pageBreakParagraphPattern, this.pageBreakMarker)
+      .replace(this.pageBreakPattern, this.inlinePageBreakMarker);
+  }
+
+  /**
+   * Choose page boundaries for a laid-out flow
+   * @param {Array} blocks - Flow blocks in document order:
+   *   { top, bottom, breakBefore, avoidInside, keepWithNext, lines: [{ top, bottom }],
+   *     rows: [{ top, bottom, header }], orphans, widows }
+   * @param {number} pageHeight - Usable height of one page, in flow units
+   * @param {Object} options - { start, end, slice } where slice=false lets a block
+   *   taller than a page overflow instead of being cut at an arbitrary point
+   * @returns {Array} - Pages as { start, end, repeat } flow ranges; repeat is the
+   *   { top, bottom } band of table header rows to draw above the page content
+   */
+  paginate(blocks, pageHeight, options = {}) {
+    const end = options.end ?? blocks.reduce((bottom, block) => Math.max(bottom, block.bottom), 0);
+    const slice = options.slice !== false;
+    const pages = [];
+    let page = { start: options.start ?? 0, repeat: null };
+
+    const capacity = () => pageHeight - (page.repeat ? page.repeat.bottom - page.repeat.top : 0);
+    const hasContent = position => position > page.start + 0.5;
+    const closePage = (position, repeat = null) => {
+      pages.push({ start: page.start, end: position, repeat: page.repeat });
+      page = { start: position, repeat };
+    };
+
+    blocks.forEach((block, index) => {
+      if (block.breakBefore && hasContent(block.top)) {
+        closePage(block.top);
+      }
+
+      let guard = 0;
+      while (block.bottom - page.start > capacity() && guard++ < 1000) {
+        const limit = page.start + capacity();
+        const cuts = this.cutPositions(block).filter(position => hasContent(position));
+        const cut = cuts.filter(position => position <= limit).pop();
+
+        if (cut !== undefined) {
+          closePage(cut, this.headerBand(block, cut));
+        } else if (hasContent(block.top)) {
+          closePage(this.keepWithPrevious(blocks, index, page.start));
+        } else if (slice) {
+          // Taller than a page with no safe cut (e.g. a large image): slice it
+          closePage(limit);
+        } else {
+          const next = cuts.find(position => position > limit);
+          if (next === undefined) break;
+          closePage(next, this.headerBand(block, next));
+        }
+      }
+    });
+
+    if (end > page.start || pages.length === 0) {
+      pages.push({ start: page.start, end: Math.max(end, page.start), repeat: page.repeat });
+    }
+
+    debugService.log('debug', 'pdf', 'Content paginated', {
+      blocks: blocks.length,
+      pages: pages.length
+    });
+
+    return pages;
+  }
+
+  // Positions inside a block where a page may end
+  cutPositions(block) {
+    if (block.avoidInside) return [];
+
+    if (block.rows) {
+      const headerCount = this.headerRows(block).length;
+      // Keep at least one body row with the header
+      return block.rows.slice(headerCount + 1).map(row => row.top);
+    }
+
+    if (block.lines) {
+      const orphans = block.orphans || this.orphans;
+      const widows = block.widows || this.widows;
+      const positions = [];
+      for (let index = orphans; index <= block.lines.length - widows; index++) {
+        positions.push((block.lines[index - 1].bottom + block.lines[index].top) / 2);
+      }
+      return positions;
+    }
+
+    return [];
+  }
+
+  headerRows(block) {
+    const rows = [];
+    for (const row of block.rows || []) {
+      if (!row.header) break;
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  headerBand(block, cut) {
+    const header = this.headerRows(block);
+    if (header.length === 0 || cut <= header[header.length - 1].bottom) return null;
+    return { top: header[0].top, bottom: header[header.length - 1].bottom };
+  }
+
+  // A heading moves to the next page with the block that follows it
+  keepWithPrevious(blocks, index, pageStart) {
+    let position = blocks[index].top;
+    for (let previous = index - 1; previous >= 0; previous--) {
+      const block = blocks[previous];
+      if (!block.keepWithNext || block.top <= pageStart + 0.5) break;
+      position = block.top;
+    }
+    return position;
+  }
+
+  /**
+   * Measure the rendered blocks of a container for pagination
+   * @param {HTMLElement} container - Rendered (attached) content container
+   * @returns {Array} - Flow blocks in CSS px from the container top
+   */
+  measureFlow(container) {
+    const origin = container.getBoundingClientRect().top;
+    const blocks = [];
+
+    const visit = element => {
+      Array.from(element.children).forEach(child => {
+        const tag = child.tagName.toLowerCase();
+        if (['style', 'script', 'meta', 'link', 'title'].includes(tag)) return;
+
+        const style = window.getComputedStyle(child);
+        if (style.display === 'none') return;
+
+        const rect = child.getBoundingClientRect();
+        const top = rect.top - origin;
+        const bottom = rect.bottom - origin;
+        const avoidInside = this.readBreak(style, 'inside').startsWith('avoid');
+
+        if (this.isForcedBreak(this.readBreak(style, 'before'))) {
+          blocks.push({ top, bottom: top, breakBefore: true });
+        }
+
+        if (tag === 'table') {
+          blocks.push({ top, bottom, rows: this.measureRows(child, origin), avoidInside });
+        } else if (!avoidInside && this.hasBlockChildren(child)) {
+          visit(child);
+        } else if (rect.height > 0) {
+          blocks.push({
+            top,
+            bottom,
+            lines: this.measureLines(child, origin),
+            avoidInside,
+            keepWithNext: /^h[1-6]$/.test(tag),
+            orphans: parseInt(style.orphans, 10) || this.orphans,
+            widows: parseInt(style.widows, 10) || this.widows
+          });
+        }
+
+        if (this.isForcedBreak(this.readBreak(style, 'after'))) {
+          blocks.push({ top: bottom, bottom, breakBefore: true });
+        }
+      });
+    };
+
+    visit(container);
+    return blocks;
+  }
+
+  readBreak(style, position) {
+    return style.getPropertyValue(`break-${position}`) || style.getPropertyValue(`page-break-${position}`) || 'auto';
+  }
+
+  isForcedBreak(value) {
+    return ['always', 'page', 'left', 'right', 'recto', 'verso'].includes(value);
+  }
+
+  hasBlockChildren(element) {
+    return Array.from(element.children).some(child =>
+      this.blockDisplays.includes(window.getComputedStyle(child).display)
+    );
+  }
+
+  measureRows(table, origin) {
+    return Array.from(table.rows).map(row => {
+      const rect = row.getBoundingClientRect();
+      const cells = Array.from(row.cells);
+      return {
+        top: rect.top - origin,
+        bottom: rect.bottom - origin,
+        header: row.parentNode.tagName.toLowerCase() === 'thead' ||
+          (cells.length > 0 && cells.every(cell => cell.tagName.toLowerCase() === 'th'))
+      };
+    });
+  }
+
+  // Line boxes of a text block, from the client rects of its contents
+  measureLines(element, origin) {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    const rects = Array.from(range.getClientRects())
+      .filter(rect => rect.height > 0)
+      .map(rect => ({ top: rect.top - origin, bottom: rect.bottom - origin }))
+      .sort((a, b) => a.top - b.top);
+    range.detach();
+
+    const lines = [];
+    rects.forEach(rect => {
+      const line = lines[lines.length - 1];
+      const overlap = Math.min(rect.bottom - rect.top, line ? line.bottom - line.top : 0) / 2;
+      if (line && rect.top < line.bottom - overlap) {
+        line.top = Math.min(line.top, rect.top);
+        line.bottom = Math.max(line.bottom, rect.bottom);
+      } else {
+        lines.push({ ...rect });
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * Add a rendered html2canvas capture to a PDF, one page per paginated range
+   * @param {Object} pdf - jsPDF document (unit 'mm') with its first page
+   * @param {HTMLCanvasElement} canvas - html2canvas capture of the container,
+   *   which spans the full page width with the side margins as padding
+   * @param {HTMLElement} container - The captured container, still attached
+   * @param {Object} reserved - { top, bottom } CSS px kept free on every page
+   *                            for running headers and footers
+   * @param {Object} margins - { top, bottom } page margins in CSS px
+   * @returns {Object} - Page geometry { pages, margins, mmPerPx, pageHeight, scale } in CSS px
+   */
+  addCanvasPages(pdf, canvas, container, reserved = {}, margins = {}) {
+    const rect = container.getBoundingClientRect();
+    const style = window.getComputedStyle(container);
+    const scale = canvas.width / rect.width;
+    const mmPerPx = pdf.internal.pageSize.getWidth() / rect.width;
+    const pageHeight = pdf.internal.pageSize.getHeight() / mmPerPx;
+    const pageMargins = {
+      top: margins.top ?? this.pageMargin,
+      bottom: margins.bottom ?? this.pageMargin
+    };
+    const top = reserved.top || 0;
+    const contentHeight = pageHeight - pageMargins.top - pageMargins.bottom - top - (reserved.bottom || 0);
+
+    const pages = this.paginate(this.measureFlow(container), contentHeight, {
+      start: parseFloat(style.paddingTop) || 0,
+      end: Math.min(canvas.height / scale, rect.height - (parseFloat(style.paddingBottom) || 0))
+    });
+
+    pages.forEach((page, index) => {
+      if (index > 0) pdf.addPage();
+      let y = pageMargins.top + top;
+
+      if (page.repeat) {
+        this.addCanvasSlice(pdf, canvas, page.repeat.top, page.repeat.bottom, y, scale, mmPerPx);
+        y += page.repeat.bottom - page.repeat.top;
+      }
+      this.addCanvasSlice(pdf, canvas, page.start, page.end, y, scale, mmPerPx);
+    });
+
+    return { pages: pages.length, margins: pageMargins, mmPerPx, pageHeight, scale };
+  }
+
+  addCanvasSlice(pdf, canvas, top, bottom, y, scale, mmPerPx) {
+    const sourceY = Math.max(0, Math.round(top * scale));
+    const sourceHeight = Math.min(canvas.height - sourceY, Math.round((bottom - top) * scale));
+    if (sourceHeight <= 0) return;
+
+    const slice = document.createElement('canvas');
+    slice.width = canvas.width;
+    slice.height = sourceHeight;
+    slice.getContext('2d').drawImage(canvas, 0, sourceY, canvas.width, sourceHeight, 0, 0, canvas.width, sourceHeight);
+
+    pdf.addImage(
+      slice.toDataURL('image/png'),
+      'PNG',
+      0,
+      y * mmPerPx,
+      pdf.internal.pageSize.getWidth(),
+      (sourceHeight / scale) * mmPerPx,
+      undefined,
+      'FAST'
+    );
+  }
+}
+
+export const paginationService = new PaginationService();
@@ -2,6 +2,15 @@ import jsPDF from 'jspdf';
 import { templateService } from './templateService';
 import { debugService } from './debugService';
 import { enhancedGoogleDocsService } from './enhancedGoogleDocsService';
+import { templateEngineService } from './templateEngineService';
+import { fieldValueFormatterService } from './fieldValueFormatterService';
+import { vectorPdfService } from './vectorPdfService';
+import { paginationService } from './paginationService';
+import { headerFooterService } from './headerFooterService';
+import { pageSetupService } from './pageSetupService';
+import { lineItemService } from './lineItemService';
+import { imageService } from './imageService';
+import { imageEmbedService } from './imageEmbedService';
 
 export const generatePDF = async (options) => {
   const startTime = Date.now();
@@ -27,7 +36,8 @@ export const generatePDF = async (options) => {
       fieldMappings,
       lineItemConfig,
       imageConfig,
-      googleDocUrl
+      googleDocUrl,
+      fieldTypes
     } = options;
 
     // Fetch the Google Docs content
@@ -39,11 +49,12 @@ export const generatePDF = async (options) => {
     // Process the content and replace placeholders
     debugService.log('info', 'pdf', 'Processing template content and replacing placeholders');
     const processedContent = await processTemplateContent(
-      docContent,
+      headerFooterService.attachRegions(docContent, options.headerFooterConfig),
       record,
       fieldMappings,
       lineItemConfig,
-      imageConfig
+      imageConfig,
+      fieldTypes
     );
 
     // Generate PDF from processed content
@@ -97,28 +108,37 @@ export const generatePDF = async (options) => {
   }
 };
 
-async function processTemplateContent(docContent, record, fieldMappings, lineItemConfig, imageConfig) {
+async function processTemplateContent(docContent, record, fieldMappings, lineItemConfig, imageConfig, fieldTypes = []) {
   debugService.log('debug', 'pdf', 'Processing template content', {
     contentLength: docContent.length,
     mappingsCount: Object.keys(fieldMappings).length
   });
 
-  let processedContent = docContent;
+  // Resolve conditional and repeating sections before any placeholder is replaced
+  const usesRepeatingBlocks = templateEngineService.hasRepeatingBlocks(docContent);
+  let processedContent = templateEngineService.render(docContent, { record, fieldMappings, lineItemConfig });
+
+  // Images go in first, before their placeholders are replaced as text
+  processedContent = await processImages(
+    processedContent,
+    record,
+    fieldMappings,
+    imageConfig,
+    fieldTypes
+  );
 
   // Replace simple field mappings
   Object.entries(fieldMappings).forEach(([placeholder, airtableField]) => {
     const fieldValue = record.fields[airtableField];
+    const fieldType = fieldValueFormatterService.findField(fieldTypes, airtableField);
     let displayValue = '';
 
-    if (fieldValue !== undefined && fieldValue !== null) {
-      if (Array.isArray(fieldValue)) {
-        displayValue = fieldValue.join(', ');
-      } else if (typeof fieldValue === 'object' && fieldValue.url) {
-        // Handle attachment fields
-        displayValue = fieldValue.url;
-      } else {
-        displayValue = String(fieldValue);
-      }
+    if (fieldType) {
+      // Render as Airtable displays it when the field metadata is known
+      displayValue = fieldValueFormatterService.formatValue(fieldValue, fieldType);
+    } else {
+      // Hydrated linked records render by name, attachments by filename
+      displayValue = fieldValueFormatterService.toText(fieldValue);
     }
 
     // Replace all instances of the placeholder
@@ -137,23 +157,18 @@ async function processTemplateContent(docContent, record, fieldMappings, lineIte
     processedContent = await processLineItems(
       processedContent,
       record,
-      lineItemConfig
+      lineItemConfig,
+      { appendWhenMissing: !usesRepeatingBlocks }
     );
   }
 
-  // Process images
-  processedContent = await processImages(
-    processedContent,
-    record,
-    fieldMappings,
-    imageConfig
-  );
-
   debugService.log('debug', 'pdf', 'Template content processing completed');
   return processedContent;
 }
 
-async function processLineItems(content, record, lineItemConfig) {
+// Templates that lay out their own rows with {{#each}} only get the generic
+// table where they explicitly ask for it with {{line_items}}
+async function processLineItems(content, record, lineItemConfig, { appendWhenMissing = true } = {}) {
   debugService.log('debug', 'pdf', 'Processing line items', {
     tableName: lineItemConfig.tableName,
     fieldsCount: lineItemConfig.fields.length
@@ -161,9 +176,9 @@ async function processLineItems(content, record, lineItemConfig) {
 
   try {
     // Get line items from the record
-    const lineItems = record.fields[lineItemConfig.tableName] || [];
+    const { columns, rows, itemCount } = lineItemService.buildRows(record, lineItemConfig);
     
-    if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    if (itemCount === 0) {
       debugService.log('warn', 'pdf', 'No line items found', {
         tableName: lineItemConfig.tableName,
         availableFields: Object.keys(record.fields)
@@ -176,17 +191,21 @@ async function processLineItems(content, record, lineItemConfig) {
     
     // Add header row
     tableHTML += '<tr style="background-color: #f5f5f5;">';
-    lineItemConfig.fields.forEach(field => {
-      tableHTML += `<th style="padding: 8px; text-align: left;">${field.template.replace(/[{}]/g, '')}</th>`;
+    columns.forEach(column => {
+      tableHTML += `<th style="padding: 8px; text-align: left;">${templateEngineService.escapeHtml(column)}</th>`;
     });
     tableHTML += '</tr>';
 
-    // Add data rows
-    lineItems.forEach(item => {
+    // Add data rows, with group headings and subtotals
+    rows.forEach(row => {
+      if (row.type === 'group') {
+        tableHTML += `<tr><td colspan="${columns.length}" style="padding: 8px; font-weight: bold;">${templateEngineService.escapeHtml(row.label)}</td></tr>`;
+        return;
+      }
+      const weight = row.type === 'item' ? '' : ' font-weight: bold;';
       tableHTML += '<tr>';
-      lineItemConfig.fields.forEach(field => {
-        const value = item[field.airtable] || '';
-        tableHTML += `<td style="padding: 8px;">${value}</td>`;
+      row.cells.forEach(cell => {
+        tableHTML += `<td style="padding: 8px;${weight}">${templateEngineService.escapeHtml(cell)}</td>`;
       });
       tableHTML += '</tr>';
     });
@@ -197,7 +216,7 @@ async function processLineItems(content, record, lineItemConfig) {
     const lineItemPlaceholder = /\{\{\s*line_items\s*\}\}/gi;
     if (lineItemPlaceholder.test(content)) {
       content = content.replace(lineItemPlaceholder, tableHTML);
-    } else {
+    } else if (appendWhenMissing) {
       // Insert before closing body tag or at the end
       if (content.includes('</body>')) {
         content = content.replace('</body>', tableHTML + '</body>');
@@ -207,7 +226,7 @@ async function processLineItems(content, record, lineItemConfig) {
     }
 
     debugService.log('debug', 'pdf', 'Line items processed successfully', {
-      itemsCount: lineItems.length
+      itemsCount: itemCount
     });
 
   } catch (error) {
@@ -219,36 +238,15 @@ async function processLineItems(content, record, lineItemConfig) {
   return content;
 }
 
-async function processImages(content, record, fieldMappings, imageConfig) {
+async function processImages(content, record, fieldMappings, imageConfig = {}, fieldTypes = []) {
   debugService.log('debug', 'pdf', 'Processing images', {
     imageWidth: imageConfig.width,
-    imageHeight: imageConfig.height
+    imageHeight: imageConfig.height,
+    customizedPlaceholders: Object.keys(imageConfig.placeholders || {}).length
   });
 
   try {
-    // Find image placeholders in field mappings
-    const imagePlaceholders = Object.entries(fieldMappings).filter(([placeholder, airtableField]) => {
-      const fieldValue = record.fields[airtableField];
-      return Array.isArray(fieldValue) && fieldValue.length > 0 && fieldValue[0].type?.startsWith('image/');
-    });
-
-    for (const [placeholder, airtableField] of imagePlaceholders) {
-      const attachments = record.fields[airtableField];
-      
-      if (attachments && attachments.length > 0) {
-        const imageUrl = attachments[0].url;
-        const imageHTML = `<img src="${imageUrl}" style="max-width: ${imageConfig.width}px; height: ${imageConfig.height === 'auto' ? 'auto' : imageConfig.height + 'px'}; margin: 10px 0;" alt="Image" />`;
-        
-        const placeholderRegex = new RegExp(`\\{\\{\\s*${escapeRegExp(placeholder)}\\s*\\}\\}`, 'gi');
-        content = content.replace(placeholderRegex, imageHTML);
-        
-        debugService.log('debug', 'pdf', 'Processed image placeholder', {
-          placeholder,
-          imageUrl: imageUrl.substring(0, 50) + '...'
-        });
-      }
-    }
-
+    content = imageService.replacePlaceholders(content, record, fieldMappings, imageConfig, fieldTypes);
   } catch (error) {
     debugService.log('error', 'pdf', 'Failed to process images', {
       error: error.message
@@ -258,18 +256,46 @@ async function processImages(content, record, fieldMappings, imageConfig) {
   return content;
 }
 
+// Images go in as data URIs at the output resolution; the ones that could not
+// be fetched are added to options.imageReport for the generation result
+async function embedImages(htmlContent, options) {
+  const page = pageSetupService.resolve(options.pageSetup);
+  const rasterPage = pageSetupService.toRasterPage(page);
+  const { html, failed } = await imageEmbedService.embedImages(htmlContent, {
+    scale: page.scale,
+    maxWidth: rasterPage.width - rasterPage.margins.left - rasterPage.margins.right
+  });
+  options.imageReport?.failed.push(...failed);
+  return html;
+}
+
 async function generatePDFFromContent(htmlContent, options) {
   debugService.log('debug', 'pdf', 'Generating PDF from HTML content');
 
+  const pageContent = paginationService.insertPageBreaks(await embedImages(htmlContent, options));
+
+  // Vector output reads the document's own class styles, so it gets the HTML as is
+  if (options.outputConfig?.renderMode === 'vector') {
+    return vectorPdfService.renderHTML(pageContent, options);
+  }
+
   try {
+    // Running headers/footers are drawn separately on every page
+    const regions = headerFooterService.extractRegions(pageContent);
+
     // Clean and prepare HTML content
-    let cleanHTML = htmlContent;
+    let cleanHTML = regions.content;
     
     // Remove Google Docs specific elements
     cleanHTML = cleanHTML.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
     cleanHTML = cleanHTML.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
     cleanHTML = cleanHTML.replace(/<!--[\s\S]*?-->/g, '');
     
+    // Page setup for the template; the div spans the page width with the
+    // side margins as padding
+    const page = pageSetupService.resolve(options.pageSetup);
+    const rasterPage = pageSetupService.toRasterPage(page);
+
     // Add basic styling for better PDF rendering
     const styledHTML = `
       <!DOCTYPE html>
@@ -281,7 +307,7 @@ async function generatePDFFromContent(htmlContent, options) {
             font-family: 'Sarabun', 'Noto Sans Thai', Arial, sans-serif;
             line-height: 1.6;
             color: #333;
-            max-width: 210mm;
+            max-width: ${rasterPage.width}px;
             margin: 0 auto;
             padding: 20px;
             font-size: 12px;
@@ -338,55 +364,43 @@ async function generatePDFFromContent(htmlContent, options) {
 
     // Use html2canvas and jsPDF for better HTML to PDF conversion
     const { default: html2canvas } = await import('html2canvas');
-    
+
     // Create a temporary div to render HTML
     const tempDiv = document.createElement('div');
     tempDiv.innerHTML = styledHTML;
     tempDiv.style.position = 'absolute';
     tempDiv.style.left = '-9999px';
-    tempDiv.style.width = '210mm';
+    tempDiv.style.width = `${rasterPage.width}px`;
+    tempDiv.style.padding = `0 ${rasterPage.margins.right}px 0 ${rasterPage.margins.left}px`;
+    tempDiv.style.boxSizing = 'border-box';
     tempDiv.style.backgroundColor = 'white';
     document.body.appendChild(tempDiv);
+    const mountedRegions = headerFooterService.mountRasterRegions(regions, tempDiv);
 
     try {
-      // Convert HTML to canvas
+      // Convert HTML to canvas at the configured resolution
       const canvas = await html2canvas(tempDiv, {
-        scale: 2,
+        scale: page.scale,
         useCORS: true,
         allowTaint: true,
         backgroundColor: '#ffffff',
-        width: 794, // A4 width in pixels at 96 DPI
-        windowWidth: 794
-      });
-
-      // Create PDF
-      const pdf = new jsPDF({
-        orientation: 'portrait',
-        unit: 'mm',
-        format: 'a4'
+        width: rasterPage.width,
+        windowWidth: rasterPage.width
       });
 
-      const imgData = canvas.toDataURL('image/png');
-      const imgWidth = 210; // A4 width in mm
-      const pageHeight = 295; // A4 height in mm
-      const imgHeight = (canvas.height * imgWidth) / canvas.width;
-      let heightLeft = imgHeight;
-      let position = 0;
+      // Create PDF with the configured size and orientation
+      const pdf = new jsPDF(pageSetupService.toJsPdfOptions(page));
 
-      // Add first page
-      pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-      heightLeft -= pageHeight;
+      // Split the capture into pages between lines and table rows
+      const geometry = paginationService.addCanvasPages(pdf, canvas, tempDiv, {
+        top: headerFooterService.reservedHeight(mountedRegions, 'header'),
+        bottom: headerFooterService.reservedHeight(mountedRegions, 'footer')
+      }, rasterPage.margins);
+      await headerFooterService.drawRasterRegions(pdf, mountedRegions, geometry);
 
-      // Add additional pages if needed
-      while (heightLeft >= 0) {
-        position = heightLeft - imgHeight;
-        pdf.addPage();
-        pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-        heightLeft -= pageHeight;
-      }
-
-      // Remove temporary div
+      // Remove temporary elements
       document.body.removeChild(tempDiv);
+      headerFooterService.unmountRasterRegions(mountedRegions);
 
       // Convert to blob
       const pdfOutput = pdf.output('arraybuffer');
@@ -404,6 +418,7 @@ async function generatePDFFromContent(htmlContent, options) {
       if (document.body.contains(tempDiv)) {
         document.body.removeChild(tempDiv);
       }
+      headerFooterService.unmountRasterRegions(mountedRegions);
       throw renderError;
     }
 
@@ -423,40 +438,39 @@ function generateFallbackPDF(options) {
   const { record, fieldMappings, lineItemConfig } = options;
 
   // Create PDF with Thai font support
-  const pdf = new jsPDF({
-    orientation: 'portrait',
-    unit: 'mm',
-    format: 'a4'
-  });
+  const page = pageSetupService.resolve(options.pageSetup);
+  const pdf = new jsPDF(pageSetupService.toJsPdfOptions(page));
+  const left = page.margins.left;
+  const top = page.margins.top;
+  const bottom = page.height - page.margins.bottom;
 
   // Set font
   pdf.setFont('helvetica');
   pdf.setFontSize(16);
 
   // Add title
-  pdf.text('Generated PDF Document', 20, 30);
+  pdf.text('Generated PDF Document', left, top + 10);
 
   // Add record data
   pdf.setFontSize(12);
-  let yPosition = 50;
+  let yPosition = top + 30;
 
-  pdf.text('Record Information:', 20, yPosition);
+  pdf.text('Record Information:', left, yPosition);
   yPosition += 10;
 
   // Add field mappings
   Object.entries(fieldMappings).forEach(([placeholder, airtableField]) => {
-    const value = record.fields[airtableField] || '';
-    const displayValue = Array.isArray(value) ? value.join(', ') : String(value);
+    const displayValue = fieldValueFormatterService.toText(record.fields[airtableField]);
     const text = `${placeholder.replace(/[{}]/g, '')}: ${displayValue}`;
     
     // Handle long text
-    const lines = pdf.splitTextToSize(text, 170);
+    const lines = pdf.splitTextToSize(text, page.width - left - page.margins.right);
     lines.forEach(line => {
-      if (yPosition > 270) {
+      if (yPosition > bottom) {
         pdf.addPage();
-        yPosition = 20;
+        yPosition = top;
       }
-      pdf.text(line, 20, yPosition);
+      pdf.text(line, left, yPosition);
       yPosition += 6;
     });
   });
@@ -464,33 +478,35 @@ function generateFallbackPDF(options) {
   // Add line items if enabled
   if (lineItemConfig.enabled && lineItemConfig.fields.length > 0) {
     yPosition += 10;
-    if (yPosition > 270) {
+    if (yPosition > bottom) {
       pdf.addPage();
-      yPosition = 20;
+      yPosition = top;
     }
     
-    pdf.text('Line Items:', 20, yPosition);
+    pdf.text('Line Items:', left, yPosition);
     yPosition += 10;
 
-    const lineItems = record.fields[lineItemConfig.tableName] || [];
-    lineItems.forEach((item, index) => {
-      if (yPosition > 270) {
+    let number = 0;
+    lineItemService.buildRows(record, lineItemConfig).rows.forEach(row => {
+      if (yPosition > bottom) {
         pdf.addPage();
-        yPosition = 20;
+        yPosition = top;
       }
       
-      pdf.text(`${index + 1}. ${item.name || 'Item'}`, 20, yPosition);
+      const cells = row.cells.filter(Boolean).join(' · ');
+      const text = row.type === 'group' ? row.label : (row.type === 'item' ? `${++number}. ${cells || 'Item'}` : cells);
+      pdf.text(text, left, yPosition);
       yPosition += 8;
     });
   }
 
   // Add generation timestamp
   yPosition += 20;
-  if (yPosition > 270) {
+  if (yPosition > bottom) {
     pdf.addPage();
-    yPosition = 20;
+    yPosition = top;
   }
-  pdf.text(`Generated on: ${new Date().toLocaleString()}`, 20, yPosition);
+  pdf.text(`Generated on: ${new Date().toLocaleString()}`, left, yPosition);
 
   // Return PDF blob
   const pdfOutput = pdf.output('arraybuffer');
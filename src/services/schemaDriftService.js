@@ -0,0 +1,282 @@
+import { debugService } from './debugService';
+import { enhancedAirtableService } from './enhancedAirtableService';
+
+// Mappings show Airtable fields by name, and a template keeps the id and type
+// of every field it uses next to them (mapping.fieldSchema). Values are read
+// by id, so a renamed field still resolves; comparing the snapshot with the
+// current schema reports renames (same id, new name), deleted fields, whose
+// placeholders would come out blank, and fields whose type changed.
+//
+// Fields are tracked in two scopes: 'table' for the template's own table and
+// 'lineItems' for the linked table the line items come from.
+export class SchemaDriftService {
+  /**
+   * List the Airtable fields a template configuration refers to
+   * @param {Object} config - Template config (wizard data)
+   * @returns {Array} - { scope, name, usages } with one entry per field
+   */
+  getReferences(config) {
+    const references = new Map();
+    const add = (scope, name, usage) => {
+      if (!name) return;
+      const key = `${scope}:${name}`;
+      if (!references.has(key)) {
+        references.set(key, { scope, name, usages: [] });
+      }
+      references.get(key).usages.push(usage);
+    };
+
+    Object.entries(config.mapping?.fieldMappings || {}).forEach(([placeholder, field]) => {
+      add('table', field, placeholder);
+    });
+
+    const lineItemConfig = config.advanced?.lineItemConfig;
+    if (lineItemConfig?.enabled) {
+      add('table', lineItemConfig.tableName, 'Line items');
+      (lineItemConfig.fields || []).forEach(field => {
+        add('lineItems', field.airtable, `Line item ${field.template}`);
+      });
+      add('lineItems', lineItemConfig.sort?.field, 'Line item sorting');
+      add('lineItems', lineItemConfig.groupBy, 'Line item grouping');
+    }
+
+    const writeBackConfig = config.advanced?.writeBackConfig;
+    if (writeBackConfig?.enabled) {
+      add('table', writeBackConfig.attachmentField, 'Save to Airtable');
+      add('table', writeBackConfig.statusField, 'Save to Airtable status');
+      add('table', writeBackConfig.timestampField, 'Save to Airtable timestamp');
+    }
+
+    return [...references.values()];
+  }
+
+  /**
+   * Compare a template's fields with the current Airtable schema
+   * @param {Object} config - Template config (wizard data)
+   * @param {Object} options - { refresh: true to bypass the schema cache }
+   * @returns {Promise<Object>} - { issues, checkedAt }; each issue is a reference
+   *   with kind 'renamed' (and newName), 'missing' or 'typeChanged'
+   *   (previousType, currentType)
+   */
+  async check(config, options = {}) {
+    const airtableConfig = config.connection?.airtableConfig;
+    const references = this.getReferences(config);
+    if (!airtableConfig?.apiKey || !airtableConfig.baseId || !airtableConfig.tableName || references.length === 0) {
+      return { issues: [], checkedAt: Date.now() };
+    }
+
+    const fields = await this.getCurrentFields(config, options);
+    const fieldSchema = config.mapping?.fieldSchema || {};
+    const issues = [];
+
+    references.forEach(reference => {
+      const current = fields[reference.scope];
+      // Without the linked table the line item fields cannot be checked; the
+      // link field itself is reported instead
+      if (!current) return;
+
+      const saved = fieldSchema[reference.scope]?.[reference.name];
+      const field = current.find(item => item.name === reference.name)
+        || (saved?.id && current.find(item => item.id === saved.id));
+
+      if (!field && this.isLinkedPath(current, reference.name)) {
+        // A path into linked records ({{Customer.Company.Address}}) is
+        // resolved when generating; only its first field is a field here
+        return;
+      }
+      if (!field) {
+        issues.push({ ...reference, kind: 'missing' });
+      } else if (field.name !== reference.name) {
+        issues.push({ ...reference, kind: 'renamed', newName: field.name });
+      } else if (saved?.type && saved.type !== field.type) {
+        issues.push({ ...reference, kind: 'typeChanged', previousType: saved.type, currentType: field.type });
+      }
+    });
+
+    if (issues.length > 0) {
+      debugService.log('warn', 'template', 'Template fields no longer match the Airtable schema', {
+        tableName: airtableConfig.tableName,
+        issues: issues.map(issue => `${issue.kind}: ${issue.name}`)
+      });
+    }
+
+    return { issues, checkedAt: Date.now() };
+  }
+
+  isLinkedPath(fields, name) {
+    return fields.some(field => field.type === 'multipleRecordLinks' && name.startsWith(`${field.name}.`));
+  }
+
+  // Only deleted fields produce blanks: renamed fields resolve by id and a
+  // type change may only change how a value is formatted
+  hasBlockingIssues(drift) {
+    return !!drift?.issues.some(issue => issue.kind === 'missing');
+  }
+
+  canRemap(drift) {
+    return !!drift?.issues.some(issue => issue.kind === 'renamed');
+  }
+
+  describe(issue) {
+    const field = issue.scope === 'lineItems' ? `Line item field "${issue.name}"` : `Field "${issue.name}"`;
+    switch (issue.kind) {
+      case 'renamed':
+        return `${field} was renamed to "${issue.newName}"`;
+      case 'typeChanged':
+        return `${field} changed from ${issue.previousType} to ${issue.currentType}`;
+      default:
+        return `${field} no longer exists`;
+    }
+  }
+
+  /**
+   * Point every reference to a renamed field at its new name
+   * @param {Object} config - Template config (wizard data)
+   * @param {Array} issues - Issues from check()
+   * @returns {Object} - Updated config
+   */
+  remap(config, issues) {
+    const renames = { table: {}, lineItems: {} };
+    issues.filter(issue => issue.kind === 'renamed').forEach(issue => {
+      renames[issue.scope][issue.name] = issue.newName;
+    });
+    const rename = (scope, name) => renames[scope][name] || name;
+
+    const fieldSchema = config.mapping?.fieldSchema || {};
+    const remapped = {
+      ...config,
+      mapping: {
+        ...config.mapping,
+        fieldMappings: Object.fromEntries(
+          Object.entries(config.mapping?.fieldMappings || {}).map(([placeholder, field]) => [placeholder, rename('table', field)])
+        ),
+        fieldSchema: Object.fromEntries(
+          Object.entries(fieldSchema).map(([scope, entries]) => [
+            scope,
+            Object.fromEntries(Object.entries(entries).map(([name, entry]) => [rename(scope, name), entry]))
+          ])
+        )
+      },
+      advanced: { ...config.advanced }
+    };
+
+    const lineItemConfig = config.advanced?.lineItemConfig;
+    if (lineItemConfig) {
+      remapped.advanced.lineItemConfig = {
+        ...lineItemConfig,
+        tableName: rename('table', lineItemConfig.tableName),
+        fields: (lineItemConfig.fields || []).map(field => ({ ...field, airtable: rename('lineItems', field.airtable) })),
+        ...(lineItemConfig.sort && { sort: { ...lineItemConfig.sort, field: rename('lineItems', lineItemConfig.sort.field) } }),
+        ...(lineItemConfig.groupBy && { groupBy: rename('lineItems', lineItemConfig.groupBy) }),
+        ...(lineItemConfig.subtotalFields && { subtotalFields: lineItemConfig.subtotalFields.map(name => rename('lineItems', name)) })
+      };
+    }
+
+    const writeBackConfig = config.advanced?.writeBackConfig;
+    if (writeBackConfig) {
+      remapped.advanced.writeBackConfig = {
+        ...writeBackConfig,
+        attachmentField: rename('table', writeBackConfig.attachmentField),
+        statusField: rename('table', writeBackConfig.statusField),
+        timestampField: rename('table', writeBackConfig.timestampField)
+      };
+    }
+
+    debugService.log('info', 'template', 'Renamed fields remapped', {
+      table: renames.table,
+      lineItems: renames.lineItems
+    });
+
+    return remapped;
+  }
+
+  // True when a field the config uses has no recorded id, e.g. templates
+  // saved before ids were kept
+  needsSnapshot(config) {
+    const fieldSchema = config.mapping?.fieldSchema || {};
+    return this.getReferences(config).some(reference => !fieldSchema[reference.scope]?.[reference.name]?.id);
+  }
+
+  /**
+   * Record the id and type of the fields a config uses, for later checks
+   * @param {Object} config - Template config (wizard data)
+   * @returns {Promise<Object>} - Config with mapping.fieldSchema set
+   */
+  async withSnapshot(config) {
+    try {
+      const fields = await this.getCurrentFields(config);
+      const previous = config.mapping?.fieldSchema || {};
+      const fieldSchema = { table: {}, lineItems: {} };
+      let tables = null;
+
+      for (const reference of this.getReferences(config)) {
+        const field = fields[reference.scope]?.find(item => item.name === reference.name);
+        let entry = field ? { id: field.id, type: field.type } : null;
+
+        // A path into linked records keeps the id of every field it passes
+        // through, so linked fields renamed later still resolve
+        if (!entry && reference.scope === 'table' && this.isLinkedPath(fields.table, reference.name)) {
+          tables = tables || await enhancedAirtableService.getBaseTables(config.connection.airtableConfig);
+          const path = this.resolvePath(tables, config.connection.airtableConfig.tableName, reference.name);
+          if (path) {
+            const last = path[path.length - 1];
+            entry = { id: last.id, type: last.type, path: path.map(({ id, name }) => ({ id, name })) };
+          }
+        }
+
+        // A field that is already missing keeps its old entry, so a rename can
+        // still be detected
+        entry = entry || previous[reference.scope]?.[reference.name];
+        if (entry) {
+          fieldSchema[reference.scope][reference.name] = entry;
+        }
+      }
+
+      return { ...config, mapping: { ...config.mapping, fieldSchema } };
+    } catch (error) {
+      debugService.log('warn', 'template', 'Could not record field ids, saving without them', {
+        error: error.message
+      });
+      return config;
+    }
+  }
+
+  // The fields a dotted name walks through, from the template's table into
+  // its linked tables, or null when it is not such a path
+  resolvePath(tables, tableName, name) {
+    const path = [];
+    let table = tables.find(item => item.name === tableName);
+    let rest = name;
+
+    while (table) {
+      const field = table.fields.find(item => item.name === rest)
+        || table.fields.find(item => item.type === 'multipleRecordLinks' && rest.startsWith(`${item.name}.`));
+      if (!field) return null;
+
+      path.push(field);
+      if (field.name === rest) return path;
+      rest = rest.slice(field.name.length + 1);
+      table = tables.find(item => item.id === field.options?.linkedTableId);
+    }
+    return null;
+  }
+
+  async getCurrentFields(config, options = {}) {
+    const airtableConfig = config.connection.airtableConfig;
+    const table = await enhancedAirtableService.getFieldTypes(airtableConfig, options);
+
+    let lineItems = null;
+    const lineItemConfig = config.advanced?.lineItemConfig;
+    if (lineItemConfig?.enabled) {
+      const linkedTableId = lineItemConfig.linkedTableId
+        || table.find(field => field.name === lineItemConfig.tableName)?.linkedTableId;
+      if (linkedTableId) {
+        lineItems = await enhancedAirtableService.getLinkedRecordFields(airtableConfig, linkedTableId).catch(() => null);
+      }
+    }
+
+    return { table, lineItems };
+  }
+}
+
+export const schemaDriftService = new SchemaDriftService();
@@ -0,0 +1,271 @@
+import { debugService } from './debugService';
+import { templateEngineService } from './templateEngineService';
+import { valueFormatterService } from './valueFormatterService';
+import { vectorPdfService } from './vectorPdfService';
+import { pageSetupService } from './pageSetupService';
+
+// Watermarks and status stamps drawn over a finished PDF, whichever backend
+// rendered it (Google Docs export, html2canvas or vector). A stamp is text or
+// an image with a position, rotation and opacity, on the first or every page:
+//   { type: 'text', text: 'PAID {{Paid Date | date:"dd/MM/yyyy"}}', condition: 'Status == "Paid"' }
+//   { type: 'image', imageUrl: '{{Signature}}', condition: 'not empty Signature' }
+// Text, image URLs and conditions use the same syntax as the template itself.
+export class StampService {
+  constructor() {
+    this.presets = {
+      draft: { type: 'text', text: 'DRAFT', color: '#9ca3af', position: 'center', rotation: -35, opacity: 0.2, fontSize: 110, border: false, pages: 'all', condition: 'Status == "Draft"' },
+      paid: { type: 'text', text: 'PAID', color: '#16a34a', position: 'top-right', rotation: -15, opacity: 0.8, fontSize: 42, border: true, pages: 'first', condition: 'Status == "Paid"' },
+      copy: { type: 'text', text: 'COPY', color: '#dc2626', position: 'top-right', rotation: 0, opacity: 0.7, fontSize: 32, border: true, pages: 'all', condition: '' }
+    };
+    this.defaultStamp = {
+      enabled: true,
+      type: 'text',
+      text: 'CONFIDENTIAL',
+      imageUrl: '',
+      imageWidth: 50,
+      color: '#dc2626',
+      position: 'center',
+      rotation: -30,
+      opacity: 0.25,
+      fontSize: 72,
+      border: false,
+      pages: 'all',
+      condition: ''
+    };
+    this.positions = ['center', 'top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+    // Distance of a corner/edge stamp from the page edge, in pt
+    this.inset = 36;
+  }
+
+  createStamp(preset) {
+    return {
+      ...this.defaultStamp,
+      ...(this.presets[preset] || {}),
+      id: `stamp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+    };
+  }
+
+  /**
+   * Draw the configured stamps onto a rendered PDF
+   * @param {Blob} pdfBlob - Rendered PDF
+   * @param {Object} stampConfig - { stamps: [...] }
+   * @param {Object} context - { record, fieldMappings, lineItemConfig }
+   * @returns {Promise<Blob>} - Stamped PDF, or the original when no stamp applies
+   */
+  async applyStamps(pdfBlob, stampConfig, context) {
+    const stamps = (stampConfig?.stamps || []).filter(stamp =>
+      stamp.enabled !== false && this.isVisible(stamp, context)
+    );
+    if (!pdfBlob || stamps.length === 0) return pdfBlob;
+
+    try {
+      const lib = await import('pdf-lib');
+      const pdfDoc = await lib.PDFDocument.load(await pdfBlob.arrayBuffer(), { ignoreEncryption: true });
+      const pages = pdfDoc.getPages();
+      const fonts = {};
+      let applied = 0;
+
+      for (const stamp of stamps) {
+        const settings = { ...this.defaultStamp, ...stamp };
+        const mark = settings.type === 'image'
+          ? await this.prepareImage(pdfDoc, settings, context)
+          : await this.prepareText(pdfDoc, settings, context, fonts, lib);
+        if (!mark) continue;
+
+        const targets = settings.pages === 'first' ? pages.slice(0, 1) : pages;
+        targets.forEach(page => this.drawMark(page, mark, settings, lib));
+        applied++;
+      }
+
+      if (applied === 0) return pdfBlob;
+
+      const bytes = await pdfDoc.save();
+      debugService.log('info', 'pdf', 'Stamps applied', { stamps: applied, pages: pages.length });
+      return new Blob([bytes], { type: 'application/pdf' });
+
+    } catch (error) {
+      debugService.log('error', 'pdf', 'Failed to apply stamps', { error: error.message });
+      throw new Error(`Failed to apply stamps: ${error.message}`);
+    }
+  }
+
+  // An empty condition always shows the stamp
+  isVisible(stamp, context) {
+    const condition = (stamp.condition || '').trim().replace(/^\{\{\s*(?:#if\s+)?([\s\S]*?)\s*\}\}$/i, '$1');
+    if (!condition) return true;
+
+    try {
+      return templateEngineService.evaluateCondition(condition, context);
+    } catch (error) {
+      debugService.log('warn', 'pdf', 'Invalid stamp condition', { condition, error: error.message });
+      return false;
+    }
+  }
+
+  // Fill in the placeholders of a stamp text
+  resolveText(text, context) {
+    const rendered = templateEngineService.render(text || '', { ...context, format: 'text' });
+    return rendered.replace(templateEngineService.tagPattern, (match, body) =>
+      valueFormatterService.formatExpression(body.trim(), name => templateEngineService.resolveField(name, context))
+    ).trim();
+  }
+
+  async prepareText(pdfDoc, stamp, context, fonts, lib) {
+    const text = this.resolveText(stamp.text, context);
+    if (!text) return null;
+
+    const font = await this.embedFont(pdfDoc, text, fonts, lib);
+
+    const size = Number(stamp.fontSize) || this.defaultStamp.fontSize;
+    const padding = stamp.border ? size * 0.25 : 0;
+    const textHeight = font.heightAtSize(size, { descender: false });
+
+    return {
+      type: 'text',
+      text,
+      font,
+      size,
+      padding,
+      width: font.widthOfTextAtSize(text, size) + padding * 2,
+      height: textHeight + padding * 2
+    };
+  }
+
+  // Sarabun (bundled with the app) covers Thai and Latin. Should it fail to
+  // load, Helvetica stands in for text it can encode (WinAnsi, i.e. Latin);
+  // anything else is an error rather than a silently missing stamp
+  async embedFont(pdfDoc, text, fonts, lib) {
+    if (!fonts.sarabun) {
+      fonts.sarabun = (async () => {
+        const { default: fontkit } = await import('@pdf-lib/fontkit');
+        pdfDoc.registerFontkit(fontkit);
+        return pdfDoc.embedFont(await vectorPdfService.loadFont('bold'), { subset: true });
+      })();
+    }
+
+    try {
+      return await fonts.sarabun;
+    } catch (error) {
+      fonts.helvetica = fonts.helvetica || pdfDoc.embedFont(lib.StandardFonts.HelveticaBold);
+      const fallback = await fonts.helvetica;
+      try {
+        fallback.encodeText(text);
+      } catch (encodeError) {
+        throw new Error(`Stamp text "${text}" needs the ${vectorPdfService.fontFamily} font, which could not be loaded (${error.message})`);
+      }
+      debugService.log('warn', 'pdf', 'Stamp font unavailable, using Helvetica', { error: error.message });
+      return fallback;
+    }
+  }
+
+  async prepareImage(pdfDoc, stamp, context) {
+    const url = this.resolveImageUrl(stamp.imageUrl, context);
+    if (!url) return null;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      // PNG files start with 0x89 'P' 'N' 'G'; anything else is tried as JPEG
+      const image = bytes[0] === 0x89 && bytes[1] === 0x50
+        ? await pdfDoc.embedPng(bytes)
+        : await pdfDoc.embedJpg(bytes);
+
+      const width = pageSetupService.toPoints(Number(stamp.imageWidth) || this.defaultStamp.imageWidth);
+      return { type: 'image', image, width, height: (image.height / image.width) * width };
+
+    } catch (error) {
+      debugService.log('warn', 'pdf', 'Failed to load stamp image', { url, error: error.message });
+      return null;
+    }
+  }
+
+  // A plain URL, or a placeholder for an attachment / URL field
+  resolveImageUrl(source, context) {
+    const value = (source || '').trim();
+    const placeholder = value.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+    if (!placeholder) return value;
+
+    const resolved = templateEngineService.resolveField(placeholder[1], context);
+    const attachment = Array.isArray(resolved) ? resolved[0] : resolved;
+    if (attachment && typeof attachment === 'object') {
+      return attachment.thumbnails?.full?.url || attachment.url || '';
+    }
+    return attachment ? String(attachment) : '';
+  }
+
+  drawMark(page, mark, stamp, { degrees, rgb }) {
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    const rotation = Number(stamp.rotation) || 0;
+    const radians = (rotation * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+
+    // Shrink a mark whose rotated bounds would not fit inside the page insets
+    const fit = Math.min(
+      1,
+      (pageWidth - this.inset * 2) / (mark.width * cos + mark.height * sin),
+      (pageHeight - this.inset * 2) / (mark.width * sin + mark.height * cos)
+    );
+    const width = mark.width * fit;
+    const height = mark.height * fit;
+    const padding = (mark.padding || 0) * fit;
+
+    // Centre of the rotated mark, kept inside the page for edge positions
+    const boundsWidth = width * cos + height * sin;
+    const boundsHeight = width * sin + height * cos;
+    const [vertical, horizontal = 'center'] = stamp.position === 'center' ? ['center'] : stamp.position.split('-');
+    const centerX = horizontal === 'left'
+      ? this.inset + boundsWidth / 2
+      : horizontal === 'right' ? pageWidth - this.inset - boundsWidth / 2 : pageWidth / 2;
+    const centerY = vertical === 'top'
+      ? pageHeight - this.inset - boundsHeight / 2
+      : vertical === 'bottom' ? this.inset + boundsHeight / 2 : pageHeight / 2;
+
+    // pdf-lib rotates around the bottom-left corner of what it draws
+    const [rotatedCos, rotatedSin] = [Math.cos(radians), Math.sin(radians)];
+    const originX = centerX - (width / 2) * rotatedCos + (height / 2) * rotatedSin;
+    const originY = centerY - (width / 2) * rotatedSin - (height / 2) * rotatedCos;
+    const opacity = Math.min(Math.max(Number(stamp.opacity) || 0, 0), 1);
+    const angle = degrees(rotation);
+
+    if (mark.type === 'image') {
+      page.drawImage(mark.image, { x: originX, y: originY, width, height, rotate: angle, opacity });
+      return;
+    }
+
+    const color = this.parseColor(stamp.color, rgb);
+    if (stamp.border) {
+      page.drawRectangle({
+        x: originX,
+        y: originY,
+        width,
+        height,
+        rotate: angle,
+        borderColor: color,
+        borderWidth: Math.max((mark.size * fit) / 16, 1.5),
+        borderOpacity: opacity
+      });
+    }
+
+    page.drawText(mark.text, {
+      x: originX + padding * rotatedCos - padding * rotatedSin,
+      y: originY + padding * rotatedSin + padding * rotatedCos,
+      size: mark.size * fit,
+      font: mark.font,
+      color,
+      rotate: angle,
+      opacity
+    });
+  }
+
+  parseColor(hex, rgb) {
+    const match = String(hex || '').match(/^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+    if (!match) return rgb(0.86, 0.15, 0.15);
+    return rgb(parseInt(match[1], 16) / 255, parseInt(match[2], 16) / 255, parseInt(match[3], 16) / 255);
+  }
+}
+
+export const stampService = new StampService();
@@ -9,7 +9,8 @@ export class SupabaseService {
       templates: [],
       userConfig: {},
       activities: [],
-      pdfGenerations: []
+      pdfGenerations: [],
+      triggers: []
     };
     this.initializeService();
   }
@@ -229,6 +230,89 @@ export class SupabaseService {
     }
   }
 
+  // Generation triggers with demo fallback
+  async getTriggers() {
+    if (this.isDemo) {
+      return this.demoStorage.triggers;
+    }
+
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      const { data, error } = await supabase
+        .from('generation_triggers')
+        .select('*')
+        .eq('user_id', user?.id || 'anonymous')
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data;
+
+    } catch (error) {
+      debugService.log('error', 'supabase', 'Trigger fetch failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  async saveTrigger(triggerData) {
+    if (this.isDemo) {
+      const trigger = {
+        ...triggerData,
+        created_at: triggerData.created_at || new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      const existingIndex = this.demoStorage.triggers.findIndex(t => t.id === trigger.id);
+      if (existingIndex >= 0) {
+        this.demoStorage.triggers[existingIndex] = trigger;
+      } else {
+        this.demoStorage.triggers.push(trigger);
+      }
+      return trigger;
+    }
+
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      const { data, error } = await supabase
+        .from('generation_triggers')
+        .upsert({
+          ...triggerData,
+          user_id: user?.id || 'anonymous',
+          created_at: triggerData.created_at || new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+
+    } catch (error) {
+      debugService.log('error', 'supabase', 'Trigger save failed', { triggerId: triggerData.id, error: error.message });
+      throw error;
+    }
+  }
+
+  async deleteTrigger(id) {
+    if (this.isDemo) {
+      this.demoStorage.triggers = this.demoStorage.triggers.filter(t => t.id !== id);
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from('generation_triggers')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+
+    } catch (error) {
+      debugService.log('error', 'supabase', 'Trigger deletion failed', { triggerId: id, error: error.message });
+      throw error;
+    }
+  }
+
   // Mock implementations for demo mode
   async logUserActivity(action, details = {}) {
     if (this.isDemo) {
@@ -338,7 +422,10 @@ export class SupabaseService {
       const pdfGeneration = {
         user_id: user?.id || 'anonymous',
         template_id: generationData.templateId,
+        trigger_id: generationData.triggerId || null,
         record_id: generationData.recordId,
+        filename: generationData.filename || null,
+        generation_method: generationData.method || null,
         status: generationData.status,
         file_size: generationData.fileSize,
         generation_time: generationData.generationTime,
@@ -0,0 +1,674 @@
+import { debugService } from './debugService';
+import { valueFormatterService } from './valueFormatterService';
+import { expressionService } from './expressionService';
+
+// Template engine for block-level template syntax shared by every renderer.
+// Supports conditional sections evaluated against the record being generated:
+//   {{#if Discount}} ... {{else if Status == "Draft"}} ... {{else}} ... {{/if}}
+//   {{#unless Paid}} ... {{/unless}}
+// and repeating blocks cloned once per item of a linked-record/array field:
+//   {{#each Line Items}} {{@number}}. {{Product.Name}} x {{Quantity}} {{else}} No items {{/each}}
+// placeholders with filters ({{Amount | currency:"THB"}}, see valueFormatterService)
+// and computed placeholders ({{= sum(Line Items.Amount) * 0.07 as VAT}}, see expressionService).
+// Plain placeholders outside a repeating block and {{line_items}} are passed
+// through untouched so the existing replacement steps can handle them; layout
+// placeholders ({{page_break}}, {{page}}, {{#header}}...) are never resolved as fields.
+export class TemplateEngineService {
+  constructor() {
+    this.tagPattern = /\{\{([^}]+?)\}\}/g;
+    this.comparisonPattern = /^(.+?)\s*(==|!=|>=|<=|=|>|<)\s*(.+)$/;
+    this.blockOpenPattern = /^#(if|unless|each)\s+(.+)$/i;
+    this.elsePattern = /^else(?:\s+if\s+(.+))?$/i;
+    this.blockClosePattern = /^\/(if|unless|each)$/i;
+    this.blockTagPattern = /^(?:#|\/|else\b)/i;
+    this.assignmentPattern = /^(.+?)\s+as\s+([^()[\]"'=<>]+)$/i;
+    this.layoutTags = ['page_break', 'page', 'pages', '#header', '/header', '#footer', '/footer'];
+
+    // Google Docs puts a block tag on its own line inside <p><span>...</span></p>.
+    // Such a paragraph is collapsed to the bare tag so no empty line is left behind.
+    this.standaloneTagPattern = /<p\b[^>]*>\s*(?:<span\b[^>]*>\s*)*(\{\{\s*(?:#|\/|else\b)[^}]*\}\})\s*(?:<\/span>\s*)*<\/p>/gi;
+    this.tableRowPattern = /<tr\b[^>]*>[\s\S]*?<\/tr>/gi;
+  }
+
+  /**
+   * Render all block sections in the content against a record
+   * @param {string} content - Template content (HTML or plain text)
+   * @param {Object} context - { record, fieldMappings, lineItemConfig, format }
+   *                           where format is 'html' (default) or 'text'
+   * @returns {string} - Content with block sections resolved
+   */
+  render(content, context) {
+    if (!content || !this.hasTemplateTags(content)) {
+      return content;
+    }
+
+    const source = this.hoistRowBlocks(content.replace(this.standaloneTagPattern, '$1'));
+    const tree = this.parse(source);
+    const rendered = this.renderNodes(tree.children, { ...context, computed: {} });
+
+    debugService.log('debug', 'template', 'Template sections rendered', {
+      originalLength: content.length,
+      renderedLength: rendered.length
+    });
+
+    return rendered;
+  }
+
+  /**
+   * Collect the edits that resolve the block sections of a plain-text
+   * document, for renderers that edit a document in place
+   * @param {string} content - Plain document text
+   * @param {Object} context - { record, fieldMappings, lineItemConfig }
+   * @returns {Array} - Non-overlapping { start, end, text } edits in ascending order
+   */
+  collectEdits(content, context) {
+    if (!content || !this.hasTemplateTags(content)) {
+      return [];
+    }
+
+    const tree = this.parse(content);
+    const edits = [];
+    this.collectEditsFromNodes(tree.children, { ...context, format: 'text', computed: {} }, edits);
+
+    return edits
+      .filter(edit => edit.end > edit.start)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  hasTemplateTags(content) {
+    return this.tokenize(content).some(token =>
+      token.type === 'tag' && (/^[#/]/.test(token.body) || this.isResolvedTag(token.body))
+    );
+  }
+
+  // Tags the engine always resolves itself, even outside a repeating block
+  isResolvedTag(body) {
+    return this.isExpressionTag(body) || valueFormatterService.hasFilters(body);
+  }
+
+  isExpressionTag(body) {
+    return body.startsWith('=');
+  }
+
+  isLayoutTag(body) {
+    return this.layoutTags.includes(body.trim().toLowerCase());
+  }
+
+  hasRepeatingBlocks(content) {
+    return !!content && this.tokenize(content).some(token => token.type === 'tag' && /^#each\s/i.test(token.body));
+  }
+
+  tokenize(content) {
+    const tokens = [];
+    const pattern = new RegExp(this.tagPattern.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+      if (match.index > lastIndex) {
+        tokens.push({ type: 'text', value: content.slice(lastIndex, match.index), start: lastIndex, end: match.index });
+      }
+
+      const body = this.normalizeTagBody(match[1]);
+      let end = pattern.lastIndex;
+
+      // A block tag alone on its line takes its line break with it
+      if (this.blockTagPattern.test(body)) {
+        const atLineStart = match.index === 0 || content[match.index - 1] === '\n';
+        const lineBreak = content.slice(end).match(/^\r?\n/);
+        if (atLineStart && lineBreak) {
+          end += lineBreak[0].length;
+          pattern.lastIndex = end;
+        }
+      }
+
+      tokens.push({ type: 'tag', raw: content.slice(match.index, end), body, start: match.index, end });
+      lastIndex = end;
+    }
+
+    if (lastIndex < content.length) {
+      tokens.push({ type: 'text', value: content.slice(lastIndex), start: lastIndex, end: content.length });
+    }
+
+    return tokens;
+  }
+
+  // Google Docs cannot place text between table rows, so an {{#each}} opened in
+  // a row repeats the whole row (or the run of rows up to the row holding {{/each}})
+  hoistRowBlocks(content) {
+    return content.replace(this.tableRowPattern, row => {
+      const tags = this.tokenize(row).filter(token => token.type === 'tag');
+      const opens = tags.filter(token => /^#each\s/i.test(token.body));
+      const closes = tags.filter(token => /^\/each$/i.test(token.body));
+
+      if (opens.length > 1 || closes.length > 1 || (opens.length === 0 && closes.length === 0)) {
+        return row;
+      }
+      if (opens.length === 1 && closes.length === 1 && closes[0].start < opens[0].start) {
+        return row;
+      }
+
+      const removed = [...opens, ...closes].sort((a, b) => b.start - a.start);
+      const inner = removed.reduce((html, token) => html.slice(0, token.start) + html.slice(token.end), row);
+      const openTag = opens.length ? `{{${opens[0].body}}}` : '';
+      const closeTag = closes.length ? '{{/each}}' : '';
+
+      return `${openTag}${inner}${closeTag}`;
+    });
+  }
+
+  parse(content) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+
+    this.tokenize(content).forEach(token => {
+      const current = stack[stack.length - 1];
+
+      if (token.type === 'text') {
+        this.childrenOf(current).push(token);
+        return;
+      }
+
+      const openMatch = token.body.match(this.blockOpenPattern);
+      if (openMatch) {
+        const keyword = openMatch[1].toLowerCase();
+        const node = keyword === 'each'
+          ? { type: 'each', keyword, path: openMatch[2], children: [], elseBranch: null, openTag: token, closeTag: null }
+          : {
+            type: 'if',
+            keyword,
+            branches: [{ condition: openMatch[2], negate: keyword === 'unless', children: [], tag: token }],
+            elseBranch: null,
+            openTag: token,
+            closeTag: null
+          };
+        this.childrenOf(current).push(node);
+        stack.push(node);
+        return;
+      }
+
+      const elseMatch = token.body.match(this.elsePattern);
+      if (elseMatch) {
+        const canBranch = current.type === 'if' || (current.type === 'each' && !elseMatch[1]);
+        if (!canBranch || current.elseBranch) {
+          throw new Error(`Unexpected ${token.raw.trim()} outside of an {{#if}} or {{#each}} block`);
+        }
+        if (elseMatch[1]) {
+          current.branches.push({ condition: elseMatch[1], negate: false, children: [], tag: token });
+        } else {
+          current.elseBranch = { children: [], tag: token };
+        }
+        return;
+      }
+
+      const closeMatch = token.body.match(this.blockClosePattern);
+      if (closeMatch) {
+        if (current.type === 'root' || current.keyword !== closeMatch[1].toLowerCase()) {
+          throw new Error(`Unexpected ${token.raw.trim()} without a matching opening block`);
+        }
+        current.closeTag = token;
+        stack.pop();
+        return;
+      }
+
+      this.childrenOf(current).push(token);
+    });
+
+    if (stack.length > 1) {
+      const unclosed = stack[stack.length - 1];
+      throw new Error(`Unclosed ${unclosed.openTag.raw.trim()} block - add a matching {{/${unclosed.keyword}}}`);
+    }
+
+    return root;
+  }
+
+  childrenOf(node) {
+    if (node.type === 'root') return node.children;
+    if (node.elseBranch) return node.elseBranch.children;
+    if (node.type === 'each') return node.children;
+    return node.branches[node.branches.length - 1].children;
+  }
+
+  renderNodes(nodes, context) {
+    return nodes.map(node => this.renderNode(node, context)).join('');
+  }
+
+  renderNode(node, context) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'tag':
+        return this.renderTag(node, context);
+      case 'if': {
+        const branch = this.selectBranch(node, context);
+        return branch ? this.renderNodes(branch.children, context) : '';
+      }
+      case 'each':
+        return this.renderEach(node, context);
+      default:
+        return '';
+    }
+  }
+
+  // Outside a repeating block plain placeholders are left for the renderer's
+  // own replacement step; inside one they are resolved against the current item
+  renderTag(node, context) {
+    if ((!context.frame && !this.isResolvedTag(node.body)) || this.isLayoutTag(node.body)) {
+      return node.raw;
+    }
+
+    const value = this.isExpressionTag(node.body)
+      ? this.renderExpression(node, context)
+      : valueFormatterService.formatExpression(node.body, name => this.resolveField(name, context));
+    return context.format === 'text' ? value : this.escapeHtml(value);
+  }
+
+  // {{= expression as Name | filters}} - `as Name` keeps the result for later
+  // placeholders and expressions in the same document
+  renderExpression(node, context) {
+    const { name: source, filters } = valueFormatterService.parseExpression(node.body.slice(1));
+    const assignment = source.match(this.assignmentPattern);
+    const value = this.evaluateExpression(assignment ? assignment[1] : source, context, node.raw);
+
+    if (assignment && context.computed) {
+      context.computed[assignment[2].trim()] = value;
+    }
+
+    return filters.length > 0
+      ? valueFormatterService.toText(valueFormatterService.applyFilters(value, filters))
+      : expressionService.formatResult(value);
+  }
+
+  evaluateExpression(expression, context, raw) {
+    try {
+      return expressionService.evaluate(expression, name => this.resolveField(name, context));
+    } catch (error) {
+      throw new Error(`Invalid expression ${raw.trim()}: ${error.message}`);
+    }
+  }
+
+  renderEach(node, context) {
+    const items = this.toItems(this.resolveField(node.path, context));
+
+    if (items.length === 0) {
+      return node.elseBranch ? this.renderNodes(node.elseBranch.children, context) : '';
+    }
+
+    debugService.log('debug', 'template', 'Rendering repeating block', {
+      path: node.path,
+      itemCount: items.length
+    });
+
+    return items.map((item, index) => {
+      const itemContext = {
+        ...context,
+        frame: {
+          item,
+          path: node.path,
+          data: {
+            index,
+            number: index + 1,
+            first: index === 0,
+            last: index === items.length - 1,
+            count: items.length
+          },
+          parent: context.frame || null
+        }
+      };
+      return this.renderNodes(node.children, itemContext);
+    }).join('');
+  }
+
+  toItems(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  selectBranch(node, context) {
+    const branch = node.branches.find(candidate =>
+      this.evaluateCondition(candidate.condition, context) !== candidate.negate
+    );
+    return branch || node.elseBranch;
+  }
+
+  collectEditsFromNodes(nodes, context, edits) {
+    nodes.forEach(node => {
+      if (node.type === 'tag' && this.isResolvedTag(node.body)) {
+        edits.push({ start: node.start, end: node.end, text: this.renderTag(node, context) });
+        return;
+      }
+
+      if (node.type === 'each') {
+        edits.push({ start: node.openTag.start, end: node.closeTag.end, text: this.renderEach(node, context) });
+        return;
+      }
+
+      if (node.type !== 'if') return;
+
+      const branch = this.selectBranch(node, context);
+      if (!branch) {
+        edits.push({ start: node.openTag.start, end: node.closeTag.end, text: '' });
+        return;
+      }
+
+      const nextTag = this.tagAfterBranch(node, branch);
+      edits.push({ start: node.openTag.start, end: branch.tag.end, text: '' });
+      edits.push({ start: nextTag.start, end: node.closeTag.end, text: '' });
+      this.collectEditsFromNodes(branch.children, context, edits);
+    });
+  }
+
+  tagAfterBranch(node, branch) {
+    if (branch === node.elseBranch) return node.closeTag;
+    const index = node.branches.indexOf(branch);
+    if (index < node.branches.length - 1) return node.branches[index + 1].tag;
+    return node.elseBranch ? node.elseBranch.tag : node.closeTag;
+  }
+
+  /**
+   * Evaluate a block condition against the record
+   * Supported forms: `Field`, `not Field`, `empty Field`, `not empty Field`,
+   * and comparisons `Field == "Paid"`, `!=`, `>`, `>=`, `<`, `<=` against a
+   * quoted string, a number or another field.
+   */
+  evaluateCondition(expression, context) {
+    const condition = expression.trim();
+
+    if (this.isExpressionTag(condition)) {
+      return expressionService.isTruthy(this.evaluateExpression(condition.slice(1), context, condition));
+    }
+
+    const negated = condition.match(/^(?:not\s+|!)(.+)$/i);
+    if (negated) {
+      return !this.evaluateCondition(negated[1], context);
+    }
+
+    const emptyCheck = condition.match(/^empty\s+(.+)$/i);
+    if (emptyCheck) {
+      return this.isEmpty(this.resolveOperand(emptyCheck[1], context));
+    }
+
+    const comparison = condition.match(this.comparisonPattern);
+    if (comparison) {
+      const left = this.resolveOperand(comparison[1], context);
+      const right = this.resolveOperand(comparison[3], context, { allowBareword: true });
+      return this.compare(left, comparison[2], right);
+    }
+
+    return this.isTruthy(this.resolveField(condition, context));
+  }
+
+  compare(left, operator, right) {
+    const leftValue = this.toComparable(left);
+    const rightValue = this.toComparable(right);
+
+    if (operator === '==' || operator === '=' || operator === '!=') {
+      const equal = typeof leftValue === 'number' && typeof rightValue === 'number'
+        ? leftValue === rightValue
+        : String(leftValue).toLowerCase() === String(rightValue).toLowerCase();
+      return operator === '!=' ? !equal : equal;
+    }
+
+    const ordered = this.toOrdered(leftValue, rightValue);
+    if (!ordered) return false;
+
+    switch (operator) {
+      case '>': return ordered.left > ordered.right;
+      case '>=': return ordered.left >= ordered.right;
+      case '<': return ordered.left < ordered.right;
+      case '<=': return ordered.left <= ordered.right;
+      default: return false;
+    }
+  }
+
+  // Numbers compare numerically, ISO dates chronologically, anything else is not ordered
+  toOrdered(left, right) {
+    if (typeof left === 'number' && typeof right === 'number') {
+      return { left, right };
+    }
+
+    const leftDate = this.toTimestamp(left);
+    const rightDate = this.toTimestamp(right);
+    if (leftDate !== null && rightDate !== null) {
+      return { left: leftDate, right: rightDate };
+    }
+
+    return null;
+  }
+
+  toTimestamp(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  toComparable(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) {
+      return value.length === 1 ? this.toComparable(value[0]) : value.map(item => this.toComparable(item)).join(', ');
+    }
+    if (typeof value === 'object') return value.name || value.filename || '';
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      return Number(value);
+    }
+    return value;
+  }
+
+  // A bare word on the right-hand side that names no field is read as text,
+  // so `Status == Paid` works as well as `Status == "Paid"`
+  resolveOperand(operand, context, { allowBareword = false } = {}) {
+    const value = operand.trim();
+
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    if (quoted) return quoted[2];
+
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (/^true$/i.test(value)) return true;
+    if (/^false$/i.test(value)) return false;
+
+    if (allowBareword && this.resolveField(value, context) === undefined) return value;
+    return this.resolveField(value, context);
+  }
+
+  /**
+   * Resolve a template name to a value. Inside repeating blocks the name is
+   * looked up on the current item first (`@index`, `@number`, `@first`,
+   * `@last`, `@count`, `this` and `this.Field` refer to the item itself),
+   * then on each enclosing item, then among values computed earlier with
+   * `{{= ... as Name}}`, and finally on the record through the field
+   * mappings or directly as an Airtable field name. Lookups are
+   * case-insensitive and dotted names (`Product.Name`) walk into nested
+   * objects and linked records.
+   */
+  resolveField(name, context) {
+    const path = name.trim();
+    const frame = context.frame;
+
+    if (path.startsWith('@')) {
+      return frame ? frame.data[path.slice(1).toLowerCase()] : undefined;
+    }
+
+    if (path === 'this' || path === '.') {
+      return frame?.item;
+    }
+
+    if (/^this\./i.test(path)) {
+      return frame ? this.readPath(frame.item, path.slice(5)) : undefined;
+    }
+
+    const itemMappings = this.getItemMappings(context.lineItemConfig);
+    for (let current = frame; current; current = current.parent) {
+      const mappingKey = this.findKey(itemMappings, path);
+      const value = this.readPath(current.item, mappingKey !== undefined ? itemMappings[mappingKey] : path);
+      if (value !== undefined) return value;
+    }
+
+    const computedKey = context.computed ? this.findKey(context.computed, path) : undefined;
+    if (computedKey !== undefined) {
+      return context.computed[computedKey];
+    }
+
+    return this.resolveRecordField(path, context);
+  }
+
+  resolveRecordField(path, context) {
+    const fields = context.record?.fields || {};
+    const fieldMappings = context.fieldMappings || {};
+
+    const mappingKey = this.findKey(fieldMappings, path);
+    if (mappingKey !== undefined) {
+      return this.readPath(fields, fieldMappings[mappingKey]);
+    }
+
+    return this.readPath(fields, path);
+  }
+
+  // Line item field mappings ({{item_name}} -> Product Name) apply inside repeating blocks
+  getItemMappings(lineItemConfig) {
+    const mappings = {};
+    (lineItemConfig?.fields || []).forEach(field => {
+      if (field.template && field.airtable) {
+        mappings[field.template.replace(/[{}]/g, '').trim()] = field.airtable;
+      }
+    });
+    return mappings;
+  }
+
+  // Read a (possibly dotted) field name from a record, a plain object or an
+  // array of either; a field whose name itself contains dots wins over a path
+  readPath(source, path) {
+    if (source === undefined || source === null || typeof source !== 'object') {
+      return undefined;
+    }
+
+    if (Array.isArray(source)) {
+      const values = source
+        .map(item => this.readPath(item, path))
+        .filter(value => value !== undefined);
+      return values.length > 0 ? values.flat() : undefined;
+    }
+
+    const target = source.fields && typeof source.fields === 'object' ? source.fields : source;
+    const directKey = this.findKey(target, path);
+    if (directKey !== undefined) {
+      return target[directKey];
+    }
+
+    const dotIndex = path.indexOf('.');
+    if (dotIndex === -1) {
+      return undefined;
+    }
+
+    const headKey = this.findKey(target, path.slice(0, dotIndex));
+    return headKey !== undefined ? this.readPath(target[headKey], path.slice(dotIndex + 1)) : undefined;
+  }
+
+  findKey(object, name) {
+    if (Object.prototype.hasOwnProperty.call(object, name)) return name;
+    const lowerName = String(name).toLowerCase();
+    return Object.keys(object).find(key => key.toLowerCase() === lowerName);
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  isEmpty(value) {
+    if (value === undefined || value === null) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  }
+
+  isTruthy(value) {
+    if (this.isEmpty(value)) return false;
+    if (value === false || value === 0) return false;
+    if (typeof value === 'string' && /^(false|0)$/i.test(value.trim())) return false;
+    return true;
+  }
+
+  // Strip markup Google Docs injects inside a tag and normalise quotes and entities
+  normalizeTagBody(body) {
+    return body
+      .replace(/<[^>]*>/g, '')
+      .replace(/&quot;|&#34;|[“”]/g, '"')
+      .replace(/&#39;|&apos;|[‘’]/g, '\'')
+      .replace(/&gt;/g, '>')
+      .replace(/&lt;/g, '<')
+      .replace(/&nbsp;|\u00a0/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Describe a raw placeholder for placeholder extraction
+   * @param {string} placeholder - Tag body without the surrounding braces
+   * @returns {Object} - { fields } the record names the placeholder refers to:
+   *                     the placeholder itself for a plain field, the fields
+   *                     used by a block tag, nothing for helpers like @index
+   */
+  describePlaceholder(placeholder) {
+    const body = this.normalizeTagBody(placeholder);
+
+    if (this.isExpressionTag(body)) {
+      return { fields: this.extractExpressionFields(body.slice(1)) };
+    }
+
+    const openMatch = body.match(this.blockOpenPattern);
+    if (openMatch) {
+      const fields = openMatch[1].toLowerCase() === 'each'
+        ? [openMatch[2].trim()]
+        : this.extractConditionFields(openMatch[2]);
+      return { fields };
+    }
+
+    const elseMatch = body.match(this.elsePattern);
+    if (elseMatch) {
+      return { fields: elseMatch[1] ? this.extractConditionFields(elseMatch[1]) : [] };
+    }
+
+    const name = valueFormatterService.parseExpression(body).name;
+    if (this.blockClosePattern.test(body) || name.startsWith('@') || /^this(\.|$)/i.test(name) || this.isLayoutTag(body)) {
+      return { fields: [] };
+    }
+
+    return { fields: [name] };
+  }
+
+  extractConditionFields(condition) {
+    if (this.isExpressionTag(condition.trim())) {
+      return this.extractExpressionFields(condition.trim().slice(1));
+    }
+
+    const expression = condition.trim()
+      .replace(/^(?:not\s+|!)/i, '')
+      .replace(/^empty\s+/i, '');
+
+    const comparison = expression.match(this.comparisonPattern);
+    const operands = comparison ? [comparison[1], comparison[3]] : [expression];
+
+    return operands
+      .map(operand => operand.trim())
+      .filter(operand => operand && !operand.startsWith('@') && !/^this(\.|$)/i.test(operand))
+      .filter(operand => !/^(["']).*\1$/.test(operand) && !/^-?\d+(\.\d+)?$/.test(operand) && !/^(true|false)$/i.test(operand));
+  }
+
+  // Only the field part of a dotted name is listed (`Line Items.Amount` -> `Line Items`)
+  extractExpressionFields(source) {
+    const { name: expression } = valueFormatterService.parseExpression(source);
+    const assignment = expression.match(this.assignmentPattern);
+
+    return expressionService.collectReferences(assignment ? assignment[1] : expression)
+      .filter(name => !name.startsWith('@') && !/^this(\.|$)/i.test(name))
+      .map(name => name.split('.')[0].trim());
+  }
+}
+
+export const templateEngineService = new TemplateEngineService();
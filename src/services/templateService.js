@@ -2,6 +2,7 @@ import { v4 as uuidv4 } from 'uuid';
 import { supabaseService } from './supabaseService';
 import { debugService } from './debugService';
 import { secureCredentialsService } from './secureCredentialsService';
+import { schemaDriftService } from './schemaDriftService';
 
 export class TemplateService {
   constructor() {
@@ -133,6 +134,60 @@ export class TemplateService {
     }
   }
 
+  /**
+   * Fetch a template to open it in the wizard or the generator. Templates
+   * saved before field ids were kept get them here, while their field names
+   * still match Airtable; other reads (triggers, webhooks) use getTemplate()
+   * and leave the template as it is.
+   * @param {string} id - Template id
+   * @returns {Promise<Object>} - Template with credentials restored
+   */
+  async loadTemplate(id) {
+    const template = await this.getTemplate(id);
+    return this.migrateFieldIds(template);
+  }
+
+  // Without a connection the template is returned as it is and migrated the
+  // next time it is opened
+  async migrateFieldIds(template) {
+    const config = template.config;
+    if (!config?.connection?.airtableConfig?.apiKey || !schemaDriftService.needsSnapshot(config)) {
+      return template;
+    }
+
+    const migratedConfig = await schemaDriftService.withSnapshot(config);
+    // Fields already missing from Airtable never get an id
+    if (JSON.stringify(migratedConfig.mapping?.fieldSchema) === JSON.stringify(config.mapping?.fieldSchema)) {
+      return template;
+    }
+
+    const migrated = { ...template, config: migratedConfig };
+    try {
+      await this.supabaseService.saveTemplate(this.secureCredentials.prepareForStorage(migrated));
+      debugService.log('info', 'template', 'Field ids added to template', { templateId: template.id });
+    } catch (error) {
+      debugService.log('warn', 'template', 'Could not save field ids, they will be added again when the template is opened', {
+        templateId: template.id,
+        error: error.message
+      });
+    }
+    return migrated;
+  }
+
+  /**
+   * Point a saved template's renamed fields at their new names and save it
+   * @param {Object} template - Saved template
+   * @param {Array} issues - Issues from schemaDriftService.check()
+   * @returns {Promise<Object>} - Saved template
+   */
+  async fixRenamedFields(template, issues) {
+    return this.saveTemplate({
+      ...template,
+      config: schemaDriftService.remap(template.config, issues),
+      updated_at: new Date().toISOString()
+    });
+  }
+
   async deleteTemplate(id) {
     try {
       debugService.log('info', 'template', 'Starting secure template deletion', {
@@ -0,0 +1,395 @@
+import { v4 as uuidv4 } from 'uuid';
+import { debugService } from './debugService';
+import { supabaseService } from './supabaseService';
+import { templateService } from './templateService';
+import { enhancedAirtableService } from './enhancedAirtableService';
+import { airtableWebhookService } from './airtableWebhookService';
+import { generatePDF, buildGenerationOptions } from './enhancedPdfService';
+
+// Automatic generation: a trigger ties a saved template to a view of the
+// template's table (e.g. "Ready to invoice") and generates a PDF for every
+// record that enters the view, through the same pipeline as Generate PDF.
+//
+// - The view is watched with an Airtable webhook whose payloads are read with
+//   a cursor; when webhooks are not available (no webhook:manage scope, plan
+//   limits) the view is polled instead, comparing its records with the ones
+//   seen on the previous poll
+// - Records already in the view when a trigger starts are not generated
+// - Records whose generation fails are tried again on the next runs, up to
+//   maxAttempts times in all
+// - Each generation is logged to pdf_generations with the trigger id
+//
+// Triggers run in the browser tab that has the runner switched on, since
+// generation uses that tab's Google session. Without Save to Airtable on the
+// template, the PDFs are downloaded in that tab.
+export class TriggerService {
+  constructor() {
+    this.runnerKey = 'triggerRunnerEnabled';
+    this.defaultConfig = {
+      viewName: '',
+      mode: 'auto',
+      pollInterval: 60
+    };
+    this.tickInterval = 15 * 1000;
+    this.maxOutcomes = 50;
+    this.maxAttempts = 3;
+    this.triggers = [];
+    this.timer = null;
+    this.ticking = false;
+    this.running = new Set();
+    this.lastChecked = new Map();
+    this.outcomes = [];
+    this.listeners = new Set();
+  }
+
+  /**
+   * Listen for trigger, runner and outcome changes
+   * @param {Function} listener - Called with the service after every change
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  async loadTriggers() {
+    this.triggers = await supabaseService.getTriggers();
+    this.emit();
+    return this.triggers;
+  }
+
+  /**
+   * Create or update a trigger
+   * @param {Object} trigger - { id, name, template_id, enabled, config: { viewName,
+   *   mode: 'auto'|'webhook'|'poll', pollInterval (seconds) } }
+   * @returns {Promise<Object>} - Saved trigger
+   */
+  async saveTrigger(trigger) {
+    if (!trigger.name || !trigger.template_id || !trigger.config?.viewName) {
+      throw new Error('Trigger name, template and view are required');
+    }
+
+    const existing = this.triggers.find(item => item.id === trigger.id);
+    const config = { ...this.defaultConfig, ...trigger.config };
+    let state = existing?.state || {};
+
+    // A different template, view or mode starts watching from scratch
+    if (existing && (
+      existing.template_id !== trigger.template_id ||
+      existing.config.viewName !== config.viewName ||
+      existing.config.mode !== config.mode ||
+      !trigger.enabled
+    )) {
+      await this.removeWebhook(existing);
+      state = {};
+    }
+
+    const saved = await supabaseService.saveTrigger({
+      id: trigger.id || uuidv4(),
+      name: trigger.name,
+      template_id: trigger.template_id,
+      enabled: trigger.enabled !== false,
+      config,
+      state,
+      last_run_at: existing?.last_run_at || null,
+      last_error: existing?.last_error || null,
+      created_at: existing?.created_at
+    });
+
+    this.triggers = existing
+      ? this.triggers.map(item => (item.id === saved.id ? saved : item))
+      : [...this.triggers, saved];
+    this.emit();
+    return saved;
+  }
+
+  async deleteTrigger(trigger) {
+    await this.removeWebhook(trigger);
+    await supabaseService.deleteTrigger(trigger.id);
+    this.triggers = this.triggers.filter(item => item.id !== trigger.id);
+    this.emit();
+  }
+
+  isRunnerEnabled() {
+    return sessionStorage.getItem(this.runnerKey) === 'true';
+  }
+
+  setRunnerEnabled(enabled) {
+    sessionStorage.setItem(this.runnerKey, enabled ? 'true' : 'false');
+    if (enabled) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    debugService.log('info', 'trigger', 'Trigger runner started');
+    this.emit();
+
+    try {
+      await this.loadTriggers();
+      await this.tick();
+    } catch (error) {
+      debugService.log('error', 'trigger', 'Failed to load triggers', { error: error.message });
+    }
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    debugService.log('info', 'trigger', 'Trigger runner stopped');
+    this.emit();
+  }
+
+  isRunning() {
+    return !!this.timer;
+  }
+
+  // Triggers are run one after another so they share the base's rate limit.
+  // Runs from a timer, so nothing may be thrown from here.
+  async tick() {
+    if (this.ticking) return;
+
+    this.ticking = true;
+    try {
+      for (const trigger of this.triggers) {
+        const lastChecked = this.lastChecked.get(trigger.id) || 0;
+        if (trigger.enabled && Date.now() - lastChecked >= trigger.config.pollInterval * 1000) {
+          try {
+            await this.runTrigger(trigger);
+          } catch (error) {
+            debugService.log('error', 'trigger', 'Trigger run failed', { triggerId: trigger.id, error: error.message });
+          }
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Check a trigger's view once and generate PDFs for records that entered it
+   * @param {Object} trigger - Saved trigger
+   * @returns {Promise<Object>} - Updated trigger
+   */
+  async runTrigger(trigger) {
+    if (this.running.has(trigger.id)) return trigger;
+
+    this.running.add(trigger.id);
+    this.lastChecked.set(trigger.id, Date.now());
+    this.emit();
+
+    let state = trigger.state || {};
+    let lastError = null;
+
+    try {
+      const template = await templateService.getTemplate(trigger.template_id);
+      const airtableConfig = template.config.connection.airtableConfig;
+      const { table, view } = await this.findView(airtableConfig, trigger.config.viewName);
+
+      const collected = await this.collect(trigger, state, airtableConfig, table, view);
+      // Failed records are kept apart from the webhook or poll state, which
+      // collect() may start over
+      const retries = state.retries || {};
+      state = collected.state;
+
+      if (collected.recordIds.length > 0) {
+        debugService.log('info', 'trigger', 'Records entered the view', {
+          triggerId: trigger.id,
+          view: view.name,
+          recordIds: collected.recordIds
+        });
+      }
+
+      const failed = {};
+      const recordIds = [...new Set([...Object.keys(retries), ...collected.recordIds])];
+      for (const recordId of recordIds) {
+        if (await this.generate(trigger, template, airtableConfig, recordId)) continue;
+
+        const attempts = (retries[recordId] || 0) + 1;
+        if (attempts < this.maxAttempts) {
+          failed[recordId] = attempts;
+        } else {
+          debugService.log('error', 'trigger', 'Giving up on record', { triggerId: trigger.id, recordId, attempts });
+        }
+      }
+      if (Object.keys(failed).length > 0) {
+        state = { ...state, retries: failed };
+      } else {
+        delete state.retries;
+      }
+    } catch (error) {
+      lastError = error.message;
+      debugService.log('error', 'trigger', 'Trigger run failed', { triggerId: trigger.id, error: error.message });
+    }
+
+    try {
+      return await this.updateTrigger(trigger, {
+        state,
+        last_run_at: new Date().toISOString(),
+        last_error: lastError
+      });
+    } finally {
+      this.running.delete(trigger.id);
+      this.emit();
+    }
+  }
+
+  async findView(airtableConfig, viewName) {
+    const tables = await enhancedAirtableService.getBaseTables(airtableConfig);
+    const table = tables.find(item => item.name === airtableConfig.tableName);
+    if (!table) {
+      throw new Error(`Table "${airtableConfig.tableName}" not found in base`);
+    }
+
+    const view = table.views.find(item => item.name === viewName || item.id === viewName);
+    if (!view) {
+      throw new Error(`View "${viewName}" not found in table "${table.name}"`);
+    }
+    return { table, view };
+  }
+
+  // Returns the record ids to generate and the state to store for next time
+  async collect(trigger, state, airtableConfig, table, view) {
+    if (trigger.config.mode !== 'poll' && state.mode !== 'poll') {
+      try {
+        return await this.collectFromWebhook(state, airtableConfig, table, view);
+      } catch (error) {
+        if (trigger.config.mode === 'webhook' || ![403, 404, 422].includes(error.status)) {
+          throw error;
+        }
+        debugService.log('warn', 'trigger', 'Webhooks unavailable, polling the view instead', {
+          triggerId: trigger.id,
+          error: error.message
+        });
+        state = { mode: 'poll', fallbackReason: error.message };
+      }
+    }
+
+    return this.collectFromView(state, airtableConfig, table, view);
+  }
+
+  async collectFromWebhook(state, airtableConfig, table, view) {
+    let webhook = state.webhook;
+
+    if (!webhook) {
+      webhook = await airtableWebhookService.create(airtableConfig, view.id);
+      // A new webhook only reports changes made from now on
+      return { state: { mode: 'webhook', webhook }, recordIds: [] };
+    }
+
+    try {
+      if (airtableWebhookService.needsRefresh(webhook)) {
+        webhook = { ...webhook, expirationTime: await airtableWebhookService.refresh(airtableConfig, webhook.id) };
+      }
+      const { payloads, cursor } = await airtableWebhookService.readPayloads(airtableConfig, webhook);
+      return {
+        state: { mode: 'webhook', webhook: { ...webhook, cursor } },
+        recordIds: airtableWebhookService.getEnteredRecordIds(payloads, table.id, view.id)
+      };
+    } catch (error) {
+      if (error.status !== 404) throw error;
+
+      // The webhook expired or was deleted in Airtable; changes since then are lost
+      debugService.log('warn', 'trigger', 'Webhook no longer exists, creating a new one', { webhookId: webhook.id });
+      return { state: { mode: 'webhook' }, recordIds: [] };
+    }
+  }
+
+  async collectFromView(state, airtableConfig, table, view) {
+    const primaryField = table.fields.find(field => field.id === table.primaryFieldId);
+    const records = await enhancedAirtableService.performRecordFetch(airtableConfig, {
+      view: view.name,
+      fields: primaryField ? [primaryField.name] : null
+    });
+    const recordIds = records.map(record => record.id);
+
+    // The first poll only records what is already in the view
+    const seen = new Set(state.seenIds || []);
+    const entered = state.seenIds ? recordIds.filter(id => !seen.has(id)) : [];
+
+    return { state: { ...state, mode: 'poll', seenIds: recordIds }, recordIds: entered };
+  }
+
+  // Returns whether the PDF was generated
+  async generate(trigger, template, airtableConfig, recordId) {
+    const outcome = { triggerId: trigger.id, triggerName: trigger.name, recordId, at: new Date().toISOString() };
+
+    try {
+      const [record, fieldTypes] = await Promise.all([
+        enhancedAirtableService.fetchSingleRecord(airtableConfig, recordId),
+        enhancedAirtableService.getFieldTypes(airtableConfig)
+      ]);
+      const generationState = { wizardData: template.config, currentTemplate: template, availableFieldTypes: fieldTypes };
+      const options = { ...buildGenerationOptions(generationState, record), triggerId: trigger.id };
+
+      // Logged to pdf_generations by the pipeline itself
+      const result = await generatePDF(options);
+      if (!options.writeBackConfig?.enabled) {
+        this.download(result.blob, result.filename);
+      }
+      this.addOutcome({ ...outcome, status: 'completed', filename: result.filename, writeBack: result.writeBack || null, failedImages: result.failedImages || [] });
+      return true;
+    } catch (error) {
+      this.addOutcome({ ...outcome, status: 'failed', error: error.message });
+      return false;
+    }
+  }
+
+  addOutcome(outcome) {
+    this.outcomes = [outcome, ...this.outcomes].slice(0, this.maxOutcomes);
+    this.emit();
+  }
+
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  // The trigger is updated in memory before it is saved, so a failed save
+  // cannot make the next run collect and generate the same records again
+  async updateTrigger(trigger, changes) {
+    const updated = { ...trigger, ...changes };
+    this.triggers = this.triggers.map(item => (item.id === updated.id ? updated : item));
+
+    try {
+      const saved = await supabaseService.saveTrigger(updated);
+      this.triggers = this.triggers.map(item => (item.id === saved.id ? saved : item));
+      return saved;
+    } catch (error) {
+      debugService.log('error', 'trigger', 'Could not save trigger state', { triggerId: trigger.id, error: error.message });
+      return updated;
+    }
+  }
+
+  // Best effort: a webhook left behind expires after 7 days
+  async removeWebhook(trigger) {
+    const webhookId = trigger.state?.webhook?.id;
+    if (!webhookId) return;
+
+    try {
+      const template = await templateService.getTemplate(trigger.template_id);
+      await airtableWebhookService.remove(template.config.connection.airtableConfig, webhookId);
+    } catch (error) {
+      debugService.log('warn', 'trigger', 'Could not delete webhook', { webhookId, error: error.message });
+    }
+  }
+}
+
+export const triggerService = new TriggerService();
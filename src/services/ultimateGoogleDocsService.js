@@ -1,4 +1,5 @@
 import { debugService } from './debugService';
+import { templateEngineService } from './templateEngineService';
 
 export class UltimateGoogleDocsService {
   constructor() {
@@ -301,18 +302,24 @@ export class UltimateGoogleDocsService {
           const rawPlaceholder = match[1];
           
           if (rawPlaceholder) {
-            const cleanPlaceholder = this.cleanPlaceholder(rawPlaceholder);
-            if (cleanPlaceholder && this.isValidPlaceholder(cleanPlaceholder)) {
-              placeholders.add(cleanPlaceholder);
-              
-              debugService.log('debug', 'ultimate-docs', `✅ Found placeholder`, {
-                pattern: patternIndex,
-                contentType: contentType,
-                raw: rawPlaceholder,
-                clean: cleanPlaceholder,
-                source: sourceName
-              });
-            }
+            // Block tags ({{#if X}}, {{#each X}}, {{/if}}) and helpers ({{@index}})
+            // contribute only the fields they reference
+            const candidates = templateEngineService.describePlaceholder(rawPlaceholder).fields;
+
+            candidates.forEach(candidate => {
+              const cleanPlaceholder = this.cleanPlaceholder(candidate);
+              if (cleanPlaceholder && this.isValidPlaceholder(cleanPlaceholder)) {
+                placeholders.add(cleanPlaceholder);
+                
+                debugService.log('debug', 'ultimate-docs', `✅ Found placeholder`, {
+                  pattern: patternIndex,
+                  contentType: contentType,
+                  raw: rawPlaceholder,
+                  clean: cleanPlaceholder,
+                  source: sourceName
+                });
+              }
+            });
           }
         }
       });
@@ -0,0 +1,232 @@
+import { format, isValid, parseISO } from 'date-fns';
+import { enUS, th } from 'date-fns/locale';
+import { debugService } from './debugService';
+import { localeFormatterService } from './localeFormatterService';
+
+// Filter pipeline for placeholder values, shared by the template renderers and
+// the filename generator:
+//   {{Amount | currency:"THB"}}  {{Due Date | date:"d MMM yyyy"}}
+//   {{Name | upper}}  {{Notes | default:"-"}}  {{Tags | join:" / " | lower}}
+// Filters run left to right; each receives the previous result followed by its
+// arguments (quoted text or numbers, separated by ':' or ',').
+export class ValueFormatterService {
+  constructor() {
+    this.defaultLocale = 'en-US';
+    this.dateLocales = { en: enUS, 'en-us': enUS, th, 'th-th': th };
+
+    this.filters = {
+      currency: (value, currency = 'USD', locale) => this.mapScalar(value, item =>
+        this.formatNumber(item, { style: 'currency', currency: String(currency).toUpperCase(), currencyDisplay: 'narrowSymbol' }, locale)
+      ),
+      number: (value, decimals, locale) => this.mapScalar(value, item =>
+        this.formatNumber(item, this.decimalOptions(decimals), locale)
+      ),
+      percent: (value, decimals = 0, locale) => this.mapScalar(value, item =>
+        this.formatNumber(item, { style: 'percent', ...this.decimalOptions(decimals) }, locale)
+      ),
+      round: (value, decimals = 0) => this.mapScalar(value, item => {
+        const number = this.toNumber(item);
+        if (number === null) return item;
+        const factor = Math.pow(10, Number(decimals) || 0);
+        return Math.round(number * factor) / factor;
+      }),
+      date: (value, pattern = 'yyyy-MM-dd', locale) => this.mapScalar(value, item =>
+        this.formatDate(item, pattern, locale)
+      ),
+      bahttext: value => this.mapScalar(value, item => localeFormatterService.bahtText(item)),
+      thai_date: (value, pattern) => this.mapScalar(value, item => localeFormatterService.thaiDate(item, pattern)),
+      number_to_words: (value, currency) => this.mapScalar(value, item => localeFormatterService.numberToWords(item, currency)),
+      upper: value => this.toText(value).toUpperCase(),
+      lower: value => this.toText(value).toLowerCase(),
+      capitalize: value => {
+        const text = this.toText(value);
+        return text.charAt(0).toUpperCase() + text.slice(1);
+      },
+      title: value => this.toText(value).replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase()),
+      trim: value => this.toText(value).trim(),
+      truncate: (value, length = 50, ending = '...') => {
+        const text = this.toText(value);
+        return text.length > Number(length) ? text.slice(0, Number(length)) + ending : text;
+      },
+      replace: (value, search = '', replacement = '') => this.toText(value).split(String(search)).join(String(replacement)),
+      prepend: (value, prefix = '') => (this.isBlank(value) ? '' : String(prefix) + this.toText(value)),
+      append: (value, suffix = '') => (this.isBlank(value) ? '' : this.toText(value) + String(suffix)),
+      default: (value, fallback = '') => (this.isBlank(value) ? fallback : value),
+      join: (value, separator = ', ') => (Array.isArray(value) ? value.map(item => this.toText(item)).join(String(separator)) : value),
+      first: value => (Array.isArray(value) ? value[0] : value),
+      last: value => (Array.isArray(value) ? value[value.length - 1] : value),
+      count: value => (Array.isArray(value) ? value.length : (this.isBlank(value) ? 0 : 1))
+    };
+  }
+
+  /**
+   * Split a placeholder body into the field name and its filters
+   * @param {string} expression - e.g. `Amount | currency:"THB"`
+   * @returns {Object} - { name, filters: [{ name, args }] }
+   */
+  parseExpression(expression) {
+    const [name, ...segments] = this.splitOutsideQuotes(expression, '|');
+
+    return {
+      name: name.trim(),
+      filters: segments
+        .map(segment => segment.trim())
+        .filter(Boolean)
+        .map(segment => {
+          const separator = segment.indexOf(':');
+          if (separator === -1) {
+            return { name: segment.toLowerCase(), args: [] };
+          }
+          return {
+            name: segment.slice(0, separator).trim().toLowerCase(),
+            args: this.splitOutsideQuotes(segment.slice(separator + 1), /[:,]/).map(arg => this.parseArgument(arg))
+          };
+        })
+    };
+  }
+
+  hasFilters(expression) {
+    return this.splitOutsideQuotes(expression || '', '|').length > 1;
+  }
+
+  /**
+   * Run a value through a list of parsed filters
+   * @param {*} value - Raw field value
+   * @param {Array} filters - Filters from parseExpression
+   * @returns {*} - Filtered value (use toText for the final string)
+   */
+  applyFilters(value, filters = []) {
+    return filters.reduce((current, filter) => {
+      const handler = this.filters[filter.name];
+      if (!handler) {
+        debugService.log('warn', 'template', `Unknown filter "${filter.name}" ignored`);
+        return current;
+      }
+
+      try {
+        return handler(current, ...filter.args);
+      } catch (error) {
+        debugService.log('warn', 'template', `Filter "${filter.name}" failed`, {
+          error: error.message
+        });
+        return current;
+      }
+    }, value);
+  }
+
+  /**
+   * Resolve an expression like `Amount | currency:"THB"` to display text
+   * @param {string} expression - Placeholder body
+   * @param {Function} resolve - Maps the field name to its raw value
+   * @returns {string} - Display text
+   */
+  formatExpression(expression, resolve) {
+    const { name, filters } = this.parseExpression(expression);
+    return this.toText(this.applyFilters(resolve(name), filters));
+  }
+
+  // Additional filters can be registered by other services (e.g. locale-specific formatters)
+  registerFilter(name, handler) {
+    this.filters[name.toLowerCase()] = handler;
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) {
+      return value.map(item => this.toText(item)).filter(item => item !== '').join(', ');
+    }
+    if (value instanceof Date) return isValid(value) ? value.toISOString() : '';
+    if (typeof value === 'object') {
+      return value.name || value.filename || value.email || value.url || '';
+    }
+    return String(value);
+  }
+
+  isBlank(value) {
+    if (value === undefined || value === null) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return String(value).trim() === '';
+  }
+
+  mapScalar(value, transform) {
+    if (Array.isArray(value)) {
+      return value.map(item => transform(item));
+    }
+    return this.isBlank(value) ? value : transform(value);
+  }
+
+  toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const number = Number(value.replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+  }
+
+  toDate(value) {
+    if (value instanceof Date) return isValid(value) ? value : null;
+    if (typeof value === 'number') return new Date(value);
+    if (typeof value !== 'string' || value.trim() === '') return null;
+
+    // Airtable dates are ISO 8601; date-only values stay on their calendar day
+    const parsed = parseISO(value.trim());
+    return isValid(parsed) ? parsed : null;
+  }
+
+  formatNumber(value, options, locale) {
+    const number = this.toNumber(value);
+    if (number === null) return value;
+    return new Intl.NumberFormat(locale || this.defaultLocale, options).format(number);
+  }
+
+  formatDate(value, pattern, locale) {
+    const date = this.toDate(value);
+    if (!date) return value;
+    const dateLocale = this.dateLocales[String(locale || 'en').toLowerCase()] || enUS;
+    return format(date, String(pattern), { locale: dateLocale });
+  }
+
+  decimalOptions(decimals) {
+    if (decimals === undefined || decimals === '') return {};
+    const digits = Number(decimals) || 0;
+    return { minimumFractionDigits: digits, maximumFractionDigits: digits };
+  }
+
+  parseArgument(argument) {
+    const value = argument.trim();
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    if (quoted) return quoted[2];
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+  }
+
+  // A doubled string separator (`||`) is not a split; expressionService
+  // reports it as an error instead of it silently becoming an empty filter
+  splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      const isDoubled = typeof separator === 'string' &&
+        (text[index + 1] === separator || text[index - 1] === separator);
+      if (quote) {
+        if (char === quote) quote = null;
+        current += char;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+        current += char;
+      } else if (typeof separator === 'string' ? char === separator && !isDoubled : separator.test(char)) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    parts.push(current);
+    return parts;
+  }
+}
+
+export const valueFormatterService = new ValueFormatterService();
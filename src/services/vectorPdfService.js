@@ -0,0 +1,1154 @@
+import { debugService } from './debugService';
+import { paginationService } from './paginationService';
+import { headerFooterService } from './headerFooterService';
+import { pageSetupService } from './pageSetupService';
+
+// Vector PDF renderer: lays the processed template HTML out as real jsPDF text
+// runs, table cells, rules and images instead of pasting a html2canvas
+// screenshot, so the PDF is searchable, selectable, small and sharp in print.
+// It understands the markup Google Docs exports: headings, paragraphs, lists,
+// tables, images, inline bold / italic / underline / colour / size (inline
+// styles and the exported class rules), links, line breaks and page breaks.
+export class VectorPdfService {
+  constructor() {
+    this.pxToPt = 0.75;
+
+    // Sizes in CSS px, matching the raster stylesheet in addPDFStyling
+    this.baseFontSize = 12;
+    this.lineHeight = 1.4;
+    this.headingSizes = { h1: 24, h2: 20, h3: 18, h4: 16, h5: 14, h6: 12 };
+    this.listIndent = 18;
+    // Space between a running header/footer and the page content, in pt
+    this.regionGap = 10;
+    this.table = { padding: 5, borderWidth: 0.5, borderColor: [221, 221, 221], headerFill: [248, 249, 250] };
+
+    // Thai needs an embedded TrueType font; jsPDF's standard fonts only cover Latin.
+    // The TTFs ship with the app (src/assets/fonts), so rendering works offline.
+    this.fontFamily = 'Sarabun';
+    this.fallbackFontFamily = 'helvetica';
+    this.fontSources = {
+      normal: new URL('../assets/fonts/Sarabun-Regular.ttf', import.meta.url).href,
+      bold: new URL('../assets/fonts/Sarabun-Bold.ttf', import.meta.url).href,
+      italic: new URL('../assets/fonts/Sarabun-Italic.ttf', import.meta.url).href,
+      bolditalic: new URL('../assets/fonts/Sarabun-BoldItalic.ttf', import.meta.url).href
+    };
+    this.fontData = {};
+
+    this.blockTags = [
+      'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'div', 'dl', 'dt',
+      'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'li',
+      'main', 'p', 'pre', 'section'
+    ];
+    this.skippedTags = ['script', 'style', 'head', 'title', 'meta', 'link', 'noscript'];
+  }
+
+  /**
+   * Render processed template HTML to a vector PDF
+   * @param {string} htmlContent - Processed HTML (placeholders already replaced)
+   * @param {Object} options - Generation options
+   * @returns {Promise<Blob>} - PDF blob
+   */
+  async renderHTML(htmlContent, options = {}) {
+    debugService.log('debug', 'pdf', 'Rendering HTML content as vector PDF', {
+      contentLength: htmlContent.length
+    });
+
+    const { default: jsPDF } = await import('jspdf');
+    const page = this.resolvePage(options);
+    const pdf = new jsPDF({
+      orientation: page.orientation,
+      unit: 'pt',
+      format: page.format,
+      compress: true
+    });
+
+    const fontFamily = await this.registerFonts(pdf);
+    const regions = headerFooterService.extractRegions(htmlContent);
+    const documentNode = this.parseHTML(regions.content);
+    const classStyles = this.collectClassStyles(documentNode);
+    const blocks = this.collectBlocks(documentNode, classStyles);
+
+    // Header/footer regions share the document's class styles
+    const regionBlocks = {};
+    ['header', 'footer'].forEach(name => {
+      if (regions[name]) {
+        regionBlocks[name] = this.collectBlocks(this.parseHTML(`<html><body>${regions[name]}</body></html>`), classStyles);
+      }
+    });
+    await this.loadImages([...blocks, ...(regionBlocks.header || []), ...(regionBlocks.footer || [])]);
+
+    const layout = this.createLayout(pdf, page, fontFamily);
+    this.drawBlocks(layout, blocks, regionBlocks);
+
+    const pdfBlob = new Blob([pdf.output('arraybuffer')], { type: 'application/pdf' });
+
+    debugService.log('info', 'pdf', 'Vector PDF rendered', {
+      blocks: blocks.length,
+      pages: pdf.getNumberOfPages(),
+      pdfSize: pdfBlob.size,
+      font: fontFamily
+    });
+
+    return pdfBlob;
+  }
+
+  // Template page setup, with options.page ({ format, orientation, margins } in pt) on top
+  resolvePage(options) {
+    const page = pageSetupService.toVectorPage(pageSetupService.resolve(options.pageSetup));
+    return {
+      ...page,
+      ...(options.page || {}),
+      margins: { ...page.margins, ...(options.page?.margins || {}) }
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fonts
+
+  async registerFonts(pdf) {
+    const styles = Object.keys(this.fontSources);
+    const loaded = await Promise.all(styles.map(style => this.loadFont(style).catch(error => {
+      debugService.log('warn', 'pdf', `Could not load ${this.fontFamily} ${style} font`, {
+        error: error.message
+      });
+      return null;
+    })));
+
+    const regular = loaded[0];
+    if (!regular) {
+      debugService.log('warn', 'pdf', 'Falling back to a standard PDF font; Thai text will not render', {
+        fallback: this.fallbackFontFamily
+      });
+      return this.fallbackFontFamily;
+    }
+
+    styles.forEach((style, index) => {
+      // Missing weights reuse the regular face rather than failing the document
+      const data = loaded[index] || regular;
+      const filename = `${this.fontFamily}-${style}.ttf`;
+      pdf.addFileToVFS(filename, data);
+      pdf.addFont(filename, this.fontFamily, style);
+    });
+
+    return this.fontFamily;
+  }
+
+  loadFont(style) {
+    if (!this.fontData[style]) {
+      this.fontData[style] = fetch(this.fontSources[style])
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+          }
+          return response.arrayBuffer();
+        })
+        .then(buffer => this.arrayBufferToBase64(buffer))
+        .catch(error => {
+          // Allow a later generation to retry
+          delete this.fontData[style];
+          throw error;
+        });
+    }
+    return this.fontData[style];
+  }
+
+  arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = '';
+    for (let index = 0; index < bytes.length; index += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(index, index + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTML to blocks
+
+  parseHTML(htmlContent) {
+    return new DOMParser().parseFromString(htmlContent, 'text/html');
+  }
+
+  collectBlocks(documentNode, classStyles = this.collectClassStyles(documentNode)) {
+    const body = documentNode.body ||
+      documentNode.getElementsByTagName('body')[0] ||
+      documentNode.documentElement;
+
+    const state = {
+      blocks: [],
+      runs: [],
+      block: { style: this.baseStyle(), tag: 'body', indent: 0, prefix: null },
+      classStyles,
+      indent: 0
+    };
+
+    this.walk(body, this.elementStyle(body, this.baseStyle(), state.classStyles), state);
+    this.flushRuns(state);
+
+    return state.blocks;
+  }
+
+  walk(node, style, state) {
+    Array.from(node.childNodes || []).forEach(child => {
+      if (child.nodeType === 3) {
+        state.runs.push({ text: child.nodeValue.replace(/[ \t\r\n\f]+/g, ' '), style });
+        return;
+      }
+      if (child.nodeType !== 1) return;
+
+      const tag = child.tagName.toLowerCase();
+      if (this.skippedTags.includes(tag)) return;
+
+      const childStyle = this.elementStyle(child, style, state.classStyles);
+
+      if (tag === 'br') {
+        state.runs.push({ text: '\n', style });
+        return;
+      }
+
+      if (childStyle.pageBreakBefore) {
+        this.flushRuns(state);
+        state.blocks.push({ type: 'pageBreak' });
+      }
+
+      const firstBlock = state.blocks.length;
+
+      if (tag === 'img') {
+        this.flushRuns(state);
+        state.blocks.push(this.collectImage(child, childStyle, state));
+      } else if (tag === 'hr') {
+        this.flushRuns(state);
+        state.blocks.push({ type: 'rule', indent: state.indent });
+      } else if (tag === 'table') {
+        this.flushRuns(state);
+        state.blocks.push(this.collectTable(child, childStyle, state));
+      } else if (tag === 'ul' || tag === 'ol') {
+        this.flushRuns(state);
+        this.collectList(child, childStyle, state, tag === 'ol');
+      } else if (this.blockTags.includes(tag)) {
+        this.flushRuns(state);
+        const parentBlock = state.block;
+        state.block = { style: childStyle, tag, indent: state.indent, prefix: parentBlock.pendingPrefix || null };
+        this.walk(child, childStyle, state);
+        this.flushRuns(state);
+        state.block = parentBlock;
+      } else {
+        const href = tag === 'a' ? child.getAttribute('href') : null;
+        this.walk(child, href ? { ...childStyle, href } : childStyle, state);
+      }
+
+      if (childStyle.avoidBreakInside && !this.isInline(tag)) {
+        this.flushRuns(state);
+        this.keepTogether(state, firstBlock);
+      }
+
+      if (childStyle.pageBreakAfter) {
+        this.flushRuns(state);
+        state.blocks.push({ type: 'pageBreak' });
+      }
+    });
+  }
+
+  isInline(tag) {
+    return !this.blockTags.includes(tag) && !['table', 'ul', 'ol', 'img', 'hr'].includes(tag);
+  }
+
+  // Mark the blocks produced by a page-break-inside: avoid element; an outer
+  // element processed later takes over the blocks of inner ones
+  keepTogether(state, firstBlock) {
+    state.groups = (state.groups || 0) + 1;
+    state.blocks.slice(firstBlock).forEach(block => {
+      block.group = state.groups;
+    });
+  }
+
+  flushRuns(state) {
+    const runs = this.trimRuns(state.runs);
+    state.runs = [];
+    if (runs.length === 0) return;
+
+    const block = state.block;
+    const spacing = this.blockSpacing(block.tag, block.style);
+    state.blocks.push({
+      type: 'text',
+      runs,
+      style: block.style,
+      align: block.style.align,
+      indent: block.indent,
+      prefix: block.prefix,
+      keepWithNext: /^h[1-6]$/.test(block.tag),
+      spaceBefore: spacing.before,
+      spaceAfter: spacing.after
+    });
+    block.prefix = null;
+  }
+
+  // Collapse whitespace across runs the way a browser does
+  trimRuns(runs) {
+    const result = [];
+    let atLineStart = true;
+
+    runs.forEach(run => {
+      let text = run.text;
+      if (atLineStart) text = text.replace(/^ +/, '');
+      if (text === '') return;
+
+      const previous = result[result.length - 1];
+      if (previous && / $/.test(previous.text) && text.startsWith(' ')) {
+        text = text.slice(1);
+      }
+      if (text === '') return;
+
+      text = text.replace(/ *\n */g, '\n');
+      result.push({ ...run, text });
+      atLineStart = text.endsWith('\n');
+    });
+
+    while (result.length > 0) {
+      const last = result[result.length - 1];
+      last.text = last.text.replace(/ +$/, '');
+      if (last.text !== '') break;
+      result.pop();
+    }
+
+    return result.some(run => run.text.trim() !== '') ? result : [];
+  }
+
+  blockSpacing(tag, style) {
+    const size = style.fontSize * this.pxToPt;
+    if (/^h[1-6]$/.test(tag)) return { before: size * 0.6, after: size * 0.4 };
+    if (tag === 'p') return { before: 0, after: 6 };
+    if (tag === 'li') return { before: 0, after: 2 };
+    return { before: 0, after: 0 };
+  }
+
+  collectList(listNode, style, state, ordered) {
+    const parentIndent = state.indent;
+    state.indent += this.listIndent;
+    let number = Number(listNode.getAttribute('start')) || 1;
+
+    Array.from(listNode.childNodes).forEach(child => {
+      if (child.nodeType !== 1) return;
+      const tag = child.tagName.toLowerCase();
+      const childStyle = this.elementStyle(child, style, state.classStyles);
+
+      if (tag === 'li') {
+        const parentBlock = state.block;
+        state.block = { style: childStyle, tag, indent: state.indent, prefix: ordered ? `${number++}.` : '•' };
+        this.walk(child, childStyle, state);
+        this.flushRuns(state);
+        state.block = parentBlock;
+      } else if (tag === 'ul' || tag === 'ol') {
+        this.collectList(child, childStyle, state, tag === 'ol');
+      }
+    });
+
+    state.indent = parentIndent;
+  }
+
+  collectTable(tableNode, style, state) {
+    const rows = this.findRows(tableNode).map(rowNode => {
+      const inHead = rowNode.parentNode?.tagName?.toLowerCase() === 'thead';
+      const rowStyle = this.elementStyle(rowNode, style, state.classStyles);
+
+      const cells = Array.from(rowNode.childNodes)
+        .filter(cell => cell.nodeType === 1 && ['td', 'th'].includes(cell.tagName.toLowerCase()))
+        .map(cellNode => {
+          const cellStyle = this.elementStyle(cellNode, rowStyle, state.classStyles);
+          const cellState = {
+            blocks: [],
+            runs: [],
+            block: { style: cellStyle, tag: 'td', indent: 0, prefix: null },
+            classStyles: state.classStyles,
+            indent: 0
+          };
+          this.walk(cellNode, cellStyle, cellState);
+          this.flushRuns(cellState);
+
+          return {
+            blocks: cellState.blocks.filter(block => block.type === 'text' || block.type === 'image'),
+            colspan: Math.max(1, Number(cellNode.getAttribute('colspan')) || 1),
+            header: cellNode.tagName.toLowerCase() === 'th',
+            fill: cellStyle.background || rowStyle.background || null
+          };
+        });
+
+      return { cells, header: inHead || (cells.length > 0 && cells.every(cell => cell.header)) };
+    });
+
+    return { type: 'table', rows: rows.filter(row => row.cells.length > 0), indent: state.indent };
+  }
+
+  // Rows of this table only, not of tables nested in its cells
+  findRows(tableNode) {
+    return Array.from(tableNode.getElementsByTagName('tr')).filter(row => {
+      let parent = row.parentNode;
+      while (parent && parent.tagName?.toLowerCase() !== 'table') {
+        parent = parent.parentNode;
+      }
+      return parent === tableNode;
+    });
+  }
+
+  collectImage(imageNode, style, state) {
+    const declarations = this.parseDeclarations(imageNode.getAttribute('style') || '');
+    return {
+      type: 'image',
+      src: imageNode.getAttribute('src') || '',
+      width: this.toPixels(imageNode.getAttribute('width') || declarations.width),
+      height: this.toPixels(imageNode.getAttribute('height') || declarations.height),
+      align: style.align,
+      indent: state.indent
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Styles
+
+  baseStyle() {
+    return {
+      bold: false,
+      italic: false,
+      underline: false,
+      color: [51, 51, 51],
+      fontSize: this.baseFontSize,
+      align: 'left',
+      background: null,
+      href: null
+    };
+  }
+
+  elementStyle(element, parentStyle, classStyles) {
+    const tag = element.tagName.toLowerCase();
+    // Text properties inherit; boxes, backgrounds and page breaks do not
+    const style = { ...parentStyle, background: null, pageBreakBefore: false, pageBreakAfter: false, avoidBreakInside: false };
+
+    if (tag === 'b' || tag === 'strong' || tag === 'th' || /^h[1-6]$/.test(tag)) style.bold = true;
+    if (tag === 'i' || tag === 'em') style.italic = true;
+    if (tag === 'u' || tag === 'a') style.underline = true;
+    if (tag === 'a') style.color = [17, 85, 204];
+    if (this.headingSizes[tag]) style.fontSize = this.headingSizes[tag];
+
+    const classNames = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    if (classNames.includes('page-break')) style.pageBreakBefore = true;
+
+    classNames.forEach(className => {
+      if (classStyles[className]) this.applyDeclarations(style, classStyles[className], parentStyle);
+    });
+    this.applyDeclarations(style, this.parseDeclarations(element.getAttribute('style') || ''), parentStyle);
+
+    return style;
+  }
+
+  applyDeclarations(style, declarations, parentStyle) {
+    Object.entries(declarations).forEach(([property, value]) => {
+      switch (property) {
+        case 'font-weight':
+          style.bold = value === 'bold' || value === 'bolder' || Number(value) >= 600;
+          break;
+        case 'font-style':
+          style.italic = value === 'italic' || value === 'oblique';
+          break;
+        case 'text-decoration':
+        case 'text-decoration-line':
+          style.underline = value.includes('underline');
+          break;
+        case 'color': {
+          const color = this.parseColor(value);
+          if (color) style.color = color;
+          break;
+        }
+        case 'background':
+        case 'background-color': {
+          const color = this.parseColor(value);
+          if (color) style.background = color;
+          break;
+        }
+        case 'font-size': {
+          const size = this.toPixels(value, parentStyle.fontSize);
+          if (size) style.fontSize = size;
+          break;
+        }
+        case 'text-align':
+          style.align = ['center', 'right'].includes(value) ? value : 'left';
+          break;
+        case 'page-break-before':
+        case 'break-before':
+          style.pageBreakBefore = ['always', 'page', 'left', 'right'].includes(value);
+          break;
+        case 'page-break-after':
+        case 'break-after':
+          style.pageBreakAfter = ['always', 'page', 'left', 'right'].includes(value);
+          break;
+        case 'page-break-inside':
+        case 'break-inside':
+          style.avoidBreakInside = value.startsWith('avoid');
+          break;
+        case 'orphans':
+        case 'widows':
+          style[property] = parseInt(value, 10) || undefined;
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  // Google Docs exports most formatting as class rules (.c3{font-weight:700})
+  collectClassStyles(documentNode) {
+    const classStyles = {};
+    Array.from(documentNode.getElementsByTagName('style')).forEach(styleNode => {
+      const css = (styleNode.textContent || '').replace(/\/\*[\s\S]*?\*\//g, '');
+      const rulePattern = /([^{}]+)\{([^}]*)\}/g;
+      let rule;
+      while ((rule = rulePattern.exec(css)) !== null) {
+        const declarations = this.parseDeclarations(rule[2]);
+        rule[1].split(',').map(selector => selector.trim()).forEach(selector => {
+          const simpleClass = selector.match(/^\.([\w-]+)$/);
+          if (simpleClass) {
+            classStyles[simpleClass[1]] = { ...(classStyles[simpleClass[1]] || {}), ...declarations };
+          }
+        });
+      }
+    });
+    return classStyles;
+  }
+
+  parseDeclarations(css) {
+    const declarations = {};
+    css.split(';').forEach(declaration => {
+      const separator = declaration.indexOf(':');
+      if (separator === -1) return;
+      const property = declaration.slice(0, separator).trim().toLowerCase();
+      const value = declaration.slice(separator + 1).replace(/!important/i, '').trim().toLowerCase();
+      if (property && value) declarations[property] = value;
+    });
+    return declarations;
+  }
+
+  parseColor(value) {
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+      return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+    }
+
+    const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)(?:\s*,\s*([\d.]+))?\s*\)$/);
+    if (rgb) {
+      if (rgb[4] !== undefined && Number(rgb[4]) === 0) return null;
+      return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3])];
+    }
+
+    const named = { black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0], blue: [0, 0, 255], gray: [128, 128, 128], grey: [128, 128, 128] };
+    return named[value] || null;
+  }
+
+  // CSS length to px; em and % are relative to the parent font size
+  toPixels(value, relativeTo = this.baseFontSize) {
+    if (value === undefined || value === null || value === '') return null;
+    const match = String(value).trim().match(/^(-?[\d.]+)\s*(px|pt|em|rem|%|mm|cm|in)?$/i);
+    if (!match) return null;
+
+    const number = Number(match[1]);
+    switch ((match[2] || 'px').toLowerCase()) {
+      case 'pt': return number / this.pxToPt;
+      case 'em': return number * relativeTo;
+      case 'rem': return number * this.baseFontSize;
+      case '%': return (number / 100) * relativeTo;
+      case 'mm': return number * 96 / 25.4;
+      case 'cm': return number * 96 / 2.54;
+      case 'in': return number * 96;
+      default: return number;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Images
+
+  async loadImages(blocks) {
+    const images = [];
+    const visit = list => list.forEach(block => {
+      if (block.type === 'image') images.push(block);
+      if (block.type === 'table') block.rows.forEach(row => row.cells.forEach(cell => visit(cell.blocks)));
+    });
+    visit(blocks);
+
+    await Promise.all(images.map(async block => {
+      try {
+        Object.assign(block, await this.loadImage(block.src));
+      } catch (error) {
+        block.failed = true;
+        debugService.log('warn', 'pdf', 'Image could not be embedded in vector PDF', {
+          src: block.src.slice(0, 100),
+          error: error.message
+        });
+      }
+    }));
+  }
+
+  // Re-encode through a canvas so any browser-supported format can be embedded
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+      if (!src) {
+        reject(new Error('Image has no source'));
+        return;
+      }
+
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        try {
+          const canvas = document.createElement('canvas');
+          canvas.width = image.naturalWidth;
+          canvas.height = image.naturalHeight;
+          canvas.getContext('2d').drawImage(image, 0, 0);
+          const isJpeg = /^data:image\/jpe?g|\.jpe?g(\?|$)/i.test(src);
+          resolve({
+            data: canvas.toDataURL(isJpeg ? 'image/jpeg' : 'image/png', 0.92),
+            format: isJpeg ? 'JPEG' : 'PNG',
+            naturalWidth: image.naturalWidth,
+            naturalHeight: image.naturalHeight
+          });
+        } catch (error) {
+          reject(error);
+        }
+      };
+      image.onerror = () => reject(new Error('Image failed to load'));
+      image.src = src;
+    });
+  }
+
+  imageSize(block, maxWidth) {
+    const aspect = block.naturalHeight / block.naturalWidth || 1;
+    let width = block.width ? block.width * this.pxToPt : null;
+    let height = block.height ? block.height * this.pxToPt : null;
+
+    if (!width && !height) width = block.naturalWidth * this.pxToPt;
+    if (!width) width = height / aspect;
+    if (!height) height = width * aspect;
+
+    if (width > maxWidth) {
+      height *= maxWidth / width;
+      width = maxWidth;
+    }
+    return { width, height };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Layout and drawing
+
+  createLayout(pdf, page, fontFamily) {
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    return {
+      pdf,
+      fontFamily,
+      pageWidth,
+      pageHeight,
+      margins: page.margins,
+      left: page.margins.left,
+      top: page.margins.top,
+      bottom: pageHeight - page.margins.bottom,
+      contentWidth: pageWidth - page.margins.left - page.margins.right,
+      widthCache: new Map()
+    };
+  }
+
+  // Blocks are laid out on one continuous flow first; the pagination engine
+  // then picks page boundaries and each page replays the drawing operations
+  // that start inside its range (plus repeated table header rows)
+  drawBlocks(layout, blocks, regionBlocks = {}) {
+    // Running headers/footers take their height (sized for 3-digit page numbers) off every page
+    const headerHeight = this.regionHeight(layout, regionBlocks.header);
+    const footerHeight = this.regionHeight(layout, regionBlocks.footer);
+    const contentTop = layout.top + (headerHeight ? headerHeight + this.regionGap : 0);
+    const contentBottom = layout.bottom - (footerHeight ? footerHeight + this.regionGap : 0);
+
+    const flow = this.layoutFlow(layout, blocks);
+    const pages = paginationService.paginate(flow.blocks, contentBottom - contentTop, {
+      start: flow.blocks.length > 0 ? Math.min(flow.blocks[0].top, flow.height) : 0,
+      end: flow.height,
+      slice: false
+    });
+
+    pages.forEach((page, index) => {
+      if (index > 0) layout.pdf.addPage();
+      let y = contentTop;
+
+      if (page.repeat) {
+        this.drawOperations(flow.operations, page.repeat.top, page.repeat.bottom, y - page.repeat.top);
+        y += page.repeat.bottom - page.repeat.top;
+      }
+      this.drawOperations(flow.operations, page.start, page.end, y - page.start);
+
+      this.drawRegion(layout, regionBlocks.header, index + 1, pages.length, layout.top);
+      this.drawRegion(layout, regionBlocks.footer, index + 1, pages.length, layout.bottom - footerHeight);
+    });
+  }
+
+  regionHeight(layout, blocks) {
+    if (!blocks || blocks.length === 0) return 0;
+    const flow = this.layoutFlow(layout, this.numberBlocks(blocks, 999, 999));
+    return flow.blocks.reduce((height, block) => Math.max(height, block.bottom), 0);
+  }
+
+  drawRegion(layout, blocks, page, pages, top) {
+    if (!blocks || blocks.length === 0) return;
+    const flow = this.layoutFlow(layout, this.numberBlocks(blocks, page, pages));
+    this.drawOperations(flow.operations, 0, Infinity, top);
+  }
+
+  // Copy of region blocks with {{page}} / {{pages}} filled in
+  numberBlocks(blocks, page, pages) {
+    return blocks.map(block => {
+      if (block.type === 'text') {
+        return {
+          ...block,
+          runs: block.runs.map(run => ({ ...run, text: headerFooterService.applyPageNumbers(run.text, page, pages) }))
+        };
+      }
+      if (block.type === 'table') {
+        return {
+          ...block,
+          rows: block.rows.map(row => ({
+            ...row,
+            cells: row.cells.map(cell => ({ ...cell, blocks: this.numberBlocks(cell.blocks, page, pages) }))
+          }))
+        };
+      }
+      return block;
+    });
+  }
+
+  drawOperations(operations, start, end, shift) {
+    operations
+      .filter(operation => operation.top >= start && operation.top < end)
+      .forEach(operation => operation.draw(shift));
+  }
+
+  layoutFlow(layout, blocks) {
+    const flow = { y: 0, blocks: [], operations: [] };
+
+    blocks.forEach(block => {
+      switch (block.type) {
+        case 'text':
+          this.layoutTextBlock(layout, flow, block);
+          break;
+        case 'table':
+          this.layoutTable(layout, flow, block);
+          break;
+        case 'image':
+          this.layoutImageBlock(layout, flow, block);
+          break;
+        case 'rule': {
+          const top = flow.y;
+          flow.operations.push({
+            top,
+            draw: shift => {
+              layout.pdf.setDrawColor(200, 200, 200);
+              layout.pdf.setLineWidth(0.75);
+              layout.pdf.line(layout.left + block.indent, top + shift + 6, layout.left + layout.contentWidth, top + shift + 6);
+            }
+          });
+          flow.y += 12;
+          flow.blocks.push({ top, bottom: flow.y, group: block.group });
+          break;
+        }
+        case 'pageBreak':
+          flow.blocks.push({ top: flow.y, bottom: flow.y, breakBefore: true });
+          break;
+        default:
+          break;
+      }
+    });
+
+    return { blocks: this.mergeKeepGroups(flow.blocks), operations: flow.operations, height: flow.y };
+  }
+
+  // Blocks inside one page-break-inside: avoid element move as a unit
+  mergeKeepGroups(blocks) {
+    return blocks.reduce((merged, block) => {
+      const previous = merged[merged.length - 1];
+      if (previous && block.group && previous.group === block.group) {
+        merged[merged.length - 1] = {
+          top: previous.top,
+          bottom: block.bottom,
+          group: block.group,
+          avoidInside: true,
+          keepWithNext: block.keepWithNext
+        };
+      } else {
+        merged.push(block.group ? { ...block, avoidInside: true } : block);
+      }
+      return merged;
+    }, []);
+  }
+
+  layoutTextBlock(layout, flow, block) {
+    const x = layout.left + block.indent;
+    const width = layout.contentWidth - block.indent;
+    const lines = this.layoutText(layout, block, width);
+
+    flow.y += block.spaceBefore;
+    const top = flow.y;
+
+    const lineBoxes = lines.map((line, index) => {
+      const lineTop = flow.y;
+      flow.operations.push({
+        top: lineTop,
+        draw: shift => {
+          if (index === 0 && block.prefix) {
+            this.drawPrefix(layout, block, x, lineTop + shift, line);
+          }
+          this.drawLine(layout, line, x, lineTop + shift, width, block.align);
+        }
+      });
+      flow.y += line.height;
+      return { top: lineTop, bottom: flow.y };
+    });
+
+    flow.blocks.push({
+      top,
+      bottom: flow.y,
+      lines: lineBoxes,
+      avoidInside: block.style.avoidBreakInside,
+      keepWithNext: block.keepWithNext,
+      orphans: block.style.orphans,
+      widows: block.style.widows,
+      group: block.group
+    });
+    flow.y += block.spaceAfter;
+  }
+
+  drawPrefix(layout, block, x, y, line) {
+    const style = { ...block.runs[0].style, underline: false, href: null };
+    const prefixWidth = this.measure(layout, block.prefix, style);
+    this.drawFragment(layout, { text: block.prefix, style, width: prefixWidth }, x - prefixWidth - 5, this.baseline(y, line));
+  }
+
+  layoutImageBlock(layout, flow, block) {
+    if (block.failed || !block.data) return;
+
+    const x = layout.left + block.indent;
+    const maxWidth = layout.contentWidth - block.indent;
+    let { width, height } = this.imageSize(block, maxWidth);
+
+    // An image taller than a page is scaled to fit one
+    const maxHeight = layout.bottom - layout.top;
+    if (height > maxHeight) {
+      width *= maxHeight / height;
+      height = maxHeight;
+    }
+
+    const top = flow.y;
+    flow.operations.push({
+      top,
+      draw: shift => layout.pdf.addImage(block.data, block.format, this.alignX(x, maxWidth, width, block.align), top + shift, width, height, undefined, 'FAST')
+    });
+    flow.y += height;
+    flow.blocks.push({ top, bottom: flow.y, group: block.group });
+    flow.y += 6;
+  }
+
+  layoutTable(layout, flow, table) {
+    const x = layout.left + table.indent;
+    const tableWidth = layout.contentWidth - table.indent;
+    const columnWidths = this.columnWidths(layout, table, tableWidth);
+
+    flow.y += 4;
+    const top = flow.y;
+
+    const rows = table.rows.map(row => {
+      const cells = this.placeCells(row, columnWidths);
+      const height = this.rowHeight(layout, cells);
+      const rowTop = flow.y;
+      flow.operations.push({
+        top: rowTop,
+        draw: shift => this.drawRow(layout, row, cells, x, rowTop + shift, height)
+      });
+      flow.y += height;
+      return { top: rowTop, bottom: flow.y, header: row.header };
+    });
+
+    flow.blocks.push({ top, bottom: flow.y, rows, avoidInside: table.avoidInside, group: table.group });
+    flow.y += 8;
+  }
+
+  placeCells(row, columnWidths) {
+    let column = 0;
+    return row.cells.map(cell => {
+      const span = Math.min(cell.colspan, Math.max(1, columnWidths.length - column));
+      const offset = columnWidths.slice(0, column).reduce((total, width) => total + width, 0);
+      const width = columnWidths.slice(column, column + span).reduce((total, width) => total + width, 0);
+      column += span;
+      return { cell, offset, width };
+    });
+  }
+
+  rowHeight(layout, cells) {
+    const padding = this.table.padding;
+    return cells.reduce((height, { cell, width }) =>
+      Math.max(height, this.measureBlocks(layout, cell.blocks, width - padding * 2) + padding * 2), padding * 2 + 10);
+  }
+
+  drawRow(layout, row, cells, x, y, height) {
+    const { pdf } = layout;
+    const padding = this.table.padding;
+
+    cells.forEach(({ cell, offset, width }) => {
+      const fill = cell.fill || (row.header ? this.table.headerFill : null);
+      if (fill) {
+        pdf.setFillColor(...fill);
+        pdf.rect(x + offset, y, width, height, 'F');
+      }
+      pdf.setDrawColor(...this.table.borderColor);
+      pdf.setLineWidth(this.table.borderWidth);
+      pdf.rect(x + offset, y, width, height, 'S');
+
+      let cellY = y + padding;
+      cell.blocks.forEach(block => {
+        cellY = this.drawCellBlock(layout, block, x + offset + padding, cellY, width - padding * 2);
+      });
+    });
+  }
+
+  drawCellBlock(layout, block, x, y, width) {
+    if (block.type === 'image') {
+      if (block.failed || !block.data) return y;
+      const size = this.imageSize(block, width);
+      layout.pdf.addImage(block.data, block.format, this.alignX(x, width, size.width, block.align), y, size.width, size.height, undefined, 'FAST');
+      return y + size.height + 2;
+    }
+
+    const lines = this.layoutText(layout, block, width);
+    let lineY = y;
+    lines.forEach(line => {
+      this.drawLine(layout, line, x, lineY, width, block.align);
+      lineY += line.height;
+    });
+    return lineY;
+  }
+
+  measureBlocks(layout, blocks, width) {
+    return blocks.reduce((height, block) => {
+      if (block.type === 'image') {
+        return block.failed || !block.data ? height : height + this.imageSize(block, width).height + 2;
+      }
+      return height + this.layoutText(layout, block, width).reduce((total, line) => total + line.height, 0);
+    }, 0);
+  }
+
+  // Size columns by content like an auto-layout table stretched to full width
+  columnWidths(layout, table, tableWidth) {
+    const padding = this.table.padding * 2;
+    const columnCount = Math.max(1, ...table.rows.map(row =>
+      row.cells.reduce((total, cell) => total + cell.colspan, 0)
+    ));
+    const natural = new Array(columnCount).fill(padding + 10);
+    const minimum = new Array(columnCount).fill(padding + 10);
+
+    table.rows.forEach(row => {
+      let column = 0;
+      row.cells.forEach(cell => {
+        if (cell.colspan === 1 && column < columnCount) {
+          const { naturalWidth, minimumWidth } = this.measureCell(layout, cell);
+          natural[column] = Math.max(natural[column], naturalWidth + padding);
+          minimum[column] = Math.max(minimum[column], minimumWidth + padding);
+        }
+        column += cell.colspan;
+      });
+    });
+
+    const naturalTotal = natural.reduce((total, width) => total + width, 0);
+    if (naturalTotal <= tableWidth) {
+      return natural.map(width => width * tableWidth / naturalTotal);
+    }
+
+    const minimumTotal = minimum.reduce((total, width) => total + width, 0);
+    if (minimumTotal >= tableWidth) {
+      return minimum.map(width => width * tableWidth / minimumTotal);
+    }
+
+    const flexible = natural.map((width, index) => width - minimum[index]);
+    const flexibleTotal = flexible.reduce((total, width) => total + width, 0) || 1;
+    return minimum.map((width, index) => width + (tableWidth - minimumTotal) * flexible[index] / flexibleTotal);
+  }
+
+  measureCell(layout, cell) {
+    let naturalWidth = 0;
+    let minimumWidth = 0;
+
+    cell.blocks.forEach(block => {
+      if (block.type === 'image') {
+        const width = block.failed || !block.data ? 0 : this.imageSize(block, Infinity).width;
+        naturalWidth = Math.max(naturalWidth, width);
+        minimumWidth = Math.max(minimumWidth, Math.min(width, 60));
+        return;
+      }
+
+      let lineWidth = 0;
+      block.runs.forEach(run => {
+        run.text.split('\n').forEach((part, index) => {
+          if (index > 0) lineWidth = 0;
+          this.segmentText(part).forEach(segment => {
+            const width = this.measure(layout, segment, run.style);
+            lineWidth += width;
+            naturalWidth = Math.max(naturalWidth, lineWidth);
+            if (segment.trim() !== '') minimumWidth = Math.max(minimumWidth, width);
+          });
+        });
+      });
+    });
+
+    return { naturalWidth, minimumWidth: Math.min(minimumWidth, 120) };
+  }
+
+  // Break runs into lines no wider than maxWidth. Thai has no spaces between
+  // words, so break opportunities come from Intl.Segmenter where available.
+  layoutText(layout, block, maxWidth) {
+    const lines = [];
+    const baseSize = block.style.fontSize * this.pxToPt;
+    let line = { fragments: [], width: 0, fontSize: 0 };
+
+    const pushLine = () => {
+      this.trimLineEnd(layout, line);
+      const fontSize = line.fontSize || baseSize;
+      lines.push({ ...line, fontSize, height: fontSize * this.lineHeight });
+      line = { fragments: [], width: 0, fontSize: 0 };
+    };
+
+    const append = (text, style, width) => {
+      const last = line.fragments[line.fragments.length - 1];
+      if (last && this.sameStyle(last.style, style)) {
+        last.text += text;
+        last.width += width;
+      } else {
+        line.fragments.push({ text, style, width });
+      }
+      line.width += width;
+      line.fontSize = Math.max(line.fontSize, style.fontSize * this.pxToPt);
+    };
+
+    block.runs.forEach(run => {
+      run.text.split('\n').forEach((part, partIndex) => {
+        if (partIndex > 0) pushLine();
+
+        this.segmentText(part).forEach(segment => {
+          const isSpace = segment.trim() === '';
+          if (isSpace && line.fragments.length === 0) return;
+
+          const width = this.measure(layout, segment, run.style);
+          if (line.width + width <= maxWidth) {
+            append(segment, run.style, width);
+            return;
+          }
+          if (isSpace) return;
+
+          if (line.fragments.length > 0) pushLine();
+          if (width <= maxWidth) {
+            append(segment, run.style, width);
+            return;
+          }
+
+          // A single word wider than the line is broken between characters
+          Array.from(segment).forEach(character => {
+            const characterWidth = this.measure(layout, character, run.style);
+            if (line.width + characterWidth > maxWidth && line.fragments.length > 0) pushLine();
+            append(character, run.style, characterWidth);
+          });
+        });
+      });
+    });
+
+    if (line.fragments.length > 0 || lines.length === 0) pushLine();
+    return lines;
+  }
+
+  trimLineEnd(layout, line) {
+    const last = line.fragments[line.fragments.length - 1];
+    if (!last || !/\s$/.test(last.text)) return;
+    const trimmed = last.text.replace(/\s+$/, '');
+    const width = this.measure(layout, trimmed, last.style);
+    line.width -= last.width - width;
+    last.text = trimmed;
+    last.width = width;
+  }
+
+  segmentText(text) {
+    if (!text) return [];
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+      if (!this.segmenter) {
+        this.segmenter = new Intl.Segmenter('th', { granularity: 'word' });
+      }
+      return Array.from(this.segmenter.segment(text), part => part.segment);
+    }
+    return text.split(/(\s+)/).filter(Boolean);
+  }
+
+  sameStyle(a, b) {
+    return a.bold === b.bold && a.italic === b.italic && a.underline === b.underline &&
+      a.fontSize === b.fontSize && a.href === b.href && a.color.join() === b.color.join();
+  }
+
+  fontStyle(style) {
+    if (style.bold && style.italic) return 'bolditalic';
+    if (style.bold) return 'bold';
+    if (style.italic) return 'italic';
+    return 'normal';
+  }
+
+  applyFont(layout, style) {
+    layout.pdf.setFont(layout.fontFamily, this.fontStyle(style));
+    layout.pdf.setFontSize(style.fontSize * this.pxToPt);
+  }
+
+  measure(layout, text, style) {
+    const key = `${this.fontStyle(style)}|${style.fontSize}|${text}`;
+    if (!layout.widthCache.has(key)) {
+      this.applyFont(layout, style);
+      layout.widthCache.set(key, layout.pdf.getTextWidth(text));
+    }
+    return layout.widthCache.get(key);
+  }
+
+  baseline(y, line) {
+    return y + (line.height - line.fontSize) / 2 + line.fontSize * 0.8;
+  }
+
+  alignX(x, availableWidth, width, align) {
+    if (align === 'center') return x + (availableWidth - width) / 2;
+    if (align === 'right') return x + availableWidth - width;
+    return x;
+  }
+
+  drawLine(layout, line, x, y, width, align) {
+    let cursor = this.alignX(x, width, line.width, align);
+    const baseline = this.baseline(y, line);
+    line.fragments.forEach(fragment => {
+      this.drawFragment(layout, fragment, cursor, baseline);
+      cursor += fragment.width;
+    });
+  }
+
+  drawFragment(layout, fragment, x, baseline) {
+    const { pdf } = layout;
+    const { style } = fragment;
+
+    this.applyFont(layout, style);
+    pdf.setTextColor(...style.color);
+    pdf.text(fragment.text, x, baseline);
+
+    if (style.underline) {
+      pdf.setDrawColor(...style.color);
+      pdf.setLineWidth(0.5);
+      pdf.line(x, baseline + 1.5, x + fragment.width, baseline + 1.5);
+    }
+
+    if (style.href) {
+      const fontSize = style.fontSize * this.pxToPt;
+      pdf.link(x, baseline - fontSize * 0.8, fragment.width, fontSize, { url: style.href });
+    }
+  }
+}
+
+export const vectorPdfService = new VectorPdfService();